@@ -122,6 +122,52 @@ app.use(`/api/${API_VERSION}/dsr-assignments`, dsrAssignmentRoutes);
 const dsrScheduleRoutes = require('./routes/dsrSchedule.routes');
 app.use(`/api/${API_VERSION}/dsr-schedules`, dsrScheduleRoutes);
 
+// Location routes
+const locationRoutes = require('./routes/location.routes');
+app.use(`/api/${API_VERSION}/locations`, locationRoutes);
+
+// Stock transfer routes
+const stockTransferRoutes = require('./routes/stockTransfer.routes');
+app.use(`/api/${API_VERSION}/stock-transfers`, stockTransferRoutes);
+
+// Stock take routes
+const stockTakeRoutes = require('./routes/stockTake.routes');
+app.use(`/api/${API_VERSION}/stock-takes`, stockTakeRoutes);
+
+// Supplier routes
+const supplierRoutes = require('./routes/supplier.routes');
+app.use(`/api/${API_VERSION}/suppliers`, supplierRoutes);
+
+// Exchange rate routes
+const exchangeRateRoutes = require('./routes/exchangeRate.routes');
+app.use(`/api/${API_VERSION}/exchange-rates`, exchangeRateRoutes);
+
+// Supplier return (RMA) routes
+const supplierReturnRoutes = require('./routes/supplierReturn.routes');
+app.use(`/api/${API_VERSION}/supplier-returns`, supplierReturnRoutes);
+
+// Purchase order and goods received note routes
+const purchaseOrderRoutes = require('./routes/purchaseOrder.routes');
+app.use(`/api/${API_VERSION}/purchase-orders`, purchaseOrderRoutes);
+const grnRoutes = require('./routes/grn.routes');
+app.use(`/api/${API_VERSION}/grns`, grnRoutes);
+
+// Customer, sales invoice and receipt routes
+const customerRoutes = require('./routes/customer.routes');
+app.use(`/api/${API_VERSION}/customers`, customerRoutes);
+const salesInvoiceRoutes = require('./routes/salesInvoice.routes');
+app.use(`/api/${API_VERSION}/sales-invoices`, salesInvoiceRoutes);
+const receiptRoutes = require('./routes/receipt.routes');
+app.use(`/api/${API_VERSION}/receipts`, receiptRoutes);
+
+// Customer warranty lookup and claims
+const warrantyRoutes = require('./routes/warranty.routes');
+app.use(`/api/${API_VERSION}/warranty`, warrantyRoutes);
+
+// Signed file downloads (local storage driver)
+const fileRoutes = require('./routes/file.routes');
+app.use(`/api/${API_VERSION}/files`, fileRoutes);
+
 // ============================================
 // ERROR HANDLING
 // ============================================
@@ -14,6 +14,7 @@ const logger = require('../utils/logger');
  */
 class S3Service {
   constructor() {
+    this.name = 's3';
     this.s3Client = null;
     this.bucketName = process.env.AWS_S3_BUCKET_NAME;
     this.region = process.env.AWS_REGION || 'us-east-1';
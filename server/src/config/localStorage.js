@@ -0,0 +1,230 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Content types of the file kinds the API accepts
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * Local Disk Storage
+ * Same operations as the S3 service, with files kept under LOCAL_STORAGE_PATH.
+ * Files are read through signed, expiring links served by GET /api/v1/files
+ */
+class LocalStorageService {
+  constructor() {
+    this.name = 'local';
+    this.rootPath = path.resolve(process.env.LOCAL_STORAGE_PATH || 'uploads');
+    this.secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+    this.baseUrl =
+      process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`;
+    this.isConfigured = Boolean(this.secret);
+
+    if (!this.isConfigured) {
+      logger.warn('No signing secret for local storage. Set STORAGE_SIGNING_SECRET or JWT_SECRET.');
+    }
+  }
+
+  /**
+   * Check if local storage is configured
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.isConfigured;
+  }
+
+  /**
+   * Absolute path of a key, refusing keys that escape the storage folder
+   * @param {string} key - Storage key ('folder/file')
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootPath, key || '');
+
+    if (!filePath.startsWith(this.rootPath + path.sep)) {
+      throw new Error('Invalid file key');
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Save file to disk
+   * @param {Buffer} fileBuffer - File buffer
+   * @param {string} fileName - Name of the file
+   * @param {string} mimeType - MIME type of the file
+   * @param {string} folder - Folder under the storage path (e.g., 'invoices', 'products')
+   * @returns {Promise<Object>} Upload result
+   */
+  async uploadFile(fileBuffer, fileName, mimeType, folder = 'general') {
+    if (!this.isReady()) {
+      throw new Error('Local storage is not configured. Please set STORAGE_SIGNING_SECRET.');
+    }
+
+    try {
+      const safeName = path.basename(fileName).replace(/[^\w.-]/g, '_');
+      const key = `${folder}/${Date.now()}-${safeName}`;
+      const filePath = this.resolvePath(key);
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, fileBuffer);
+
+      logger.info(`File saved to local storage: ${key}`);
+
+      return {
+        success: true,
+        key,
+        location: filePath,
+        bucket: this.rootPath,
+      };
+    } catch (error) {
+      logger.error(`Local Storage Upload Error: ${error.message}`);
+      throw new Error(`Failed to upload file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Signature of a key and expiry time
+   */
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  /**
+   * Check a download link's signature and expiry
+   * @returns {boolean}
+   */
+  verifySignature(key, expires, signature) {
+    if (!key || !expires || !signature || Number(expires) < Date.now() / 1000) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expires));
+    const given = Buffer.from(String(signature));
+
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  /**
+   * Get signed URL for file access
+   * @param {string} key - Storage key
+   * @param {number} expiresIn - URL expiration time in seconds (default: 1 hour)
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedUrl(key, expiresIn = 3600) {
+    if (!this.isReady()) {
+      throw new Error('Local storage is not configured');
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({
+      key,
+      expires: String(expires),
+      signature: this.sign(key, expires),
+    });
+
+    return `${this.baseUrl}/api/${process.env.API_VERSION || 'v1'}/files?${query}`;
+  }
+
+  /**
+   * Delete file from disk
+   * @param {string} key - Storage key
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteFile(key) {
+    try {
+      await fs.rm(this.resolvePath(key), { force: true });
+
+      logger.info(`File deleted from local storage: ${key}`);
+
+      return {
+        success: true,
+        message: 'File deleted successfully',
+        key,
+      };
+    } catch (error) {
+      logger.error(`Local Storage Delete Error: ${error.message}`);
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+  }
+
+  /**
+   * List files in a folder
+   * @param {string} folder - Folder under the storage path
+   * @param {number} maxKeys - Maximum number of files to retrieve
+   * @returns {Promise<Array>} List of files
+   */
+  async listFiles(folder, maxKeys = 100) {
+    try {
+      const entries = await fs.readdir(this.resolvePath(folder), { withFileTypes: true });
+      const files = [];
+
+      for (const entry of entries.filter((item) => item.isFile()).slice(0, maxKeys)) {
+        const key = `${folder}/${entry.name}`;
+        const stats = await fs.stat(this.resolvePath(key));
+        files.push({
+          key,
+          size: stats.size,
+          lastModified: stats.mtime,
+        });
+      }
+
+      return files;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      logger.error(`Local Storage List Files Error: ${error.message}`);
+      throw new Error(`Failed to list files: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if file exists
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} True if file exists
+   */
+  async fileExists(key) {
+    try {
+      const stats = await fs.stat(this.resolvePath(key));
+      return stats.isFile();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get file metadata
+   * @param {string} key - Storage key
+   * @returns {Promise<Object>} File metadata
+   */
+  async getFileMetadata(key) {
+    try {
+      const stats = await fs.stat(this.resolvePath(key));
+
+      return {
+        contentType:
+          MIME_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream',
+        contentLength: stats.size,
+        lastModified: stats.mtime,
+      };
+    } catch (error) {
+      logger.error(`Local Storage Get Metadata Error: ${error.message}`);
+      throw new Error(`Failed to get file metadata: ${error.message}`);
+    }
+  }
+}
+
+module.exports = LocalStorageService;
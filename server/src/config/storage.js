@@ -0,0 +1,27 @@
+const LocalStorageService = require('./localStorage');
+const logger = require('../utils/logger');
+
+/**
+ * File Storage
+ * Selects the storage driver from STORAGE_DRIVER ('s3' or 'local').
+ * Without it, S3 is used when AWS credentials are set and local disk otherwise.
+ * Both drivers offer upload, signed URL, delete, list, exists and metadata
+ */
+const DRIVERS = {
+  s3: () => require('./aws'),
+  local: () => new LocalStorageService(),
+};
+
+const hasAwsCredentials = Boolean(
+  process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY
+);
+const driver = (process.env.STORAGE_DRIVER || (hasAwsCredentials ? 's3' : 'local')).toLowerCase();
+
+if (!DRIVERS[driver]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+}
+
+const storage = DRIVERS[driver]();
+logger.info(`File storage driver: ${driver}`);
+
+module.exports = storage;
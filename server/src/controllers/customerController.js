@@ -0,0 +1,281 @@
+const Customer = require('../models/Customer');
+const User = require('../models/User');
+const SalesInvoice = require('../models/SalesInvoice');
+const Receipt = require('../models/Receipt');
+const SalesService = require('../services/salesService');
+const ReceiptService = require('../services/receiptService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+// Customer fields only the owner can set
+const CREDIT_FIELDS = ['creditLimit', 'creditTermsDays'];
+
+/**
+ * Helper: Reject credit account changes by anyone but the owner
+ */
+const checkCreditFields = (req) => {
+  if (req.user.role !== 'owner' && CREDIT_FIELDS.some((field) => req.body[field] !== undefined)) {
+    return new ApiError(403, 'Only the owner can set credit limits and terms');
+  }
+  return null;
+};
+
+/**
+ * Helper: Check the DSR a customer is assigned to
+ */
+const checkDsr = async (dsr) => {
+  if (!dsr) return null;
+
+  const user = await User.findById(dsr).select('role isActive');
+  if (!user || user.role !== 'dsr' || !user.isActive) {
+    return new ApiError(400, 'DSR not found or inactive');
+  }
+  return null;
+};
+
+/**
+ * Create customer
+ * @route POST /api/v1/customers
+ * @access Private
+ */
+const createCustomer = async (req, res, next) => {
+  try {
+    const fieldError = checkCreditFields(req) || (await checkDsr(req.body.dsr));
+    if (fieldError) {
+      return next(fieldError);
+    }
+
+    if (req.body.nic && (await Customer.exists({ nic: req.body.nic.toUpperCase() }))) {
+      return next(new ApiError(400, `A customer with NIC ${req.body.nic} already exists`));
+    }
+
+    const customer = await Customer.create({
+      ...req.body,
+      createdBy: req.user._id,
+    });
+
+    logger.info(`Customer created by ${req.user.email}: ${customer.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Customer created successfully',
+      data: { customer: customer.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all customers with filters
+ * @route GET /api/v1/customers
+ * @access Private
+ */
+const getAllCustomers = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, search, type, territory, dsr, isActive, creditAccount } =
+      req.query;
+
+    const filter = {};
+
+    if (type) filter.type = type;
+    if (territory) filter.territory = territory;
+    if (dsr) filter.dsr = dsr;
+    if (creditAccount === 'true') filter.creditLimit = { $gt: 0 };
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { shopName: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } },
+        { nic: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const customers = await Customer.find(filter)
+      .limit(parseInt(limit))
+      .skip(skip)
+      .sort({ name: 1 });
+
+    const total = await Customer.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customers: customers.map((customer) => customer.getSummary()),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalCustomers: total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get customer by ID with their credit position and purchase history
+ * @route GET /api/v1/customers/:id
+ * @access Private
+ */
+const getCustomerById = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id)
+      .populate('dsr', 'firstName lastName email')
+      .populate('createdBy', 'firstName lastName email');
+
+    if (!customer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    const sales = await SalesInvoice.find({ customer: customer._id }).sort({ saleDate: -1 });
+    const completed = sales.filter((sale) => sale.status === 'Completed');
+    const receipts = await Receipt.find({ customer: customer._id }).sort({ receiptDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customer,
+        credit: await SalesService.getCreditPosition(customer),
+        purchases: {
+          totalInvoices: completed.length,
+          totalPhones: completed.reduce((sum, sale) => sum + sale.lines.length, 0),
+          totalSpent: completed.reduce((sum, sale) => sum + sale.total, 0),
+          invoices: sales.map((sale) => sale.getSummary()),
+        },
+        receipts: {
+          totalReceipts: receipts.length,
+          totalCollected: receipts
+            .filter((receipt) => !receipt.isReversed)
+            .reduce((sum, receipt) => sum + receipt.amount, 0),
+          receipts: receipts.map((receipt) => receipt.getSummary()),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update customer
+ * @route PUT /api/v1/customers/:id
+ * @access Private (Owner, Clerk)
+ */
+const updateCustomer = async (req, res, next) => {
+  try {
+    const fieldError = checkCreditFields(req) || (await checkDsr(req.body.dsr));
+    if (fieldError) {
+      return next(fieldError);
+    }
+
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    if (req.body.nic) {
+      const duplicate = await Customer.exists({
+        nic: req.body.nic.toUpperCase(),
+        _id: { $ne: customer._id },
+      });
+
+      if (duplicate) {
+        return next(new ApiError(400, `A customer with NIC ${req.body.nic} already exists`));
+      }
+    }
+
+    customer.set({ ...req.body, updatedBy: req.user._id });
+    await customer.save();
+
+    logger.info(`Customer updated by ${req.user.email}: ${customer.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Customer updated successfully',
+      data: { customer: customer.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate customer (sales keep their reference)
+ * @route DELETE /api/v1/customers/:id
+ * @access Private (Owner only)
+ */
+const deactivateCustomer = async (req, res, next) => {
+  try {
+    const customer = await Customer.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedBy: req.user._id },
+      { new: true }
+    );
+
+    if (!customer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    logger.info(`Customer deactivated by ${req.user.email}: ${customer.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Customer deactivated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get accounts-receivable aging by customer and DSR territory
+ * DSRs only see their own customers
+ * @route GET /api/v1/customers/receivables/aging
+ * @access Private
+ */
+const getReceivablesAging = async (req, res, next) => {
+  try {
+    const { territory } = req.query;
+    const dsr = req.user.role === 'dsr' ? req.user._id.toString() : req.query.dsr;
+
+    const { buckets, customers, territories } = await ReceiptService.getReceivablesAging({
+      dsr,
+      territory,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        summary: {
+          totalCustomers: customers.length,
+          totalOutstanding: customers.reduce((sum, item) => sum + item.totalOutstanding, 0),
+          totalOverdue: buckets
+            .filter((item) => item.bucket !== 'Current')
+            .reduce((sum, item) => sum + item.amount, 0),
+        },
+        buckets,
+        territories,
+        customers,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createCustomer,
+  getAllCustomers,
+  getCustomerById,
+  updateCustomer,
+  deactivateCustomer,
+  getReceivablesAging,
+};
@@ -1,12 +1,17 @@
 const DsrAssignment = require("../models/DsrAssignment");
 const DsrSchedule = require("../models/DsrSchedule");
-const PurchaseInvoice = require("../models/PurchaseInvoice");
+const Phone = require("../models/Phone");
 const User = require("../models/User");
 const { ApiError } = require("../middlewares/errorHandler");
 const logger = require("../utils/logger");
 const ExcelJS = require("exceljs");
 const telegramService = require("../services/telegramService");
+const StockMovementService = require("../services/stockMovementService");
+const SalesService = require("../services/salesService");
+const DayCloseService = require("../services/dayCloseService");
 const { getSriLankaTime, getStartOfDaySriLanka, getEndOfDaySriLanka } = require('../utils/dateUtils');
+const { withTransaction } = require("../utils/transaction");
+const { isValidIMEI } = require("../utils/imeiUtils");
 
 
 /**
@@ -25,6 +30,8 @@ const generateAssignmentNumber = () => {
 
 /**
  * Assign phones to DSR
+ * All phones, the assignment and today's schedule are written in a single
+ * transaction, so a rejected IMEI leaves inventory untouched.
  * @route POST /api/v1/dsr-assignments
  * @access Private (Admin/Clerk only)
  */
@@ -38,111 +45,149 @@ const createAssignment = async (req, res, next) => {
       return next(new ApiError(400, "Invalid DSR. User must have DSR role."));
     }
 
-    // Check if DSR has a schedule for today
     const todaySriLanka = getStartOfDaySriLanka(getSriLankaTime());
-    
-    let schedule = await DsrSchedule.findOne({
-      dsr: dsrId,
-      date: {
-        $gte: todaySriLanka,
-        $lt: getEndOfDaySriLanka(todaySriLanka)
-      }
-    });
 
-    // If no schedule exists for today, create one automatically
-    if (!schedule) {
-      const dayOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][todaySriLanka.getDay()];
-      
-      schedule = await DsrSchedule.create({
+    const { assignment, schedule } = await withTransaction(async (session) => {
+      // Check if DSR has a schedule for today
+      let schedule = await DsrSchedule.findOne({
         dsr: dsrId,
-        date: todaySriLanka,
-        dayOfWeek: dayOfWeek,
-        week: getWeekNumber(todaySriLanka),
-        month: todaySriLanka.getMonth() + 1,
-        year: todaySriLanka.getFullYear(),
-        scheduleType: 'WorkDay',
-        shifts: [
-          {
-            startTime: '08:00',
-            endTime: '17:00',
-            shiftName: 'Default Shift'
-          }
-        ],
-        createdBy: req.user._id,
-      });
-
-      logger.info(`Auto-created schedule for DSR ${dsr.email} on ${todaySriLanka.toISOString()}`);
-    }
-
-    // Check if schedule already has an assignment
-    if (schedule.assignment) {
-      return next(new ApiError(400, `DSR ${dsr.fullName} already has an assignment for today. Please return existing phones first.`));
-    }
-
-    // Validate all phones are available
-    const phoneDetails = [];
-    for (const phoneData of phones) {
-      const { imei, targetPrice } = phoneData;
-
-      // Find phone in inventory
-      const invoice = await PurchaseInvoice.findOne({
-        "phones.imei": imei,
-      });
-
-      if (!invoice) {
-        return next(new ApiError(404, `Phone with IMEI ${imei} not found in inventory`));
+        date: {
+          $gte: todaySriLanka,
+          $lt: getEndOfDaySriLanka(todaySriLanka)
+        }
+      }).session(session);
+
+      // If no schedule exists for today, create one automatically
+      if (!schedule) {
+        const dayOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][todaySriLanka.getDay()];
+
+        [schedule] = await DsrSchedule.create([{
+          dsr: dsrId,
+          date: todaySriLanka,
+          dayOfWeek: dayOfWeek,
+          week: getWeekNumber(todaySriLanka),
+          month: todaySriLanka.getMonth() + 1,
+          year: todaySriLanka.getFullYear(),
+          scheduleType: 'WorkDay',
+          shifts: [
+            {
+              startTime: '08:00',
+              endTime: '17:00',
+              shiftName: 'Default Shift'
+            }
+          ],
+          createdBy: req.user._id,
+        }], { session });
+
+        logger.info(`Auto-created schedule for DSR ${dsr.email} on ${todaySriLanka.toISOString()}`);
       }
 
-      const phone = invoice.phones.find((p) => p.imei === imei);
+      // Check if schedule already has an assignment
+      if (schedule.assignment) {
+        throw new ApiError(400, `DSR ${dsr.fullName} already has an assignment for today. Please return existing phones first.`);
+      }
 
-      if (!phone) {
-        return next(new ApiError(404, `Phone with IMEI ${imei} not found`));
+      // Validate every phone before reserving any of them
+      const requested = new Set();
+      const rejected = [];
+      const reservations = [];
+
+      for (const phoneData of phones) {
+        const { imei, targetPrice } = phoneData;
+
+        // Either IMEI of a dual-SIM handset resolves to the same phone
+        const phone = await Phone.findByIMEI(imei).session(session);
+        const key = phone ? phone.imei : imei;
+
+        if (requested.has(key)) {
+          rejected.push({ imei, reason: "Duplicate IMEI in request" });
+          continue;
+        }
+        requested.add(key);
+
+        if (!phone) {
+          rejected.push({ imei, reason: "Phone not found in inventory" });
+          continue;
+        }
+
+        // Check if phone is available (not already assigned)
+        if (phone.status !== "Available") {
+          rejected.push({ imei, reason: `Phone is not available. Current status: ${phone.status}` });
+          continue;
+        }
+
+        if (phone.supplierReturn) {
+          rejected.push({ imei, reason: "Phone is on a supplier return" });
+          continue;
+        }
+
+        reservations.push({ phone, targetPrice });
       }
 
-      // Check if phone is available (not already assigned)
-      if (phone.status !== "Available") {
-        return next(
-          new ApiError(
-            400,
-            `Phone with IMEI ${imei} is not available. Current status: ${phone.status}`
-          )
+      if (rejected.length > 0) {
+        throw new ApiError(
+          400,
+          `${rejected.length} of ${phones.length} phone(s) cannot be assigned. No phones were assigned.`,
+          rejected
         );
       }
 
-      // Update phone status to 'Assigned'
-      phone.status = "Assigned";
-      await invoice.save();
-
-      phoneDetails.push({
-        invoice: invoice._id,
-        product: phone.product,
-        imei: phone.imei,
-        assignedPrice: phone.costPrice,
-        targetPrice: targetPrice || phone.sellingPrice,
-        status: "Assigned",
+      // Reserve phones
+      const phoneDetails = reservations.map(({ phone, targetPrice }) => {
+        phone.status = "Assigned";
+
+        return {
+          invoice: phone.invoice,
+          product: phone.product,
+          imei: phone.imei,
+          imei2: phone.imei2,
+          assignedPrice: phone.baseCostPrice,
+          landedCost: phone.baseLandedCost,
+          targetPrice: targetPrice || phone.sellingPrice,
+          status: "Assigned",
+        };
       });
-    }
 
-    // Create assignment
-    const now = getSriLankaTime();
-    const assignment = await DsrAssignment.create({
-      assignmentNumber: generateAssignmentNumber(),
-      assignmentDate: now,
-      assignmentTime: `${now.getHours().toString().padStart(2, "0")}:${now
-        .getMinutes()
-        .toString()
-        .padStart(2, "0")}`,
-      dsr: dsrId,
-      schedule: schedule._id, // Link to schedule
-      phones: phoneDetails,
-      notes,
-      assignedBy: req.user._id,
-    });
+      for (const { phone } of reservations) {
+        await phone.save({ session });
+      }
 
-    // Update schedule with assignment reference
-    schedule.assignment = assignment._id;
-    schedule.performance.phonesAssigned = phoneDetails.length;
-    await schedule.save();
+      // Create assignment
+      const now = getSriLankaTime();
+      const [assignment] = await DsrAssignment.create([{
+        assignmentNumber: generateAssignmentNumber(),
+        assignmentDate: now,
+        assignmentTime: `${now.getHours().toString().padStart(2, "0")}:${now
+          .getMinutes()
+          .toString()
+          .padStart(2, "0")}`,
+        dsr: dsrId,
+        schedule: schedule._id, // Link to schedule
+        phones: phoneDetails,
+        notes,
+        assignedBy: req.user._id,
+      }], { session });
+
+      await StockMovementService.record(
+        reservations.map(({ phone }) =>
+          StockMovementService.entry(phone, {
+            action: "Assigned",
+            fromStatus: "Available",
+            toStatus: "Assigned",
+            source: StockMovementService.source("Assignment", assignment),
+            actor: req.user._id,
+          })
+        ),
+        { session }
+      );
+
+      // Update schedule with assignment reference
+      schedule.assignment = assignment._id;
+      schedule.performance.phonesAssigned = phoneDetails.length;
+      await schedule.save({ session });
+
+      return { assignment, schedule };
+    });
 
     // Populate DSR details
     await assignment.populate("dsr", "firstName lastName email phone");
@@ -281,67 +326,157 @@ const getAssignmentById = async (req, res, next) => {
 };
 
 /**
- * Mark phone as sold
- * @route PATCH /api/v1/dsr-assignments/:id/phones/:imei/sold
+ * Helper: Sell phones of an assignment on one sales invoice
+ * Assignment lines, inventory phones, the invoice and schedule metrics change together
+ * A credit sale over the customer's limit only reserves the phones until the owner approves it
+ * @param {string} assignmentId - Assignment ID
+ * @param {Object} sale - { lines: [{ imei, unitPrice, discount }], buyer, payment, saleDate, notes }
+ * @param {Object} user - Selling user (DSRs can only sell from their own assignments)
+ * @param {Object} session - Transaction session
+ * @returns {Promise<Object>} { assignment, salesInvoice, soldPhones }
  */
-const markPhoneAsSold = async (req, res, next) => {
-  try {
-    const { id, imei } = req.params;
-    const { soldPrice, soldDate } = req.body;
+const sellAssignmentPhones = async (assignmentId, sale, user, session) => {
+  const assignment = await DsrAssignment.findById(assignmentId).session(session);
 
-    const assignment = await DsrAssignment.findById(id).populate('schedule');
+  if (!assignment) {
+    throw new ApiError(404, "Assignment not found");
+  }
 
-    if (!assignment) {
-      return next(new ApiError(404, "Assignment not found"));
+  // DSR can only update their own assignments
+  if (user.role === "dsr" && assignment.dsr.toString() !== user._id.toString()) {
+    throw new ApiError(403, "You can only update your own assignments");
+  }
+
+  const rejected = [];
+  const requested = new Set();
+  const inventoryPhones = [];
+
+  for (const { imei } of sale.lines) {
+    // Resolve IMEI 2 to the handset's primary IMEI used by the assignment
+    const inventoryPhone = await Phone.findByIMEI(imei).session(session);
+    const key = inventoryPhone ? inventoryPhone.imei : imei;
+
+    if (requested.has(key)) {
+      rejected.push({ imei, reason: "Duplicate IMEI in request" });
+      continue;
     }
+    requested.add(key);
 
-    // DSR can only update their own assignments
-    if (
-      req.user.role === "dsr" &&
-      assignment.dsr.toString() !== req.user._id.toString()
-    ) {
-      return next(new ApiError(403, "You can only update your own assignments"));
+    if (!inventoryPhone) {
+      rejected.push({ imei, reason: "Phone not found in inventory" });
+      continue;
     }
 
-    const phone = assignment.phones.find((p) => p.imei === imei);
+    const phone = assignment.phones.find((p) => p.imei === inventoryPhone.imei);
 
     if (!phone) {
-      return next(new ApiError(404, `Phone with IMEI ${imei} not found in this assignment`));
+      rejected.push({ imei, reason: "Phone not found in this assignment" });
+      continue;
     }
 
     if (phone.status !== "Assigned") {
-      return next(
-        new ApiError(400, `Phone is already ${phone.status.toLowerCase()}. Cannot mark as sold.`)
-      );
+      rejected.push({ imei, reason: `Phone is already ${phone.status.toLowerCase()}` });
+      continue;
     }
 
-    // Update phone in assignment
-    phone.status = "Sold";
-    phone.soldDate = soldDate || getSriLankaTime();
-    phone.soldPrice = soldPrice;
-
-    // Update phone in inventory
-    const invoice = await PurchaseInvoice.findOne({ "phones.imei": imei });
-    const inventoryPhone = invoice.phones.find((p) => p.imei === imei);
-    inventoryPhone.status = "Sold";
-    inventoryPhone.soldDate = phone.soldDate;
-
-    await invoice.save();
-    await assignment.save();
-
-    // Update schedule performance metrics
-    if (assignment.schedule) {
-      const schedule = await DsrSchedule.findById(assignment.schedule);
-      if (schedule) {
-        schedule.performance.phonesSold += 1;
-        schedule.performance.revenue += soldPrice;
-        schedule.performance.profit += (soldPrice - phone.assignedPrice);
-        await schedule.save();
-      }
+    if (inventoryPhone.status === "Reserved") {
+      rejected.push({ imei, reason: "Phone is held on a sale awaiting credit approval" });
+      continue;
     }
 
+    inventoryPhones.push(inventoryPhone);
+  }
+
+  if (rejected.length > 0) {
+    throw new ApiError(
+      400,
+      `${rejected.length} of ${sale.lines.length} phone(s) cannot be sold. No phones were sold.`,
+      rejected
+    );
+  }
+
+  const previousStatuses = inventoryPhones.map((phone) => phone.status);
+
+  const salesInvoice = await SalesService.createInvoice(
+    {
+      phones: inventoryPhones,
+      lines: sale.lines,
+      channel: "DSR",
+      assignment: assignment._id,
+      location: inventoryPhones[0].location,
+      buyer: sale.buyer,
+      payment: sale.payment,
+      saleDate: sale.saleDate || getSriLankaTime(),
+      notes: sale.notes,
+    },
+    { session, actor: user._id }
+  );
+
+  // Credit sales over the limit stay Assigned on the assignment until approved
+  const soldPhones =
+    salesInvoice.status === "Completed"
+      ? await SalesService.recordAssignmentSale(salesInvoice, assignment, { session })
+      : [];
+
+  await StockMovementService.record(
+    SalesService.saleEntries(salesInvoice, inventoryPhones, {
+      previousStatuses,
+      source: StockMovementService.source("Assignment", assignment),
+      actor: user._id,
+    }),
+    { session }
+  );
+
+  return { assignment, salesInvoice, soldPhones };
+};
+
+/**
+ * Mark phone as sold
+ * Creates a one-line sales invoice for the buyer
+ * @route PATCH /api/v1/dsr-assignments/:id/phones/:imei/sold
+ */
+const markPhoneAsSold = async (req, res, next) => {
+  try {
+    const { id, imei } = req.params;
+    const { soldPrice, soldDate, customer, newCustomer, customerName, payment } = req.body;
+
+    if (!isValidIMEI(imei)) {
+      return next(new ApiError(400, `IMEI ${imei} is not valid (15 digits with a Luhn check digit required)`));
+    }
+
+    const { assignment, salesInvoice, soldPhones } = await withTransaction((session) =>
+      sellAssignmentPhones(
+        id,
+        {
+          lines: [{ imei, unitPrice: soldPrice, discount: 0 }],
+          buyer: { customer, newCustomer, customerName },
+          payment,
+          saleDate: soldDate,
+        },
+        req.user,
+        session
+      )
+    );
+    if (salesInvoice.status === "Pending Approval") {
+      logger.info(
+        `Phone ${imei} reserved in assignment ${assignment.assignmentNumber}: ${salesInvoice.invoiceNumber} is over ${salesInvoice.customerName}'s credit limit`
+      );
+      await telegramService.sendCreditApprovalRequest(salesInvoice);
+
+      return res.status(202).json({
+        success: true,
+        message: "Credit limit exceeded. The phone is reserved until the owner approves the sale.",
+        data: {
+          salesInvoice: salesInvoice.getSummary(),
+          assignment: assignment.getSummary(),
+        },
+      });
+    }
+
+    const [phone] = soldPhones;
+
     logger.info(
-      `Phone ${imei} marked as sold in assignment ${assignment.assignmentNumber} for Rs. ${soldPrice}`
+      `Phone ${imei} marked as sold in assignment ${assignment.assignmentNumber} for Rs. ${soldPrice} (${salesInvoice.invoiceNumber})`
     );
 
     res.status(200).json({
@@ -354,7 +489,58 @@ const markPhoneAsSold = async (req, res, next) => {
           soldPrice: phone.soldPrice,
           soldDate: phone.soldDate,
           profit: soldPrice - phone.assignedPrice,
+          landedProfit: soldPrice - (phone.landedCost ?? phone.assignedPrice),
+        },
+        salesInvoice: salesInvoice.getSummary(),
+        assignment: assignment.getSummary(),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a sale of several phones from an assignment on one sales invoice
+ * @route POST /api/v1/dsr-assignments/:id/sales
+ */
+const recordAssignmentSale = async (req, res, next) => {
+  try {
+    const { lines, customer, newCustomer, customerName, payment, saleDate, notes } = req.body;
+
+    const { assignment, salesInvoice } = await withTransaction((session) =>
+      sellAssignmentPhones(
+        req.params.id,
+        {
+          lines,
+          buyer: { customer, newCustomer, customerName },
+          payment,
+          saleDate,
+          notes,
         },
+        req.user,
+        session
+      )
+    );
+
+    const pending = salesInvoice.status === "Pending Approval";
+
+    logger.info(
+      `Sales invoice ${salesInvoice.invoiceNumber} recorded on assignment ${assignment.assignmentNumber}: ${lines.length} phone(s), Rs. ${salesInvoice.total}` +
+        (pending ? " (awaiting credit approval)" : "")
+    );
+
+    if (pending) {
+      await telegramService.sendCreditApprovalRequest(salesInvoice);
+    }
+
+    res.status(pending ? 202 : 201).json({
+      success: true,
+      message: pending
+        ? "Credit limit exceeded. The phones are reserved until the owner approves the sale."
+        : "Sale recorded successfully",
+      data: {
+        salesInvoice: salesInvoice.getSummary(),
         assignment: assignment.getSummary(),
       },
     });
@@ -365,6 +551,7 @@ const markPhoneAsSold = async (req, res, next) => {
 
 /**
  * Return phones (unsold)
+ * Every IMEI must be returnable, otherwise nothing is returned
  * @route PATCH /api/v1/dsr-assignments/:id/return
  */
 const returnPhones = async (req, res, next) => {
@@ -372,79 +559,138 @@ const returnPhones = async (req, res, next) => {
     const { id } = req.params;
     const { imeis, returnNotes } = req.body;
 
-    const assignment = await DsrAssignment.findById(id).populate('schedule');
+    const { assignment, returnedPhones } = await withTransaction(async (session) => {
+      const assignment = await DsrAssignment.findById(id).session(session);
 
-    if (!assignment) {
-      return next(new ApiError(404, "Assignment not found"));
-    }
-
-    // DSR can only return their own assignments
-    if (
-      req.user.role === "dsr" &&
-      assignment.dsr.toString() !== req.user._id.toString()
-    ) {
-      return next(new ApiError(403, "You can only return your own assignments"));
-    }
-
-    if (!assignment.canReturn()) {
-      return next(new ApiError(400, "No phones available to return in this assignment"));
-    }
-
-    const returnedPhones = [];
-    const now = getSriLankaTime();
+      if (!assignment) {
+        throw new ApiError(404, "Assignment not found");
+      }
 
-    // Process each IMEI
-    for (const imei of imeis) {
-      const phone = assignment.phones.find((p) => p.imei === imei);
+      // DSR can only return their own assignments
+      if (
+        req.user.role === "dsr" &&
+        assignment.dsr.toString() !== req.user._id.toString()
+      ) {
+        throw new ApiError(403, "You can only return your own assignments");
+      }
 
-      if (!phone) {
-        logger.warn(`IMEI ${imei} not found in assignment ${assignment.assignmentNumber}`);
-        continue;
+      if (!assignment.canReturn()) {
+        throw new ApiError(400, "No phones available to return in this assignment");
       }
 
-      if (phone.status === "Sold") {
-        logger.warn(`Cannot return sold phone: ${imei}`);
-        continue;
+      // Validate every IMEI before returning any of them
+      const requested = new Set();
+      const rejected = [];
+      const returns = [];
+
+      for (const imei of imeis) {
+        // Either IMEI of a dual-SIM handset resolves to the same phone
+        const inventoryPhone = await Phone.findByIMEI(imei).session(session);
+        const key = inventoryPhone ? inventoryPhone.imei : imei;
+
+        if (requested.has(key)) {
+          rejected.push({ imei, reason: "Duplicate IMEI in request" });
+          continue;
+        }
+        requested.add(key);
+
+        const phone = assignment.phones.find((p) => p.imei === key);
+
+        if (!phone) {
+          rejected.push({ imei, reason: "Phone not found in this assignment" });
+          continue;
+        }
+
+        if (phone.status === "Sold") {
+          rejected.push({ imei, reason: "Phone is already sold" });
+          continue;
+        }
+
+        if (phone.status === "Returned") {
+          rejected.push({ imei, reason: "Phone is already returned" });
+          continue;
+        }
+
+        if (!inventoryPhone) {
+          rejected.push({ imei, reason: "Phone not found in inventory" });
+          continue;
+        }
+
+        if (inventoryPhone.status === "Reserved") {
+          rejected.push({ imei, reason: "Phone is held on a sale awaiting credit approval" });
+          continue;
+        }
+
+        // Sold or moved in inventory while it was on the assignment
+        if (inventoryPhone.status !== "Assigned") {
+          rejected.push({
+            imei,
+            reason: `Phone is ${inventoryPhone.status} in inventory, not assigned. It cannot be returned.`,
+          });
+          continue;
+        }
+
+        returns.push({ phone, inventoryPhone, previousStatus: inventoryPhone.status });
       }
 
-      if (phone.status === "Returned") {
-        logger.warn(`Phone ${imei} already returned`);
-        continue;
+      if (rejected.length > 0) {
+        throw new ApiError(
+          400,
+          `${rejected.length} of ${imeis.length} phone(s) cannot be returned. No phones were returned.`,
+          rejected
+        );
       }
 
-      // Update phone status
-      phone.status = "Returned";
-      phone.returnedDate = now;
-      phone.returnNotes = returnNotes;
+      const now = getSriLankaTime();
 
-      // Update inventory
-      const invoice = await PurchaseInvoice.findOne({ "phones.imei": imei });
-      const inventoryPhone = invoice.phones.find((p) => p.imei === imei);
-      inventoryPhone.status = "Available";
-      await invoice.save();
+      returns.forEach(({ phone, inventoryPhone }) => {
+        phone.status = "Returned";
+        phone.returnedDate = now;
+        phone.returnNotes = returnNotes;
 
-      returnedPhones.push(phone);
-    }
+        inventoryPhone.status = "Available";
+      });
 
-    // Update assignment status
-    assignment.returnDate = now;
-    assignment.returnTime = `${now.getHours().toString().padStart(2, "0")}:${now
-      .getMinutes()
-      .toString()
-      .padStart(2, "0")}`;
-    assignment.returnedBy = req.user._id;
-    assignment.returnNotes = returnNotes;
-
-    await assignment.save();
-
-    // Update schedule performance metrics
-    if (assignment.schedule) {
-      const schedule = await DsrSchedule.findById(assignment.schedule);
-      if (schedule) {
-        schedule.performance.phonesReturned += returnedPhones.length;
-        await schedule.save();
+      for (const { inventoryPhone } of returns) {
+        await inventoryPhone.save({ session });
+      }
+
+      await StockMovementService.record(
+        returns.map(({ inventoryPhone, previousStatus }) =>
+          StockMovementService.entry(inventoryPhone, {
+            action: "Returned",
+            fromStatus: previousStatus,
+            toStatus: "Available",
+            source: StockMovementService.source("Assignment", assignment),
+            notes: returnNotes,
+            actor: req.user._id,
+          })
+        ),
+        { session }
+      );
+
+      // Update assignment status
+      assignment.returnDate = now;
+      assignment.returnTime = `${now.getHours().toString().padStart(2, "0")}:${now
+        .getMinutes()
+        .toString()
+        .padStart(2, "0")}`;
+      assignment.returnedBy = req.user._id;
+      assignment.returnNotes = returnNotes;
+
+      await assignment.save({ session });
+
+      // Update schedule performance metrics
+      if (assignment.schedule) {
+        const schedule = await DsrSchedule.findById(assignment.schedule).session(session);
+        if (schedule) {
+          schedule.performance.phonesReturned += returns.length;
+          await schedule.save({ session });
+        }
       }
-    }
+
+      return { assignment, returnedPhones: returns.map(({ phone }) => phone) };
+    });
 
     logger.info(
       `${returnedPhones.length} phones returned from assignment ${assignment.assignmentNumber}`
@@ -505,6 +751,7 @@ const exportDailyReport = async (req, res, next) => {
       { header: "Total Value", key: "totalValue", width: 15 },
       { header: "Sold Revenue", key: "soldRevenue", width: 15 },
       { header: "Profit", key: "profit", width: 15 },
+      { header: "Landed Profit", key: "landedProfit", width: 15 },
       { header: "Status", key: "status", width: 15 },
     ];
 
@@ -529,12 +776,13 @@ const exportDailyReport = async (req, res, next) => {
         totalValue: assignment.totalValue,
         soldRevenue: assignment.soldRevenue,
         profit: assignment.profitGenerated,
+        landedProfit: assignment.landedProfitGenerated,
         status: assignment.status,
       });
     });
 
     // Format currency
-    ["totalValue", "soldRevenue", "profit"].forEach((col) => {
+    ["totalValue", "soldRevenue", "profit", "landedProfit"].forEach((col) => {
       worksheet.getColumn(col).numFmt = '"Rs. "#,##0.00';
     });
 
@@ -556,11 +804,124 @@ const exportDailyReport = async (req, res, next) => {
   }
 };
 
+/**
+ * Helper: Load an assignment for its day close (DSRs only their own)
+ */
+const findAssignmentForDayClose = async (id, user, session = null) => {
+  const assignment = await DsrAssignment.findById(id).session(session);
+
+  if (!assignment) {
+    throw new ApiError(404, "Assignment not found");
+  }
+
+  if (user.role === "dsr" && assignment.dsr.toString() !== user._id.toString()) {
+    throw new ApiError(403, "You can only close your own assignments");
+  }
+
+  return assignment;
+};
+
+/**
+ * Get the end-of-day handover of an assignment
+ * Shows what is expected now, and the declaration once made
+ * @route GET /api/v1/dsr-assignments/:id/day-close
+ */
+const getDayClose = async (req, res, next) => {
+  try {
+    const assignment = await findAssignmentForDayClose(req.params.id, req.user);
+    const { expected, sales, receipts } = await DayCloseService.getExpected(assignment);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        assignment: assignment.getSummary(),
+        expected,
+        sales,
+        collections: receipts.map((receipt) => receipt.getSummary()),
+        dayClose: assignment.dayClose.status ? assignment.dayClose : null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Declare the money handed over at the end of the day
+ * Every phone must be sold or returned; can be repeated until signed off
+ * @route POST /api/v1/dsr-assignments/:id/day-close
+ */
+const declareDayClose = async (req, res, next) => {
+  try {
+    const assignment = await withTransaction(async (session) => {
+      const assignment = await findAssignmentForDayClose(req.params.id, req.user, session);
+      return DayCloseService.declare(assignment, req.body, { session, actor: req.user._id });
+    });
+
+    const { outcome, variance } = assignment.dayClose;
+
+    logger.info(
+      `Day close declared for assignment ${assignment.assignmentNumber} by ${req.user.email}: ${outcome}` +
+        (outcome === "Balanced" ? "" : ` of Rs. ${Math.abs(variance.total)}`)
+    );
+
+    res.status(200).json({
+      success: true,
+      message:
+        outcome === "Balanced"
+          ? "Handover declared and balanced. Awaiting sign-off."
+          : `Handover declared with a ${outcome.toLowerCase()} of Rs. ${Math.abs(variance.total)}. Awaiting sign-off.`,
+      data: {
+        assignment: assignment.getSummary(),
+        dayClose: assignment.dayClose,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign off a declared handover and complete the assignment
+ * @route PATCH /api/v1/dsr-assignments/:id/day-close/sign-off
+ */
+const signOffDayClose = async (req, res, next) => {
+  try {
+    const assignment = await withTransaction(async (session) => {
+      const assignment = await findAssignmentForDayClose(req.params.id, req.user, session);
+      return DayCloseService.signOff(assignment, {
+        session,
+        actor: req.user._id,
+        notes: req.body.notes,
+      });
+    });
+
+    logger.info(
+      `Day close of assignment ${assignment.assignmentNumber} signed off by ${req.user.email} (${assignment.dayClose.outcome})`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Day close signed off. The assignment is completed.",
+      data: {
+        assignment: assignment.getSummary(),
+        dayClose: assignment.dayClose,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createAssignment,
   getAllAssignments,
   getAssignmentById,
   markPhoneAsSold,
+  recordAssignmentSale,
   returnPhones,
+  getDayClose,
+  declareDayClose,
+  signOffDayClose,
   exportDailyReport,
 };
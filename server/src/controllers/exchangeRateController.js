@@ -0,0 +1,194 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const CurrencyService = require('../services/currencyService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { getStartOfDaySriLanka } = require('../utils/dateUtils');
+
+/**
+ * Helper: Re-apply rates to unlocked invoices after the table changed
+ */
+const refreshInvoices = async (currency) => {
+  const updated = await CurrencyService.refreshUnlockedRates(currency);
+
+  if (updated > 0) {
+    logger.info(`${currency} rate applied to ${updated} unlocked invoice(s)`);
+  }
+
+  return updated;
+};
+
+/**
+ * Add exchange rate
+ * @route POST /api/v1/exchange-rates
+ * @access Private (Owner only)
+ */
+const createExchangeRate = async (req, res, next) => {
+  try {
+    const { currency, date } = req.body;
+
+    const exists = await ExchangeRate.exists({
+      currency,
+      date: getStartOfDaySriLanka(new Date(date)),
+    });
+    if (exists) {
+      return next(new ApiError(400, `A ${currency} rate already exists for this date. Update it instead.`));
+    }
+
+    const exchangeRate = await ExchangeRate.create({
+      ...req.body,
+      createdBy: req.user._id,
+    });
+
+    const invoicesUpdated = await refreshInvoices(currency);
+
+    logger.info(`${currency} rate ${exchangeRate.rate} added by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Exchange rate added successfully',
+      data: { exchangeRate: exchangeRate.getSummary(), invoicesUpdated },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get exchange rates (latest first)
+ * @route GET /api/v1/exchange-rates
+ * @access Private (Owner, Clerk)
+ */
+const getAllExchangeRates = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, currency, startDate, endDate } = req.query;
+
+    const filter = {};
+
+    if (currency) filter.currency = currency;
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = new Date(endDate);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const rates = await ExchangeRate.find(filter)
+      .limit(parseInt(limit))
+      .skip(skip)
+      .sort({ date: -1, currency: 1 });
+
+    const total = await ExchangeRate.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        baseCurrency: ExchangeRate.BASE_CURRENCY,
+        exchangeRates: rates.map((rate) => rate.getSummary()),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalExchangeRates: total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the rate in effect for a currency on a date (today by default)
+ * @route GET /api/v1/exchange-rates/current
+ * @access Private (Owner, Clerk)
+ */
+const getCurrentExchangeRate = async (req, res, next) => {
+  try {
+    const { currency, date = new Date() } = req.query;
+
+    if (!currency) {
+      return next(new ApiError(400, 'Currency is required'));
+    }
+
+    const rate = await CurrencyService.resolveRate(currency, date);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        currency,
+        baseCurrency: ExchangeRate.BASE_CURRENCY,
+        rate: rate.rate,
+        rateDate: rate.rateDate,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update exchange rate
+ * Verified invoices keep the rate they locked
+ * @route PUT /api/v1/exchange-rates/:id
+ * @access Private (Owner only)
+ */
+const updateExchangeRate = async (req, res, next) => {
+  try {
+    const exchangeRate = await ExchangeRate.findById(req.params.id);
+
+    if (!exchangeRate) {
+      return next(new ApiError(404, 'Exchange rate not found'));
+    }
+
+    exchangeRate.set({ ...req.body, updatedBy: req.user._id });
+    await exchangeRate.save();
+
+    const invoicesUpdated = await refreshInvoices(exchangeRate.currency);
+
+    logger.info(`${exchangeRate.currency} rate updated by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate updated successfully',
+      data: { exchangeRate: exchangeRate.getSummary(), invoicesUpdated },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete exchange rate
+ * @route DELETE /api/v1/exchange-rates/:id
+ * @access Private (Owner only)
+ */
+const deleteExchangeRate = async (req, res, next) => {
+  try {
+    const exchangeRate = await ExchangeRate.findByIdAndDelete(req.params.id);
+
+    if (!exchangeRate) {
+      return next(new ApiError(404, 'Exchange rate not found'));
+    }
+
+    const invoicesUpdated = await refreshInvoices(exchangeRate.currency);
+
+    logger.info(`${exchangeRate.currency} rate deleted by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate deleted successfully',
+      data: { invoicesUpdated },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createExchangeRate,
+  getAllExchangeRates,
+  getCurrentExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate,
+};
@@ -0,0 +1,38 @@
+const storage = require('../config/storage');
+const { ApiError } = require('../middlewares/errorHandler');
+
+/**
+ * Download a file from local storage through a signed link
+ * Links are issued by the storage driver and expire (see S3_SIGNED_URL_EXPIRES)
+ * @route GET /api/v1/files?key=&expires=&signature=
+ * @access Public (signed link)
+ */
+const downloadFile = async (req, res, next) => {
+  try {
+    if (storage.name !== 'local') {
+      return next(new ApiError(404, 'Files are served by the storage provider'));
+    }
+
+    const { key, expires, signature } = req.query;
+
+    if (!storage.verifySignature(key, expires, signature)) {
+      return next(new ApiError(403, 'Download link is invalid or has expired'));
+    }
+
+    if (!(await storage.fileExists(key))) {
+      return next(new ApiError(404, 'File not found'));
+    }
+
+    const metadata = await storage.getFileMetadata(key);
+
+    res.setHeader('Content-Type', metadata.contentType);
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.sendFile(storage.resolvePath(key));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  downloadFile,
+};
@@ -1,8 +1,22 @@
 const ExcelJS = require('exceljs');
 const Product = require('../models/Product');
 const PurchaseInvoice = require('../models/PurchaseInvoice');
+const InventoryService = require('../services/inventoryService');
+const TacService = require('../services/tacService');
 const { ApiError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { calculateCheckDigit, isValidIMEI } = require('../utils/imeiUtils');
+
+/**
+ * Build a sample IMEI with a valid check digit for import templates
+ * @param {number} serial - Sample number
+ * @returns {string} 15-digit IMEI
+ */
+const buildSampleIMEI = (serial) => {
+  const body = `35123456${String(serial).padStart(6, '0')}`;
+  return `${body}${calculateCheckDigit(body)}`;
+};
 
 /**
  * Generate Excel template for product import
@@ -126,7 +140,8 @@ const downloadInvoiceTemplate = async (req, res, next) => {
       { header: 'Model*', key: 'model', width: 25 },
       { header: 'Storage*', key: 'storage', width: 12 },
       { header: 'Color (Optional)', key: 'color', width: 15 }, // Changed to optional
-      { header: 'IMEI* (15 digits)', key: 'imei', width: 20 },
+      { header: 'IMEI* (15 digits, valid check digit)', key: 'imei', width: 20 },
+      { header: 'IMEI 2 (dual-SIM)', key: 'imei2', width: 20 },
       { header: 'Cost Price*', key: 'costPrice', width: 15 },
       { header: 'Selling Price*', key: 'sellingPrice', width: 15 },
       { header: 'Condition', key: 'condition', width: 15 },
@@ -165,7 +180,8 @@ const downloadInvoiceTemplate = async (req, res, next) => {
           model: product.model,
           storage: product.specifications.storage,
           color: product.specifications.color, // Real color from database
-          imei: `12345678901234${index}`,
+          imei: buildSampleIMEI(index + 1),
+          imei2: buildSampleIMEI(index + 101),
           costPrice: 350000,
           sellingPrice: 380000,
           condition: 'New',
@@ -191,7 +207,7 @@ const downloadInvoiceTemplate = async (req, res, next) => {
         model: 'Galaxy S23 Ultra',
         storage: '256GB',
         color: '', // ✅ Empty to show it's optional
-        imei: '123456789012345',
+        imei: buildSampleIMEI(1),
         costPrice: 350000,
         sellingPrice: 380000,
         condition: 'New',
@@ -214,11 +230,12 @@ const downloadInvoiceTemplate = async (req, res, next) => {
     invoiceSheet.addRow({ invoiceNumber: '2. Color is OPTIONAL - leave blank to auto-match first available variant' });
     invoiceSheet.addRow({ invoiceNumber: '3. If multiple colors exist for same product, system will ask you to specify' });
     invoiceSheet.addRow({ invoiceNumber: '4. Same invoice number = phones grouped under one invoice' });
-    invoiceSheet.addRow({ invoiceNumber: '5. Each row = one phone with unique IMEI' });
-    invoiceSheet.addRow({ invoiceNumber: '6. Condition: New, Refurbished, Open Box, Like New' });
-    invoiceSheet.addRow({ invoiceNumber: '7. Payment Method: Cash, Bank Transfer, Cheque, Credit, Mixed' });
-    invoiceSheet.addRow({ invoiceNumber: '8. Payment Status: Paid, Partial, Pending, Overdue' });
-    invoiceSheet.addRow({ invoiceNumber: '9. Delete sample rows before importing' });
+    invoiceSheet.addRow({ invoiceNumber: '5. Each row = one phone with unique IMEI (last digit is the Luhn check digit)' });
+    invoiceSheet.addRow({ invoiceNumber: '6. IMEI 2 is OPTIONAL - second IMEI of dual-SIM phones' });
+    invoiceSheet.addRow({ invoiceNumber: '7. Condition: New, Refurbished, Open Box, Like New' });
+    invoiceSheet.addRow({ invoiceNumber: '8. Payment Method: Cash, Bank Transfer, Cheque, Credit, Mixed' });
+    invoiceSheet.addRow({ invoiceNumber: '9. Payment Status: Paid, Partial, Pending, Overdue' });
+    invoiceSheet.addRow({ invoiceNumber: '10. Delete sample rows before importing' });
 
     // ✅ ADD SECOND SHEET: Product Catalog for reference
     const catalogSheet = workbook.addWorksheet('Product Catalog (Reference)');
@@ -431,6 +448,25 @@ const importInvoices = async (req, res, next) => {
         const storage = row.getCell(10).value?.toString().trim();
         const color = row.getCell(11).value?.toString().trim() || ''; // Optional
         const imei = row.getCell(12).value?.toString().replace(/\s/g, '');
+        const imei2 = row.getCell(13).value?.toString().replace(/\s/g, '') || undefined; // Optional
+
+        if (!isValidIMEI(imei)) {
+          errors.push({
+            row: rowNumber,
+            imei,
+            error: 'Invalid IMEI (15 digits with a valid check digit required)',
+          });
+          return;
+        }
+
+        if (imei2 && (!isValidIMEI(imei2) || imei2 === imei)) {
+          errors.push({
+            row: rowNumber,
+            imei: imei2,
+            error: 'Invalid IMEI 2 (15 digits with a valid check digit, different from IMEI)',
+          });
+          return;
+        }
 
         if (!invoicesMap.has(invoiceNumber.toString())) {
           invoicesMap.set(invoiceNumber.toString(), {
@@ -446,15 +482,15 @@ const importInvoices = async (req, res, next) => {
             phones: [],
             financials: {
               tax: { amount: 0, percentage: 0 },
-              discount: { amount: parseFloat(row.getCell(17).value) || 0, percentage: 0 },
-              shippingCost: parseFloat(row.getCell(18).value) || 0,
+              discount: { amount: parseFloat(row.getCell(18).value) || 0, percentage: 0 },
+              shippingCost: parseFloat(row.getCell(19).value) || 0,
             },
             payment: {
-              method: row.getCell(19).value?.toString() || 'Cash',
-              status: row.getCell(20).value?.toString() || 'Paid',
+              method: row.getCell(20).value?.toString() || 'Cash',
+              status: row.getCell(21).value?.toString() || 'Paid',
               paidAmount: 0,
             },
-            notes: row.getCell(21).value?.toString() || '',
+            notes: row.getCell(22).value?.toString() || '',
             invoiceStatus: 'Draft',
           });
         }
@@ -465,10 +501,11 @@ const importInvoices = async (req, res, next) => {
           storage,
           color, // Can be empty
           imei,
-          costPrice: parseFloat(row.getCell(13).value),
-          sellingPrice: parseFloat(row.getCell(14).value),
-          condition: row.getCell(15).value?.toString() || 'New',
-          warrantyExpiryDate: row.getCell(16).value ? new Date(row.getCell(16).value) : undefined,
+          imei2,
+          costPrice: parseFloat(row.getCell(14).value),
+          sellingPrice: parseFloat(row.getCell(15).value),
+          condition: row.getCell(16).value?.toString() || 'New',
+          warrantyExpiryDate: row.getCell(17).value ? new Date(row.getCell(17).value) : undefined,
         });
 
         logger.info(`Row ${rowNumber}: Parsed ${brand} ${model} ${storage}${color ? ` ${color}` : ' (no color)'}`);
@@ -483,6 +520,7 @@ const importInvoices = async (req, res, next) => {
     // Smart product matching
     let successCount = 0;
     const createdInvoices = [];
+    const warnings = [];
 
     for (const [invoiceNumber, invoiceData] of invoicesMap) {
       try {
@@ -552,15 +590,13 @@ const importInvoices = async (req, res, next) => {
             logger.info(`IMEI ${phone.imei}: Auto-matched to ${product.specifications.color}`);
           }
 
-          // Check duplicate IMEI
-          const existingIMEI = await PurchaseInvoice.findOne({
-            'phones.imei': phone.imei,
-          });
+          // Check duplicate IMEI (either slot of a dual-SIM phone)
+          const [existingIMEI] = await InventoryService.findDuplicateIMEIs([phone]);
 
           if (existingIMEI) {
             errors.push({
               invoice: invoiceNumber,
-              imei: phone.imei,
+              imei: existingIMEI.imei,
               error: 'IMEI already exists in system',
             });
             continue;
@@ -569,6 +605,7 @@ const importInvoices = async (req, res, next) => {
           phonesWithProductIds.push({
             product: product._id,
             imei: phone.imei,
+            imei2: phone.imei2,
             costPrice: phone.costPrice,
             sellingPrice: phone.sellingPrice,
             condition: phone.condition,
@@ -585,11 +622,17 @@ const importInvoices = async (req, res, next) => {
         }
 
         // Create invoice
-        invoiceData.phones = phonesWithProductIds;
-        invoiceData.createdBy = req.user._id;
-
-        const invoice = await PurchaseInvoice.create(invoiceData);
+        const { phones, ...invoiceFields } = invoiceData;
+
+        const invoice = await withTransaction((session) =>
+          InventoryService.createInvoice(invoiceFields, phonesWithProductIds, {
+            actor: req.user._id,
+            session,
+            notes: 'Imported from Excel',
+          })
+        );
         createdInvoices.push(invoice);
+        warnings.push(...TacService.getWarnings(invoice.phones));
         successCount++;
 
         logger.info(`Invoice created: ${invoice.invoiceNumber} with ${invoice.phones.length} phones`);
@@ -610,6 +653,7 @@ const importInvoices = async (req, res, next) => {
         successCount,
         totalInvoices: invoicesMap.size,
         errors: errors.length > 0 ? errors : undefined,
+        warnings: warnings.length > 0 ? warnings : undefined,
         invoices: createdInvoices.map((inv) => inv.getSummary()),
       },
     });
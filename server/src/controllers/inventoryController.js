@@ -1,10 +1,22 @@
 const Product = require("../models/Product");
 const PurchaseInvoice = require("../models/PurchaseInvoice");
+const Phone = require("../models/Phone");
 const InventoryService = require("../services/inventoryService");
+const StockMovementService = require("../services/stockMovementService");
+const TacService = require("../services/tacService");
+const SupplierService = require("../services/supplierService");
+const PurchaseOrderService = require("../services/purchaseOrderService");
+const CurrencyService = require("../services/currencyService");
+const PdfService = require("../services/pdfService");
+const AttachmentService = require("../services/attachmentService");
+const ProductImageService = require("../services/productImageService");
+const SalesService = require("../services/salesService");
 const { ApiError } = require("../middlewares/errorHandler");
 const logger = require("../utils/logger");
-const s3Service = require("../config/aws");
+const storage = require("../config/storage");
 const ExcelJS = require("exceljs");
+const { withTransaction } = require("../utils/transaction");
+const { isValidIMEI } = require("../utils/imeiUtils");
 
 /**
  * Create new product (Owner only)
@@ -84,6 +96,7 @@ const createPurchaseInvoice = async (req, res, next) => {
       invoiceNumber,
       invoiceDate,
       invoiceTime,
+      location,
       supplier,
       phones,
       financials,
@@ -97,38 +110,38 @@ const createPurchaseInvoice = async (req, res, next) => {
       return next(new ApiError(400, "Invoice number already exists"));
     }
 
-    // Check for duplicate IMEIs
-    for (const phone of phones) {
-      const isDuplicate = await InventoryService.isIMEIDuplicate(phone.imei);
-      if (isDuplicate) {
-        return next(
-          new ApiError(400, `IMEI ${phone.imei} already exists in inventory`)
-        );
-      }
-    }
-
     // Invoice proof will be uploaded separately via file upload endpoint
     // For now, we'll create without it and update later
-    const invoice = await PurchaseInvoice.create({
-      invoiceNumber,
-      invoiceDate,
-      invoiceTime,
-      supplier,
-      phones,
-      financials,
-      payment,
-      notes,
-      createdBy: req.user._id,
-    });
+    const invoice = await withTransaction((session) =>
+      InventoryService.createInvoice(
+        {
+          invoiceNumber,
+          invoiceDate,
+          invoiceTime,
+          location,
+          supplier,
+          financials,
+          payment,
+          notes,
+        },
+        phones,
+        { actor: req.user._id, session }
+      )
+    );
 
     logger.info(
       `Purchase invoice created by ${req.user.email}: ${invoiceNumber} with ${phones.length} phones`
     );
 
+    const warnings = TacService.getWarnings(invoice.phones);
+
     res.status(201).json({
       success: true,
       message: "Purchase invoice created successfully",
-      data: { invoice: invoice.getSummary() },
+      data: {
+        invoice: invoice.getSummary(),
+        warnings: warnings.length > 0 ? warnings : undefined,
+      },
     });
   } catch (error) {
     next(error);
@@ -148,12 +161,14 @@ const getAllInvoices = async (req, res, next) => {
       startDate,
       endDate,
       supplier,
+      supplierId,
     } = req.query;
 
     const filter = {};
 
     if (status) filter.invoiceStatus = status;
     if (supplier) filter["supplier.name"] = { $regex: supplier, $options: "i" };
+    if (supplierId) filter.supplierRef = supplierId;
     if (startDate || endDate) {
       filter.invoiceDate = {};
       if (startDate) filter.invoiceDate.$gte = new Date(startDate);
@@ -163,7 +178,7 @@ const getAllInvoices = async (req, res, next) => {
     const skip = (page - 1) * limit;
 
     const invoices = await PurchaseInvoice.find(filter)
-      .populate("phones.product")
+      .populate("phones")
       .limit(parseInt(limit))
       .skip(skip)
       .sort({ invoiceDate: -1 });
@@ -194,7 +209,7 @@ const getAllInvoices = async (req, res, next) => {
 const getInvoiceById = async (req, res, next) => {
   try {
     const invoice = await PurchaseInvoice.findById(req.params.id)
-      .populate("phones.product") // ✅ ADD: Populate product details
+      .populate({ path: "phones", populate: { path: "product" } })
       .populate("createdBy", "email firstName lastName")
       .populate("verifiedBy", "email firstName lastName");
 
@@ -239,11 +254,12 @@ const searchByIMEI = async (req, res, next) => {
  */
 const getAvailableStock = async (req, res, next) => {
   try {
-    const { view = "grouped" } = req.query; // Support 'grouped' or 'detailed' view
+    // Support 'grouped', 'detailed' or 'location' view
+    const { view = "grouped", location } = req.query;
 
     if (view === "detailed") {
       // Return flat list of all available phones
-      const stock = await InventoryService.getAvailableStockDetailed();
+      const stock = await InventoryService.getAvailableStockDetailed({ location });
 
       return res.status(200).json({
         success: true,
@@ -255,8 +271,22 @@ const getAvailableStock = async (req, res, next) => {
       });
     }
 
+    if (view === "location") {
+      // Return counts per location, broken down by product
+      const locations = await InventoryService.getAvailableStockByLocation({ location });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          view: "location",
+          totalPhones: locations.reduce((sum, item) => sum + item.count, 0),
+          locations,
+        },
+      });
+    }
+
     // Default: Return grouped by product (with individual phone details)
-    const stock = await InventoryService.getAvailableStock();
+    const stock = await InventoryService.getAvailableStock({ location });
 
     const totalPhones = stock.reduce((sum, item) => sum + item.count, 0);
     const totalValue = stock.reduce((sum, item) => sum + item.totalCost, 0);
@@ -290,11 +320,16 @@ const getAvailableStock = async (req, res, next) => {
  */
 const getStatistics = async (req, res, next) => {
   try {
-    const stats = await InventoryService.getStatistics();
+    const { location } = req.query;
+
+    const [stats, byLocation] = await Promise.all([
+      InventoryService.getStatistics({ location }),
+      InventoryService.getStatisticsByLocation({ location }),
+    ]);
 
     res.status(200).json({
       success: true,
-      data: { statistics: stats },
+      data: { statistics: stats, byLocation },
     });
   } catch (error) {
     next(error);
@@ -315,7 +350,10 @@ const getProductById = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: { product },
+      data: {
+        product,
+        images: await ProductImageService.withUrls(product.images.files),
+      },
     });
   } catch (error) {
     next(error);
@@ -328,6 +366,7 @@ const getProductById = async (req, res, next) => {
  */
 const updateProduct = async (req, res, next) => {
   try {
+    // Images are managed through the product image endpoints
     const product = await Product.findByIdAndUpdate(
       req.params.id,
       {
@@ -393,49 +432,74 @@ const deleteProduct = async (req, res, next) => {
  */
 const updateInvoice = async (req, res, next) => {
   try {
-    const invoice = await PurchaseInvoice.findById(req.params.id);
+    // Installments are recorded through the payments endpoints
+    const { phones, supplierRef, payments, ...updates } = req.body;
 
-    if (!invoice) {
-      return next(new ApiError(404, 'Invoice not found'));
-    }
+    const updatedInvoice = await withTransaction(async (session) => {
+      const invoice = await PurchaseInvoice.findById(req.params.id)
+        .populate({ path: "phones", options: { session } })
+        .session(session);
 
-    // Only allow editing Draft invoices
-    if (invoice.invoiceStatus !== 'Draft') {
-      return next(
-        new ApiError(
+      if (!invoice) {
+        throw new ApiError(404, 'Invoice not found');
+      }
+
+      // Only allow editing Draft invoices
+      if (invoice.invoiceStatus !== 'Draft') {
+        throw new ApiError(
           400,
           `Cannot edit ${invoice.invoiceStatus} invoice. Only Draft invoices can be edited.`
-        )
-      );
-    }
+        );
+      }
 
-    // Prevent editing if phones are assigned
-    const hasAssignedPhones = invoice.phones.some(
-      (phone) => phone.status !== 'Available'
-    );
+      // Prevent editing if phones are assigned
+      const hasAssignedPhones = invoice.phones.some(
+        (phone) => phone.status !== 'Available'
+      );
 
-    if (hasAssignedPhones) {
-      return next(
-        new ApiError(
+      if (hasAssignedPhones) {
+        throw new ApiError(
           400,
           'Cannot edit invoice. Some phones are already assigned.'
-        )
-      );
-    }
+        );
+      }
 
-    // Allow updates
-    const updatedInvoice = await PurchaseInvoice.findByIdAndUpdate(
-      req.params.id,
-      {
-        ...req.body,
+      // Re-resolve the supplier when it changes
+      let paymentTermsDays;
+      if (updates.supplier) {
+        const resolved = await SupplierService.resolveForInvoice(updates.supplier, {
+          actor: req.user._id,
+          session,
+        });
+        updates.supplier = resolved.supplier;
+        updates.supplierRef = resolved.supplierRef;
+        paymentTermsDays = resolved.paymentTermsDays;
+      }
+
+      // Allow updates
+      invoice.set({
+        ...updates,
         invoiceStatus: 'Draft', // Keep as draft
         updatedBy: req.user._id,
-      },
-      {
-        new: true,
-        runValidators: true,
+      });
+
+      if (paymentTermsDays !== undefined) {
+        invoice.setDueDate(paymentTermsDays);
       }
-    );
+
+      // Currency or invoice date may have changed
+      await CurrencyService.applyInvoiceRate(invoice, { session });
+
+      // Replace the phone list when one is supplied
+      if (Array.isArray(phones)) {
+        await syncInvoicePhones(invoice, phones, req.user._id, session);
+      }
+
+      await invoice.save({ session });
+
+      // Recompute totals and landed costs from the current phones
+      return PurchaseInvoice.recalculateTotals(invoice._id, { session });
+    });
 
     logger.info(
       `Draft invoice updated by ${req.user.email}: ${updatedInvoice.invoiceNumber}`
@@ -452,7 +516,176 @@ const updateInvoice = async (req, res, next) => {
 };
 
 /**
- * Upload invoice proof to S3
+ * Helper: Sync a draft invoice's phones with an edited phone list
+ * Keeps phones whose IMEI is still listed, removes the rest and adds new ones
+ */
+const syncInvoicePhones = async (invoice, phones, actor, session) => {
+  const repeated = InventoryService.findRepeatedIMEIs(phones);
+  if (repeated.length > 0) {
+    throw new ApiError(
+      400,
+      `${repeated.length} duplicate IMEI(s) found. Invoice was not updated.`,
+      repeated
+    );
+  }
+
+  const incoming = new Map(phones.map((phone) => [phone.imei, phone]));
+  const existing = new Map(invoice.phones.map((phone) => [phone.imei, phone]));
+  const source = StockMovementService.source("Invoice", invoice);
+  const movements = [];
+
+  // Removed phones
+  for (const phone of invoice.phones) {
+    if (!incoming.has(phone.imei)) {
+      await phone.deleteOne({ session });
+      movements.push(
+        StockMovementService.entry(phone, {
+          action: "Removed",
+          fromStatus: phone.status,
+          toStatus: null,
+          source,
+          notes: "Removed while editing draft invoice",
+          actor,
+        })
+      );
+    }
+  }
+
+  for (const [imei, data] of incoming) {
+    const phone = existing.get(imei);
+
+    // Both IMEI slots must be valid and not belong to another handset
+    for (const number of [imei, data.imei2].filter(Boolean)) {
+      if (!isValidIMEI(number)) {
+        throw new ApiError(400, `IMEI ${number} is not valid (15 digits with a Luhn check digit required)`);
+      }
+
+      const isDuplicate = await InventoryService.isIMEIDuplicate(number, {
+        excludePhoneId: phone && phone._id,
+        session,
+      });
+
+      if (isDuplicate) {
+        throw new ApiError(400, `IMEI ${number} already exists in inventory`);
+      }
+    }
+
+    // Kept phones
+    if (phone) {
+      phone.set({ ...data, updatedBy: actor });
+      await phone.save({ session });
+      continue;
+    }
+
+    // New phones
+
+    const created = new Phone({
+      ...data,
+      invoice: invoice._id,
+      location: invoice.location,
+      exchangeRate: invoice.financials.exchangeRate?.rate || 1,
+      createdBy: actor,
+    });
+    await TacService.identifyPhones([created], { session });
+    await created.save({ session });
+    movements.push(
+      StockMovementService.entry(created, {
+        action: "Received",
+        fromStatus: null,
+        toStatus: created.status,
+        source,
+        actor,
+      })
+    );
+  }
+
+  await StockMovementService.record(movements, { session });
+};
+
+/**
+ * Helper: Build the goods-received slip of an invoice's phones
+ */
+const buildInvoiceReceipt = async (invoice) => {
+  await invoice.populate("location", "name code");
+
+  return {
+    reference: invoice.invoiceNumber,
+    date: invoice.invoiceDate,
+    supplierName: invoice.supplier?.name,
+    location: invoice.location?.name,
+    notes: invoice.notes,
+    items: invoice.phones,
+  };
+};
+
+/**
+ * Get printable PDF of an invoice
+ * variant=invoice (default) or received-slip (no prices, for the warehouse to sign)
+ * archive=true also stores the PDF in file storage
+ * @route GET /api/v1/inventory/invoices/:id/pdf
+ */
+const getInvoicePdf = async (req, res, next) => {
+  try {
+    const { variant = "invoice", archive } = req.query;
+
+    if (!["invoice", "received-slip"].includes(variant)) {
+      return next(new ApiError(400, "Variant must be invoice or received-slip"));
+    }
+
+    if (archive === "true" && !storage.isReady()) {
+      return next(new ApiError(503, "File storage is not configured. The PDF cannot be archived."));
+    }
+
+    const invoice = await PurchaseInvoice.findById(req.params.id)
+      .populate({ path: "phones", populate: { path: "product" } })
+      .populate("verifiedBy", "firstName lastName");
+
+    if (!invoice) {
+      return next(new ApiError(404, "Invoice not found"));
+    }
+
+    const pdf =
+      variant === "invoice"
+        ? await PdfService.renderPurchaseInvoice(invoice)
+        : await PdfService.renderReceivedSlip(await buildInvoiceReceipt(invoice));
+
+    const filename = `${variant === "invoice" ? "invoice" : "received_slip"}_${invoice.invoiceNumber}.pdf`;
+
+    if (archive === "true") {
+      const uploadResult = await storage.uploadFile(
+        pdf,
+        filename,
+        "application/pdf",
+        process.env.S3_FOLDER_INVOICES || "invoices"
+      );
+
+      await PurchaseInvoice.updateOne(
+        { _id: invoice._id },
+        {
+          $push: {
+            archivedPdfs: {
+              variant,
+              key: uploadResult.key,
+              generatedBy: req.user._id,
+            },
+          },
+        }
+      );
+
+      logger.info(`PDF ${filename} archived by ${req.user.email}`);
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename=${filename}`);
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload invoice proof to file storage
+ * Stored as the "Invoice" attachment; an earlier proof is kept as a version
  * @route POST /api/v1/inventory/invoices/:id/upload-proof
  */
 const uploadInvoiceProof = async (req, res, next) => {
@@ -467,20 +700,17 @@ const uploadInvoiceProof = async (req, res, next) => {
       return next(new ApiError(404, "Invoice not found"));
     }
 
-    // Upload to S3
-    const uploadResult = await s3Service.uploadFile(
-      req.file.buffer,
-      req.file.originalname,
-      req.file.mimetype,
-      "invoices"
+    // Upload to file storage
+    const file = await AttachmentService.upload(
+      req.file,
+      process.env.S3_FOLDER_INVOICES || "invoices"
     );
 
-    // Update invoice with proof details
-    invoice.invoiceProof = {
-      url: uploadResult.location,
-      key: uploadResult.key,
-      uploadedAt: new Date(),
-    };
+    const attachment = invoice.storeAttachment(file, {
+      type: "Invoice",
+      attachment: invoice.findAttachment("Invoice"),
+      actor: req.user._id,
+    });
     invoice.updatedBy = req.user._id;
 
     await invoice.save();
@@ -493,7 +723,10 @@ const uploadInvoiceProof = async (req, res, next) => {
       success: true,
       message: "Invoice proof uploaded successfully",
       data: {
-        invoiceProof: invoice.invoiceProof,
+        attachmentId: attachment._id,
+        fileName: attachment.fileName,
+        uploadedAt: attachment.uploadedAt,
+        versions: attachment.versions.length,
       },
     });
   } catch (error) {
@@ -507,39 +740,54 @@ const uploadInvoiceProof = async (req, res, next) => {
  */
 const verifyInvoice = async (req, res, next) => {
   try {
-    const invoice = await PurchaseInvoice.findById(req.params.id);
+    // Checks, rate lock and status change commit together so goods received
+    // onto the draft meanwhile cannot slip past the mismatch check
+    const invoice = await withTransaction(async (session) => {
+      const invoice = await PurchaseInvoice.findById(req.params.id).session(session);
 
-    if (!invoice) {
-      return next(new ApiError(404, 'Invoice not found'));
-    }
+      if (!invoice) {
+        throw new ApiError(404, 'Invoice not found');
+      }
 
-    // Can only verify Draft invoices
-    if (invoice.invoiceStatus !== 'Draft') {
-      return next(
-        new ApiError(
+      // Can only verify Draft invoices
+      if (invoice.invoiceStatus !== 'Draft') {
+        throw new ApiError(
           400,
           `Invoice is already ${invoice.invoiceStatus}. Cannot verify.`
-        )
-      );
-    }
+        );
+      }
 
-    // MUST have invoice proof uploaded
-    if (!invoice.invoiceProof || !invoice.invoiceProof.url) {
-      return next(
-        new ApiError(
+      // MUST have invoice proof uploaded
+      if (!invoice.findAttachment("Invoice")) {
+        throw new ApiError(
           400,
           'Invoice proof image is required for verification. Please upload invoice proof first.'
-        )
-      );
-    }
+        );
+      }
 
-    // Verify the invoice
-    invoice.invoiceStatus = 'Verified';
-    invoice.verifiedBy = req.user._id;
-    invoice.verifiedAt = new Date();
-    invoice.updatedBy = req.user._id;
+      // Invoices received against purchase orders must match them
+      const mismatches = await PurchaseOrderService.getInvoiceMismatches(invoice, { session });
+      if (mismatches.length > 0 && !(req.body && req.body.acceptMismatches)) {
+        throw new ApiError(
+          400,
+          `${mismatches.length} mismatch(es) with the purchase order or GRN. Review them and verify again with acceptMismatches.`,
+          mismatches
+        );
+      }
 
-    await invoice.save();
+      // Lock the exchange rate of the invoice date
+      await CurrencyService.applyInvoiceRate(invoice, { lock: true, session });
+
+      // Verify the invoice
+      invoice.invoiceStatus = 'Verified';
+      invoice.verifiedBy = req.user._id;
+      invoice.verifiedAt = new Date();
+      invoice.updatedBy = req.user._id;
+
+      await invoice.save({ session });
+
+      return invoice;
+    });
 
     logger.info(
       `Invoice ${invoice.invoiceNumber} verified by ${req.user.email}`
@@ -547,7 +795,7 @@ const verifyInvoice = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      message: 'Invoice verified successfully. This invoice is now permanent and cannot be edited.',
+      message: 'Invoice verified successfully. This invoice is now permanent and cannot be edited. Record supplier corrections as credit or debit notes.',
       data: {
         invoice: invoice.getSummary(),
         verifiedAt: invoice.verifiedAt,
@@ -559,6 +807,33 @@ const verifyInvoice = async (req, res, next) => {
   }
 };
 
+/**
+ * Get quantity and price mismatches against purchase orders and GRNs
+ * @route GET /api/v1/inventory/invoices/:id/mismatches
+ */
+const getInvoiceMismatches = async (req, res, next) => {
+  try {
+    const invoice = await PurchaseInvoice.findById(req.params.id);
+
+    if (!invoice) {
+      return next(new ApiError(404, "Invoice not found"));
+    }
+
+    const mismatches = await PurchaseOrderService.getInvoiceMismatches(invoice);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoiceNumber: invoice.invoiceNumber,
+        totalMismatches: mismatches.length,
+        mismatches,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Delete invoice (Draft only)
  * @route DELETE /api/v1/inventory/invoices/:id
@@ -582,9 +857,10 @@ const deleteInvoice = async (req, res, next) => {
     }
 
     // Check if any phones are already assigned/sold
-    const hasAssignedPhones = invoice.phones.some(
-      (phone) => phone.status !== 'Available'
-    );
+    const hasAssignedPhones = await Phone.exists({
+      invoice: invoice._id,
+      status: { $ne: 'Available' },
+    });
 
     if (hasAssignedPhones) {
       return next(
@@ -615,30 +891,97 @@ const deleteInvoice = async (req, res, next) => {
 
 /**
  * Update phone status
+ * Selling a phone here records a counter sales invoice for it
  * @route PATCH /api/v1/inventory/phones/:imei/status
  */
 const updatePhoneStatus = async (req, res, next) => {
   try {
     const { imei } = req.params;
-    const { status, soldDate, soldTo } = req.body;
+    const { status, soldDate, soldTo, soldPrice, customer } = req.body;
 
-    const invoice = await PurchaseInvoice.findOne({
-      "phones.imei": imei,
-    });
+    const salesInvoice = await withTransaction(async (session) => {
+      const phone = await Phone.findByIMEI(imei).session(session);
 
-    if (!invoice) {
-      return next(new ApiError(404, "Phone with this IMEI not found"));
-    }
+      if (!phone) {
+        throw new ApiError(404, "Phone with this IMEI not found");
+      }
+
+      if (phone.supplierReturn) {
+        throw new ApiError(400, "Phone is on a supplier return. Resolve or cancel the return first.");
+      }
+
+      if (phone.status === "Reserved" && phone.salesInvoice) {
+        throw new ApiError(400, "Phone is held on a sale awaiting credit approval. Approve or reject the sale first.");
+      }
+
+      const previousStatus = phone.status;
+
+      if (status === "Sold") {
+        // Assigned and in-transit phones are sold through their own flows
+        if (previousStatus !== "Available") {
+          throw new ApiError(
+            400,
+            `Cannot sell phone with status: ${previousStatus}. Only Available phones can be sold at the counter.`
+          );
+        }
+
+        const invoice = await SalesService.createInvoice(
+          {
+            phones: [phone],
+            lines: [{ imei: phone.imei, unitPrice: soldPrice ?? phone.sellingPrice, discount: 0 }],
+            channel: "Counter",
+            location: phone.location,
+            buyer: { customer, customerName: soldTo },
+            saleDate: soldDate,
+          },
+          { session, actor: req.user._id }
+        );
+
+        await StockMovementService.record(
+          SalesService.saleEntries(invoice, [phone], {
+            previousStatuses: [previousStatus],
+            source: StockMovementService.source("Sale", invoice),
+            actor: req.user._id,
+          }),
+          { session }
+        );
+
+        return invoice;
+      }
+
+      // A phone sold on an invoice is still the customer's until the sale is returned
+      if (previousStatus === "Sold" && phone.salesInvoice) {
+        throw new ApiError(
+          400,
+          "Phone is sold on a sales invoice. Record a sales return against the invoice instead."
+        );
+      }
+
+      await phone.updateStatus(status, {}, { session });
+
+      await StockMovementService.record(
+        StockMovementService.entry(phone, {
+          action: "StatusChanged",
+          fromStatus: previousStatus,
+          toStatus: status,
+          source: StockMovementService.source("Manual"),
+          actor: req.user._id,
+        }),
+        { session }
+      );
 
-    await invoice.updatePhoneStatus(imei, status, { soldDate, soldTo });
+      return null;
+    });
 
     logger.info(
-      `Phone ${imei} status updated to ${status} by ${req.user.email}`
+      `Phone ${imei} status updated to ${status} by ${req.user.email}` +
+        (salesInvoice ? ` (${salesInvoice.invoiceNumber})` : "")
     );
 
     res.status(200).json({
       success: true,
       message: "Phone status updated successfully",
+      ...(salesInvoice && { data: { salesInvoice: salesInvoice.getSummary() } }),
     });
   } catch (error) {
     next(error);
@@ -667,8 +1010,10 @@ const exportInventoryToExcel = async (req, res, next) => {
       { header: "Color", key: "color", width: 15 },
       { header: "Available Quantity", key: "count", width: 18 },
       { header: "Total Cost", key: "totalCost", width: 15 },
+      { header: "Total Landed Cost", key: "totalLandedCost", width: 18 },
       { header: "Total Selling Price", key: "totalSellingPrice", width: 18 },
       { header: "Expected Profit", key: "expectedProfit", width: 15 },
+      { header: "Landed Profit", key: "landedProfit", width: 15 },
     ];
 
     // Style header row
@@ -690,13 +1035,15 @@ const exportInventoryToExcel = async (req, res, next) => {
         color: item.productDetails.specifications.color,
         count: item.count,
         totalCost: item.totalCost.toFixed(2),
+        totalLandedCost: item.totalLandedCost.toFixed(2),
         totalSellingPrice: item.totalSellingPrice.toFixed(2),
         expectedProfit: (item.totalSellingPrice - item.totalCost).toFixed(2),
+        landedProfit: (item.totalSellingPrice - item.totalLandedCost).toFixed(2),
       });
     });
 
     // Format currency columns
-    ["totalCost", "totalSellingPrice", "expectedProfit"].forEach((col) => {
+    ["totalCost", "totalLandedCost", "totalSellingPrice", "expectedProfit", "landedProfit"].forEach((col) => {
       worksheet.getColumn(col).numFmt = '"Rs. "#,##0.00';
     });
 
@@ -733,6 +1080,349 @@ const exportInventoryToExcel = async (req, res, next) => {
   }
 };
 
+/**
+ * Parse the low stock threshold query (defaults to each product's reorder level)
+ */
+const parseLowStockThreshold = (value) => {
+  if (value === undefined) return undefined;
+
+  const threshold = parseInt(value);
+  if (Number.isNaN(threshold) || threshold < 1) {
+    throw new ApiError(400, "Low stock threshold must be a positive number");
+  }
+
+  return threshold;
+};
+
+/**
+ * Get low stock products with reorder suggestions by supplier
+ * @route GET /api/v1/inventory/stock/low
+ */
+const getLowStock = async (req, res, next) => {
+  try {
+    const threshold = parseLowStockThreshold(req.query.threshold);
+
+    const items = await InventoryService.getLowStock({ threshold });
+    const suppliers = InventoryService.groupLowStockBySupplier(items);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        summary: {
+          totalProducts: items.length,
+          outOfStock: items.filter((item) => item.available === 0).length,
+          totalQuantity: suppliers.reduce((sum, group) => sum + group.totalQuantity, 0),
+          estimatedCost: suppliers.reduce((sum, group) => sum + group.estimatedCost, 0),
+        },
+        suppliers,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export reorder suggestions to Excel as a buying list
+ * @route GET /api/v1/inventory/export/low-stock
+ */
+const exportLowStockToExcel = async (req, res, next) => {
+  try {
+    const threshold = parseLowStockThreshold(req.query.threshold);
+
+    const items = await InventoryService.getLowStock({ threshold });
+    const suppliers = InventoryService.groupLowStockBySupplier(items);
+
+    // Create workbook
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet("Buying List");
+
+    // Define columns
+    worksheet.columns = [
+      { header: "Supplier", key: "supplier", width: 25 },
+      { header: "Supplier Phone", key: "supplierPhone", width: 15 },
+      { header: "Brand", key: "brand", width: 15 },
+      { header: "Model", key: "model", width: 25 },
+      { header: "Storage", key: "storage", width: 10 },
+      { header: "Color", key: "color", width: 15 },
+      { header: "In Stock", key: "available", width: 10 },
+      { header: "Reorder Level", key: "reorderLevel", width: 14 },
+      { header: "Order Quantity", key: "suggestedQuantity", width: 15 },
+      { header: "Last Cost Price", key: "lastCostPrice", width: 15 },
+      { header: "Estimated Cost", key: "estimatedCost", width: 15 },
+      { header: "Last Invoice", key: "lastInvoice", width: 20 },
+    ];
+
+    // Style header row
+    worksheet.getRow(1).fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: "FF4472C4" },
+    };
+    worksheet.getRow(1).font = { color: { argb: "FFFFFFFF" }, bold: true };
+
+    // Add data rows, one block per supplier
+    suppliers.forEach((group) => {
+      group.products.forEach((item) => {
+        const lastPurchase = item.lastPurchase || {};
+
+        worksheet.addRow({
+          supplier: group.supplier ? group.supplier.name : "No previous supplier",
+          supplierPhone: group.supplier ? group.supplier.phone : "",
+          brand: item.product.brand,
+          model: item.product.model,
+          storage: item.product.specifications.storage,
+          color: item.product.specifications.color,
+          available: item.available,
+          reorderLevel: item.reorderLevel,
+          suggestedQuantity: item.suggestedQuantity,
+          lastCostPrice: lastPurchase.costPrice,
+          estimatedCost: lastPurchase.costPrice
+            ? lastPurchase.costPrice * item.suggestedQuantity
+            : undefined,
+          lastInvoice: lastPurchase.invoiceNumber || "",
+        });
+      });
+
+      worksheet.addRow({
+        supplier: `${group.supplier ? group.supplier.name : "No previous supplier"} Total`,
+        suggestedQuantity: group.totalQuantity,
+        estimatedCost: group.estimatedCost,
+      }).font = { bold: true };
+    });
+
+    // Format currency columns
+    ["lastCostPrice", "estimatedCost"].forEach((col) => {
+      worksheet.getColumn(col).numFmt = '"Rs. "#,##0.00';
+    });
+
+    // Add borders
+    worksheet.eachRow((row) => {
+      row.eachCell((cell) => {
+        cell.border = {
+          top: { style: "thin" },
+          left: { style: "thin" },
+          bottom: { style: "thin" },
+          right: { style: "thin" },
+        };
+      });
+    });
+
+    // Generate filename
+    const filename = `buying_list_${new Date().toISOString().split("T")[0]}.xlsx`;
+
+    // Set response headers
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename=${filename}`);
+
+    // Write to response
+    await workbook.xlsx.write(res);
+
+    logger.info(`Low stock buying list exported to Excel by ${req.user.email}`);
+
+    res.end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Parse the aging threshold query (defaults to AGING_STOCK_DAYS)
+ */
+const parseAgingThreshold = (value) => {
+  if (value === undefined) return undefined;
+
+  const threshold = parseInt(value);
+  if (Number.isNaN(threshold) || threshold < 1) {
+    throw new ApiError(400, "Aging threshold must be a positive number of days");
+  }
+
+  return threshold;
+};
+
+/**
+ * Get stock aging report
+ * Buckets available phones by days in stock and flags slow movers
+ * @route GET /api/v1/inventory/stock/aging
+ */
+const getStockAging = async (req, res, next) => {
+  try {
+    const { location } = req.query;
+    const threshold = parseAgingThreshold(req.query.threshold);
+
+    const report = await InventoryService.getStockAging({ location, threshold });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        summary: {
+          thresholdDays: report.threshold,
+          totalPhones: report.buckets.reduce((sum, item) => sum + item.count, 0),
+          totalCost: report.buckets.reduce((sum, item) => sum + item.totalCost, 0),
+          agingPhones: report.slowMovers.length,
+          agingCost: report.slowMovers.reduce((sum, item) => sum + item.costPrice, 0),
+        },
+        buckets: report.buckets,
+        byProduct: report.byProduct,
+        bySupplier: report.bySupplier,
+        slowMovers: report.slowMovers,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export stock aging report to Excel
+ * @route GET /api/v1/inventory/export/aging
+ */
+const exportStockAgingToExcel = async (req, res, next) => {
+  try {
+    const { location } = req.query;
+    const threshold = parseAgingThreshold(req.query.threshold);
+
+    const report = await InventoryService.getStockAging({ location, threshold });
+    const bucketLabels = report.buckets.map((item) => item.bucket);
+
+    // Create workbook
+    const workbook = new ExcelJS.Workbook();
+
+    const bucketColumns = bucketLabels.map((label) => ({
+      header: `${label} Days`,
+      key: label,
+      width: 15,
+    }));
+
+    const productSheet = workbook.addWorksheet("By Product");
+    productSheet.columns = [
+      { header: "Brand", key: "brand", width: 15 },
+      { header: "Model", key: "model", width: 25 },
+      { header: "Storage", key: "storage", width: 10 },
+      { header: "Color", key: "color", width: 15 },
+      { header: "Quantity", key: "count", width: 10 },
+      { header: `Over ${report.threshold} Days`, key: "agingCount", width: 15 },
+      { header: "Oldest (Days)", key: "oldestDays", width: 14 },
+      { header: "Total Cost", key: "totalCost", width: 15 },
+      ...bucketColumns,
+    ];
+    report.byProduct.forEach((item) => {
+      productSheet.addRow({
+        brand: item.product.brand,
+        model: item.product.model,
+        storage: item.product.specifications.storage,
+        color: item.product.specifications.color,
+        count: item.count,
+        agingCount: item.agingCount,
+        oldestDays: item.oldestDays,
+        totalCost: item.totalCost,
+        ...item.costByBucket,
+      });
+    });
+
+    const supplierSheet = workbook.addWorksheet("By Supplier");
+    supplierSheet.columns = [
+      { header: "Supplier", key: "supplier", width: 30 },
+      { header: "Quantity", key: "count", width: 10 },
+      { header: `Over ${report.threshold} Days`, key: "agingCount", width: 15 },
+      { header: "Oldest (Days)", key: "oldestDays", width: 14 },
+      { header: "Total Cost", key: "totalCost", width: 15 },
+      ...bucketColumns,
+    ];
+    report.bySupplier.forEach((item) => {
+      supplierSheet.addRow({
+        supplier: item.supplier,
+        count: item.count,
+        agingCount: item.agingCount,
+        oldestDays: item.oldestDays,
+        totalCost: item.totalCost,
+        ...item.costByBucket,
+      });
+    });
+
+    const slowMoverSheet = workbook.addWorksheet("Slow Movers");
+    slowMoverSheet.columns = [
+      { header: "IMEI", key: "imei", width: 20 },
+      { header: "Brand", key: "brand", width: 15 },
+      { header: "Model", key: "model", width: 25 },
+      { header: "Location", key: "location", width: 20 },
+      { header: "Supplier", key: "supplier", width: 25 },
+      { header: "Invoice Number", key: "invoiceNumber", width: 20 },
+      { header: "Days in Stock", key: "ageDays", width: 14 },
+      { header: "Cost Price", key: "costPrice", width: 15 },
+      { header: "Selling Price", key: "sellingPrice", width: 15 },
+    ];
+    report.slowMovers.forEach((item) => {
+      slowMoverSheet.addRow({
+        imei: item.imei,
+        brand: item.product.brand,
+        model: item.product.model,
+        location: item.location.name || "",
+        supplier: item.supplier,
+        invoiceNumber: item.invoiceNumber,
+        ageDays: item.ageDays,
+        costPrice: item.costPrice,
+        sellingPrice: item.sellingPrice,
+      });
+    });
+
+    const currencyColumns = {
+      "By Product": ["totalCost", ...bucketLabels],
+      "By Supplier": ["totalCost", ...bucketLabels],
+      "Slow Movers": ["costPrice", "sellingPrice"],
+    };
+
+    workbook.eachSheet((worksheet) => {
+      // Style header row
+      worksheet.getRow(1).fill = {
+        type: "pattern",
+        pattern: "solid",
+        fgColor: { argb: "FF4472C4" },
+      };
+      worksheet.getRow(1).font = { color: { argb: "FFFFFFFF" }, bold: true };
+
+      // Format currency columns
+      currencyColumns[worksheet.name].forEach((col) => {
+        worksheet.getColumn(col).numFmt = '"Rs. "#,##0.00';
+      });
+
+      // Add borders
+      worksheet.eachRow((row) => {
+        row.eachCell((cell) => {
+          cell.border = {
+            top: { style: "thin" },
+            left: { style: "thin" },
+            bottom: { style: "thin" },
+            right: { style: "thin" },
+          };
+        });
+      });
+    });
+
+    // Generate filename
+    const filename = `stock_aging_${new Date().toISOString().split("T")[0]}.xlsx`;
+
+    // Set response headers
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename=${filename}`);
+
+    // Write to response
+    await workbook.xlsx.write(res);
+
+    logger.info(`Stock aging report exported to Excel by ${req.user.email}`);
+
+    res.end();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get all individual phones with details
  * @route GET /api/v1/inventory/phones
@@ -746,6 +1436,8 @@ const getAllPhones = async (req, res, next) => {
       status,
       brand,
       condition,
+      deviceCheck,
+      location,
       startDate,
       endDate,
       sortBy = "addedAt",
@@ -756,31 +1448,58 @@ const getAllPhones = async (req, res, next) => {
     const matchStage = {};
 
     if (status) {
-      matchStage["phones.status"] = status;
+      matchStage.status = status;
     }
 
     if (condition) {
-      matchStage["phones.condition"] = condition;
+      matchStage.condition = condition;
+    }
+
+    if (deviceCheck) {
+      matchStage["deviceCheck.status"] = deviceCheck;
+    }
+
+    if (location) {
+      matchStage.location = InventoryService.toLocationId(location);
     }
 
     if (startDate || endDate) {
-      matchStage["phones.addedAt"] = {};
-      if (startDate) matchStage["phones.addedAt"].$gte = new Date(startDate);
-      if (endDate) matchStage["phones.addedAt"].$lte = new Date(endDate);
+      matchStage.addedAt = {};
+      if (startDate) matchStage.addedAt.$gte = new Date(startDate);
+      if (endDate) matchStage.addedAt.$lte = new Date(endDate);
     }
 
     const pipeline = [
-      { $unwind: "$phones" },
       ...(Object.keys(matchStage).length > 0 ? [{ $match: matchStage }] : []),
       {
         $lookup: {
           from: "products",
-          localField: "phones.product",
+          localField: "product",
           foreignField: "_id",
           as: "productDetails",
         },
       },
       { $unwind: "$productDetails" },
+      {
+        $lookup: {
+          from: "purchaseinvoices",
+          localField: "invoice",
+          foreignField: "_id",
+          as: "invoiceDetails",
+        },
+      },
+      { $unwind: "$invoiceDetails" },
+      {
+        $lookup: {
+          from: "locations",
+          localField: "location",
+          foreignField: "_id",
+          as: "locationDetails",
+        },
+      },
+      {
+        $unwind: { path: "$locationDetails", preserveNullAndEmptyArrays: true },
+      },
     ];
 
     // Add search filter
@@ -788,10 +1507,12 @@ const getAllPhones = async (req, res, next) => {
       pipeline.push({
         $match: {
           $or: [
-            { "phones.imei": { $regex: search, $options: "i" } },
+            { imei: { $regex: search, $options: "i" } },
+            { imei2: { $regex: search, $options: "i" } },
+            { serialNumber: { $regex: search, $options: "i" } },
             { "productDetails.brand": { $regex: search, $options: "i" } },
             { "productDetails.model": { $regex: search, $options: "i" } },
-            { invoiceNumber: { $regex: search, $options: "i" } },
+            { "invoiceDetails.invoiceNumber": { $regex: search, $options: "i" } },
           ],
         },
       });
@@ -805,13 +1526,11 @@ const getAllPhones = async (req, res, next) => {
     }
 
     // Add sorting
-    const sortField =
-      sortBy === "addedAt" ? "phones.addedAt" : `phones.${sortBy}`;
-    pipeline.push({ $sort: { [sortField]: sortOrder === "asc" ? 1 : -1 } });
+    pipeline.push({ $sort: { [sortBy]: sortOrder === "asc" ? 1 : -1 } });
 
     // Get total count
     const countPipeline = [...pipeline, { $count: "total" }];
-    const countResult = await PurchaseInvoice.aggregate(countPipeline);
+    const countResult = await Phone.aggregate(countPipeline);
     const total = countResult[0]?.total || 0;
 
     // Add pagination
@@ -821,18 +1540,23 @@ const getAllPhones = async (req, res, next) => {
     // Project final structure
     pipeline.push({
       $project: {
-        _id: "$phones._id",
-        imei: "$phones.imei",
-        serialNumber: "$phones.serialNumber",
-        costPrice: "$phones.costPrice",
-        sellingPrice: "$phones.sellingPrice",
-        condition: "$phones.condition",
-        status: "$phones.status",
-        warrantyExpiryDate: "$phones.warrantyExpiryDate",
-        notes: "$phones.notes",
-        soldDate: "$phones.soldDate",
-        soldTo: "$phones.soldTo",
-        addedAt: "$phones.addedAt",
+        _id: 1,
+        imei: 1,
+        imei2: 1,
+        serialNumber: 1,
+        deviceCheck: 1,
+        costPrice: 1, // In the invoice currency
+        exchangeRate: { $ifNull: ["$exchangeRate", 1] },
+        baseCostPrice: CurrencyService.phoneBase("$costPrice"),
+        landedCost: CurrencyService.phoneBase({ $ifNull: ["$landedCost", "$costPrice"] }),
+        sellingPrice: 1,
+        condition: 1,
+        status: 1,
+        warrantyExpiryDate: 1,
+        notes: 1,
+        soldDate: 1,
+        soldTo: 1,
+        addedAt: 1,
         product: {
           _id: "$productDetails._id",
           brand: "$productDetails.brand",
@@ -842,16 +1566,27 @@ const getAllPhones = async (req, res, next) => {
           sku: "$productDetails.sku",
         },
         invoice: {
-          _id: "$_id",
-          invoiceNumber: "$invoiceNumber",
-          invoiceDate: "$invoiceDate",
-          supplier: "$supplier",
+          _id: "$invoiceDetails._id",
+          invoiceNumber: "$invoiceDetails.invoiceNumber",
+          invoiceDate: "$invoiceDetails.invoiceDate",
+          supplier: "$invoiceDetails.supplier",
+        },
+        location: {
+          _id: "$locationDetails._id",
+          name: "$locationDetails.name",
+          code: "$locationDetails.code",
+        },
+        profit: { $subtract: ["$sellingPrice", CurrencyService.phoneBase("$costPrice")] },
+        landedProfit: {
+          $subtract: [
+            "$sellingPrice",
+            CurrencyService.phoneBase({ $ifNull: ["$landedCost", "$costPrice"] }),
+          ],
         },
-        profit: { $subtract: ["$phones.sellingPrice", "$phones.costPrice"] },
       },
     });
 
-    const phones = await PurchaseInvoice.aggregate(pipeline);
+    const phones = await Phone.aggregate(pipeline);
 
     res.status(200).json({
       success: true,
@@ -865,9 +1600,11 @@ const getAllPhones = async (req, res, next) => {
         },
         summary: {
           totalPhones: total,
-          totalValue: phones.reduce((sum, p) => sum + p.costPrice, 0),
+          totalValue: phones.reduce((sum, p) => sum + p.baseCostPrice, 0),
           totalSellingValue: phones.reduce((sum, p) => sum + p.sellingPrice, 0),
           totalProfit: phones.reduce((sum, p) => sum + p.profit, 0),
+          totalLandedValue: phones.reduce((sum, p) => sum + p.landedCost, 0),
+          totalLandedProfit: phones.reduce((sum, p) => sum + p.landedProfit, 0),
         },
       },
     });
@@ -884,22 +1621,30 @@ const getPhoneByIMEI = async (req, res, next) => {
   try {
     const { imei } = req.params;
 
-    const result = await PurchaseInvoice.aggregate([
-      { $unwind: "$phones" },
-      { $match: { "phones.imei": imei } },
+    const result = await Phone.aggregate([
+      { $match: { $or: [{ imei }, { imei2: imei }] } },
       {
         $lookup: {
           from: "products",
-          localField: "phones.product",
+          localField: "product",
           foreignField: "_id",
           as: "productDetails",
         },
       },
       { $unwind: "$productDetails" },
+      {
+        $lookup: {
+          from: "purchaseinvoices",
+          localField: "invoice",
+          foreignField: "_id",
+          as: "invoiceDetails",
+        },
+      },
+      { $unwind: "$invoiceDetails" },
       {
         $lookup: {
           from: "dsrassignments",
-          let: { phoneImei: "$phones.imei" },
+          let: { phoneImei: "$imei" },
           pipeline: [
             { $unwind: "$phones" },
             { $match: { $expr: { $eq: ["$phones.imei", "$$phoneImei"] } } },
@@ -921,29 +1666,65 @@ const getPhoneByIMEI = async (req, res, next) => {
           as: "assignmentDetails",
         },
       },
+      {
+        $lookup: {
+          from: "salesinvoices",
+          localField: "salesInvoice",
+          foreignField: "_id",
+          as: "saleDetails",
+        },
+      },
+      {
+        $lookup: {
+          from: "customers",
+          localField: "customer",
+          foreignField: "_id",
+          as: "customerDetails",
+        },
+      },
       {
         $project: {
           phone: {
-            imei: "$phones.imei",
-            serialNumber: "$phones.serialNumber",
-            costPrice: "$phones.costPrice",
-            sellingPrice: "$phones.sellingPrice",
-            condition: "$phones.condition",
-            status: "$phones.status",
-            warrantyExpiryDate: "$phones.warrantyExpiryDate",
-            notes: "$phones.notes",
-            soldDate: "$phones.soldDate",
-            soldTo: "$phones.soldTo",
-            addedAt: "$phones.addedAt",
+            imei: "$imei",
+            imei2: "$imei2",
+            serialNumber: "$serialNumber",
+            deviceCheck: "$deviceCheck",
+            costPrice: "$costPrice",
+            currency: "$invoiceDetails.financials.currency",
+            baseCostPrice: CurrencyService.phoneBase("$costPrice"),
+            landedCost: "$landedCost",
+            sellingPrice: "$sellingPrice",
+            condition: "$condition",
+            status: "$status",
+            warrantyExpiryDate: "$warrantyExpiryDate",
+            customerWarranty: "$customerWarranty",
+            notes: "$notes",
+            soldDate: "$soldDate",
+            soldTo: "$soldTo",
+            addedAt: "$addedAt",
           },
           product: "$productDetails",
           invoice: {
-            _id: "$_id",
-            invoiceNumber: "$invoiceNumber",
-            invoiceDate: "$invoiceDate",
-            supplier: "$supplier",
+            _id: "$invoiceDetails._id",
+            invoiceNumber: "$invoiceDetails.invoiceNumber",
+            invoiceDate: "$invoiceDetails.invoiceDate",
+            supplier: "$invoiceDetails.supplier",
           },
           assignment: { $arrayElemAt: ["$assignmentDetails", 0] },
+          sale: {
+            $cond: [
+              { $gt: [{ $size: "$saleDetails" }, 0] },
+              {
+                _id: { $arrayElemAt: ["$saleDetails._id", 0] },
+                invoiceNumber: { $arrayElemAt: ["$saleDetails.invoiceNumber", 0] },
+                saleDate: { $arrayElemAt: ["$saleDetails.saleDate", 0] },
+                channel: { $arrayElemAt: ["$saleDetails.channel", 0] },
+                customerName: { $arrayElemAt: ["$saleDetails.customerName", 0] },
+                customer: { $arrayElemAt: ["$customerDetails", 0] },
+              },
+              null,
+            ],
+          },
         },
       },
     ]);
@@ -961,6 +1742,52 @@ const getPhoneByIMEI = async (req, res, next) => {
   }
 };
 
+/**
+ * Get stock movement history of a phone
+ * @route GET /api/v1/inventory/phones/:imei/history
+ */
+const getPhoneHistory = async (req, res, next) => {
+  try {
+    const { imei } = req.params;
+    const { asOf } = req.query;
+
+    // The ledger is keyed by the primary IMEI, resolve IMEI 2 to it
+    const phone = await Phone.findByIMEI(imei).select("imei");
+    const history = await StockMovementService.getHistory(
+      phone ? phone.imei : imei,
+      { asOf }
+    );
+
+    if (history.totalMovements === 0) {
+      return next(new ApiError(404, "No stock movements found for this IMEI"));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: history,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Helper: Only phones on a Draft invoice can have their cost changed or be deleted
+ * A verified invoice stays as invoiced; corrections go through credit or debit notes
+ */
+const assertDraftInvoice = async (phone, action, session) => {
+  const invoice = await PurchaseInvoice.findById(phone.invoice)
+    .select("invoiceNumber invoiceStatus")
+    .session(session);
+
+  if (invoice && invoice.invoiceStatus !== "Draft") {
+    throw new ApiError(
+      400,
+      `Cannot ${action} a phone on ${invoice.invoiceStatus} invoice ${invoice.invoiceNumber}. Record a credit or debit note against the invoice instead.`
+    );
+  }
+};
+
 /**
  * Update phone details
  * @route PATCH /api/v1/inventory/phones/:imei
@@ -968,33 +1795,103 @@ const getPhoneByIMEI = async (req, res, next) => {
 const updatePhone = async (req, res, next) => {
   try {
     const { imei } = req.params;
-    const { costPrice, sellingPrice, condition, notes, warrantyExpiryDate } =
-      req.body;
+    const {
+      imei2,
+      serialNumber,
+      costPrice,
+      sellingPrice,
+      condition,
+      notes,
+      warrantyExpiryDate,
+    } = req.body;
 
-    const invoice = await PurchaseInvoice.findOne({ "phones.imei": imei });
+    const phone = await withTransaction(async (session) => {
+      const phone = await Phone.findByIMEI(imei).session(session);
 
-    if (!invoice) {
-      return next(new ApiError(404, "Phone with this IMEI not found"));
-    }
+      if (!phone) {
+        throw new ApiError(404, "Phone with this IMEI not found");
+      }
 
-    const phone = invoice.phones.find((p) => p.imei === imei);
+      // Only allow editing if phone is Available or Damaged
+      if (phone.status !== "Available" && phone.status !== "Damaged") {
+        throw new ApiError(400, `Cannot edit phone with status: ${phone.status}`);
+      }
 
-    // Only allow editing if phone is Available or Damaged
-    if (phone.status !== "Available" && phone.status !== "Damaged") {
-      return next(
-        new ApiError(400, `Cannot edit phone with status: ${phone.status}`)
-      );
-    }
+      // A verified invoice's cost is corrected with a credit or debit note
+      if (costPrice !== undefined && costPrice !== phone.costPrice) {
+        await assertDraftInvoice(phone, "change the cost of", session);
+      }
 
-    // Update phone details
-    if (costPrice !== undefined) phone.costPrice = costPrice;
-    if (sellingPrice !== undefined) phone.sellingPrice = sellingPrice;
-    if (condition) phone.condition = condition;
-    if (notes !== undefined) phone.notes = notes;
-    if (warrantyExpiryDate) phone.warrantyExpiryDate = warrantyExpiryDate;
+      // Keep previous values for the movement ledger
+      const previous = {
+        imei2: phone.imei2,
+        serialNumber: phone.serialNumber,
+        costPrice: phone.costPrice,
+        sellingPrice: phone.sellingPrice,
+        condition: phone.condition,
+        notes: phone.notes,
+        warrantyExpiryDate: phone.warrantyExpiryDate,
+      };
+
+      // Secondary IMEI gets the same checks as a new phone
+      if (imei2) {
+        if (!isValidIMEI(imei2) || imei2 === phone.imei) {
+          throw new ApiError(
+            400,
+            `IMEI 2 ${imei2} is not valid (15 digits with a Luhn check digit, different from IMEI)`
+          );
+        }
+
+        const isDuplicate = await InventoryService.isIMEIDuplicate(imei2, {
+          excludePhoneId: phone._id,
+          session,
+        });
+
+        if (isDuplicate) {
+          throw new ApiError(400, `IMEI ${imei2} already exists in inventory`);
+        }
+      }
 
-    invoice.updatedBy = req.user._id;
-    await invoice.save();
+      // Update phone details
+      if (imei2 !== undefined) phone.imei2 = imei2;
+      if (serialNumber !== undefined) phone.serialNumber = serialNumber;
+      if (costPrice !== undefined) phone.costPrice = costPrice;
+      if (sellingPrice !== undefined) phone.sellingPrice = sellingPrice;
+      if (condition) phone.condition = condition;
+      if (notes !== undefined) phone.notes = notes;
+      if (warrantyExpiryDate) phone.warrantyExpiryDate = warrantyExpiryDate;
+
+      const changes = {};
+      Object.keys(previous).forEach((field) => {
+        if (String(previous[field]) !== String(phone[field])) {
+          changes[field] = { from: previous[field], to: phone[field] };
+        }
+      });
+
+      phone.updatedBy = req.user._id;
+      await phone.save({ session });
+
+      // Keep invoice totals in line with phone prices
+      if (changes.costPrice || changes.sellingPrice) {
+        await PurchaseInvoice.recalculateTotals(phone.invoice, { session });
+      }
+
+      if (Object.keys(changes).length > 0) {
+        await StockMovementService.record(
+          StockMovementService.entry(phone, {
+            action: "Updated",
+            fromStatus: phone.status,
+            toStatus: phone.status,
+            source: StockMovementService.source("Manual"),
+            changes,
+            actor: req.user._id,
+          }),
+          { session }
+        );
+      }
+
+      return phone;
+    });
 
     logger.info(`Phone ${imei} updated by ${req.user.email}`);
 
@@ -1016,36 +1913,47 @@ const deletePhone = async (req, res, next) => {
   try {
     const { imei } = req.params;
 
-    const invoice = await PurchaseInvoice.findOne({ "phones.imei": imei });
-
-    if (!invoice) {
-      return next(new ApiError(404, "Phone with this IMEI not found"));
-    }
+    await withTransaction(async (session) => {
+      const phone = await Phone.findByIMEI(imei).session(session);
 
-    const phone = invoice.phones.find((p) => p.imei === imei);
+      if (!phone) {
+        throw new ApiError(404, "Phone with this IMEI not found");
+      }
 
-    // Only allow deletion if phone is Available
-    if (phone.status !== "Available") {
-      return next(
-        new ApiError(
+      // Only allow deletion if phone is Available
+      if (phone.status !== "Available") {
+        throw new ApiError(
           400,
           `Cannot delete phone with status: ${phone.status}. Only Available phones can be deleted.`
-        )
+        );
+      }
+
+      await assertDraftInvoice(phone, "delete", session);
+
+      await StockMovementService.record(
+        StockMovementService.entry(phone, {
+          action: "Removed",
+          fromStatus: phone.status,
+          toStatus: null,
+          source: StockMovementService.source("Manual"),
+          actor: req.user._id,
+        }),
+        { session }
       );
-    }
 
-    // Remove phone from invoice
-    invoice.phones = invoice.phones.filter((p) => p.imei !== imei);
+      // Remove phone from invoice
+      await phone.deleteOne({ session });
 
-    // If invoice has no phones left, delete the invoice
-    if (invoice.phones.length === 0) {
-      await invoice.deleteOne();
-      logger.info(
-        `Invoice ${invoice.invoiceNumber} deleted (no phones remaining) by ${req.user.email}`
-      );
-    } else {
-      await invoice.save();
-    }
+      const invoice = await PurchaseInvoice.recalculateTotals(phone.invoice, { session });
+
+      // If invoice has no phones left, delete the invoice
+      if (invoice && invoice.phones.length === 0) {
+        await invoice.deleteOne({ session });
+        logger.info(
+          `Invoice ${invoice.invoiceNumber} deleted (no phones remaining) by ${req.user.email}`
+        );
+      }
+    });
 
     logger.info(`Phone ${imei} deleted by ${req.user.email}`);
 
@@ -1072,13 +1980,20 @@ module.exports = {
   uploadInvoiceProof,
   deleteInvoice,
   verifyInvoice,
+  getInvoiceMismatches,
+  getInvoicePdf,
   searchByIMEI,
   getAvailableStock,
   getStatistics,
   updatePhoneStatus,
   exportInventoryToExcel,
+  getStockAging,
+  exportStockAgingToExcel,
+  getLowStock,
+  exportLowStockToExcel,
   getAllPhones,
   getPhoneByIMEI,
+  getPhoneHistory,
   updatePhone,
   deletePhone,
 };
\ No newline at end of file
@@ -0,0 +1,508 @@
+const InvoiceAmendment = require('../models/InvoiceAmendment');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Phone = require('../models/Phone');
+const StockMovementService = require('../services/stockMovementService');
+const AttachmentService = require('../services/attachmentService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+
+// Invoice statuses that can be amended (Draft invoices are edited directly)
+const AMENDABLE_STATUSES = ['Verified', 'Completed'];
+
+/**
+ * Generate amendment number (CN-YYYYMMDD-xxxx for credit notes, DN-YYYYMMDD-xxxx for debit notes)
+ */
+const generateAmendmentNumber = (type) => {
+  const date = new Date();
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const random = Math.floor(Math.random() * 10000)
+    .toString()
+    .padStart(4, '0');
+  return `${type === 'Credit' ? 'CN' : 'DN'}-${year}${month}${day}-${random}`;
+};
+
+/**
+ * Helper: Reason an amendment line cannot be applied to a phone (null when it can)
+ */
+const getLineProblem = (phone, action) => {
+  if (!phone) {
+    return 'Phone is not on this invoice';
+  }
+
+  if (action === 'Remove') {
+    if (phone.status !== 'Available') {
+      return `Only Available phones can be removed. Current status: ${phone.status}`;
+    }
+
+    if (phone.supplierReturn) {
+      return 'Phone is on a supplier return';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Raise a credit or debit note against a verified invoice
+ * Lines change a phone's cost (PriceChange) or take an IMEI off the invoice (Remove).
+ * Nothing changes until the note is approved
+ * @route POST /api/v1/inventory/invoices/:id/amendments
+ * @access Private (Owner, Clerk)
+ */
+const createAmendment = async (req, res, next) => {
+  try {
+    const { lines, reason, supplierNoteNumber } = req.body;
+
+    const invoice = await PurchaseInvoice.findById(req.params.id);
+
+    if (!invoice) {
+      return next(new ApiError(404, 'Invoice not found'));
+    }
+
+    if (!AMENDABLE_STATUSES.includes(invoice.invoiceStatus)) {
+      return next(
+        new ApiError(
+          400,
+          `Cannot amend ${invoice.invoiceStatus} invoice. Draft invoices are edited directly.`
+        )
+      );
+    }
+
+    const phones = await Phone.find({
+      invoice: invoice._id,
+      imei: { $in: lines.map((line) => line.imei) },
+    });
+    const phonesByImei = new Map(phones.map((phone) => [phone.imei, phone]));
+
+    // IMEIs already on a note awaiting approval
+    const pending = await InvoiceAmendment.find({
+      invoice: invoice._id,
+      status: 'Pending',
+      'lines.imei': { $in: lines.map((line) => line.imei) },
+    }).select('amendmentNumber lines.imei');
+    const pendingByImei = new Map();
+    pending.forEach((amendment) =>
+      amendment.lines.forEach((line) => pendingByImei.set(line.imei, amendment.amendmentNumber))
+    );
+
+    const rejected = [];
+    const requested = new Set();
+    const amendmentLines = [];
+
+    for (const { imei, action, newCost } of lines) {
+      if (requested.has(imei)) {
+        rejected.push({ imei, reason: 'Duplicate IMEI in request' });
+        continue;
+      }
+      requested.add(imei);
+
+      const phone = phonesByImei.get(imei);
+      const problem = getLineProblem(phone, action);
+      if (problem) {
+        rejected.push({ imei, reason: problem });
+        continue;
+      }
+
+      if (pendingByImei.has(imei)) {
+        rejected.push({ imei, reason: `Phone is already on pending note ${pendingByImei.get(imei)}` });
+        continue;
+      }
+
+      if (action === 'PriceChange' && newCost === phone.costPrice) {
+        rejected.push({ imei, reason: 'New cost is the same as the current cost' });
+        continue;
+      }
+
+      amendmentLines.push({
+        action,
+        phone: phone._id,
+        imei,
+        previousCost: phone.costPrice,
+        newCost: action === 'PriceChange' ? newCost : undefined,
+        adjustment: action === 'PriceChange' ? newCost - phone.costPrice : -phone.costPrice,
+      });
+    }
+
+    if (rejected.length > 0) {
+      return next(
+        new ApiError(
+          400,
+          `${rejected.length} of ${lines.length} line(s) cannot be amended. No note was raised.`,
+          rejected
+        )
+      );
+    }
+
+    const totalAdjustment = amendmentLines.reduce((sum, line) => sum + line.adjustment, 0);
+
+    if (totalAdjustment === 0) {
+      return next(new ApiError(400, 'The note does not change the invoice total'));
+    }
+
+    const type = totalAdjustment < 0 ? 'Credit' : 'Debit';
+
+    const amendment = await InvoiceAmendment.create({
+      amendmentNumber: generateAmendmentNumber(type),
+      invoice: invoice._id,
+      type,
+      supplierNoteNumber,
+      reason,
+      lines: amendmentLines,
+      createdBy: req.user._id,
+    });
+
+    logger.info(
+      `${type} note ${amendment.amendmentNumber} raised on invoice ${invoice.invoiceNumber} by ${req.user.email}`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${type} note raised successfully. Upload the supplier's note and approve it to apply the changes.`,
+      data: { amendment: amendment.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get credit and debit notes of an invoice
+ * @route GET /api/v1/inventory/invoices/:id/amendments
+ * @access Private (Owner, Clerk)
+ */
+const getInvoiceAmendments = async (req, res, next) => {
+  try {
+    const invoice = await PurchaseInvoice.findById(req.params.id).select(
+      'invoiceNumber invoiceStatus financials'
+    );
+
+    if (!invoice) {
+      return next(new ApiError(404, 'Invoice not found'));
+    }
+
+    const amendments = await InvoiceAmendment.find({ invoice: invoice._id }).sort({
+      createdAt: -1,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoiceNumber: invoice.invoiceNumber,
+        currency: invoice.financials.currency,
+        totalCost: invoice.financials.totalCost,
+        amendedCost: invoice.financials.amendedCost || 0,
+        effectiveTotalCost: invoice.effectiveTotalCost,
+        amendments: amendments.map((amendment) => amendment.getSummary()),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a credit or debit note with its lines
+ * @route GET /api/v1/inventory/invoices/:id/amendments/:amendmentId
+ * @access Private (Owner, Clerk)
+ */
+const getAmendmentById = async (req, res, next) => {
+  try {
+    const amendment = await InvoiceAmendment.findOne({
+      _id: req.params.amendmentId,
+      invoice: req.params.id,
+    })
+      .populate('invoice', 'invoiceNumber invoiceStatus')
+      .populate('createdBy', 'firstName lastName email')
+      .populate('approvedBy', 'firstName lastName email')
+      .populate('rejectedBy', 'firstName lastName email');
+
+    if (!amendment) {
+      return next(new ApiError(404, 'Amendment not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { amendment },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload the supplier's credit/debit note
+ * @route POST /api/v1/inventory/invoices/:id/amendments/:amendmentId/upload-proof
+ * @access Private (Owner, Clerk)
+ */
+const uploadAmendmentProof = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new ApiError(400, "Please upload the supplier's note"));
+    }
+
+    const amendment = await InvoiceAmendment.findOne({
+      _id: req.params.amendmentId,
+      invoice: req.params.id,
+    });
+
+    if (!amendment) {
+      return next(new ApiError(404, 'Amendment not found'));
+    }
+
+    if (amendment.status !== 'Pending') {
+      return next(new ApiError(400, `Amendment is already ${amendment.status}`));
+    }
+
+    const { key, fileName, mimeType } = await AttachmentService.upload(
+      req.file,
+      process.env.S3_FOLDER_INVOICES || 'invoices'
+    );
+
+    amendment.proof = {
+      key,
+      fileName,
+      mimeType,
+      uploadedAt: new Date(),
+      uploadedBy: req.user._id,
+    };
+    amendment.updatedBy = req.user._id;
+    await amendment.save();
+
+    logger.info(`Proof uploaded for ${amendment.amendmentNumber} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Amendment proof uploaded successfully',
+      data: {
+        fileName: amendment.proof.fileName,
+        uploadedAt: amendment.proof.uploadedAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a short-lived download link for the supplier's note
+ * @route GET /api/v1/inventory/invoices/:id/amendments/:amendmentId/proof
+ * @access Private (Owner, Clerk)
+ */
+const getAmendmentProofUrl = async (req, res, next) => {
+  try {
+    const amendment = await InvoiceAmendment.findOne({
+      _id: req.params.amendmentId,
+      invoice: req.params.id,
+    }).select('proof');
+
+    if (!amendment) {
+      return next(new ApiError(404, 'Amendment not found'));
+    }
+
+    if (!amendment.proof || !amendment.proof.key) {
+      return next(new ApiError(404, "The supplier's note has not been uploaded"));
+    }
+
+    const download = await AttachmentService.getDownloadUrl(amendment.proof.key);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileName: amendment.proof.fileName,
+        mimeType: amendment.proof.mimeType,
+        ...download,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a credit or debit note (requires the supplier's note)
+ * Phone costs are corrected and removed IMEIs leave stock; the invoice keeps its
+ * original figures and its effective total and balance due follow the note
+ * @route PATCH /api/v1/inventory/invoices/:id/amendments/:amendmentId/approve
+ * @access Private (Owner only)
+ */
+const approveAmendment = async (req, res, next) => {
+  try {
+    const { amendment, invoice } = await withTransaction(async (session) => {
+      const amendment = await InvoiceAmendment.findOne({
+        _id: req.params.amendmentId,
+        invoice: req.params.id,
+      }).session(session);
+
+      if (!amendment) {
+        throw new ApiError(404, 'Amendment not found');
+      }
+
+      if (amendment.status !== 'Pending') {
+        throw new ApiError(400, `Amendment is already ${amendment.status}`);
+      }
+
+      if (!amendment.proof || !amendment.proof.key) {
+        throw new ApiError(
+          400,
+          "The supplier's note is required for approval. Please upload it first."
+        );
+      }
+
+      const invoice = await PurchaseInvoice.findById(amendment.invoice).session(session);
+
+      if (!AMENDABLE_STATUSES.includes(invoice.invoiceStatus)) {
+        throw new ApiError(400, `Cannot amend ${invoice.invoiceStatus} invoice`);
+      }
+
+      const phones = await Phone.find({
+        _id: { $in: amendment.lines.map((line) => line.phone) },
+        invoice: invoice._id,
+      }).session(session);
+      const phonesById = new Map(phones.map((phone) => [phone._id.toString(), phone]));
+
+      // The phones may have moved or been amended since the note was raised
+      const rejected = [];
+      amendment.lines.forEach((line) => {
+        const phone = phonesById.get(line.phone.toString());
+        const problem =
+          getLineProblem(phone, line.action) ||
+          (phone.costPrice !== line.previousCost ? 'Phone cost has changed since the note was raised' : null);
+
+        if (problem) {
+          rejected.push({ imei: line.imei, reason: problem });
+        }
+      });
+
+      if (rejected.length > 0) {
+        throw new ApiError(
+          400,
+          `${rejected.length} of ${amendment.lines.length} line(s) no longer match the invoice. No changes were applied.`,
+          rejected
+        );
+      }
+
+      const source = StockMovementService.source('Amendment', amendment);
+      const movements = [];
+
+      for (const line of amendment.lines) {
+        const phone = phonesById.get(line.phone.toString());
+
+        if (line.action === 'Remove') {
+          await phone.deleteOne({ session });
+          movements.push(
+            StockMovementService.entry(phone, {
+              action: 'Removed',
+              fromStatus: phone.status,
+              toStatus: null,
+              source,
+              notes: `Removed from invoice ${invoice.invoiceNumber} by ${amendment.type.toLowerCase()} note`,
+              actor: req.user._id,
+            })
+          );
+          continue;
+        }
+
+        phone.costPrice = line.newCost;
+        phone.updatedBy = req.user._id;
+        await phone.save({ session });
+        movements.push(
+          StockMovementService.entry(phone, {
+            action: 'Updated',
+            fromStatus: phone.status,
+            toStatus: phone.status,
+            source,
+            notes: `Cost corrected from ${line.previousCost} to ${line.newCost}`,
+            actor: req.user._id,
+          })
+        );
+      }
+
+      await StockMovementService.record(movements, { session });
+
+      await PurchaseInvoice.updateOne(
+        { _id: invoice._id },
+        { $inc: { 'financials.amendedCost': amendment.totalAdjustment } },
+        { session }
+      );
+
+      amendment.status = 'Approved';
+      amendment.approvedBy = req.user._id;
+      amendment.approvedAt = new Date();
+      amendment.updatedBy = req.user._id;
+      await amendment.save({ session });
+
+      // Landed costs and the balance due follow the corrected phones
+      return {
+        amendment,
+        invoice: await PurchaseInvoice.recalculateTotals(invoice._id, { session }),
+      };
+    });
+
+    logger.info(
+      `${amendment.type} note ${amendment.amendmentNumber} approved by ${req.user.email} (${amendment.totalAdjustment})`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${amendment.type} note approved successfully`,
+      data: {
+        amendment: amendment.getSummary(),
+        invoice: invoice.getSummary(),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a credit or debit note
+ * @route PATCH /api/v1/inventory/invoices/:id/amendments/:amendmentId/reject
+ * @access Private (Owner only)
+ */
+const rejectAmendment = async (req, res, next) => {
+  try {
+    const amendment = await InvoiceAmendment.findOne({
+      _id: req.params.amendmentId,
+      invoice: req.params.id,
+    });
+
+    if (!amendment) {
+      return next(new ApiError(404, 'Amendment not found'));
+    }
+
+    if (amendment.status !== 'Pending') {
+      return next(new ApiError(400, `Amendment is already ${amendment.status}`));
+    }
+
+    amendment.status = 'Rejected';
+    amendment.rejectedBy = req.user._id;
+    amendment.rejectedAt = new Date();
+    amendment.rejectionReason = req.body.reason;
+    amendment.updatedBy = req.user._id;
+    await amendment.save();
+
+    logger.info(`${amendment.type} note ${amendment.amendmentNumber} rejected by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: `${amendment.type} note rejected`,
+      data: { amendment: amendment.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createAmendment,
+  getInvoiceAmendments,
+  getAmendmentById,
+  uploadAmendmentProof,
+  getAmendmentProofUrl,
+  approveAmendment,
+  rejectAmendment,
+};
@@ -0,0 +1,197 @@
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const AttachmentService = require('../services/attachmentService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const INVOICE_FOLDER = process.env.S3_FOLDER_INVOICES || 'invoices';
+
+/**
+ * Helper: Attachment details without storage keys
+ */
+const formatAttachment = (attachment) => ({
+  id: attachment._id,
+  type: attachment.type,
+  fileName: attachment.fileName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  notes: attachment.notes,
+  uploadedAt: attachment.uploadedAt,
+  uploadedBy: attachment.uploadedBy,
+  versions: attachment.versions.map((version, index) => ({
+    version: index + 1,
+    fileName: version.fileName,
+    mimeType: version.mimeType,
+    size: version.size,
+    uploadedAt: version.uploadedAt,
+    uploadedBy: version.uploadedBy,
+    replacedAt: version.replacedAt,
+    replacedBy: version.replacedBy,
+  })),
+});
+
+/**
+ * Get attachments of a purchase invoice
+ * @route GET /api/v1/inventory/invoices/:id/attachments
+ * @access Private
+ */
+const getInvoiceAttachments = async (req, res, next) => {
+  try {
+    const invoice = await PurchaseInvoice.findById(req.params.id)
+      .select('invoiceNumber attachments')
+      .populate('attachments.uploadedBy', 'firstName lastName email')
+      .populate('attachments.versions.uploadedBy', 'firstName lastName email')
+      .populate('attachments.versions.replacedBy', 'firstName lastName email');
+
+    if (!invoice) {
+      return next(new ApiError(404, 'Invoice not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoiceNumber: invoice.invoiceNumber,
+        attachments: invoice.attachments.map(formatAttachment),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Attach a document (invoice scan, delivery note, payment slip)
+ * @route POST /api/v1/inventory/invoices/:id/attachments
+ * @access Private (Owner, Clerk)
+ */
+const addInvoiceAttachment = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new ApiError(400, 'Please upload a file'));
+    }
+
+    const invoice = await PurchaseInvoice.findById(req.params.id);
+
+    if (!invoice) {
+      return next(new ApiError(404, 'Invoice not found'));
+    }
+
+    const file = await AttachmentService.upload(req.file, INVOICE_FOLDER);
+    const attachment = invoice.storeAttachment(file, {
+      type: req.body.type,
+      notes: req.body.notes,
+      actor: req.user._id,
+    });
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+
+    logger.info(
+      `${attachment.type} attached to invoice ${invoice.invoiceNumber} by ${req.user.email}`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: { attachment: formatAttachment(attachment) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the file of an attachment (the previous file is kept as a version)
+ * @route PUT /api/v1/inventory/invoices/:id/attachments/:attachmentId
+ * @access Private (Owner, Clerk)
+ */
+const replaceInvoiceAttachment = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new ApiError(400, 'Please upload a file'));
+    }
+
+    const invoice = await PurchaseInvoice.findById(req.params.id);
+
+    if (!invoice) {
+      return next(new ApiError(404, 'Invoice not found'));
+    }
+
+    const attachment = invoice.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return next(new ApiError(404, 'Attachment not found'));
+    }
+
+    const file = await AttachmentService.upload(req.file, INVOICE_FOLDER);
+    invoice.storeAttachment(file, {
+      attachment,
+      notes: req.body.notes,
+      actor: req.user._id,
+    });
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+
+    logger.info(
+      `${attachment.type} on invoice ${invoice.invoiceNumber} replaced by ${req.user.email} (version ${attachment.versions.length + 1})`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Attachment replaced successfully. The previous file was kept as a version.',
+      data: { attachment: formatAttachment(attachment) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a short-lived download link for an attachment (?version=n for an earlier file)
+ * @route GET /api/v1/inventory/invoices/:id/attachments/:attachmentId/download
+ * @access Private
+ */
+const getInvoiceAttachmentUrl = async (req, res, next) => {
+  try {
+    const invoice = await PurchaseInvoice.findById(req.params.id).select(
+      'invoiceNumber attachments'
+    );
+
+    if (!invoice) {
+      return next(new ApiError(404, 'Invoice not found'));
+    }
+
+    const attachment = invoice.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return next(new ApiError(404, 'Attachment not found'));
+    }
+
+    let file = attachment;
+    if (req.query.version) {
+      file = attachment.versions[parseInt(req.query.version, 10) - 1];
+
+      if (!file) {
+        return next(new ApiError(404, `Version ${req.query.version} not found`));
+      }
+    }
+
+    const download = await AttachmentService.getDownloadUrl(file.key);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileName: file.fileName,
+        mimeType: file.mimeType,
+        ...download,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getInvoiceAttachments,
+  addInvoiceAttachment,
+  replaceInvoiceAttachment,
+  getInvoiceAttachmentUrl,
+};
@@ -0,0 +1,208 @@
+const Location = require('../models/Location');
+const Phone = require('../models/Phone');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+
+/**
+ * Helper: Make a location the only default location
+ */
+const setDefaultLocation = async (location, session) => {
+  await Location.updateMany(
+    { _id: { $ne: location._id }, isDefault: true },
+    { $set: { isDefault: false } },
+    { session }
+  );
+  location.isDefault = true;
+};
+
+/**
+ * Create location
+ * The first location created becomes the default location
+ * @route POST /api/v1/locations
+ * @access Private (Owner only)
+ */
+const createLocation = async (req, res, next) => {
+  try {
+    const location = await withTransaction(async (session) => {
+      const location = new Location({
+        ...req.body,
+        isDefault: false,
+        createdBy: req.user._id,
+      });
+
+      const hasLocations = await Location.exists({}).session(session);
+      if (req.body.isDefault || !hasLocations) {
+        await setDefaultLocation(location, session);
+      }
+
+      await location.save({ session });
+      return location;
+    });
+
+    logger.info(`Location created by ${req.user.email}: ${location.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Location created successfully',
+      data: { location: location.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all locations
+ * @route GET /api/v1/locations
+ * @access Private (All authenticated users)
+ */
+const getAllLocations = async (req, res, next) => {
+  try {
+    const { type, isActive } = req.query;
+
+    const filter = {};
+
+    if (type) filter.type = type;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const locations = await Location.find(filter).sort({ isDefault: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        locations: locations.map((location) => location.getSummary()),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get location by ID (with stock counts)
+ * @route GET /api/v1/locations/:id
+ * @access Private (All authenticated users)
+ */
+const getLocationById = async (req, res, next) => {
+  try {
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return next(new ApiError(404, 'Location not found'));
+    }
+
+    const stock = await Phone.aggregate([
+      { $match: { location: location._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        location: location.getSummary(),
+        stock: stock.map((item) => ({ status: item._id, count: item.count })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update location
+ * @route PUT /api/v1/locations/:id
+ * @access Private (Owner only)
+ */
+const updateLocation = async (req, res, next) => {
+  try {
+    const { isDefault, ...updates } = req.body;
+
+    const location = await withTransaction(async (session) => {
+      const location = await Location.findById(req.params.id).session(session);
+
+      if (!location) {
+        throw new ApiError(404, 'Location not found');
+      }
+
+      if (isDefault === false && location.isDefault) {
+        throw new ApiError(400, 'Make another location the default instead');
+      }
+
+      location.set({ ...updates, updatedBy: req.user._id });
+
+      if (location.isDefault && location.isActive === false) {
+        throw new ApiError(400, 'The default location cannot be deactivated');
+      }
+
+      if (isDefault) {
+        await setDefaultLocation(location, session);
+      }
+
+      await location.save({ session });
+      return location;
+    });
+
+    logger.info(`Location updated by ${req.user.email}: ${location.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Location updated successfully',
+      data: { location: location.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate location
+ * Only possible when no unsold phones are held there
+ * @route DELETE /api/v1/locations/:id
+ * @access Private (Owner only)
+ */
+const deleteLocation = async (req, res, next) => {
+  try {
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return next(new ApiError(404, 'Location not found'));
+    }
+
+    if (location.isDefault) {
+      return next(new ApiError(400, 'The default location cannot be deactivated'));
+    }
+
+    const hasStock = await Phone.exists({
+      location: location._id,
+      status: { $ne: 'Sold' },
+    });
+
+    if (hasStock) {
+      return next(
+        new ApiError(400, 'Cannot deactivate location. Transfer its stock to another location first.')
+      );
+    }
+
+    location.isActive = false;
+    location.updatedBy = req.user._id;
+    await location.save();
+
+    logger.info(`Location ${location.name} deactivated by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Location deactivated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createLocation,
+  getAllLocations,
+  getLocationById,
+  updateLocation,
+  deleteLocation,
+};
@@ -0,0 +1,183 @@
+const Product = require('../models/Product');
+const ProductImageService = require('../services/productImageService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+// Uploaded images a product can hold
+const MAX_PRODUCT_IMAGES = 10;
+
+/**
+ * Get product images with links to each size
+ * @route GET /api/v1/inventory/products/:id/images
+ * @access Private (All authenticated users)
+ */
+const getProductImages = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id).select('brand model images');
+
+    if (!product) {
+      return next(new ApiError(404, 'Product not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        images: await ProductImageService.withUrls(product.images.files),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload product images (thumbnail and web sizes are generated)
+ * New images are added after the existing ones
+ * @route POST /api/v1/inventory/products/:id/images
+ * @access Private (Owner only)
+ */
+const uploadProductImages = async (req, res, next) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return next(new ApiError(400, 'Please upload at least one image'));
+    }
+
+    const notImages = req.files.filter((file) => !file.mimetype.startsWith('image/'));
+    if (notImages.length > 0) {
+      return next(
+        new ApiError(400, `Only images can be uploaded: ${notImages.map((file) => file.originalname).join(', ')}`)
+      );
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return next(new ApiError(404, 'Product not found'));
+    }
+
+    if (product.images.files.length + req.files.length > MAX_PRODUCT_IMAGES) {
+      return next(
+        new ApiError(
+          400,
+          `A product can have up to ${MAX_PRODUCT_IMAGES} images. It already has ${product.images.files.length}.`
+        )
+      );
+    }
+
+    const stored = [];
+    try {
+      for (const file of req.files) {
+        stored.push(await ProductImageService.store(file, product, req.user._id));
+      }
+
+      product.images.files.push(...stored);
+      product.updatedBy = req.user._id;
+      await product.save();
+    } catch (error) {
+      // Remove what was stored before the failure
+      for (const image of stored) {
+        await ProductImageService.remove(image);
+      }
+      throw error;
+    }
+
+    logger.info(`${stored.length} image(s) uploaded for ${product.displayName} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${stored.length} image(s) uploaded successfully`,
+      data: {
+        images: await ProductImageService.withUrls(product.images.files),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reorder product images (the first becomes the main image)
+ * @route PUT /api/v1/inventory/products/:id/images/order
+ * @access Private (Owner only)
+ */
+const reorderProductImages = async (req, res, next) => {
+  try {
+    const { imageIds } = req.body;
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return next(new ApiError(404, 'Product not found'));
+    }
+
+    const current = product.images.files.map((image) => image._id.toString());
+    const sameImages =
+      imageIds.length === current.length &&
+      new Set(imageIds).size === imageIds.length &&
+      imageIds.every((id) => current.includes(id));
+
+    if (!sameImages) {
+      return next(new ApiError(400, "List every image of the product exactly once"));
+    }
+
+    const byId = new Map(product.images.files.map((image) => [image._id.toString(), image.toObject()]));
+    product.images.files = imageIds.map((id) => byId.get(id));
+    product.updatedBy = req.user._id;
+    await product.save();
+
+    logger.info(`Images of ${product.displayName} reordered by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Images reordered successfully',
+      data: {
+        images: await ProductImageService.withUrls(product.images.files),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a product image and its stored files
+ * @route DELETE /api/v1/inventory/products/:id/images/:imageId
+ * @access Private (Owner only)
+ */
+const deleteProductImage = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return next(new ApiError(404, 'Product not found'));
+    }
+
+    const image = product.images.files.id(req.params.imageId);
+
+    if (!image) {
+      return next(new ApiError(404, 'Image not found'));
+    }
+
+    product.images.files.pull(image._id);
+    product.updatedBy = req.user._id;
+    await product.save();
+
+    await ProductImageService.remove(image);
+
+    logger.info(`Image ${image.fileName} of ${product.displayName} deleted by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Image deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getProductImages,
+  uploadProductImages,
+  reorderProductImages,
+  deleteProductImage,
+};
@@ -0,0 +1,546 @@
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceivedNote = require('../models/GoodsReceivedNote');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const InventoryService = require('../services/inventoryService');
+const StockMovementService = require('../services/stockMovementService');
+const TacService = require('../services/tacService');
+const PdfService = require('../services/pdfService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { formatSriLankaTime } = require('../utils/dateUtils');
+
+/**
+ * Generate a document number (PO-YYYYMMDD-xxxx, GRN-YYYYMMDD-xxxx)
+ */
+const generateNumber = (prefix) => {
+  const date = new Date();
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const random = Math.floor(Math.random() * 10000)
+    .toString()
+    .padStart(4, '0');
+  return `${prefix}-${year}${month}${day}-${random}`;
+};
+
+/**
+ * Helper: Check that every product on the lines exists and is active
+ */
+const checkLineProducts = async (lines) => {
+  const productIds = lines.map((line) => line.product);
+  const found = await Product.countDocuments({ _id: { $in: productIds }, isActive: true });
+
+  if (found !== productIds.length) {
+    throw new ApiError(400, 'One or more products not found or inactive');
+  }
+};
+
+/**
+ * Create purchase order (Draft)
+ * @route POST /api/v1/purchase-orders
+ * @access Private (Owner only)
+ */
+const createPurchaseOrder = async (req, res, next) => {
+  try {
+    const { supplier, location, lines } = req.body;
+
+    const supplierExists = await Supplier.exists({ _id: supplier, isActive: true });
+    if (!supplierExists) {
+      return next(new ApiError(400, 'Supplier not found or inactive'));
+    }
+
+    await checkLineProducts(lines);
+    const receivingLocation = await InventoryService.resolveLocation(location);
+
+    const order = await PurchaseOrder.create({
+      ...req.body,
+      poNumber: generateNumber('PO'),
+      location: receivingLocation?._id,
+      createdBy: req.user._id,
+    });
+
+    logger.info(`Purchase order ${order.poNumber} created by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order created successfully',
+      data: { purchaseOrder: order.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all purchase orders
+ * @route GET /api/v1/purchase-orders
+ * @access Private (Owner, Clerk)
+ */
+const getAllPurchaseOrders = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, supplier } = req.query;
+
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (supplier) filter.supplier = supplier;
+
+    const skip = (page - 1) * limit;
+
+    const orders = await PurchaseOrder.find(filter)
+      .populate('supplier', 'name')
+      .populate('location', 'name code type')
+      .limit(parseInt(limit))
+      .skip(skip)
+      .sort({ createdAt: -1 });
+
+    const total = await PurchaseOrder.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        purchaseOrders: orders.map((order) => order.getSummary()),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalPurchaseOrders: total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get purchase order by ID (with its GRNs)
+ * @route GET /api/v1/purchase-orders/:id
+ * @access Private (Owner, Clerk)
+ */
+const getPurchaseOrderById = async (req, res, next) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id)
+      .populate('supplier', 'name contactPerson phone email paymentTermsDays')
+      .populate('location', 'name code type')
+      .populate('lines.product', 'brand model specifications')
+      .populate('createdBy', 'firstName lastName email')
+      .populate('orderedBy', 'firstName lastName email');
+
+    if (!order) {
+      return next(new ApiError(404, 'Purchase order not found'));
+    }
+
+    const grns = await GoodsReceivedNote.find({ purchaseOrder: order._id })
+      .populate('invoice', 'invoiceNumber invoiceStatus')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        purchaseOrder: order,
+        grns: grns.map((grn) => ({ ...grn.getSummary(), invoice: grn.invoice })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update purchase order (Draft only)
+ * @route PUT /api/v1/purchase-orders/:id
+ * @access Private (Owner only)
+ */
+const updatePurchaseOrder = async (req, res, next) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id);
+
+    if (!order) {
+      return next(new ApiError(404, 'Purchase order not found'));
+    }
+
+    if (order.status !== 'Draft') {
+      return next(
+        new ApiError(400, `Cannot edit ${order.status} purchase order. Only Draft orders can be edited.`)
+      );
+    }
+
+    const { location, ...updates } = req.body;
+
+    if (updates.lines) {
+      await checkLineProducts(updates.lines);
+    }
+
+    if (location) {
+      const receivingLocation = await InventoryService.resolveLocation(location);
+      updates.location = receivingLocation._id;
+    }
+
+    order.set({ ...updates, updatedBy: req.user._id });
+    await order.save();
+
+    logger.info(`Purchase order ${order.poNumber} updated by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      data: { purchaseOrder: order.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Place purchase order with the supplier (Draft -> Ordered)
+ * @route PATCH /api/v1/purchase-orders/:id/order
+ * @access Private (Owner only)
+ */
+const placePurchaseOrder = async (req, res, next) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id);
+
+    if (!order) {
+      return next(new ApiError(404, 'Purchase order not found'));
+    }
+
+    if (order.status !== 'Draft') {
+      return next(new ApiError(400, `Purchase order is already ${order.status}`));
+    }
+
+    order.status = 'Ordered';
+    order.orderedAt = new Date();
+    order.orderedBy = req.user._id;
+    order.updatedBy = req.user._id;
+    await order.save();
+
+    logger.info(`Purchase order ${order.poNumber} placed by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order placed successfully',
+      data: { purchaseOrder: order.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel purchase order (nothing received yet)
+ * @route PATCH /api/v1/purchase-orders/:id/cancel
+ * @access Private (Owner only)
+ */
+const cancelPurchaseOrder = async (req, res, next) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id);
+
+    if (!order) {
+      return next(new ApiError(404, 'Purchase order not found'));
+    }
+
+    if (!['Draft', 'Ordered'].includes(order.status)) {
+      return next(
+        new ApiError(400, `Cannot cancel ${order.status} purchase order. Only orders with nothing received can be cancelled.`)
+      );
+    }
+
+    order.status = 'Cancelled';
+    order.cancelledAt = new Date();
+    order.cancelledBy = req.user._id;
+    await order.save();
+
+    logger.info(`Purchase order ${order.poNumber} cancelled by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order cancelled successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Helper: Find the Draft invoice a GRN books its phones on
+ * An explicit invoice number is used (or created); otherwise the Draft invoice
+ * of an earlier GRN on the same order is extended
+ * @returns {Promise<Object|null>} Existing invoice, or null to create one
+ */
+const findReceivingInvoice = async (order, invoiceNumber, session) => {
+  if (invoiceNumber) {
+    const invoice = await PurchaseInvoice.findOne({
+      invoiceNumber: invoiceNumber.toUpperCase(),
+    }).session(session);
+
+    if (invoice && (!invoice.supplierRef || !invoice.supplierRef.equals(order.supplier))) {
+      throw new ApiError(400, `Invoice ${invoice.invoiceNumber} belongs to another supplier`);
+    }
+
+    return invoice;
+  }
+
+  const previous = await GoodsReceivedNote.find({ purchaseOrder: order._id })
+    .select('invoice')
+    .populate({ path: 'invoice', select: 'invoiceStatus', options: { session } })
+    .sort({ createdAt: -1 })
+    .session(session);
+
+  const draft = previous.find((grn) => grn.invoice && grn.invoice.invoiceStatus === 'Draft');
+  return draft ? PurchaseInvoice.findById(draft.invoice._id).session(session) : null;
+};
+
+/**
+ * Receive goods against a purchase order (GRN)
+ * Scanned phones must be for products on the order. They are booked on a Draft
+ * purchase invoice, which is created or extended
+ * @route POST /api/v1/purchase-orders/:id/grns
+ * @access Private (Owner, Clerk)
+ */
+const receiveGoods = async (req, res, next) => {
+  try {
+    const { invoiceNumber, invoiceDate, phones, notes } = req.body;
+
+    const { grn, invoice } = await withTransaction(async (session) => {
+      const order = await PurchaseOrder.findById(req.params.id).session(session);
+
+      if (!order) {
+        throw new ApiError(404, 'Purchase order not found');
+      }
+
+      if (!['Ordered', 'Partially Received'].includes(order.status)) {
+        throw new ApiError(
+          400,
+          `Purchase order is ${order.status}. Only placed orders can be received.`
+        );
+      }
+
+      // Every phone must match a line; cost defaults to the agreed cost
+      const rejected = [];
+      const items = phones.map((phone) => {
+        const line = order.getLine(phone.product);
+
+        if (!line) {
+          rejected.push({ imei: phone.imei, reason: 'Product is not on this purchase order' });
+          return null;
+        }
+
+        return {
+          ...phone,
+          costPrice: phone.costPrice !== undefined ? phone.costPrice : line.unitCost,
+          orderedCost: line.unitCost,
+        };
+      });
+
+      if (rejected.length > 0) {
+        throw new ApiError(
+          400,
+          `${rejected.length} of ${phones.length} phone(s) cannot be received. No phones were received.`,
+          rejected
+        );
+      }
+
+      const grn = new GoodsReceivedNote({
+        grnNumber: generateNumber('GRN'),
+        purchaseOrder: order._id,
+        supplier: order.supplier,
+        location: order.location,
+        notes,
+        receivedBy: req.user._id,
+      });
+
+      const phoneItems = items.map(({ orderedCost, ...phone }) => phone);
+      const source = StockMovementService.source('GRN', grn);
+      const options = { actor: req.user._id, session, notes: `Received on ${grn.grnNumber}`, source };
+
+      let invoice = await findReceivingInvoice(order, invoiceNumber, session);
+
+      if (invoice) {
+        invoice = await InventoryService.addPhonesToInvoice(invoice, phoneItems, options);
+      } else {
+        invoice = await InventoryService.createInvoice(
+          {
+            invoiceNumber: invoiceNumber || grn.grnNumber,
+            invoiceDate: invoiceDate || new Date(),
+            invoiceTime: formatSriLankaTime().slice(0, 5),
+            location: order.location,
+            supplier: { id: order.supplier },
+            payment: { method: 'Credit', status: 'Pending' },
+            notes: `Received against ${order.poNumber}`,
+          },
+          phoneItems,
+          options
+        );
+      }
+
+      const received = new Map(invoice.phones.map((phone) => [phone.imei, phone]));
+      grn.invoice = invoice._id;
+      grn.items = items.map((item) => ({
+        phone: received.get(item.imei)?._id,
+        product: item.product,
+        imei: item.imei,
+        costPrice: item.costPrice,
+        orderedCost: item.orderedCost,
+      }));
+      await grn.save({ session });
+
+      items.forEach((item) => {
+        order.getLine(item.product).receivedQuantity += 1;
+      });
+      order.refreshReceiptStatus();
+      order.updatedBy = req.user._id;
+      await order.save({ session });
+
+      return { grn, invoice };
+    });
+
+    logger.info(
+      `GRN ${grn.grnNumber} received by ${req.user.email} with ${grn.items.length} phones on invoice ${invoice.invoiceNumber}`
+    );
+
+    const warnings = TacService.getWarnings(
+      invoice.phones.filter((phone) => grn.items.some((item) => item.imei === phone.imei))
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Goods received successfully',
+      data: {
+        grn: grn.getSummary(),
+        invoice: invoice.getSummary(),
+        warnings: warnings.length > 0 ? warnings : undefined,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all goods received notes
+ * @route GET /api/v1/grns
+ * @access Private (Owner, Clerk)
+ */
+const getAllGrns = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, purchaseOrder, supplier, invoice, imei } = req.query;
+
+    const filter = {};
+
+    if (purchaseOrder) filter.purchaseOrder = purchaseOrder;
+    if (supplier) filter.supplier = supplier;
+    if (invoice) filter.invoice = invoice;
+    if (imei) filter['items.imei'] = imei;
+
+    const skip = (page - 1) * limit;
+
+    const grns = await GoodsReceivedNote.find(filter)
+      .limit(parseInt(limit))
+      .skip(skip)
+      .sort({ createdAt: -1 });
+
+    const total = await GoodsReceivedNote.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        grns: grns.map((grn) => grn.getSummary()),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalGrns: total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get goods received note by ID
+ * @route GET /api/v1/grns/:id
+ * @access Private (Owner, Clerk)
+ */
+const getGrnById = async (req, res, next) => {
+  try {
+    const grn = await GoodsReceivedNote.findById(req.params.id)
+      .populate('purchaseOrder', 'poNumber status')
+      .populate('supplier', 'name')
+      .populate('location', 'name code type')
+      .populate('invoice', 'invoiceNumber invoiceStatus')
+      .populate('items.product', 'brand model specifications')
+      .populate('receivedBy', 'firstName lastName email');
+
+    if (!grn) {
+      return next(new ApiError(404, 'Goods received note not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { grn },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get printable goods received slip of a GRN, for the warehouse to sign
+ * @route GET /api/v1/grns/:id/pdf
+ * @access Private (Owner, Clerk)
+ */
+const getGrnPdf = async (req, res, next) => {
+  try {
+    const grn = await GoodsReceivedNote.findById(req.params.id)
+      .populate('purchaseOrder', 'poNumber')
+      .populate('supplier', 'name')
+      .populate('location', 'name')
+      .populate('items.product', 'brand model specifications')
+      .populate('items.phone', 'imei2 serialNumber');
+
+    if (!grn) {
+      return next(new ApiError(404, 'Goods received note not found'));
+    }
+
+    const pdf = await PdfService.renderReceivedSlip({
+      reference: grn.grnNumber,
+      date: grn.receivedDate,
+      supplierName: grn.supplier?.name,
+      location: grn.location?.name,
+      notes: [grn.purchaseOrder && `PO ${grn.purchaseOrder.poNumber}`, grn.notes]
+        .filter(Boolean)
+        .join(' - '),
+      items: grn.items.map((item) => ({
+        product: item.product,
+        imei: item.imei,
+        imei2: item.phone?.imei2,
+        serialNumber: item.phone?.serialNumber,
+      })),
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=received_slip_${grn.grnNumber}.pdf`);
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createPurchaseOrder,
+  getAllPurchaseOrders,
+  getPurchaseOrderById,
+  updatePurchaseOrder,
+  placePurchaseOrder,
+  cancelPurchaseOrder,
+  receiveGoods,
+  getAllGrns,
+  getGrnById,
+  getGrnPdf,
+};
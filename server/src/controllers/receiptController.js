@@ -0,0 +1,249 @@
+const Receipt = require('../models/Receipt');
+const User = require('../models/User');
+const ReceiptService = require('../services/receiptService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { getStartOfDaySriLanka, getEndOfDaySriLanka } = require('../utils/dateUtils');
+
+/**
+ * Record money collected from a customer
+ * DSRs record their own collections; the office can record one for a DSR
+ * @route POST /api/v1/receipts
+ * @access Private
+ */
+const createReceipt = async (req, res, next) => {
+  try {
+    let collectedBy = req.user._id;
+
+    if (req.user.role !== 'dsr' && req.body.collectedBy) {
+      const collector = await User.findById(req.body.collectedBy).select('isActive');
+      if (!collector || !collector.isActive) {
+        return next(new ApiError(400, 'Collector not found or inactive'));
+      }
+      collectedBy = collector._id;
+    }
+
+    const receipt = await withTransaction((session) =>
+      ReceiptService.createReceipt(
+        { ...req.body, collectedBy },
+        { session, actor: req.user._id }
+      )
+    );
+
+    logger.info(
+      `Receipt ${receipt.receiptNumber} recorded by ${req.user.email}: Rs. ${receipt.amount} (${receipt.method}) from ${receipt.customerName}`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Receipt recorded successfully',
+      data: { receipt: receipt.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all receipts with filters
+ * DSRs only see the receipts they collected
+ * @route GET /api/v1/receipts
+ * @access Private
+ */
+const getAllReceipts = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      customer,
+      collectedBy,
+      method,
+      chequeStatus,
+      startDate,
+      endDate,
+      search,
+    } = req.query;
+
+    const filter = {};
+
+    if (customer) filter.customer = customer;
+    if (method) filter.method = method;
+    if (chequeStatus) filter['cheque.status'] = chequeStatus;
+
+    if (req.user.role === 'dsr') {
+      filter.collectedBy = req.user._id;
+    } else if (collectedBy) {
+      filter.collectedBy = collectedBy;
+    }
+
+    if (startDate || endDate) {
+      filter.receiptDate = {};
+      if (startDate) filter.receiptDate.$gte = getStartOfDaySriLanka(new Date(startDate));
+      if (endDate) filter.receiptDate.$lte = getEndOfDaySriLanka(new Date(endDate));
+    }
+
+    if (search) {
+      filter.$or = [
+        { receiptNumber: { $regex: search, $options: 'i' } },
+        { customerName: { $regex: search, $options: 'i' } },
+        { 'cheque.number': { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const receipts = await Receipt.find(filter)
+      .limit(parseInt(limit))
+      .skip(skip)
+      .sort({ receiptDate: -1 });
+
+    const total = await Receipt.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        receipts: receipts.map((receipt) => receipt.getSummary()),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalReceipts: total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get receipt by ID
+ * @route GET /api/v1/receipts/:id
+ * @access Private
+ */
+const getReceiptById = async (req, res, next) => {
+  try {
+    const receipt = await Receipt.findById(req.params.id)
+      .populate('customer', 'name type shopName phone territory')
+      .populate('allocations.invoice', 'invoiceNumber saleDate lines payment')
+      .populate('collectedBy', 'firstName lastName email')
+      .populate('createdBy', 'firstName lastName email')
+      .populate('cheque.depositedBy', 'firstName lastName email')
+      .populate('cheque.clearedBy', 'firstName lastName email')
+      .populate('cheque.bouncedBy', 'firstName lastName email');
+
+    if (!receipt) {
+      return next(new ApiError(404, 'Receipt not found'));
+    }
+
+    // DSR can only view their own collections
+    if (
+      req.user.role === 'dsr' &&
+      receipt.collectedBy._id.toString() !== req.user._id.toString()
+    ) {
+      return next(new ApiError(403, 'You can only view your own receipts'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { receipt },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Helper: Apply a cheque lifecycle action to a receipt
+ */
+const changeCheque = (req, action) =>
+  withTransaction(async (session) => {
+    const receipt = await Receipt.findById(req.params.id).session(session);
+
+    if (!receipt) {
+      throw new ApiError(404, 'Receipt not found');
+    }
+
+    return ReceiptService.updateCheque(receipt, action, {
+      session,
+      actor: req.user._id,
+      date: req.body.date,
+      reason: req.body.reason,
+    });
+  });
+
+/**
+ * Mark a cheque as deposited
+ * @route PATCH /api/v1/receipts/:id/cheque/deposit
+ * @access Private (Owner, Clerk)
+ */
+const depositCheque = async (req, res, next) => {
+  try {
+    const receipt = await changeCheque(req, 'deposit');
+
+    logger.info(`Cheque ${receipt.cheque.number} on ${receipt.receiptNumber} deposited by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cheque marked as deposited',
+      data: { receipt: receipt.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a deposited cheque as cleared
+ * @route PATCH /api/v1/receipts/:id/cheque/clear
+ * @access Private (Owner, Clerk)
+ */
+const clearCheque = async (req, res, next) => {
+  try {
+    const receipt = await changeCheque(req, 'clear');
+
+    logger.info(`Cheque ${receipt.cheque.number} on ${receipt.receiptNumber} cleared`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cheque marked as cleared',
+      data: { receipt: receipt.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a deposited cheque as bounced
+ * The invoices it paid are open again for the amounts it covered
+ * @route PATCH /api/v1/receipts/:id/cheque/bounce
+ * @access Private (Owner, Clerk)
+ */
+const bounceCheque = async (req, res, next) => {
+  try {
+    const receipt = await changeCheque(req, 'bounce');
+
+    logger.warn(
+      `Cheque ${receipt.cheque.number} on ${receipt.receiptNumber} bounced: Rs. ${receipt.amount} reopened for ${receipt.customerName}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Cheque marked as bounced. The invoice balances it paid are open again.',
+      data: { receipt: receipt.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createReceipt,
+  getAllReceipts,
+  getReceiptById,
+  depositCheque,
+  clearCheque,
+  bounceCheque,
+};
@@ -0,0 +1,291 @@
+const SalesInvoice = require('../models/SalesInvoice');
+const Phone = require('../models/Phone');
+const InventoryService = require('../services/inventoryService');
+const StockMovementService = require('../services/stockMovementService');
+const SalesService = require('../services/salesService');
+const telegramService = require('../services/telegramService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { getStartOfDaySriLanka, getEndOfDaySriLanka } = require('../utils/dateUtils');
+
+/**
+ * Record a counter sale
+ * Every phone must be Available, otherwise nothing is sold
+ * A credit sale over the customer's limit reserves the phones until the owner approves it
+ * @route POST /api/v1/sales-invoices
+ * @access Private (Owner, Clerk)
+ */
+const createSalesInvoice = async (req, res, next) => {
+  try {
+    const { lines, location, payment, saleDate, notes, customer, newCustomer, customerName } =
+      req.body;
+
+    const invoice = await withTransaction(async (session) => {
+      const rejected = [];
+      const requested = new Set();
+      const phones = [];
+
+      for (const { imei } of lines) {
+        // Either IMEI of a dual-SIM handset resolves to the same phone
+        const phone = await Phone.findByIMEI(imei).session(session);
+        const key = phone ? phone.imei : imei;
+
+        if (requested.has(key)) {
+          rejected.push({ imei, reason: 'Duplicate IMEI in request' });
+          continue;
+        }
+        requested.add(key);
+
+        if (!phone) {
+          rejected.push({ imei, reason: 'Phone not found in inventory' });
+          continue;
+        }
+
+        if (phone.status !== 'Available') {
+          rejected.push({ imei, reason: `Phone cannot be sold. Current status: ${phone.status}` });
+          continue;
+        }
+
+        if (phone.supplierReturn) {
+          rejected.push({ imei, reason: 'Phone is on a supplier return' });
+          continue;
+        }
+
+        phones.push(phone);
+      }
+
+      if (rejected.length > 0) {
+        throw new ApiError(
+          400,
+          `${rejected.length} of ${lines.length} phone(s) cannot be sold. No phones were sold.`,
+          rejected
+        );
+      }
+
+      const saleLocation = location
+        ? await InventoryService.resolveLocation(location, { session })
+        : null;
+
+      const invoice = await SalesService.createInvoice(
+        {
+          phones,
+          lines,
+          channel: 'Counter',
+          location: saleLocation?._id || phones[0].location,
+          buyer: { customer, newCustomer, customerName },
+          payment,
+          saleDate,
+          notes,
+        },
+        { session, actor: req.user._id }
+      );
+
+      await StockMovementService.record(
+        SalesService.saleEntries(invoice, phones, {
+          previousStatuses: phones.map(() => 'Available'),
+          source: StockMovementService.source('Sale', invoice),
+          actor: req.user._id,
+        }),
+        { session }
+      );
+
+      return invoice;
+    });
+
+    const pending = invoice.status === 'Pending Approval';
+
+    logger.info(
+      `Sales invoice ${invoice.invoiceNumber} recorded by ${req.user.email}: ${invoice.lines.length} phone(s), Rs. ${invoice.total}` +
+        (pending ? ' (awaiting credit approval)' : '')
+    );
+
+    if (pending) {
+      await telegramService.sendCreditApprovalRequest(invoice);
+    }
+
+    res.status(pending ? 202 : 201).json({
+      success: true,
+      message: pending
+        ? 'Credit limit exceeded. The phones are reserved until the owner approves the sale.'
+        : 'Sale recorded successfully',
+      data: { salesInvoice: invoice.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all sales invoices with filters
+ * @route GET /api/v1/sales-invoices
+ * @access Private (Owner, Clerk)
+ */
+const getAllSalesInvoices = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      customer,
+      status,
+      channel,
+      imei,
+      paymentMethod,
+      startDate,
+      endDate,
+      search,
+    } = req.query;
+
+    const filter = {};
+
+    if (customer) filter.customer = customer;
+    if (status) filter.status = status;
+    if (channel) filter.channel = channel;
+    if (imei) filter['lines.imei'] = imei;
+    if (paymentMethod) filter['payment.method'] = paymentMethod;
+
+    if (startDate || endDate) {
+      filter.saleDate = {};
+      if (startDate) filter.saleDate.$gte = getStartOfDaySriLanka(new Date(startDate));
+      if (endDate) filter.saleDate.$lte = getEndOfDaySriLanka(new Date(endDate));
+    }
+
+    if (search) {
+      filter.$or = [
+        { invoiceNumber: { $regex: search, $options: 'i' } },
+        { customerName: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const invoices = await SalesInvoice.find(filter)
+      .limit(parseInt(limit))
+      .skip(skip)
+      .sort({ saleDate: -1 });
+
+    const total = await SalesInvoice.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        salesInvoices: invoices.map((invoice) => invoice.getSummary()),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalSalesInvoices: total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get sales invoice by ID
+ * @route GET /api/v1/sales-invoices/:id
+ * @access Private (Owner, Clerk)
+ */
+const getSalesInvoiceById = async (req, res, next) => {
+  try {
+    const invoice = await SalesInvoice.findById(req.params.id)
+      .populate('customer', 'name type shopName nic phone email address')
+      .populate('location', 'name code type')
+      .populate('assignment', 'assignmentNumber dsr')
+      .populate('lines.product', 'brand model specifications')
+      .populate('soldBy', 'firstName lastName email')
+      .populate('approvedBy', 'firstName lastName email')
+      .populate('rejectedBy', 'firstName lastName email');
+
+    if (!invoice) {
+      return next(new ApiError(404, 'Sales invoice not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { salesInvoice: invoice },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a credit sale over the customer's limit
+ * @route PATCH /api/v1/sales-invoices/:id/approve
+ * @access Private (Owner only)
+ */
+const approveSalesInvoice = async (req, res, next) => {
+  try {
+    const invoice = await withTransaction(async (session) => {
+      const invoice = await SalesInvoice.findById(req.params.id).session(session);
+
+      if (!invoice) {
+        throw new ApiError(404, 'Sales invoice not found');
+      }
+
+      return SalesService.approveCredit(invoice, {
+        session,
+        actor: req.user._id,
+        reason: req.body.reason,
+      });
+    });
+
+    logger.info(
+      `Credit sale ${invoice.invoiceNumber} approved by ${req.user.email}: Rs. ${invoice.total} to ${invoice.customerName}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Credit sale approved. The phones are now sold.',
+      data: { salesInvoice: invoice.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a credit sale over the customer's limit
+ * @route PATCH /api/v1/sales-invoices/:id/reject
+ * @access Private (Owner only)
+ */
+const rejectSalesInvoice = async (req, res, next) => {
+  try {
+    const invoice = await withTransaction(async (session) => {
+      const invoice = await SalesInvoice.findById(req.params.id).session(session);
+
+      if (!invoice) {
+        throw new ApiError(404, 'Sales invoice not found');
+      }
+
+      return SalesService.rejectCredit(invoice, {
+        session,
+        actor: req.user._id,
+        reason: req.body.reason,
+      });
+    });
+
+    logger.info(
+      `Credit sale ${invoice.invoiceNumber} rejected by ${req.user.email}: ${req.body.reason}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Credit sale rejected. The phones have been released.',
+      data: { salesInvoice: invoice.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createSalesInvoice,
+  getAllSalesInvoices,
+  getSalesInvoiceById,
+  approveSalesInvoice,
+  rejectSalesInvoice,
+};
@@ -0,0 +1,550 @@
+const ExcelJS = require('exceljs');
+const StockTake = require('../models/StockTake');
+const Location = require('../models/Location');
+const Phone = require('../models/Phone');
+const Product = require('../models/Product');
+const StockTakeService = require('../services/stockTakeService');
+const StockMovementService = require('../services/stockMovementService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+
+/**
+ * Generate stock take session number
+ */
+const generateSessionNumber = () => {
+  const date = new Date();
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const random = Math.floor(Math.random() * 10000)
+    .toString()
+    .padStart(4, '0');
+  return `STK-${year}${month}${day}-${random}`;
+};
+
+/**
+ * Helper: Load a stock take and check its status
+ */
+const loadStockTake = async (id, expectedStatus, session) => {
+  const stockTake = await StockTake.findById(id).session(session || null);
+
+  if (!stockTake) {
+    throw new ApiError(404, 'Stock take not found');
+  }
+
+  if (expectedStatus && stockTake.status !== expectedStatus) {
+    throw new ApiError(
+      400,
+      `Stock take is ${stockTake.status}. Only ${expectedStatus} stock takes can be processed.`
+    );
+  }
+
+  return stockTake;
+};
+
+/**
+ * Open stock take session
+ * Snapshots the phones expected on the shelf for the location/brand
+ * @route POST /api/v1/stock-takes
+ * @access Private (Owner, Clerk)
+ */
+const openStockTake = async (req, res, next) => {
+  try {
+    const { location, brand, notes } = req.body;
+
+    if (location) {
+      const exists = await Location.exists({ _id: location, isActive: true });
+      if (!exists) {
+        return next(new ApiError(400, 'Location not found or inactive'));
+      }
+    }
+
+    const scope = { location, brand };
+
+    // One open count per scope at a time
+    const openSession = await StockTake.findOne({
+      status: 'Open',
+      'scope.location': location || null,
+      'scope.brand': brand ? brand.toUpperCase() : null,
+    });
+
+    if (openSession) {
+      return next(
+        new ApiError(400, `Stock take ${openSession.sessionNumber} is already open for this scope`)
+      );
+    }
+
+    const expected = await StockTakeService.getExpectedPhones(scope);
+
+    const stockTake = await StockTake.create({
+      sessionNumber: generateSessionNumber(),
+      scope,
+      expected,
+      notes,
+      openedBy: req.user._id,
+    });
+
+    logger.info(
+      `Stock take ${stockTake.sessionNumber} opened by ${req.user.email} (${expected.length} phones expected)`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock take opened successfully',
+      data: { stockTake: stockTake.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all stock takes
+ * @route GET /api/v1/stock-takes
+ * @access Private (Owner, Clerk)
+ */
+const getAllStockTakes = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, location } = req.query;
+
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (location) filter['scope.location'] = location;
+
+    const skip = (page - 1) * limit;
+
+    const stockTakes = await StockTake.find(filter)
+      .select('-expected -scans')
+      .populate('scope.location', 'name code type')
+      .limit(parseInt(limit))
+      .skip(skip)
+      .sort({ createdAt: -1 });
+
+    const total = await StockTake.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stockTakes: stockTakes.map((stockTake) => ({
+          id: stockTake._id,
+          sessionNumber: stockTake.sessionNumber,
+          scope: stockTake.scope,
+          status: stockTake.status,
+          createdAt: stockTake.createdAt,
+          closedAt: stockTake.closedAt,
+          approvedAt: stockTake.approvedAt,
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalStockTakes: total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get stock take by ID (with variance report once closed)
+ * @route GET /api/v1/stock-takes/:id
+ * @access Private (Owner, Clerk)
+ */
+const getStockTakeById = async (req, res, next) => {
+  try {
+    const stockTake = await StockTake.findById(req.params.id)
+      .populate('scope.location', 'name code type')
+      .populate('variance.missing.product', 'brand model specifications')
+      .populate('variance.wrongStatus.product', 'brand model specifications')
+      .populate('openedBy', 'firstName lastName email')
+      .populate('closedBy', 'firstName lastName email')
+      .populate('approvedBy', 'firstName lastName email');
+
+    if (!stockTake) {
+      return next(new ApiError(404, 'Stock take not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stockTake: {
+          ...stockTake.getSummary(),
+          notes: stockTake.notes,
+          variance: stockTake.status === 'Open' ? undefined : stockTake.variance,
+          adjustments: stockTake.adjustments,
+          openedBy: stockTake.openedBy,
+          closedBy: stockTake.closedBy,
+          approvedBy: stockTake.approvedBy,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Post a batch of scanned IMEIs
+ * Either IMEI of a dual-SIM phone counts the same handset once
+ * @route POST /api/v1/stock-takes/:id/scans
+ * @access Private (Owner, Clerk)
+ */
+const addScans = async (req, res, next) => {
+  try {
+    const { imeis } = req.body;
+
+    const { stockTake, accepted, duplicates } = await withTransaction(async (session) => {
+      const stockTake = await loadStockTake(req.params.id, 'Open', session);
+
+      const counted = new Set(
+        stockTake.scans.map((scan) => (scan.phone ? scan.phone.toString() : scan.imei))
+      );
+      const accepted = [];
+      const duplicates = [];
+
+      for (const imei of imeis) {
+        const phone = await Phone.findByIMEI(imei).select('_id').session(session);
+        const key = phone ? phone._id.toString() : imei;
+
+        if (counted.has(key)) {
+          duplicates.push(imei);
+          continue;
+        }
+        counted.add(key);
+
+        stockTake.scans.push({
+          imei,
+          phone: phone ? phone._id : undefined,
+          scannedBy: req.user._id,
+        });
+        accepted.push(imei);
+      }
+
+      await stockTake.save({ session });
+      return { stockTake, accepted, duplicates };
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${accepted.length} IMEI(s) counted`,
+      data: {
+        accepted: accepted.length,
+        duplicates: duplicates.length > 0 ? duplicates : undefined,
+        totalScanned: stockTake.totalScanned,
+        totalExpected: stockTake.totalExpected,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Close stock take and compute the variance report
+ * @route PATCH /api/v1/stock-takes/:id/close
+ * @access Private (Owner, Clerk)
+ */
+const closeStockTake = async (req, res, next) => {
+  try {
+    const stockTake = await loadStockTake(req.params.id, 'Open');
+
+    stockTake.variance = await StockTakeService.computeVariance(stockTake);
+    stockTake.status = 'Closed';
+    stockTake.closedAt = new Date();
+    stockTake.closedBy = req.user._id;
+    await stockTake.save();
+
+    logger.info(`Stock take ${stockTake.sessionNumber} closed by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock take closed successfully',
+      data: {
+        stockTake: stockTake.getSummary(),
+        variance: stockTake.variance,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve stock take and post adjustments
+ * Each adjustment must be for a missing or wrong-status phone in the report
+ * @route PATCH /api/v1/stock-takes/:id/approve
+ * @access Private (Owner only)
+ */
+const approveStockTake = async (req, res, next) => {
+  try {
+    const { adjustments = [] } = req.body;
+
+    const stockTake = await withTransaction(async (session) => {
+      const stockTake = await loadStockTake(req.params.id, 'Closed', session);
+
+      const varianceItems = new Map(
+        [...stockTake.variance.missing, ...stockTake.variance.wrongStatus].map((item) => [
+          item.imei,
+          item,
+        ])
+      );
+
+      const rejected = [];
+      const posted = [];
+
+      for (const adjustment of adjustments) {
+        const phone = await Phone.findByIMEI(adjustment.imei).session(session);
+        const item = phone && varianceItems.get(phone.imei);
+
+        if (!item) {
+          rejected.push({ imei: adjustment.imei, reason: 'IMEI is not in the variance report' });
+          continue;
+        }
+
+        // Assignments and transfers have their own return flows
+        if (phone.status === 'Assigned' || phone.status === 'Transit') {
+          rejected.push({
+            imei: adjustment.imei,
+            reason: `Phone is ${phone.status}. Close its assignment or transfer instead.`,
+          });
+          continue;
+        }
+
+        // A reserved phone is held by a credit sale awaiting approval
+        if (phone.status === 'Reserved') {
+          rejected.push({
+            imei: adjustment.imei,
+            reason: 'Phone is Reserved for a credit sale. Resolve the credit approval first.',
+          });
+          continue;
+        }
+
+        // A phone sold on an invoice is still the customer's until the sale is returned
+        if (phone.status === 'Sold' && phone.salesInvoice) {
+          rejected.push({
+            imei: adjustment.imei,
+            reason: 'Phone is sold on a sales invoice. Record a sales return against the invoice instead.',
+          });
+          continue;
+        }
+
+        posted.push({ phone, adjustment });
+      }
+
+      if (rejected.length > 0) {
+        throw new ApiError(
+          400,
+          `${rejected.length} adjustment(s) cannot be posted. No adjustments were posted.`,
+          rejected
+        );
+      }
+
+      const movements = [];
+
+      for (const { phone, adjustment } of posted) {
+        const fromStatus = phone.status;
+
+        phone.status = adjustment.toStatus;
+        if (fromStatus === 'Sold') {
+          phone.soldDate = undefined;
+          phone.soldTo = undefined;
+          phone.customer = undefined;
+          phone.customerWarranty = undefined;
+        }
+        // A phone found on this shelf now lives here
+        if (stockTake.scope.location && adjustment.toStatus === 'Available') {
+          phone.location = stockTake.scope.location;
+        }
+        phone.updatedBy = req.user._id;
+        await phone.save({ session });
+
+        stockTake.adjustments.push({
+          phone: phone._id,
+          imei: phone.imei,
+          fromStatus,
+          toStatus: adjustment.toStatus,
+          reason: adjustment.reason,
+        });
+
+        movements.push(
+          StockMovementService.entry(phone, {
+            action: 'Adjusted',
+            fromStatus,
+            toStatus: adjustment.toStatus,
+            source: StockMovementService.source('StockTake', stockTake),
+            notes: adjustment.reason,
+            actor: req.user._id,
+          })
+        );
+      }
+
+      await StockMovementService.record(movements, { session });
+
+      stockTake.status = 'Approved';
+      stockTake.approvedAt = new Date();
+      stockTake.approvedBy = req.user._id;
+      await stockTake.save({ session });
+
+      return stockTake;
+    });
+
+    logger.info(
+      `Stock take ${stockTake.sessionNumber} approved by ${req.user.email} with ${stockTake.adjustments.length} adjustments`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock take approved successfully',
+      data: { stockTake: stockTake.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel open stock take
+ * @route PATCH /api/v1/stock-takes/:id/cancel
+ * @access Private (Owner, Clerk)
+ */
+const cancelStockTake = async (req, res, next) => {
+  try {
+    const stockTake = await loadStockTake(req.params.id, 'Open');
+
+    stockTake.status = 'Cancelled';
+    await stockTake.save();
+
+    logger.info(`Stock take ${stockTake.sessionNumber} cancelled by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock take cancelled successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export variance report to Excel
+ * @route GET /api/v1/stock-takes/:id/export/excel
+ * @access Private (Owner, Clerk)
+ */
+const exportVarianceReport = async (req, res, next) => {
+  try {
+    const stockTake = await loadStockTake(req.params.id);
+
+    if (stockTake.status === 'Open' || stockTake.status === 'Cancelled') {
+      return next(new ApiError(400, 'Close the stock take to get its variance report'));
+    }
+
+    const { missing, notInSystem, wrongStatus } = stockTake.variance;
+
+    const productIds = [...missing, ...wrongStatus].map((item) => item.product);
+    const products = await Product.find({ _id: { $in: productIds } });
+    const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+
+    // Create workbook
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Variance');
+
+    // Define columns
+    worksheet.columns = [
+      { header: 'Variance', key: 'type', width: 22 },
+      { header: 'IMEI', key: 'imei', width: 20 },
+      { header: 'Brand', key: 'brand', width: 15 },
+      { header: 'Model', key: 'model', width: 25 },
+      { header: 'Storage', key: 'storage', width: 10 },
+      { header: 'Color', key: 'color', width: 15 },
+      { header: 'System Status', key: 'status', width: 15 },
+      { header: 'Reason', key: 'reason', width: 40 },
+      { header: 'Adjusted To', key: 'adjustedTo', width: 15 },
+    ];
+
+    // Style header row
+    worksheet.getRow(1).fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FF4472C4' },
+    };
+    worksheet.getRow(1).font = { color: { argb: 'FFFFFFFF' }, bold: true };
+
+    const adjustedTo = new Map(
+      stockTake.adjustments.map((adjustment) => [adjustment.imei, adjustment.toStatus])
+    );
+
+    const addRows = (type, items) => {
+      items.forEach((item) => {
+        const product = item.product && productsById.get(item.product.toString());
+
+        worksheet.addRow({
+          type,
+          imei: item.imei,
+          brand: product ? product.brand : '',
+          model: product ? product.model : '',
+          storage: product ? product.specifications.storage : '',
+          color: product ? product.specifications.color : '',
+          status: item.status || '',
+          reason: item.reason || '',
+          adjustedTo: adjustedTo.get(item.imei) || '',
+        });
+      });
+    };
+
+    addRows('Missing', missing);
+    addRows('Not in system', notInSystem);
+    addRows('Wrong status', wrongStatus);
+
+    // Add borders
+    worksheet.eachRow((row) => {
+      row.eachCell((cell) => {
+        cell.border = {
+          top: { style: 'thin' },
+          left: { style: 'thin' },
+          bottom: { style: 'thin' },
+          right: { style: 'thin' },
+        };
+      });
+    });
+
+    // Add summary
+    worksheet.addRow({});
+    worksheet.addRow({ type: 'Session', imei: stockTake.sessionNumber }).font = { bold: true };
+    worksheet.addRow({ type: 'Expected', imei: stockTake.totalExpected });
+    worksheet.addRow({ type: 'Scanned', imei: stockTake.totalScanned });
+
+    // Generate filename
+    const filename = `stock_take_${stockTake.sessionNumber}.xlsx`;
+
+    // Set response headers
+    res.setHeader(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+    // Write to response
+    await workbook.xlsx.write(res);
+
+    logger.info(`Stock take ${stockTake.sessionNumber} variance exported by ${req.user.email}`);
+
+    res.end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  openStockTake,
+  getAllStockTakes,
+  getStockTakeById,
+  addScans,
+  closeStockTake,
+  approveStockTake,
+  cancelStockTake,
+  exportVarianceReport,
+};
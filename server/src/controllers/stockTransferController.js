@@ -0,0 +1,410 @@
+const StockTransfer = require('../models/StockTransfer');
+const Location = require('../models/Location');
+const Phone = require('../models/Phone');
+const StockMovementService = require('../services/stockMovementService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+
+/**
+ * Generate transfer number
+ */
+const generateTransferNumber = () => {
+  const date = new Date();
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const random = Math.floor(Math.random() * 10000)
+    .toString()
+    .padStart(4, '0');
+  return `TRF-${year}${month}${day}-${random}`;
+};
+
+/**
+ * Helper: Load a transfer inside a transaction and check its status
+ */
+const loadTransfer = async (id, expectedStatus, session) => {
+  const transfer = await StockTransfer.findById(id).session(session);
+
+  if (!transfer) {
+    throw new ApiError(404, 'Stock transfer not found');
+  }
+
+  if (transfer.status !== expectedStatus) {
+    throw new ApiError(
+      400,
+      `Transfer is ${transfer.status}. Only ${expectedStatus} transfers can be processed.`
+    );
+  }
+
+  return transfer;
+};
+
+/**
+ * Create stock transfer (Draft)
+ * Phones stay Available at the source until the transfer is dispatched
+ * @route POST /api/v1/stock-transfers
+ * @access Private (Owner, Clerk)
+ */
+const createTransfer = async (req, res, next) => {
+  try {
+    const { fromLocation, toLocation, imeis, notes } = req.body;
+
+    if (fromLocation === toLocation) {
+      return next(new ApiError(400, 'Source and destination locations must be different'));
+    }
+
+    const transfer = await withTransaction(async (session) => {
+      const locations = await Location.find({
+        _id: { $in: [fromLocation, toLocation] },
+        isActive: true,
+      }).session(session);
+
+      if (locations.length !== 2) {
+        throw new ApiError(400, 'Source or destination location not found or inactive');
+      }
+
+      // Validate every phone before creating the transfer
+      const requested = new Set();
+      const rejected = [];
+      const items = [];
+
+      for (const imei of imeis) {
+        const phone = await Phone.findByIMEI(imei).session(session);
+        const key = phone ? phone.imei : imei;
+
+        if (requested.has(key)) {
+          rejected.push({ imei, reason: 'Duplicate IMEI in request' });
+          continue;
+        }
+        requested.add(key);
+
+        if (!phone) {
+          rejected.push({ imei, reason: 'Phone not found in inventory' });
+          continue;
+        }
+
+        if (phone.status !== 'Available') {
+          rejected.push({ imei, reason: `Phone is not available. Current status: ${phone.status}` });
+          continue;
+        }
+
+        if (phone.supplierReturn) {
+          rejected.push({ imei, reason: 'Phone is on a supplier return' });
+          continue;
+        }
+
+        if (!phone.location || phone.location.toString() !== fromLocation) {
+          rejected.push({ imei, reason: 'Phone is not held at the source location' });
+          continue;
+        }
+
+        const openTransfer = await StockTransfer.exists({
+          'phones.phone': phone._id,
+          status: { $in: ['Draft', 'In Transit'] },
+        }).session(session);
+
+        if (openTransfer) {
+          rejected.push({ imei, reason: 'Phone is already on another open transfer' });
+          continue;
+        }
+
+        items.push({ phone: phone._id, imei: phone.imei, product: phone.product });
+      }
+
+      if (rejected.length > 0) {
+        throw new ApiError(
+          400,
+          `${rejected.length} of ${imeis.length} phone(s) cannot be transferred. Transfer was not created.`,
+          rejected
+        );
+      }
+
+      const [transfer] = await StockTransfer.create([{
+        transferNumber: generateTransferNumber(),
+        fromLocation,
+        toLocation,
+        phones: items,
+        notes,
+        createdBy: req.user._id,
+      }], { session });
+
+      return transfer;
+    });
+
+    logger.info(
+      `Stock transfer ${transfer.transferNumber} created by ${req.user.email} with ${transfer.phones.length} phones`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock transfer created successfully',
+      data: { transfer: transfer.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all stock transfers
+ * @route GET /api/v1/stock-transfers
+ * @access Private (Owner, Clerk)
+ */
+const getAllTransfers = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, location, imei } = req.query;
+
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (location) filter.$or = [{ fromLocation: location }, { toLocation: location }];
+    if (imei) filter['phones.imei'] = imei;
+
+    const skip = (page - 1) * limit;
+
+    const transfers = await StockTransfer.find(filter)
+      .populate('fromLocation', 'name code type')
+      .populate('toLocation', 'name code type')
+      .limit(parseInt(limit))
+      .skip(skip)
+      .sort({ createdAt: -1 });
+
+    const total = await StockTransfer.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        transfers: transfers.map((transfer) => transfer.getSummary()),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalTransfers: total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get stock transfer by ID
+ * @route GET /api/v1/stock-transfers/:id
+ * @access Private (Owner, Clerk)
+ */
+const getTransferById = async (req, res, next) => {
+  try {
+    const transfer = await StockTransfer.findById(req.params.id)
+      .populate('fromLocation', 'name code type')
+      .populate('toLocation', 'name code type')
+      .populate('phones.product', 'brand model specifications')
+      .populate('createdBy', 'firstName lastName email')
+      .populate('dispatchedBy', 'firstName lastName email')
+      .populate('receivedBy', 'firstName lastName email');
+
+    if (!transfer) {
+      return next(new ApiError(404, 'Stock transfer not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { transfer },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Dispatch stock transfer
+ * Moves every phone to Transit in a single transaction
+ * @route PATCH /api/v1/stock-transfers/:id/dispatch
+ * @access Private (Owner, Clerk)
+ */
+const dispatchTransfer = async (req, res, next) => {
+  try {
+    const transfer = await withTransaction(async (session) => {
+      const transfer = await loadTransfer(req.params.id, 'Draft', session);
+
+      const phones = await Phone.find({
+        _id: { $in: transfer.phones.map((item) => item.phone) },
+      }).session(session);
+
+      // Stock may have moved since the transfer was drafted
+      const rejected = transfer.phones
+        .map((item) => {
+          const phone = phones.find((p) => p._id.equals(item.phone));
+
+          if (!phone) return { imei: item.imei, reason: 'Phone no longer in inventory' };
+          if (phone.status !== 'Available') {
+            return { imei: item.imei, reason: `Phone is not available. Current status: ${phone.status}` };
+          }
+          if (phone.supplierReturn) {
+            return { imei: item.imei, reason: 'Phone is on a supplier return' };
+          }
+          if (!phone.location || !phone.location.equals(transfer.fromLocation)) {
+            return { imei: item.imei, reason: 'Phone is no longer at the source location' };
+          }
+          return null;
+        })
+        .filter(Boolean);
+
+      if (rejected.length > 0) {
+        throw new ApiError(
+          400,
+          `${rejected.length} phone(s) cannot be dispatched. Transfer was not dispatched.`,
+          rejected
+        );
+      }
+
+      for (const phone of phones) {
+        phone.status = 'Transit';
+        phone.updatedBy = req.user._id;
+        await phone.save({ session });
+      }
+
+      transfer.status = 'In Transit';
+      transfer.dispatchedAt = new Date();
+      transfer.dispatchedBy = req.user._id;
+      await transfer.save({ session });
+
+      await StockMovementService.record(
+        phones.map((phone) =>
+          StockMovementService.entry(phone, {
+            action: 'TransferOut',
+            fromStatus: 'Available',
+            toStatus: 'Transit',
+            source: StockMovementService.source('Transfer', transfer),
+            actor: req.user._id,
+          })
+        ),
+        { session }
+      );
+
+      return transfer;
+    });
+
+    logger.info(`Stock transfer ${transfer.transferNumber} dispatched by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock transfer dispatched successfully',
+      data: { transfer: transfer.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive stock transfer
+ * Makes every phone Available at the destination location
+ * @route PATCH /api/v1/stock-transfers/:id/receive
+ * @access Private (Owner, Clerk)
+ */
+const receiveTransfer = async (req, res, next) => {
+  try {
+    const { receiptNotes } = req.body;
+
+    const transfer = await withTransaction(async (session) => {
+      const transfer = await loadTransfer(req.params.id, 'In Transit', session);
+
+      const phones = await Phone.find({
+        _id: { $in: transfer.phones.map((item) => item.phone) },
+        status: 'Transit',
+      }).session(session);
+
+      if (phones.length !== transfer.phones.length) {
+        throw new ApiError(
+          409,
+          'Some phones on this transfer are no longer in transit. Please check the transfer.'
+        );
+      }
+
+      for (const phone of phones) {
+        phone.status = 'Available';
+        phone.location = transfer.toLocation;
+        phone.updatedBy = req.user._id;
+        await phone.save({ session });
+      }
+
+      transfer.status = 'Received';
+      transfer.receivedAt = new Date();
+      transfer.receivedBy = req.user._id;
+      transfer.receiptNotes = receiptNotes;
+      await transfer.save({ session });
+
+      await StockMovementService.record(
+        phones.map((phone) =>
+          StockMovementService.entry(phone, {
+            action: 'TransferIn',
+            fromStatus: 'Transit',
+            toStatus: 'Available',
+            source: StockMovementService.source('Transfer', transfer),
+            notes: receiptNotes,
+            actor: req.user._id,
+          })
+        ),
+        { session }
+      );
+
+      return transfer;
+    });
+
+    logger.info(`Stock transfer ${transfer.transferNumber} received by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock transfer received successfully',
+      data: { transfer: transfer.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel stock transfer (Draft only)
+ * @route PATCH /api/v1/stock-transfers/:id/cancel
+ * @access Private (Owner, Clerk)
+ */
+const cancelTransfer = async (req, res, next) => {
+  try {
+    const transfer = await StockTransfer.findById(req.params.id);
+
+    if (!transfer) {
+      return next(new ApiError(404, 'Stock transfer not found'));
+    }
+
+    if (transfer.status !== 'Draft') {
+      return next(
+        new ApiError(400, `Cannot cancel ${transfer.status} transfer. Only Draft transfers can be cancelled.`)
+      );
+    }
+
+    transfer.status = 'Cancelled';
+    transfer.cancelledAt = new Date();
+    transfer.cancelledBy = req.user._id;
+    await transfer.save();
+
+    logger.info(`Stock transfer ${transfer.transferNumber} cancelled by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock transfer cancelled successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createTransfer,
+  getAllTransfers,
+  getTransferById,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer,
+};
@@ -0,0 +1,251 @@
+const Supplier = require('../models/Supplier');
+const SupplierService = require('../services/supplierService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Helper: Reject a name that matches another supplier
+ */
+const checkDuplicateName = async (name, excludeId) => {
+  const existing = await Supplier.findByName(name);
+
+  if (existing && !existing._id.equals(excludeId)) {
+    throw new ApiError(400, `Supplier already exists as "${existing.name}"`);
+  }
+};
+
+/**
+ * Create supplier
+ * @route POST /api/v1/suppliers
+ * @access Private (Owner only)
+ */
+const createSupplier = async (req, res, next) => {
+  try {
+    await checkDuplicateName(req.body.name);
+
+    const supplier = await Supplier.create({
+      ...req.body,
+      createdBy: req.user._id,
+    });
+
+    logger.info(`Supplier created by ${req.user.email}: ${supplier.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      data: { supplier: supplier.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all suppliers
+ * @route GET /api/v1/suppliers
+ * @access Private (Owner, Clerk)
+ */
+const getAllSuppliers = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, search, isActive } = req.query;
+
+    const filter = {};
+
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { contactPerson: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const suppliers = await Supplier.find(filter)
+      .limit(parseInt(limit))
+      .skip(skip)
+      .sort({ name: 1 });
+
+    const total = await Supplier.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        suppliers: suppliers.map((supplier) => supplier.getSummary()),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalSuppliers: total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get supplier by ID
+ * @route GET /api/v1/suppliers/:id
+ * @access Private (Owner, Clerk)
+ */
+const getSupplierById = async (req, res, next) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName email')
+      .populate('updatedBy', 'firstName lastName email');
+
+    if (!supplier) {
+      return next(new ApiError(404, 'Supplier not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        supplier: {
+          ...supplier.getSummary(),
+          notes: supplier.notes,
+          createdBy: supplier.createdBy,
+          updatedBy: supplier.updatedBy,
+          createdAt: supplier.createdAt,
+          updatedAt: supplier.updatedAt,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update supplier
+ * @route PUT /api/v1/suppliers/:id
+ * @access Private (Owner only)
+ */
+const updateSupplier = async (req, res, next) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return next(new ApiError(404, 'Supplier not found'));
+    }
+
+    if (req.body.name) {
+      await checkDuplicateName(req.body.name, supplier._id);
+    }
+
+    supplier.set({ ...req.body, updatedBy: req.user._id });
+    await supplier.save();
+
+    logger.info(`Supplier updated by ${req.user.email}: ${supplier.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier updated successfully',
+      data: { supplier: supplier.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate supplier
+ * Suppliers with invoices are kept for their history
+ * @route DELETE /api/v1/suppliers/:id
+ * @access Private (Owner only)
+ */
+const deleteSupplier = async (req, res, next) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return next(new ApiError(404, 'Supplier not found'));
+    }
+
+    supplier.isActive = false;
+    supplier.updatedBy = req.user._id;
+    await supplier.save();
+
+    logger.info(`Supplier ${supplier.name} deactivated by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier deactivated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get supplier statement
+ * Invoices, payments, outstanding balance and phones bought/returned
+ * @route GET /api/v1/suppliers/:id/statement
+ * @access Private (Owner only)
+ */
+const getSupplierStatement = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return next(new ApiError(404, 'Supplier not found'));
+    }
+
+    const statement = await SupplierService.getStatement(supplier, { startDate, endDate });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        supplier: supplier.getSummary(),
+        period: { startDate, endDate },
+        ...statement,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get accounts-payable aging
+ * What we owe per supplier in Current/30/60/90-day buckets past due
+ * @route GET /api/v1/suppliers/payables/aging
+ * @access Private (Owner only)
+ */
+const getPayablesAging = async (req, res, next) => {
+  try {
+    const { buckets, suppliers } = await SupplierService.getPayablesAging();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        summary: {
+          totalSuppliers: suppliers.length,
+          totalOutstanding: suppliers.reduce((sum, item) => sum + item.totalOutstanding, 0),
+          totalOverdue: buckets
+            .filter((item) => item.bucket !== 'Current')
+            .reduce((sum, item) => sum + item.amount, 0),
+        },
+        buckets,
+        suppliers,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createSupplier,
+  getAllSuppliers,
+  getSupplierById,
+  updateSupplier,
+  deleteSupplier,
+  getSupplierStatement,
+  getPayablesAging,
+};
@@ -0,0 +1,148 @@
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Helper: Format an invoice's payment position
+ */
+const getPaymentPosition = (invoice) => ({
+  invoiceNumber: invoice.invoiceNumber,
+  currency: invoice.financials.currency, // Payments are in the invoice currency
+  totalCost: invoice.financials.totalCost,
+  amendedCost: invoice.financials.amendedCost || 0,
+  effectiveTotalCost: invoice.effectiveTotalCost,
+  paidAmount: invoice.payment.paidAmount,
+  pendingAmount: invoice.payment.pendingAmount,
+  status: invoice.payment.status,
+  dueDate: invoice.payment.dueDate,
+});
+
+/**
+ * Get payments of a purchase invoice
+ * @route GET /api/v1/inventory/invoices/:id/payments
+ * @access Private (Owner only)
+ */
+const getInvoicePayments = async (req, res, next) => {
+  try {
+    const invoice = await PurchaseInvoice.findById(req.params.id)
+      .select('invoiceNumber financials payment payments')
+      .populate('payments.recordedBy', 'firstName lastName email')
+      .populate('payments.voidedBy', 'firstName lastName email');
+
+    if (!invoice) {
+      return next(new ApiError(404, 'Invoice not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payment: getPaymentPosition(invoice),
+        payments: invoice.payments,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a payment (installment) against a purchase invoice
+ * @route POST /api/v1/inventory/invoices/:id/payments
+ * @access Private (Owner only)
+ */
+const recordPayment = async (req, res, next) => {
+  try {
+    const invoice = await PurchaseInvoice.findById(req.params.id);
+
+    if (!invoice) {
+      return next(new ApiError(404, 'Invoice not found'));
+    }
+
+    if (invoice.invoiceStatus === 'Cancelled') {
+      return next(new ApiError(400, 'Cannot record a payment on a cancelled invoice'));
+    }
+
+    if (req.body.amount > invoice.payment.pendingAmount) {
+      return next(
+        new ApiError(
+          400,
+          `Payment exceeds the pending amount of ${invoice.formatCurrency(invoice.payment.pendingAmount)}`
+        )
+      );
+    }
+
+    invoice.payments.push({
+      ...req.body,
+      recordedBy: req.user._id,
+    });
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+
+    const payment = invoice.payments[invoice.payments.length - 1];
+
+    logger.info(
+      `Payment of ${payment.amount} recorded on invoice ${invoice.invoiceNumber} by ${req.user.email}`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: {
+        payment,
+        invoice: getPaymentPosition(invoice),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Void a payment (e.g. a bounced cheque)
+ * The payment stays on the invoice but no longer counts as paid
+ * @route PATCH /api/v1/inventory/invoices/:id/payments/:paymentId/void
+ * @access Private (Owner only)
+ */
+const voidPayment = async (req, res, next) => {
+  try {
+    const invoice = await PurchaseInvoice.findById(req.params.id);
+
+    if (!invoice) {
+      return next(new ApiError(404, 'Invoice not found'));
+    }
+
+    const payment = invoice.payments.id(req.params.paymentId);
+
+    if (!payment) {
+      return next(new ApiError(404, 'Payment not found'));
+    }
+
+    if (payment.voidedAt) {
+      return next(new ApiError(400, 'Payment is already voided'));
+    }
+
+    payment.voidedAt = new Date();
+    payment.voidedBy = req.user._id;
+    payment.voidReason = req.body.reason;
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+
+    logger.info(
+      `Payment ${payment._id} on invoice ${invoice.invoiceNumber} voided by ${req.user.email}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment voided successfully',
+      data: { invoice: getPaymentPosition(invoice) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getInvoicePayments,
+  recordPayment,
+  voidPayment,
+};
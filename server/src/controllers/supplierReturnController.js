@@ -0,0 +1,492 @@
+const SupplierReturn = require('../models/SupplierReturn');
+const Supplier = require('../models/Supplier');
+const Phone = require('../models/Phone');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const InventoryService = require('../services/inventoryService');
+const StockMovementService = require('../services/stockMovementService');
+const SupplierReturnService = require('../services/supplierReturnService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+
+const { RETURNABLE_STATUSES } = SupplierReturn;
+
+/**
+ * Generate RMA number (RMA-YYYYMMDD-xxxx)
+ */
+const generateRmaNumber = () => {
+  const date = new Date();
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const random = Math.floor(Math.random() * 10000)
+    .toString()
+    .padStart(4, '0');
+  return `RMA-${year}${month}${day}-${random}`;
+};
+
+/**
+ * Open a supplier return (RMA)
+ * Phones must have been bought from the supplier and be Available or Damaged.
+ * They are held back from stock until the return is resolved or cancelled
+ * @route POST /api/v1/supplier-returns
+ * @access Private (Owner, Clerk)
+ */
+const createSupplierReturn = async (req, res, next) => {
+  try {
+    const { supplier, location, items, notes } = req.body;
+
+    const rma = await withTransaction(async (session) => {
+      const supplierExists = await Supplier.exists({ _id: supplier }).session(session);
+      if (!supplierExists) {
+        throw new ApiError(400, 'Supplier not found');
+      }
+
+      const receivingLocation = await InventoryService.resolveLocation(location, { session });
+
+      const rma = new SupplierReturn({
+        rmaNumber: generateRmaNumber(),
+        supplier,
+        location: receivingLocation?._id,
+        notes,
+        createdBy: req.user._id,
+      });
+
+      const rejected = [];
+      const requested = new Set();
+      const phones = [];
+
+      for (const { imei, fault } of items) {
+        // Either IMEI of a dual-SIM handset resolves to the same phone
+        const phone = await Phone.findByIMEI(imei)
+          .populate({ path: 'invoice', select: 'supplierRef', options: { session } })
+          .session(session);
+        const key = phone ? phone.imei : imei;
+
+        if (requested.has(key)) {
+          rejected.push({ imei, reason: 'Duplicate IMEI in request' });
+          continue;
+        }
+        requested.add(key);
+
+        if (!phone) {
+          rejected.push({ imei, reason: 'Phone not found in inventory' });
+          continue;
+        }
+
+        if (!RETURNABLE_STATUSES.includes(phone.status)) {
+          rejected.push({ imei, reason: `Phone cannot be returned. Current status: ${phone.status}` });
+          continue;
+        }
+
+        if (phone.supplierReturn) {
+          rejected.push({ imei, reason: 'Phone is already on a supplier return' });
+          continue;
+        }
+
+        if (!phone.invoice?.supplierRef || !phone.invoice.supplierRef.equals(supplier)) {
+          rejected.push({ imei, reason: 'Phone was not bought from this supplier' });
+          continue;
+        }
+
+        rma.items.push({
+          phone: phone._id,
+          imei: phone.imei,
+          product: phone.product,
+          invoice: phone.invoice._id,
+          costPrice: phone.costPrice,
+          fault,
+        });
+        phones.push(phone);
+      }
+
+      if (rejected.length > 0) {
+        throw new ApiError(
+          400,
+          `${rejected.length} of ${items.length} phone(s) cannot be returned. No phones were added to the return.`,
+          rejected
+        );
+      }
+
+      await rma.save({ session });
+
+      for (const phone of phones) {
+        phone.supplierReturn = rma._id;
+        phone.updatedBy = req.user._id;
+        await phone.save({ session });
+      }
+
+      return rma;
+    });
+
+    logger.info(`Supplier return ${rma.rmaNumber} opened by ${req.user.email} with ${rma.items.length} phones`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier return opened successfully',
+      data: { supplierReturn: rma.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all supplier returns
+ * @route GET /api/v1/supplier-returns
+ * @access Private (Owner, Clerk)
+ */
+const getAllSupplierReturns = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, supplier, imei } = req.query;
+
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (supplier) filter.supplier = supplier;
+    if (imei) filter['items.imei'] = imei;
+
+    const skip = (page - 1) * limit;
+
+    const returns = await SupplierReturn.find(filter)
+      .populate('supplier', 'name')
+      .limit(parseInt(limit))
+      .skip(skip)
+      .sort({ createdAt: -1 });
+
+    const total = await SupplierReturn.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        supplierReturns: returns.map((rma) => rma.getSummary()),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalSupplierReturns: total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get supplier return by ID
+ * @route GET /api/v1/supplier-returns/:id
+ * @access Private (Owner, Clerk)
+ */
+const getSupplierReturnById = async (req, res, next) => {
+  try {
+    const rma = await SupplierReturn.findById(req.params.id)
+      .populate('supplier', 'name contactPerson phone email')
+      .populate('location', 'name code type')
+      .populate('items.product', 'brand model specifications')
+      .populate('items.invoice', 'invoiceNumber invoiceDate')
+      .populate('createdBy', 'firstName lastName email')
+      .populate('dispatch.dispatchedBy', 'firstName lastName email');
+
+    if (!rma) {
+      return next(new ApiError(404, 'Supplier return not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { supplierReturn: rma },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Dispatch a supplier return (Open -> Dispatched)
+ * Every phone leaves stock as Returned
+ * @route PATCH /api/v1/supplier-returns/:id/dispatch
+ * @access Private (Owner only)
+ */
+const dispatchSupplierReturn = async (req, res, next) => {
+  try {
+    const { courier, trackingNumber } = req.body;
+
+    const rma = await withTransaction(async (session) => {
+      const rma = await SupplierReturn.findById(req.params.id).session(session);
+
+      if (!rma) {
+        throw new ApiError(404, 'Supplier return not found');
+      }
+
+      if (rma.status !== 'Open') {
+        throw new ApiError(400, `Supplier return is already ${rma.status}`);
+      }
+
+      const phones = await Phone.find({
+        _id: { $in: rma.items.map((item) => item.phone) },
+      }).session(session);
+
+      const source = StockMovementService.source('RMA', rma);
+      const movements = [];
+
+      for (const phone of phones) {
+        const previousStatus = phone.status;
+        phone.status = 'Returned';
+        phone.updatedBy = req.user._id;
+        await phone.save({ session });
+
+        movements.push(
+          StockMovementService.entry(phone, {
+            action: 'ReturnedToSupplier',
+            fromStatus: previousStatus,
+            toStatus: 'Returned',
+            source,
+            notes: rma.getItem(phone.imei)?.fault,
+            actor: req.user._id,
+          })
+        );
+      }
+
+      await StockMovementService.record(movements, { session });
+
+      rma.status = 'Dispatched';
+      rma.dispatch = {
+        courier,
+        trackingNumber,
+        dispatchedAt: new Date(),
+        dispatchedBy: req.user._id,
+      };
+      rma.updatedBy = req.user._id;
+      await rma.save({ session });
+
+      return rma;
+    });
+
+    logger.info(`Supplier return ${rma.rmaNumber} dispatched by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier return dispatched successfully',
+      data: { supplierReturn: rma.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record the supplier's response to returned phones
+ * Replaced phones add the replacement handset to the original invoice, credited
+ * phones reverse the credit amount, rejected phones come back as Damaged
+ * @route POST /api/v1/supplier-returns/:id/resolutions
+ * @access Private (Owner only)
+ */
+const resolveSupplierReturn = async (req, res, next) => {
+  try {
+    const { creditNoteNumber, items } = req.body;
+
+    const replacements = items
+      .filter((item) => item.outcome === 'Replaced')
+      .map((item) => item.replacement);
+    const duplicates = await InventoryService.findDuplicateIMEIs(replacements);
+    if (duplicates.length > 0) {
+      return next(
+        new ApiError(
+          400,
+          `${duplicates.length} duplicate replacement IMEI(s) found. No phones were resolved.`,
+          duplicates
+        )
+      );
+    }
+
+    const rma = await withTransaction(async (session) => {
+      const rma = await SupplierReturn.findById(req.params.id).session(session);
+
+      if (!rma) {
+        throw new ApiError(404, 'Supplier return not found');
+      }
+
+      if (!['Dispatched', 'Partially Resolved'].includes(rma.status)) {
+        throw new ApiError(
+          400,
+          `Supplier return is ${rma.status}. Only dispatched returns can be resolved.`
+        );
+      }
+
+      const rejected = [];
+      items.forEach((resolution) => {
+        const item = rma.getItem(resolution.imei);
+
+        if (!item) {
+          rejected.push({ imei: resolution.imei, reason: 'Phone is not on this supplier return' });
+        } else if (item.outcome !== 'Pending') {
+          rejected.push({ imei: resolution.imei, reason: `Phone is already ${item.outcome}` });
+        } else if (resolution.outcome === 'Credited' && !(resolution.creditNoteNumber || creditNoteNumber)) {
+          rejected.push({ imei: resolution.imei, reason: 'Credit note number is required' });
+        }
+      });
+
+      if (rejected.length > 0) {
+        throw new ApiError(
+          400,
+          `${rejected.length} of ${items.length} phone(s) cannot be resolved. No phones were resolved.`,
+          rejected
+        );
+      }
+
+      const source = StockMovementService.source('RMA', rma);
+      const reversals = [];
+      const now = new Date();
+
+      for (const resolution of items) {
+        const item = rma.getItem(resolution.imei);
+        const phone = await Phone.findById(item.phone).session(session);
+
+        item.outcome = resolution.outcome;
+        item.resolutionNotes = resolution.notes;
+        item.resolvedAt = now;
+        item.resolvedBy = req.user._id;
+
+        if (resolution.outcome === 'Replaced') {
+          const invoice = await PurchaseInvoice.findById(item.invoice).session(session);
+          const { replacement } = resolution;
+
+          // The replacement takes the returned phone's place on the original invoice
+          const [replacementPhone] = await InventoryService.receivePhones(
+            invoice,
+            [
+              {
+                product: item.product,
+                imei: replacement.imei,
+                imei2: replacement.imei2,
+                serialNumber: replacement.serialNumber,
+                costPrice: item.costPrice,
+                sellingPrice:
+                  replacement.sellingPrice !== undefined
+                    ? replacement.sellingPrice
+                    : phone.sellingPrice,
+                condition: phone.condition,
+                warrantyExpiryDate: replacement.warrantyExpiryDate,
+              },
+            ],
+            {
+              actor: req.user._id,
+              session,
+              notes: `Replacement for ${item.imei} on ${rma.rmaNumber}`,
+              source,
+              location: rma.location,
+            }
+          );
+
+          item.replacementPhone = replacementPhone._id;
+          item.replacementImei = replacementPhone.imei;
+          reversals.push({ invoice: item.invoice, amount: item.costPrice });
+        } else if (resolution.outcome === 'Credited') {
+          item.creditNoteNumber = resolution.creditNoteNumber || creditNoteNumber;
+          item.creditAmount =
+            resolution.creditAmount !== undefined ? resolution.creditAmount : item.costPrice;
+          reversals.push({ invoice: item.invoice, amount: item.creditAmount });
+        } else if (phone) {
+          // Claim rejected: the phone is back with us as Damaged
+          const previousStatus = phone.status;
+          phone.status = 'Damaged';
+          phone.supplierReturn = undefined;
+          phone.location = rma.location || phone.location;
+          phone.updatedBy = req.user._id;
+          await phone.save({ session });
+
+          await StockMovementService.record(
+            StockMovementService.entry(phone, {
+              action: 'StatusChanged',
+              fromStatus: previousStatus,
+              toStatus: 'Damaged',
+              source,
+              notes: `Supplier rejected the claim${resolution.notes ? `: ${resolution.notes}` : ''}`,
+              actor: req.user._id,
+            }),
+            { session }
+          );
+        }
+      }
+
+      await SupplierReturnService.reverseInvoiceCosts(
+        SupplierReturnService.groupByInvoice(reversals),
+        { session }
+      );
+
+      rma.refreshResolutionStatus();
+      rma.updatedBy = req.user._id;
+      await rma.save({ session });
+
+      return rma;
+    });
+
+    logger.info(
+      `Supplier return ${rma.rmaNumber} resolved ${items.length} phone(s) by ${req.user.email}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier response recorded successfully',
+      data: { supplierReturn: rma.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a supplier return (Open only)
+ * Phones are released back to stock
+ * @route PATCH /api/v1/supplier-returns/:id/cancel
+ * @access Private (Owner only)
+ */
+const cancelSupplierReturn = async (req, res, next) => {
+  try {
+    const rma = await withTransaction(async (session) => {
+      const rma = await SupplierReturn.findById(req.params.id).session(session);
+
+      if (!rma) {
+        throw new ApiError(404, 'Supplier return not found');
+      }
+
+      if (rma.status !== 'Open') {
+        throw new ApiError(
+          400,
+          `Cannot cancel ${rma.status} supplier return. Only Open returns can be cancelled.`
+        );
+      }
+
+      await Phone.updateMany(
+        { _id: { $in: rma.items.map((item) => item.phone) }, supplierReturn: rma._id },
+        { $unset: { supplierReturn: 1 }, $set: { updatedBy: req.user._id } },
+        { session }
+      );
+
+      rma.status = 'Cancelled';
+      rma.cancelledAt = new Date();
+      rma.cancelledBy = req.user._id;
+      await rma.save({ session });
+
+      return rma;
+    });
+
+    logger.info(`Supplier return ${rma.rmaNumber} cancelled by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier return cancelled successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createSupplierReturn,
+  getAllSupplierReturns,
+  getSupplierReturnById,
+  dispatchSupplierReturn,
+  resolveSupplierReturn,
+  cancelSupplierReturn,
+};
@@ -0,0 +1,200 @@
+const ExcelJS = require('exceljs');
+const TacEntry = require('../models/TacEntry');
+const TacService = require('../services/tacService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { TAC_PATTERN } = require('../utils/imeiUtils');
+
+/**
+ * Get TAC table entries
+ * @route GET /api/v1/inventory/tac
+ */
+const getAllTacEntries = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, search, brand } = req.query;
+
+    const filter = {};
+
+    if (brand) filter.brand = brand.toUpperCase();
+    if (search) {
+      filter.$or = [
+        { tac: { $regex: `^${search}` } },
+        { model: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const entries = await TacEntry.find(filter)
+      .limit(parseInt(limit))
+      .skip(skip)
+      .sort({ brand: 1, model: 1 });
+
+    const total = await TacEntry.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries: entries.map((entry) => entry.getSummary()),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalEntries: total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decode an IMEI using the TAC table
+ * @route GET /api/v1/inventory/tac/lookup/:imei
+ */
+const lookupIMEI = async (req, res, next) => {
+  try {
+    const result = await TacService.lookup(req.params.imei);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate Excel template for TAC import
+ * @route GET /api/v1/inventory/import/templates/tac
+ */
+const downloadTacTemplate = async (req, res, next) => {
+  try {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('TAC Template');
+
+    worksheet.columns = [
+      { header: 'TAC* (8 digits)', key: 'tac', width: 18 },
+      { header: 'Brand*', key: 'brand', width: 15 },
+      { header: 'Model*', key: 'model', width: 30 },
+      { header: 'Notes', key: 'notes', width: 40 },
+    ];
+
+    // Style header
+    worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    worksheet.getRow(1).fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FF4472C4' },
+    };
+    worksheet.getRow(1).alignment = { vertical: 'middle', horizontal: 'center' };
+
+    // Keep leading zeros in the TAC column
+    worksheet.getColumn('tac').numFmt = '@';
+
+    // Add sample data
+    worksheet.addRow({ tac: '35123456', brand: 'SAMSUNG', model: 'Galaxy S23 Ultra' });
+    worksheet.addRow({ tac: '35765432', brand: 'APPLE', model: 'iPhone 15 Pro Max' });
+
+    // Add instructions
+    worksheet.addRow({});
+    worksheet.addRow({ tac: 'INSTRUCTIONS:' }).font = { bold: true, color: { argb: 'FFFF0000' } };
+    worksheet.addRow({ tac: 'TAC = first 8 digits of the IMEI' });
+    worksheet.addRow({ tac: 'Existing TACs are updated with the imported brand/model' });
+    worksheet.addRow({ tac: 'Delete sample rows before importing' });
+
+    const filename = `tac_import_template_${new Date().toISOString().split('T')[0]}.xlsx`;
+
+    res.setHeader(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+    await workbook.xlsx.write(res);
+    logger.info(`TAC template downloaded by ${req.user.email}`);
+    res.end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Import TAC table entries from Excel
+ * @route POST /api/v1/inventory/import/tac
+ */
+const importTacEntries = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new ApiError(400, 'Please upload an Excel file'));
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(req.file.buffer);
+    const worksheet = workbook.getWorksheet(1);
+
+    const entries = new Map();
+    const errors = [];
+
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return; // Skip header
+
+      const tac = row.getCell(1).value?.toString().trim();
+      if (!tac || tac.toUpperCase() === 'INSTRUCTIONS:') {
+        return;
+      }
+
+      const brand = row.getCell(2).value?.toString().trim();
+      const model = row.getCell(3).value?.toString().trim();
+
+      if (!TAC_PATTERN.test(tac)) {
+        errors.push({ row: rowNumber, tac, error: 'TAC must be exactly 8 digits' });
+        return;
+      }
+
+      if (!brand || !model) {
+        errors.push({ row: rowNumber, tac, error: 'Missing required fields (Brand, Model)' });
+        return;
+      }
+
+      // Later rows win for duplicate TACs in the same file
+      entries.set(tac, {
+        tac,
+        brand,
+        model,
+        notes: row.getCell(4).value?.toString() || '',
+      });
+    });
+
+    const { inserted, updated } = await TacService.importEntries(
+      [...entries.values()],
+      req.user._id
+    );
+
+    logger.info(
+      `TAC table imported by ${req.user.email}: ${inserted} added, ${updated} updated`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${entries.size} TAC entries (${inserted} added, ${updated} updated)`,
+      data: {
+        inserted,
+        updated,
+        totalRows: entries.size,
+        errors: errors.length > 0 ? errors : undefined,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllTacEntries,
+  lookupIMEI,
+  downloadTacTemplate,
+  importTacEntries,
+};
@@ -0,0 +1,304 @@
+const WarrantyClaim = require('../models/WarrantyClaim');
+const WarrantyService = require('../services/warrantyService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { isValidIMEI } = require('../utils/imeiUtils');
+const { getStartOfDaySriLanka, getEndOfDaySriLanka } = require('../utils/dateUtils');
+
+/**
+ * Look up the customer warranty of a phone
+ * @route GET /api/v1/warranty/lookup/:imei
+ * @access Private
+ */
+const lookupWarranty = async (req, res, next) => {
+  try {
+    const { imei } = req.params;
+
+    if (!isValidIMEI(imei)) {
+      return next(new ApiError(400, `IMEI ${imei} is not valid (15 digits with a Luhn check digit required)`));
+    }
+
+    const warranty = await WarrantyService.lookup(imei);
+
+    res.status(200).json({
+      success: true,
+      data: warranty,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive a warranty claim
+ * @route POST /api/v1/warranty/claims
+ * @access Private
+ */
+const createWarrantyClaim = async (req, res, next) => {
+  try {
+    const claim = await withTransaction((session) =>
+      WarrantyService.createClaim(req.body, { session, actor: req.user._id })
+    );
+
+    logger.info(`Warranty claim ${claim.claimNumber} received by ${req.user.email} for IMEI ${claim.imei}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Warranty claim received successfully',
+      data: { claim: claim.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all warranty claims with filters
+ * @route GET /api/v1/warranty/claims
+ * @access Private
+ */
+const getAllWarrantyClaims = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, customer, imei, startDate, endDate, search } = req.query;
+
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (customer) filter.customer = customer;
+    if (imei) filter.imei = imei;
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = getStartOfDaySriLanka(new Date(startDate));
+      if (endDate) filter.createdAt.$lte = getEndOfDaySriLanka(new Date(endDate));
+    }
+
+    if (search) {
+      filter.$or = [
+        { claimNumber: { $regex: search, $options: 'i' } },
+        { customerName: { $regex: search, $options: 'i' } },
+        { imei: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const claims = await WarrantyClaim.find(filter)
+      .limit(parseInt(limit))
+      .skip(skip)
+      .sort({ createdAt: -1 });
+
+    const total = await WarrantyClaim.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        claims: claims.map((claim) => claim.getSummary()),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalClaims: total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get warranty claim by ID
+ * @route GET /api/v1/warranty/claims/:id
+ * @access Private
+ */
+const getWarrantyClaimById = async (req, res, next) => {
+  try {
+    const claim = await WarrantyClaim.findById(req.params.id)
+      .populate('product', 'brand model specifications warrantyMonths')
+      .populate('salesInvoice', 'invoiceNumber saleDate channel')
+      .populate('customer', 'name type shopName phone')
+      .populate('supplierReturn', 'rmaNumber status')
+      .populate('receivedBy', 'firstName lastName email')
+      .populate('service.sentBy', 'firstName lastName email')
+      .populate('resolution.resolvedBy', 'firstName lastName email')
+      .populate('handedBackBy', 'firstName lastName email')
+      .populate('rejectedBy', 'firstName lastName email');
+
+    if (!claim) {
+      return next(new ApiError(404, 'Warranty claim not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { claim },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Helper: Apply a lifecycle action to a claim
+ */
+const changeClaim = (req, action) =>
+  withTransaction(async (session) => {
+    const claim = await WarrantyClaim.findById(req.params.id).session(session);
+
+    if (!claim) {
+      throw new ApiError(404, 'Warranty claim not found');
+    }
+
+    return WarrantyService.updateClaim(claim, action, req.body, {
+      session,
+      actor: req.user._id,
+    });
+  });
+
+/**
+ * Send a claimed phone to a service centre or the supplier
+ * @route PATCH /api/v1/warranty/claims/:id/send
+ * @access Private (Owner, Clerk)
+ */
+const sendClaimToService = async (req, res, next) => {
+  try {
+    const claim = await changeClaim(req, 'send');
+
+    logger.info(`Warranty claim ${claim.claimNumber} sent to ${claim.service.sentTo}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Claim sent to service',
+      data: { claim: claim.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a claimed phone as repaired
+ * @route PATCH /api/v1/warranty/claims/:id/repair
+ * @access Private (Owner, Clerk)
+ */
+const markClaimRepaired = async (req, res, next) => {
+  try {
+    const claim = await changeClaim(req, 'repair');
+
+    logger.info(`Warranty claim ${claim.claimNumber} repaired`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Claim marked as repaired',
+      data: { claim: claim.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace a claimed phone with one from stock
+ * @route PATCH /api/v1/warranty/claims/:id/replace
+ * @access Private (Owner, Clerk)
+ */
+const replaceClaimPhone = async (req, res, next) => {
+  try {
+    const claim = await changeClaim(req, 'replace');
+
+    logger.info(
+      `Warranty claim ${claim.claimNumber}: IMEI ${claim.imei} replaced with ${claim.resolution.replacementImei} by ${req.user.email}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Phone replaced. The faulty phone is back in stock as Damaged.',
+      data: { claim: claim.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Hand a repaired or replacement phone back to the customer
+ * @route PATCH /api/v1/warranty/claims/:id/hand-back
+ * @access Private
+ */
+const handBackClaim = async (req, res, next) => {
+  try {
+    const claim = await changeClaim(req, 'handBack');
+
+    logger.info(`Warranty claim ${claim.claimNumber} handed back to ${claim.customerName}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Phone handed back to the customer',
+      data: { claim: claim.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a warranty claim
+ * @route PATCH /api/v1/warranty/claims/:id/reject
+ * @access Private (Owner, Clerk)
+ */
+const rejectWarrantyClaim = async (req, res, next) => {
+  try {
+    const claim = await changeClaim(req, 'reject');
+
+    logger.info(`Warranty claim ${claim.claimNumber} rejected by ${req.user.email}: ${req.body.reason}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Warranty claim rejected',
+      data: { claim: claim.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Link a claim to the supplier return its faulty phone went back on
+ * @route PATCH /api/v1/warranty/claims/:id/supplier-return
+ * @access Private (Owner, Clerk)
+ */
+const linkClaimSupplierReturn = async (req, res, next) => {
+  try {
+    const claim = await WarrantyClaim.findById(req.params.id);
+
+    if (!claim) {
+      return next(new ApiError(404, 'Warranty claim not found'));
+    }
+
+    const { rma } = await WarrantyService.linkSupplierReturn(claim, req.body.supplierReturn);
+
+    logger.info(`Warranty claim ${claim.claimNumber} linked to supplier return ${rma.rmaNumber}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Claim linked to supplier return ${rma.rmaNumber}`,
+      data: { claim: claim.getSummary() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  lookupWarranty,
+  createWarrantyClaim,
+  getAllWarrantyClaims,
+  getWarrantyClaimById,
+  sendClaimToService,
+  markClaimRepaired,
+  replaceClaimPhone,
+  handBackClaim,
+  rejectWarrantyClaim,
+  linkClaimSupplierReturn,
+};
@@ -0,0 +1,71 @@
+const Product = require('../models/Product');
+const InventoryService = require('../services/inventoryService');
+const telegramService = require('../services/telegramService');
+const logger = require('../utils/logger');
+
+/**
+ * Low Stock Alert Job
+ * Periodically sends a Telegram digest of products that dropped to their reorder level
+ * Each product is reported once until it is restocked above the level
+ */
+class LowStockAlertJob {
+  constructor() {
+    this.timer = null;
+    this.intervalMinutes = parseInt(process.env.LOW_STOCK_CHECK_INTERVAL_MINUTES) || 60;
+  }
+
+  /**
+   * Run one check
+   */
+  async run() {
+    const items = await InventoryService.getLowStock();
+    const lowIds = items.map((item) => item.product._id);
+
+    // Restocked products can alert again next time they run low
+    await Product.updateMany(
+      { _id: { $nin: lowIds }, 'reorder.alertedAt': { $exists: true } },
+      { $unset: { 'reorder.alertedAt': 1 } }
+    );
+
+    const newlyLow = items.filter((item) => !item.alertedAt);
+    if (newlyLow.length === 0) return;
+
+    const sent = await telegramService.sendLowStockDigest(
+      InventoryService.groupLowStockBySupplier(newlyLow)
+    );
+
+    if (sent) {
+      await Product.updateMany(
+        { _id: { $in: newlyLow.map((item) => item.product._id) } },
+        { $set: { 'reorder.alertedAt': new Date() } }
+      );
+    }
+  }
+
+  /**
+   * Start periodic checks
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) => {
+        logger.error(`Low stock check failed: ${error.message}`);
+      });
+    }, this.intervalMinutes * 60 * 1000);
+
+    logger.info(`Low stock alerts scheduled every ${this.intervalMinutes} minutes`);
+  }
+
+  /**
+   * Stop periodic checks
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new LowStockAlertJob();
@@ -0,0 +1,54 @@
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const logger = require('../utils/logger');
+
+// Check every hour
+const INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Overdue Payables Job
+ * Marks unpaid purchase invoices past their due date as Overdue
+ */
+class OverduePayablesJob {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Run one check
+   */
+  async run() {
+    const marked = await PurchaseInvoice.markOverdue();
+
+    if (marked > 0) {
+      logger.info(`${marked} purchase invoice(s) marked as Overdue`);
+    }
+  }
+
+  /**
+   * Start periodic checks (runs once straight away)
+   */
+  start() {
+    if (this.timer) return;
+
+    const runSafely = () => {
+      this.run().catch((error) => {
+        logger.error(`Overdue payables check failed: ${error.message}`);
+      });
+    };
+
+    runSafely();
+    this.timer = setInterval(runSafely, INTERVAL_MS);
+  }
+
+  /**
+   * Stop periodic checks
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new OverduePayablesJob();
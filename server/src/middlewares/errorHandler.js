@@ -4,9 +4,10 @@ const logger = require('../utils/logger');
  * Custom API Error Class
  */
 class ApiError extends Error {
-  constructor(statusCode, message, isOperational = true, stack = '') {
+  constructor(statusCode, message, errors = null, isOperational = true, stack = '') {
     super(message);
     this.statusCode = statusCode;
+    this.errors = errors; // Optional per-item details (e.g. rejected IMEIs)
     this.isOperational = isOperational;
     if (stack) {
       this.stack = stack;
@@ -74,6 +75,7 @@ const errorHandler = (err, req, res, next) => {
     success: false,
     statusCode,
     message,
+    ...(err instanceof ApiError && err.errors && { errors: err.errors }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
   };
 
@@ -17,6 +17,7 @@ const fileFilter = (req, file, cb) => {
     'image/jpeg',
     'image/png',
     'image/jpg',
+    'image/webp',
     'application/pdf',
     'text/csv',
     'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
@@ -29,7 +30,7 @@ const fileFilter = (req, file, cb) => {
     cb(
       new ApiError(
         400,
-        `Invalid file type: ${file.mimetype}. Allowed types: Excel (.xlsx, .xls), Images (JPEG, PNG), PDF, CSV`
+        `Invalid file type: ${file.mimetype}. Allowed types: Excel (.xlsx, .xls), Images (JPEG, PNG, WebP), PDF, CSV`
       ),
       false
     );
@@ -0,0 +1,47 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+require('../models/Phone');
+
+/**
+ * Allocate landed cost to the phones of existing invoices
+ *
+ * Spreads each invoice's tax and shipping less discount over its phones by
+ * value and stores it as the phone's landedCost. Safe to run more than once.
+ */
+const allocateLandedCost = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const invoices = await PurchaseInvoice.find().select('_id invoiceNumber');
+    console.log(`📄 Found ${invoices.length} invoices\n`);
+
+    let updated = 0;
+    let failed = 0;
+
+    for (const { _id, invoiceNumber } of invoices) {
+      try {
+        await PurchaseInvoice.recalculateTotals(_id);
+        updated++;
+      } catch (error) {
+        failed++;
+        console.error(`❌ ${invoiceNumber}: ${error.message}`);
+      }
+    }
+
+    console.log('\n📊 MIGRATION SUMMARY\n');
+    console.log(`Invoices allocated: ${updated}`);
+    console.log(`Failed: ${failed}`);
+
+    console.log('\n✅ Landed cost migration completed!\n');
+
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error allocating landed cost:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+allocateLandedCost();
@@ -0,0 +1,57 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const Phone = require('../models/Phone');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+
+/**
+ * Put existing stock at the default location
+ *
+ * Creates a default "Main Warehouse" location when none exists, then sets it
+ * on every phone and purchase invoice that has no location yet.
+ * Safe to run more than once.
+ */
+const assignLocations = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    let location = await Location.getDefault();
+
+    if (!location) {
+      location = await Location.create({
+        name: 'Main Warehouse',
+        code: 'WH',
+        type: 'Warehouse',
+        isDefault: true,
+      });
+      console.log(`🏬 Created default location: ${location.name} (${location.code})`);
+    } else {
+      console.log(`🏬 Using default location: ${location.name} (${location.code})`);
+    }
+
+    const phones = await Phone.updateMany(
+      { location: { $exists: false } },
+      { $set: { location: location._id } }
+    );
+
+    const invoices = await PurchaseInvoice.updateMany(
+      { location: { $exists: false } },
+      { $set: { location: location._id } }
+    );
+
+    console.log('\n📊 MIGRATION SUMMARY\n');
+    console.log(`Phones assigned: ${phones.modifiedCount}`);
+    console.log(`Invoices assigned: ${invoices.modifiedCount}`);
+
+    console.log('\n✅ Location assignment completed!\n');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error assigning locations:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+assignLocations();
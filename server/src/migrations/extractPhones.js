@@ -0,0 +1,145 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Phone = require('../models/Phone');
+const StockMovement = require('../models/StockMovement');
+
+/**
+ * Move phones embedded in purchase invoices into the Phone collection
+ *
+ * Safe to run more than once:
+ * - Phones keep their original _id, so already migrated phones are skipped
+ * - An IMEI that already belongs to another phone, or a phone that fails
+ *   validation, is reported and left on its invoice for manual review
+ * - Migrated phones are pulled from the invoice only after they are saved
+ */
+const extractPhones = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    // Build the unique IMEI index before inserting so duplicates are refused
+    await Phone.init();
+
+    // Read the raw documents, the model no longer knows about embedded phones
+    const invoices = PurchaseInvoice.collection.find(
+      { 'phones.0': { $exists: true } },
+      { projection: { invoiceNumber: 1, phones: 1, createdBy: 1 } }
+    );
+
+    let invoiceCount = 0;
+    let movedCount = 0;
+    let skippedCount = 0;
+    const conflicts = [];
+    const invalid = [];
+
+    for await (const invoice of invoices) {
+      invoiceCount++;
+      const moved = [];
+
+      for (const embedded of invoice.phones) {
+        const existing = await Phone.findOne({ imei: embedded.imei }).lean();
+
+        if (existing && existing._id.equals(embedded._id)) {
+          skippedCount++;
+          moved.push(embedded._id);
+          continue;
+        }
+
+        if (existing) {
+          conflicts.push({
+            invoice: invoice.invoiceNumber,
+            imei: embedded.imei,
+            existingInvoice: existing.invoice,
+          });
+          continue;
+        }
+
+        try {
+          await new Phone({
+            ...embedded,
+            invoice: invoice._id,
+            createdBy: invoice.createdBy,
+            createdAt: embedded.addedAt || new Date(),
+          }).save();
+        } catch (error) {
+          if (error.code === 11000) {
+            conflicts.push({ invoice: invoice.invoiceNumber, imei: embedded.imei });
+          } else {
+            invalid.push({ invoice: invoice.invoiceNumber, imei: embedded.imei, reason: error.message });
+          }
+          continue;
+        }
+
+        moved.push(embedded._id);
+        movedCount++;
+      }
+
+      if (moved.length > 0) {
+        await PurchaseInvoice.collection.updateOne(
+          { _id: invoice._id },
+          { $pull: { phones: { _id: { $in: moved } } } }
+        );
+      }
+
+      console.log(`📦 ${invoice.invoiceNumber}: ${moved.length}/${invoice.phones.length} phones moved`);
+    }
+
+    // Drop the emptied arrays and the old embedded indexes
+    await PurchaseInvoice.collection.updateMany(
+      { phones: { $size: 0 } },
+      { $unset: { phones: '' } }
+    );
+
+    const indexes = await PurchaseInvoice.collection.indexes();
+    for (const index of indexes) {
+      if (Object.keys(index.key).some((key) => key.startsWith('phones.'))) {
+        await PurchaseInvoice.collection.dropIndex(index.name);
+        console.log(`🗑️  Dropped index ${index.name}`);
+      }
+    }
+
+    // Link existing ledger entries to their phone documents
+    // (raw collection, the model blocks updates to stock movements)
+    const phones = Phone.find({}, { imei: 1 }).lean().cursor();
+    for await (const phone of phones) {
+      await StockMovement.collection.updateMany(
+        { imei: phone.imei, phone: { $exists: false } },
+        { $set: { phone: phone._id } }
+      );
+    }
+
+    console.log('\n📊 MIGRATION SUMMARY\n');
+    console.log(`Invoices processed: ${invoiceCount}`);
+    console.log(`Phones moved: ${movedCount}`);
+    console.log(`Phones already migrated: ${skippedCount}`);
+
+    if (conflicts.length > 0) {
+      console.log(`\n⚠️  ${conflicts.length} IMEI conflict(s) left on their invoices:`);
+      conflicts.forEach((conflict) => {
+        console.log(
+          conflict.existingInvoice
+            ? `   • ${conflict.imei} on ${conflict.invoice} (already on invoice ${conflict.existingInvoice})`
+            : `   • ${conflict.imei} on ${conflict.invoice} (repeated on another invoice)`
+        );
+      });
+    }
+
+    if (invalid.length > 0) {
+      console.log(`\n⚠️  ${invalid.length} invalid phone(s) left on their invoices:`);
+      invalid.forEach((phone) => {
+        console.log(`   • ${phone.imei} on ${phone.invoice}: ${phone.reason}`);
+      });
+    }
+
+    console.log('\n✅ Phone extraction completed!\n');
+
+    process.exit(conflicts.length > 0 || invalid.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error extracting phones:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+extractPhones();
@@ -0,0 +1,89 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Supplier = require('../models/Supplier');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+
+/**
+ * Create supplier master records from purchase invoices
+ *
+ * Groups invoices without a supplier reference by normalized supplier name
+ * (case, punctuation and "(Pvt) Ltd" style suffixes are ignored), creates one
+ * supplier per group using the most used spelling and links the invoices to it.
+ * Safe to run more than once.
+ */
+const linkSuppliers = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const invoices = await PurchaseInvoice.find({ supplierRef: { $exists: false } })
+      .select('supplier invoiceDate')
+      .sort({ invoiceDate: -1 })
+      .lean();
+
+    console.log(`📄 Found ${invoices.length} invoices without a supplier\n`);
+
+    // Group invoices by matching key
+    const groups = new Map();
+    invoices.forEach((invoice) => {
+      const key = Supplier.normalizeName(invoice.supplier?.name) || 'unknown supplier';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(invoice);
+    });
+
+    let created = 0;
+    let linked = 0;
+
+    for (const [key, group] of groups) {
+      // Most used spelling wins; latest invoice first on ties
+      const spellings = new Map();
+      group.forEach((invoice) => {
+        const name = invoice.supplier?.name?.trim() || 'Unknown Supplier';
+        spellings.set(name, (spellings.get(name) || 0) + 1);
+      });
+      const [name] = [...spellings.entries()].sort((a, b) => b[1] - a[1])[0];
+
+      let supplier = await Supplier.findOne({ normalizedName: key });
+
+      if (!supplier) {
+        // Latest non-empty contact details across the group
+        const pick = (field) =>
+          group.map((invoice) => invoice.supplier?.[field]).find((value) => value) || undefined;
+
+        supplier = await Supplier.create({
+          name,
+          contactPerson: pick('contactPerson'),
+          phone: pick('phone'),
+          email: pick('email'),
+          address: pick('address'),
+        });
+        created++;
+        console.log(`🏢 Created supplier: ${supplier.name}`);
+      }
+
+      if (spellings.size > 1) {
+        console.log(`   Merged spellings: ${[...spellings.keys()].join(' | ')}`);
+      }
+
+      const result = await PurchaseInvoice.updateMany(
+        { _id: { $in: group.map((invoice) => invoice._id) } },
+        { $set: { supplierRef: supplier._id } }
+      );
+      linked += result.modifiedCount;
+    }
+
+    console.log('\n📊 MIGRATION SUMMARY\n');
+    console.log(`Suppliers created: ${created}`);
+    console.log(`Invoices linked: ${linked}`);
+
+    console.log('\n✅ Supplier migration completed!\n');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error linking suppliers:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+linkSuppliers();
@@ -0,0 +1,57 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+
+/**
+ * Move single invoice proofs into invoice attachments
+ *
+ * Each invoice's invoiceProof becomes its "Invoice" attachment (the S3 key is
+ * kept; stored public-style URLs are dropped). Safe to run more than once.
+ */
+const moveInvoiceProofs = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const invoices = await PurchaseInvoice.find({
+      'invoiceProof.key': { $exists: true, $ne: null },
+    });
+    console.log(`📄 Found ${invoices.length} invoices with a proof\n`);
+
+    let moved = 0;
+    let skipped = 0;
+
+    for (const invoice of invoices) {
+      const { key, uploadedAt } = invoice.invoiceProof;
+
+      if (invoice.attachments.some((attachment) => attachment.key === key)) {
+        skipped++;
+      } else {
+        invoice.attachments.push({
+          type: 'Invoice',
+          key,
+          fileName: key.split('/').pop().replace(/^\d+-/, ''),
+          uploadedAt,
+        });
+        moved++;
+      }
+
+      invoice.invoiceProof = undefined;
+      await invoice.save();
+    }
+
+    console.log('\n📊 MIGRATION SUMMARY\n');
+    console.log(`Proofs moved: ${moved}`);
+    console.log(`Already attached: ${skipped}`);
+
+    console.log('\n✅ Invoice proof migration completed!\n');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error moving invoice proofs:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+moveInvoiceProofs();
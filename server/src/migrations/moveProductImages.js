@@ -0,0 +1,109 @@
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductImageService = require('../services/productImageService');
+
+// Uploaded images a product can hold
+const MAX_PRODUCT_IMAGES = 10;
+
+/**
+ * Download a legacy image URL as an upload-shaped file
+ */
+const download = async (url) => {
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+
+  return {
+    buffer,
+    originalname: path.basename(new URL(url).pathname) || 'image',
+    mimetype: response.headers.get('content-type') || 'application/octet-stream',
+    size: buffer.length,
+  };
+};
+
+/**
+ * Move legacy product image URLs into uploaded product images
+ *
+ * Each product's images.main and images.gallery are downloaded and stored
+ * through the upload pipeline (original, web and thumbnail sizes), main first.
+ * The legacy fields are cleared once every URL of a product has moved; products
+ * with a URL that cannot be downloaded keep theirs and are reported. Safe to
+ * run more than once.
+ */
+const moveProductImages = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const products = await Product.find({
+      $or: [
+        { 'images.main': { $exists: true, $nin: [null, ''] } },
+        { 'images.gallery.0': { $exists: true } },
+      ],
+    });
+    console.log(`🖼️  Found ${products.length} products with image URLs\n`);
+
+    let moved = 0;
+    let failed = 0;
+
+    for (const product of products) {
+      const urls = [product.images.main, ...(product.images.gallery || [])].filter(Boolean);
+      const alreadyStored = new Set(product.images.files.map((image) => image.fileName));
+      const stored = [];
+      let complete = true;
+
+      for (const url of urls) {
+        if (product.images.files.length + stored.length >= MAX_PRODUCT_IMAGES) {
+          console.log(`⚠️  ${product.displayName}: image limit reached, ${url} not moved`);
+          complete = false;
+          break;
+        }
+
+        try {
+          const file = await download(url);
+
+          // Already moved by an earlier run that was interrupted
+          if (alreadyStored.has(file.originalname)) continue;
+
+          stored.push(await ProductImageService.store(file, product));
+        } catch (error) {
+          console.log(`❌ ${product.displayName}: ${url} (${error.message})`);
+          complete = false;
+        }
+      }
+
+      // Legacy main image stays first
+      product.images.files = [...stored, ...product.images.files.map((image) => image.toObject())];
+
+      if (complete) {
+        product.images.main = undefined;
+        product.images.gallery = [];
+        moved++;
+      } else {
+        failed++;
+      }
+
+      await product.save();
+    }
+
+    console.log('\n📊 MIGRATION SUMMARY\n');
+    console.log(`Products moved: ${moved}`);
+    console.log(`Products with URLs left: ${failed}`);
+
+    console.log('\n✅ Product image migration completed!\n');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error moving product images:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+moveProductImages();
@@ -0,0 +1,61 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Supplier = require('../models/Supplier');
+
+/**
+ * Move invoice payments to installments and set due dates
+ *
+ * For invoices without installments: records the entered paidAmount (or the
+ * full amount for invoices marked Paid) as the first installment, sets the due
+ * date from the supplier's credit terms and recomputes the payment status.
+ * Run after migrate:suppliers. Safe to run more than once.
+ */
+const trackPayments = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const invoices = await PurchaseInvoice.find({ 'payments.0': { $exists: false } });
+    console.log(`📄 Found ${invoices.length} invoices without installments\n`);
+
+    const suppliers = await Supplier.find().select('paymentTermsDays');
+    const termsBySupplier = new Map(
+      suppliers.map((supplier) => [supplier._id.toString(), supplier.paymentTermsDays])
+    );
+
+    const statusCounts = {};
+    let failed = 0;
+
+    for (const invoice of invoices) {
+      try {
+        if (!invoice.payment.dueDate) {
+          invoice.setDueDate(termsBySupplier.get(invoice.supplierRef?.toString()) || 0);
+        }
+        invoice.addInitialPayment(invoice.createdBy);
+        await invoice.save();
+
+        statusCounts[invoice.payment.status] = (statusCounts[invoice.payment.status] || 0) + 1;
+      } catch (error) {
+        failed++;
+        console.error(`❌ ${invoice.invoiceNumber}: ${error.message}`);
+      }
+    }
+
+    console.log('\n📊 MIGRATION SUMMARY\n');
+    Object.entries(statusCounts).forEach(([status, count]) => {
+      console.log(`${status}: ${count}`);
+    });
+    console.log(`Failed: ${failed}`);
+
+    console.log('\n✅ Payment migration completed!\n');
+
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error migrating payments:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+trackPayments();
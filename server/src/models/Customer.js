@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// Old (9 digits + V/X) and new (12 digits) Sri Lankan NIC numbers
+const NIC_PATTERN = /^(\d{9}[VX]|\d{12})$/;
+
+/**
+ * Customer Schema
+ * Buyer of handsets: a walk-in individual or a retailer (shop) we supply
+ */
+const customerSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Customer name is required'],
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ['Individual', 'Retailer'],
+      default: 'Individual',
+      index: true,
+    },
+    // Trading name of a retailer
+    shopName: {
+      type: String,
+      trim: true,
+    },
+
+    nic: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [NIC_PATTERN, 'NIC must be 9 digits followed by V or X, or 12 digits'],
+      unique: true,
+      sparse: true,
+    },
+
+    // Contact Details
+    phone: {
+      type: String,
+      trim: true,
+      index: true,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    address: String,
+
+    // Area a DSR covers, and the DSR who visits and collects from the customer
+    territory: {
+      type: String,
+      trim: true,
+      index: true,
+    },
+    dsr: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: { sparse: true },
+    },
+
+    // Credit Account (retailers buying on credit)
+    creditLimit: {
+      type: Number,
+      min: [0, 'Credit limit cannot be negative'],
+      default: () => parseFloat(process.env.DEFAULT_CREDIT_LIMIT) || 0,
+    },
+    creditTermsDays: {
+      type: Number,
+      min: [0, 'Credit terms cannot be negative'],
+      default: 30,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    notes: String,
+
+    // Audit Trail
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+customerSchema.index({ name: 1 });
+
+// Methods
+customerSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    type: this.type,
+    shopName: this.shopName,
+    nic: this.nic,
+    phone: this.phone,
+    email: this.email,
+    address: this.address,
+    territory: this.territory,
+    dsr: this.dsr,
+    creditLimit: this.creditLimit,
+    creditTermsDays: this.creditTermsDays,
+    isActive: this.isActive,
+  };
+};
+
+// Statics
+customerSchema.statics.NIC_PATTERN = NIC_PATTERN;
+
+module.exports = mongoose.models.Customer || mongoose.model('Customer', customerSchema);
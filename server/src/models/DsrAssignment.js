@@ -57,10 +57,13 @@ const dsrAssignmentSchema = new mongoose.Schema(
           required: true,
           index: true,
         },
+        imei2: String,
         assignedPrice: {
           type: Number,
           required: true,
         },
+        // Landed cost at assignment (unit cost plus freight, duties and discounts)
+        landedCost: Number,
         targetPrice: {
           type: Number,
           required: true,
@@ -72,6 +75,10 @@ const dsrAssignmentSchema = new mongoose.Schema(
         },
         soldDate: Date,
         soldPrice: Number,
+        salesInvoice: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'SalesInvoice',
+        },
         returnedDate: Date,
         returnNotes: String,
       },
@@ -119,6 +126,67 @@ const dsrAssignmentSchema = new mongoose.Schema(
       ref: 'User',
     },
 
+    // End-of-day Reconciliation (money handed over against sales and collections)
+    // Declared by the DSR, signed off by a clerk or owner (the assignment is then Completed)
+    dayClose: {
+      status: {
+        type: String,
+        enum: ['Declared', 'Signed Off'],
+      },
+      declared: {
+        cash: { type: Number, default: 0 },
+        cheques: [
+          {
+            number: String,
+            bank: String,
+            amount: Number,
+          },
+        ],
+        transfers: [
+          {
+            reference: String,
+            amount: Number,
+          },
+        ],
+      },
+      // What should be handed over by method, and credit sold (not handed over)
+      expected: {
+        cash: Number,
+        cheques: Number,
+        transfers: Number,
+        credit: Number,
+      },
+      // Declared minus expected (negative = shortage)
+      variance: {
+        cash: Number,
+        cheques: Number,
+        transfers: Number,
+        total: Number,
+      },
+      outcome: {
+        type: String,
+        enum: ['Balanced', 'Shortage', 'Excess'],
+      },
+      receipts: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Receipt',
+        },
+      ],
+      declaredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      declaredAt: Date,
+      declarationNotes: String,
+      signedOffBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      signedOffAt: Date,
+      signOffNotes: String,
+    },
+
     // Notes
     notes: String,
     assignmentNotes: String,
@@ -157,6 +225,12 @@ dsrAssignmentSchema.virtual('profitGenerated').get(function () {
     .reduce((sum, p) => sum + p.assignedPrice, 0);
 });
 
+dsrAssignmentSchema.virtual('landedProfitGenerated').get(function () {
+  return this.soldRevenue - this.phones
+    .filter(p => p.status === 'Sold')
+    .reduce((sum, p) => sum + (p.landedCost ?? p.assignedPrice), 0);
+});
+
 // Pre-save middleware
 dsrAssignmentSchema.pre('save', function (next) {
   this.totalPhones = this.phones.length;
@@ -170,8 +244,10 @@ dsrAssignmentSchema.pre('save', function (next) {
   
   this.returnedPhones = this.phones.filter(p => p.status === 'Returned').length;
 
-  // Update status
-  if (this.returnedPhones === this.totalPhones) {
+  // Update status (a signed-off day close is final)
+  if (this.dayClose && this.dayClose.status === 'Signed Off') {
+    this.status = 'Completed';
+  } else if (this.returnedPhones === this.totalPhones) {
     this.status = 'Fully Returned';
   } else if (this.returnedPhones > 0 || this.soldPhones > 0) {
     this.status = 'Partially Returned';
@@ -196,7 +272,10 @@ dsrAssignmentSchema.methods.getSummary = function () {
     totalValue: this.totalValue,
     soldRevenue: this.soldRevenue,
     profitGenerated: this.profitGenerated,
+    landedProfitGenerated: this.landedProfitGenerated,
     status: this.status,
+    dayCloseStatus: this.dayClose?.status,
+    dayCloseOutcome: this.dayClose?.outcome,
   };
 };
 
@@ -129,6 +129,11 @@ const dsrScheduleSchema = new mongoose.Schema({
       type: Number,
       default: 0,
     },
+    // Profit against landed cost (freight, duties and discounts included)
+    landedProfit: {
+      type: Number,
+      default: 0,
+    },
     targetAchievement: Number,
   },
   
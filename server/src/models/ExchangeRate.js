@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { getStartOfDaySriLanka, getEndOfDaySriLanka } = require('../utils/dateUtils');
+
+// Reporting currency; every other currency is converted to it
+const BASE_CURRENCY = 'LKR';
+const CURRENCIES = ['LKR', 'USD', 'EUR'];
+
+/**
+ * Exchange Rate Schema
+ * Rupees per unit of a foreign currency, maintained by the owner
+ * A rate applies from its date until the next rate of the same currency
+ */
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      enum: CURRENCIES.filter((currency) => currency !== BASE_CURRENCY),
+      required: [true, 'Currency is required'],
+    },
+    // Start of the day (Sri Lanka time) the rate applies from
+    date: {
+      type: Date,
+      required: [true, 'Rate date is required'],
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0.000001, 'Rate must be greater than zero'],
+    },
+    notes: String,
+
+    // Audit Trail
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+exchangeRateSchema.pre('validate', function (next) {
+  if (this.isModified('date') && this.date) {
+    this.date = getStartOfDaySriLanka(this.date);
+  }
+  next();
+});
+
+// One rate per currency per day
+exchangeRateSchema.index({ currency: 1, date: -1 }, { unique: true });
+
+// Methods
+exchangeRateSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    currency: this.currency,
+    date: this.date,
+    rate: this.rate,
+    notes: this.notes,
+    updatedAt: this.updatedAt,
+  };
+};
+
+// Statics
+exchangeRateSchema.statics.BASE_CURRENCY = BASE_CURRENCY;
+exchangeRateSchema.statics.CURRENCIES = CURRENCIES;
+
+/**
+ * Find the rate in effect on a date (the latest one on or before it)
+ * @param {string} currency - Foreign currency code
+ * @param {Date} date - Date the rate is needed for
+ * @param {Object} [options] - { session }
+ */
+exchangeRateSchema.statics.findRate = function (currency, date, options = {}) {
+  return this.findOne({
+    currency,
+    date: { $lte: getEndOfDaySriLanka(new Date(date)) },
+  })
+    .sort({ date: -1 })
+    .session(options.session || null);
+};
+
+module.exports =
+  mongoose.models.ExchangeRate || mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+/**
+ * Goods Received Note Schema
+ * Phones scanned in against a purchase order
+ * Each GRN creates or extends a Draft purchase invoice
+ */
+const goodsReceivedNoteSchema = new mongoose.Schema(
+  {
+    grnNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseOrder',
+      required: true,
+      index: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: true,
+    },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+    },
+
+    // Draft invoice the phones were booked on
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseInvoice',
+      index: true,
+    },
+
+    receivedDate: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Received Phones
+    items: [
+      {
+        phone: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Phone',
+        },
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: true,
+        },
+        imei: {
+          type: String,
+          required: true,
+        },
+        costPrice: Number, // Cost the phone was received at
+        orderedCost: Number, // Agreed unit cost on the PO line
+      },
+    ],
+
+    notes: String,
+
+    // Audit Trail
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+goodsReceivedNoteSchema.index({ 'items.imei': 1 });
+goodsReceivedNoteSchema.index({ createdAt: -1 });
+
+// Virtuals
+goodsReceivedNoteSchema.virtual('totalItems').get(function () {
+  return this.items.length;
+});
+
+// Methods
+goodsReceivedNoteSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    grnNumber: this.grnNumber,
+    purchaseOrder: this.purchaseOrder,
+    supplier: this.supplier,
+    location: this.location,
+    invoice: this.invoice,
+    receivedDate: this.receivedDate,
+    totalItems: this.totalItems,
+    totalCost: this.items.reduce((sum, item) => sum + (item.costPrice || 0), 0),
+  };
+};
+
+module.exports =
+  mongoose.models.GoodsReceivedNote ||
+  mongoose.model('GoodsReceivedNote', goodsReceivedNoteSchema);
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invoice Amendment Schema
+ * Credit or debit note against a verified purchase invoice
+ * The invoice itself is never edited; its effective total is the invoice plus its approved notes
+ * Pending -> Approved (changes applied to the phones) or Rejected
+ */
+const invoiceAmendmentSchema = new mongoose.Schema(
+  {
+    amendmentNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseInvoice',
+      required: [true, 'Invoice is required'],
+      index: true,
+    },
+
+    // Credit lowers what is owed to the supplier, Debit raises it (set from the lines)
+    type: {
+      type: String,
+      enum: ['Credit', 'Debit'],
+      required: true,
+    },
+
+    // Note number printed by the supplier
+    supplierNoteNumber: {
+      type: String,
+      trim: true,
+    },
+
+    reason: {
+      type: String,
+      required: [true, 'Reason is required'],
+      trim: true,
+    },
+
+    // Amounts are in the invoice currency
+    lines: [
+      {
+        action: {
+          type: String,
+          enum: ['PriceChange', 'Remove'],
+          required: true,
+        },
+        phone: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Phone',
+          required: true,
+        },
+        imei: {
+          type: String,
+          required: true,
+        },
+        previousCost: {
+          type: Number,
+          required: true,
+        },
+        newCost: Number, // PriceChange only
+        adjustment: {
+          type: Number,
+          required: true,
+        },
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: ['Pending', 'Approved', 'Rejected'],
+      default: 'Pending',
+      index: true,
+    },
+
+    // Supplier's credit/debit note (required before approval)
+    proof: {
+      key: String,
+      fileName: String,
+      mimeType: String,
+      uploadedAt: Date,
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    approvedAt: Date,
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    rejectedAt: Date,
+    rejectionReason: String,
+
+    // Audit Trail
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+invoiceAmendmentSchema.index({ 'lines.imei': 1 });
+
+// Virtuals
+invoiceAmendmentSchema.virtual('totalAdjustment').get(function () {
+  return this.lines.reduce((sum, line) => sum + line.adjustment, 0);
+});
+
+// Methods
+invoiceAmendmentSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    amendmentNumber: this.amendmentNumber,
+    invoice: this.invoice,
+    type: this.type,
+    supplierNoteNumber: this.supplierNoteNumber,
+    reason: this.reason,
+    status: this.status,
+    totalLines: this.lines.length,
+    totalAdjustment: this.totalAdjustment,
+    hasProof: Boolean(this.proof && this.proof.key),
+    approvedAt: this.approvedAt,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports =
+  mongoose.models.InvoiceAmendment ||
+  mongoose.model('InvoiceAmendment', invoiceAmendmentSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+/**
+ * Location Schema
+ * Physical place stock is held: warehouse, shop or a DSR van
+ */
+const locationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Location name is required'],
+      trim: true,
+      unique: true,
+    },
+    code: {
+      type: String,
+      required: [true, 'Location code is required'],
+      trim: true,
+      uppercase: true,
+      unique: true,
+      maxlength: [10, 'Location code cannot exceed 10 characters'],
+    },
+    type: {
+      type: String,
+      enum: {
+        values: ['Warehouse', 'Shop', 'Van'],
+        message: '{VALUE} is not a valid location type',
+      },
+      required: [true, 'Location type is required'],
+    },
+
+    // Contact Details
+    address: String,
+    phone: String,
+
+    // Incoming stock without an explicit location is received here
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    notes: String,
+
+    // Audit Trail
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Only one default location
+locationSchema.index(
+  { isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+// Methods
+locationSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    code: this.code,
+    type: this.type,
+    address: this.address,
+    phone: this.phone,
+    isDefault: this.isDefault,
+    isActive: this.isActive,
+  };
+};
+
+// Statics
+locationSchema.statics.getDefault = function (options = {}) {
+  return this.findOne({ isDefault: true, isActive: true }).session(
+    options.session || null
+  );
+};
+
+module.exports = mongoose.models.Location || mongoose.model('Location', locationSchema);
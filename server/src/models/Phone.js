@@ -0,0 +1,227 @@
+const mongoose = require("mongoose");
+
+/**
+ * Phone Schema
+ * A single handset in stock, identified by a globally unique IMEI
+ * Belongs to the purchase invoice it was bought on
+ */
+const phoneSchema = new mongoose.Schema(
+  {
+    // Source Invoice & Product
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PurchaseInvoice",
+      required: [true, "Purchase invoice is required"],
+      index: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Product is required"],
+      index: true,
+    },
+
+    // Identification
+    imei: {
+      type: String,
+      required: [true, "IMEI number is required"],
+      unique: true,
+      trim: true,
+      match: [/^[0-9]{15}$/, "IMEI must be exactly 15 digits"],
+    },
+    // Secondary IMEI of dual-SIM handsets
+    imei2: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+      set: (value) => value || undefined, // blank must not collide in the sparse index
+      match: [/^[0-9]{15}$/, "IMEI 2 must be exactly 15 digits"],
+      validate: {
+        validator: function (value) {
+          return value !== this.imei;
+        },
+        message: "IMEI 2 must be different from IMEI",
+      },
+    },
+    serialNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      index: { sparse: true },
+    },
+
+    // Device identification from the TAC table (flag only)
+    deviceCheck: {
+      status: {
+        type: String,
+        enum: ["Matched", "Mismatch", "Unknown"],
+      },
+      tac: String,
+      brand: String,
+      model: String,
+      checkedAt: Date,
+    },
+
+    // Location (Transit phones keep their source location)
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      index: true,
+    },
+
+    // Pricing
+    costPrice: {
+      type: Number,
+      required: [true, "Cost price is required"],
+      min: 0,
+    },
+    sellingPrice: {
+      type: Number,
+      required: [true, "Selling price is required"],
+      min: 0,
+    },
+    // Supplier unit cost plus its share of invoice tax, shipping and discount
+    landedCost: Number,
+    // Rupees per unit of the invoice currency (cost prices are in that currency,
+    // selling prices in rupees)
+    exchangeRate: {
+      type: Number,
+      default: 1,
+    },
+
+    condition: {
+      type: String,
+      enum: ["New", "Refurbished", "Open Box", "Like New"],
+      default: "New",
+    },
+
+    status: {
+      type: String,
+      enum: [
+        "Available",
+        "Assigned",
+        "Reserved",
+        "Sold",
+        "Returned",
+        "Damaged",
+        "Transit",
+      ],
+      default: "Available",
+      index: true,
+    },
+
+    // Supplier return (RMA) the phone is on; cleared if the supplier rejects the claim
+    supplierReturn: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SupplierReturn",
+      index: { sparse: true },
+    },
+
+    warrantyExpiryDate: Date,
+    notes: String,
+    soldDate: Date,
+    soldTo: String,
+
+    // Sale the phone was sold on and its buyer
+    salesInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SalesInvoice",
+      index: { sparse: true },
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      index: { sparse: true },
+    },
+
+    // Customer warranty registered at the sale (product warranty period from the sold date)
+    customerWarranty: {
+      startDate: Date,
+      expiryDate: Date,
+      months: Number,
+    },
+
+    addedAt: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+
+    // Audit Trail
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+phoneSchema.index({ status: 1, product: 1 });
+phoneSchema.index({ invoice: 1, status: 1 });
+phoneSchema.index({ location: 1, status: 1 });
+phoneSchema.index({ "deviceCheck.status": 1 });
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+// Cost prices in rupees
+phoneSchema.virtual("baseCostPrice").get(function () {
+  return this.costPrice * (this.exchangeRate || 1);
+});
+
+phoneSchema.virtual("baseLandedCost").get(function () {
+  return (this.landedCost ?? this.costPrice) * (this.exchangeRate || 1);
+});
+
+phoneSchema.virtual("profit").get(function () {
+  return this.sellingPrice - this.baseCostPrice;
+});
+
+// Profit after freight, duties and discounts (falls back to the unit cost)
+phoneSchema.virtual("landedProfit").get(function () {
+  return this.sellingPrice - this.baseLandedCost;
+});
+
+// ============================================
+// METHODS
+// ============================================
+
+phoneSchema.methods.updateStatus = async function (
+  newStatus,
+  soldInfo = {},
+  options = {}
+) {
+  this.status = newStatus;
+
+  if (newStatus === "Sold" && soldInfo) {
+    this.soldDate = soldInfo.soldDate || new Date();
+    this.soldTo = soldInfo.soldTo || "";
+  }
+
+  await this.save({ session: options.session });
+  return this;
+};
+
+// ============================================
+// STATICS
+// ============================================
+
+// Resolves either IMEI of a dual-SIM handset
+phoneSchema.statics.findByIMEI = function (imei) {
+  return this.findOne({ $or: [{ imei }, { imei2: imei }] });
+};
+
+module.exports = mongoose.models.Phone || mongoose.model("Phone", phoneSchema);
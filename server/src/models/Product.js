@@ -1,9 +1,34 @@
 const mongoose = require('mongoose');
 
+/**
+ * Product Image Schema
+ * An uploaded catalog image stored in three sizes
+ */
+const productImageSchema = new mongoose.Schema({
+  // Storage keys of each size
+  sizes: {
+    original: { type: String, required: true },
+    web: { type: String, required: true },
+    thumbnail: { type: String, required: true },
+  },
+  fileName: String,
+  width: Number,
+  height: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+});
+
 /**
  * Product Schema
  * Master catalog of mobile phone models
- * Contains ONLY phone specifications - NO pricing or warranty
+ * Contains phone specifications and the customer warranty period - NO pricing
+ * (the supplier warranty of each phone comes with its purchase invoice)
  */
 const productSchema = new mongoose.Schema(
   {
@@ -67,16 +92,41 @@ const productSchema = new mongoose.Schema(
       default: false,
     },
 
+    // Customer warranty from the sold date, in months (0 = no warranty)
+    warrantyMonths: {
+      type: Number,
+      default: 12,
+      min: [0, 'Warranty period cannot be negative'],
+    },
+
+    // Reordering (level 0 = no alerts)
+    reorder: {
+      level: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      quantity: {
+        type: Number,
+        default: 0,
+        min: 0,
+      }, // 0 = top up to the reorder level
+      alertedAt: Date, // Set when a low-stock alert was sent, cleared once restocked
+    },
+
     // Additional Information
     description: String,
     features: [String],
     boxContents: [String],
     tags: [String],
 
-    // Images (AWS S3 URLs)
+    // Images (read through short-lived signed URLs)
     images: {
+      // Legacy image URLs (moved into files by migrate:product-images)
       main: String,
       gallery: [String],
+      // Uploaded images in display order (the first is the main image)
+      files: [productImageSchema],
     },
 
     // Metadata
@@ -107,6 +157,7 @@ const productSchema = new mongoose.Schema(
 // Indexes
 productSchema.index({ brand: 1, model: 1, 'specifications.color': 1 });
 productSchema.index({ isActive: 1, isDiscontinued: 1 });
+productSchema.index({ 'reorder.level': 1 });
 
 // Virtuals
 productSchema.virtual('fullName').get(function () {
@@ -134,6 +185,10 @@ productSchema.methods.getPublicInfo = function () {
     features: this.features,
     description: this.description,
     boxContents: this.boxContents,
+    reorder: {
+      level: this.reorder.level,
+      quantity: this.reorder.quantity,
+    },
     isActive: this.isActive,
   };
 };
@@ -1,8 +1,108 @@
 const mongoose = require("mongoose");
 
+// Methods a supplier payment can be made with
+const PAYMENT_METHODS = ["Cash", "Cheque", "Bank Transfer", "Other"];
+
+/**
+ * Supplier Payment Schema
+ * One installment paid against a purchase invoice
+ */
+const supplierPaymentSchema = new mongoose.Schema(
+  {
+    amount: {
+      type: Number,
+      required: [true, "Payment amount is required"],
+      min: [0.01, "Payment amount must be greater than zero"],
+    },
+    method: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      required: [true, "Payment method is required"],
+    },
+    paymentDate: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    referenceNumber: String,
+
+    // Cheque Details
+    cheque: {
+      number: String,
+      bank: String,
+      chequeDate: Date,
+      clearingDate: Date,
+    },
+
+    notes: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // Voided payments (e.g. a bounced cheque) stay for the record but do not count
+    voidedAt: Date,
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    voidReason: String,
+  },
+  { timestamps: true }
+);
+
+// Kinds of document that can be attached to an invoice
+const ATTACHMENT_TYPES = ["Invoice", "Delivery Note", "Payment Slip", "Other"];
+
+// Stored file (S3 key only; the bucket is private, so files are read through signed URLs)
+const storedFileFields = {
+  key: {
+    type: String,
+    required: true,
+  },
+  fileName: String,
+  mimeType: String,
+  size: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+};
+
+/**
+ * Invoice Attachment Schema
+ * A document attached to a purchase invoice; replaced files are kept as versions
+ */
+const invoiceAttachmentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ATTACHMENT_TYPES,
+    required: [true, "Attachment type is required"],
+  },
+  ...storedFileFields,
+  notes: String,
+
+  // Earlier files, oldest first
+  versions: [
+    {
+      ...storedFileFields,
+      replacedAt: Date,
+      replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+  ],
+});
+
 /**
  * Purchase Invoice Schema
  * Represents a purchase invoice with multiple phones
+ * Individual handsets live in the Phone collection (see `phones` virtual)
  */
 const purchaseInvoiceSchema = new mongoose.Schema(
   {
@@ -25,7 +125,20 @@ const purchaseInvoiceSchema = new mongoose.Schema(
       required: true,
     },
 
-    // Supplier Information
+    // Location the phones were received at
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+    },
+
+    // Supplier master record
+    supplierRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      index: true,
+    },
+
+    // Supplier Information (as billed on this invoice)
     supplier: {
       name: {
         type: String,
@@ -38,7 +151,11 @@ const purchaseInvoiceSchema = new mongoose.Schema(
       address: String,
     },
 
-    // Invoice Proof (AWS S3) - OPTIONAL ON CREATE
+    // Scans and documents (AWS S3) - OPTIONAL ON CREATE
+    // An "Invoice" attachment is required for verification
+    attachments: [invoiceAttachmentSchema],
+
+    // Legacy single proof (moved to attachments by migrate:attachments)
     invoiceProof: {
       url: {
         type: String,
@@ -54,75 +171,42 @@ const purchaseInvoiceSchema = new mongoose.Schema(
       },
     },
 
-    // Phones in this invoice (Array of phone items)
-    phones: [
+    // Printed PDFs archived to S3
+    archivedPdfs: [
       {
-        product: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "Product",
-          required: true,
-        },
-        imei: {
-          type: String,
-          required: [true, "IMEI number is required"],
-          unique: true,
-          trim: true,
-          match: [/^[0-9]{15}$/, "IMEI must be exactly 15 digits"],
-          index: true,
-        },
-        serialNumber: String,
-
-        costPrice: {
-          type: Number,
-          required: [true, "Cost price is required"],
-          min: 0,
-        },
-        sellingPrice: {
-          type: Number,
-          required: [true, "Selling price is required"],
-          min: 0,
-        },
-
-        condition: {
+        variant: {
           type: String,
-          enum: ["New", "Refurbished", "Open Box", "Like New"],
-          default: "New",
+          enum: ["invoice", "received-slip"],
         },
-
-        status: {
-          type: String,
-          enum: [
-            "Available",
-            "Assigned",
-            "Reserved",
-            "Sold",
-            "Returned",
-            "Damaged",
-            "Transit",
-          ],
-          default: "Available",
-          index: true,
-        },
-
-        warrantyExpiryDate: Date,
-        notes: String,
-        soldDate: Date,
-        soldTo: String,
-
-        addedAt: {
+        key: String,
+        generatedAt: {
           type: Date,
           default: Date.now,
         },
+        generatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
       },
     ],
 
     // Financial Summary
+    // Costs are in the invoice currency; selling prices are always in rupees
     financials: {
       currency: {
         type: String,
         default: 'LKR',
         enum: ['LKR', 'USD', 'EUR'],
       },
+      // Rupees per unit of the invoice currency (locked when the invoice is verified)
+      exchangeRate: {
+        rate: {
+          type: Number,
+          default: 1,
+        },
+        rateDate: Date,
+        lockedAt: Date,
+      },
       subtotal: {
         type: Number,
         required: true,
@@ -152,11 +236,27 @@ const purchaseInvoiceSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // How tax, shipping and discount are spread over the phones' landed cost
+      costAllocation: {
+        type: String,
+        enum: ["Value", "Quantity"],
+        default: "Value",
+      },
+      // Cost reversed by supplier returns (credit notes and replaced handsets)
+      returnedCost: {
+        type: Number,
+        default: 0,
+      },
       totalCost: {
         type: Number,
         required: true,
         default: 0,
       },
+      // Net of approved credit (-) and debit (+) notes; totalCost stays as invoiced
+      amendedCost: {
+        type: Number,
+        default: 0,
+      },
       totalSellingPrice: {
         type: Number,
         default: 0,
@@ -183,10 +283,17 @@ const purchaseInvoiceSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
-      paymentDate: Date,
+      paymentDate: Date, // Date of the latest payment
       referenceNumber: String,
+      dueDate: {
+        type: Date,
+        index: true,
+      },
     },
 
+    // Installments paid to the supplier
+    payments: [supplierPaymentSchema],
+
     // Status
     invoiceStatus: {
       type: String,
@@ -230,27 +337,40 @@ const purchaseInvoiceSchema = new mongoose.Schema(
 purchaseInvoiceSchema.index({ invoiceDate: -1 });
 purchaseInvoiceSchema.index({ "supplier.name": 1 });
 purchaseInvoiceSchema.index({ invoiceStatus: 1 });
-purchaseInvoiceSchema.index({ "phones.imei": 1 });
-purchaseInvoiceSchema.index({ "phones.status": 1 });
 
 // ============================================
 // VIRTUALS
 // ============================================
 
+// Phones bought on this invoice (populate before use)
+purchaseInvoiceSchema.virtual("phones", {
+  ref: "Phone",
+  localField: "_id",
+  foreignField: "invoice",
+});
+
 purchaseInvoiceSchema.virtual("totalPhones").get(function () {
-  return this.phones.length;
+  return this.phones ? this.phones.length : undefined;
 });
 
 purchaseInvoiceSchema.virtual("availablePhones").get(function () {
-  return this.phones.filter((phone) => phone.status === "Available").length;
+  return this.phones
+    ? this.phones.filter((phone) => phone.status === "Available").length
+    : undefined;
 });
 
 purchaseInvoiceSchema.virtual("soldPhones").get(function () {
-  return this.phones.filter((phone) => phone.status === "Sold").length;
+  return this.phones
+    ? this.phones.filter((phone) => phone.status === "Sold").length
+    : undefined;
+});
+
+purchaseInvoiceSchema.virtual("effectiveTotalCost").get(function () {
+  return this.financials.totalCost + (this.financials.amendedCost || 0);
 });
 
 purchaseInvoiceSchema.virtual("expectedProfit").get(function () {
-  return this.financials.totalSellingPrice - this.financials.totalCost;
+  return this.financials.totalSellingPrice - this.toBase(this.effectiveTotalCost);
 });
 
 // ============================================
@@ -258,67 +378,209 @@ purchaseInvoiceSchema.virtual("expectedProfit").get(function () {
 // ============================================
 
 purchaseInvoiceSchema.pre("save", function (next) {
-  this.financials.subtotal = this.phones.reduce(
-    (sum, phone) => sum + phone.costPrice,
+  this.calculateTotalCost();
+  this.refreshPaymentStatus();
+
+  next();
+});
+
+// ============================================
+// METHODS
+// ============================================
+
+/**
+ * Set subtotal and selling total from the invoice's phones
+ * Amendments changed the phones' costs, so they are taken back out to keep the invoiced subtotal
+ * totalCost and pendingAmount follow on save
+ * @param {Array} phones - Phone documents of this invoice
+ */
+purchaseInvoiceSchema.methods.setPhoneTotals = function (phones) {
+  this.financials.subtotal =
+    phones.reduce((sum, phone) => sum + phone.costPrice, 0) -
+    (this.financials.amendedCost || 0);
+
+  this.financials.totalSellingPrice = phones.reduce(
+    (sum, phone) => sum + phone.sellingPrice,
     0
   );
 
+  return this;
+};
+
+/**
+ * Spread tax and shipping less discount over the phones as landed cost
+ * By value (share of the unit costs) or by quantity (equal shares). Phones sent
+ * back to the supplier get no share. Rounding is absorbed by the last phone.
+ * @param {Array} phones - Phone documents of this invoice (landedCost is set on them)
+ * @returns {Array} Phones whose landed cost changed
+ */
+purchaseInvoiceSchema.methods.allocateLandedCost = function (phones) {
+  const { tax, shippingCost, discount, costAllocation } = this.financials;
+  const extra = (tax.amount || 0) + (shippingCost || 0) - (discount.amount || 0);
+
+  const sharing = phones.filter(
+    (phone) => !(phone.status === "Returned" && phone.supplierReturn)
+  );
+  const totalValue = sharing.reduce((sum, phone) => sum + phone.costPrice, 0);
+  const byQuantity = costAllocation === "Quantity" || totalValue === 0;
+
+  const changed = [];
+  let allocated = 0;
+
+  sharing.forEach((phone, index) => {
+    let share;
+    if (index === sharing.length - 1) {
+      share = extra - allocated;
+    } else {
+      const weight = byQuantity ? 1 / sharing.length : phone.costPrice / totalValue;
+      share = Math.round(extra * weight * 100) / 100;
+    }
+    allocated += share;
+
+    const landedCost = Math.round((phone.costPrice + share) * 100) / 100;
+    if (phone.landedCost !== landedCost) {
+      phone.landedCost = landedCost;
+      changed.push(phone);
+    }
+  });
+
+  return changed;
+};
+
+/**
+ * Compute totalCost from subtotal, tax, shipping, discount and supplier returns
+ */
+purchaseInvoiceSchema.methods.calculateTotalCost = function () {
   this.financials.totalCost =
     this.financials.subtotal +
     this.financials.tax.amount +
     this.financials.shippingCost -
-    this.financials.discount.amount;
+    this.financials.discount.amount -
+    (this.financials.returnedCost || 0);
 
-  this.financials.totalSellingPrice = this.phones.reduce(
-    (sum, phone) => sum + phone.sellingPrice,
-    0
-  );
+  return this.financials.totalCost;
+};
+
+/**
+ * Recompute paid and pending amounts and the payment status
+ * paidAmount is the sum of installments (invoices without any keep the entered amount)
+ */
+purchaseInvoiceSchema.methods.refreshPaymentStatus = function (now = new Date()) {
+  const activePayments = this.payments.filter((payment) => !payment.voidedAt);
+
+  if (this.payments.length > 0) {
+    this.payment.paidAmount = activePayments.reduce(
+      (sum, payment) => sum + payment.amount,
+      0
+    );
+    this.payment.paymentDate = activePayments.length
+      ? activePayments[activePayments.length - 1].paymentDate
+      : undefined;
+  }
 
   this.payment.pendingAmount =
-    this.financials.totalCost - this.payment.paidAmount;
+    this.effectiveTotalCost - this.payment.paidAmount;
+
+  if (this.payment.pendingAmount <= 0) {
+    this.payment.status = "Paid";
+  } else if (this.payment.dueDate && this.payment.dueDate < now) {
+    this.payment.status = "Overdue";
+  } else if (this.payment.paidAmount > 0) {
+    this.payment.status = "Partial";
+  } else {
+    this.payment.status = "Pending";
+  }
 
-  next();
-});
+  return this;
+};
 
-// ============================================
-// METHODS
-// ============================================
+/**
+ * Set the due date from the supplier's credit terms
+ * @param {number} termsDays - Days of credit from the invoice date
+ */
+purchaseInvoiceSchema.methods.setDueDate = function (termsDays = 0) {
+  const dueDate = new Date(this.invoiceDate);
+  dueDate.setDate(dueDate.getDate() + termsDays);
+  this.payment.dueDate = dueDate;
 
-purchaseInvoiceSchema.methods.hasIMEI = function (imei) {
-  return this.phones.some((phone) => phone.imei === imei);
+  return this;
 };
 
-purchaseInvoiceSchema.methods.getPhoneByIMEI = function (imei) {
-  return this.phones.find((phone) => phone.imei === imei);
-};
+/**
+ * Turn the payment details entered with a new invoice into its first installment
+ * An invoice marked Paid without an amount was paid in full (unless bought on credit)
+ * @param {ObjectId} actor - User recording the invoice
+ */
+purchaseInvoiceSchema.methods.addInitialPayment = function (actor) {
+  const { method, status, paidAmount, paymentDate, referenceNumber } = this.payment;
 
-purchaseInvoiceSchema.methods.updatePhoneStatus = async function (
-  imei,
-  newStatus,
-  soldInfo = {}
-) {
-  const phone = this.getPhoneByIMEI(imei);
+  let amount = paidAmount;
+  if (!amount && status === "Paid" && method !== "Credit") {
+    amount = this.calculateTotalCost();
+  }
 
-  if (!phone) {
-    throw new Error("Phone with this IMEI not found in invoice");
+  if (amount > 0) {
+    this.payments.push({
+      amount,
+      method: PAYMENT_METHODS.includes(method) ? method : "Other",
+      paymentDate: paymentDate || this.invoiceDate,
+      referenceNumber,
+      recordedBy: actor,
+    });
   }
 
-  phone.status = newStatus;
+  return this;
+};
+
+/**
+ * Attach an uploaded file, or replace the file of an existing attachment
+ * The replaced file is kept as a version
+ * @param {Object} file - { key, fileName, mimeType, size }
+ * @param {Object} options - { type, attachment (to replace), notes, actor }
+ * @returns {Object} The attachment
+ */
+purchaseInvoiceSchema.methods.storeAttachment = function (file, options = {}) {
+  const { type, attachment, notes, actor } = options;
+  const uploaded = { ...file, uploadedAt: new Date(), uploadedBy: actor };
 
-  if (newStatus === "Sold" && soldInfo) {
-    phone.soldDate = soldInfo.soldDate || new Date();
-    phone.soldTo = soldInfo.soldTo || "";
+  if (!attachment) {
+    this.attachments.push({ type, notes, ...uploaded });
+    return this.attachments[this.attachments.length - 1];
   }
 
-  await this.save();
-  return phone;
+  attachment.versions.push({
+    key: attachment.key,
+    fileName: attachment.fileName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    uploadedAt: attachment.uploadedAt,
+    uploadedBy: attachment.uploadedBy,
+    replacedAt: uploaded.uploadedAt,
+    replacedBy: actor,
+  });
+  attachment.set({ ...uploaded, notes: notes ?? attachment.notes });
+
+  return attachment;
 };
 
 /**
- * Format currency amount
+ * Latest attachment of a type
  */
-purchaseInvoiceSchema.methods.formatCurrency = function(amount) {
-  const currency = this.financials.currency || 'LKR';
+purchaseInvoiceSchema.methods.findAttachment = function (type) {
+  return [...this.attachments].reverse().find((attachment) => attachment.type === type);
+};
+
+/**
+ * Convert an amount in the invoice currency to rupees
+ */
+purchaseInvoiceSchema.methods.toBase = function (amount) {
+  return (amount || 0) * (this.financials.exchangeRate?.rate || 1);
+};
+
+/**
+ * Format currency amount (in the invoice currency unless another is given)
+ */
+purchaseInvoiceSchema.methods.formatCurrency = function(amount, currency = this.financials.currency || 'LKR') {
   
   const formatters = {
     LKR: (amt) => `Rs. ${amt.toLocaleString('en-LK', { 
@@ -343,8 +605,11 @@ purchaseInvoiceSchema.methods.formatCurrency = function(amount) {
  */
 purchaseInvoiceSchema.methods.getSummary = function () {
   const totalCost = this.financials.totalCost;
+  const effectiveTotalCost = this.effectiveTotalCost;
+  const totalCostBase = this.toBase(effectiveTotalCost);
   const totalSellingPrice = this.financials.totalSellingPrice;
-  const expectedProfit = totalSellingPrice - totalCost;
+  const expectedProfit = totalSellingPrice - totalCostBase;
+  const phones = this.phones || [];
 
   return {
     id: this._id.toString(),
@@ -354,28 +619,103 @@ purchaseInvoiceSchema.methods.getSummary = function () {
       typeof this.supplier === "object" && this.supplier !== null
         ? this.supplier.name
         : this.supplier || "Unknown",
-    totalPhones: this.phones.length,
-    availablePhones: this.phones.filter((p) => p.status === "Available").length,
-    soldPhones: this.phones.filter((p) => p.status === "Sold").length,
+    supplierId: this.supplierRef,
+    totalPhones: phones.length,
+    availablePhones: phones.filter((p) => p.status === "Available").length,
+    soldPhones: phones.filter((p) => p.status === "Sold").length,
     
     // Add currency field
     currency: this.financials.currency || 'LKR',
+    exchangeRate: this.financials.exchangeRate?.rate || 1,
+    exchangeRateLocked: Boolean(this.financials.exchangeRate?.lockedAt),
     
     // Add both raw numbers and formatted strings
     totalCost,
     totalCostFormatted: this.formatCurrency(totalCost),
+    returnedCost: this.financials.returnedCost || 0,
+
+    // Invoice plus approved credit/debit notes
+    amendedCost: this.financials.amendedCost || 0,
+    effectiveTotalCost,
+    effectiveTotalCostFormatted: this.formatCurrency(effectiveTotalCost),
+
+    // Rupee values (effective total)
+    totalCostBase,
+    totalCostBaseFormatted: this.formatCurrency(totalCostBase, 'LKR'),
     
     totalSellingPrice,
-    totalSellingPriceFormatted: this.formatCurrency(totalSellingPrice),
+    totalSellingPriceFormatted: this.formatCurrency(totalSellingPrice, 'LKR'),
     
     expectedProfit,
-    expectedProfitFormatted: this.formatCurrency(expectedProfit),
+    expectedProfitFormatted: this.formatCurrency(expectedProfit, 'LKR'),
     
     invoiceStatus: this.invoiceStatus,
     paymentStatus: this.payment?.status || "Pending",
+    pendingAmount: this.payment?.pendingAmount,
+    pendingAmountBase: this.toBase(this.payment?.pendingAmount),
+    dueDate: this.payment?.dueDate,
   };
 };
 
+// ============================================
+// STATICS
+// ============================================
+
+purchaseInvoiceSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+purchaseInvoiceSchema.statics.ATTACHMENT_TYPES = ATTACHMENT_TYPES;
+
+/**
+ * Mark unpaid invoices past their due date as Overdue
+ * @returns {Promise<number>} Number of invoices marked
+ */
+purchaseInvoiceSchema.statics.markOverdue = async function (now = new Date()) {
+  const result = await this.updateMany(
+    {
+      "payment.status": { $in: ["Pending", "Partial"] },
+      "payment.dueDate": { $lt: now },
+      "payment.pendingAmount": { $gt: 0 },
+      invoiceStatus: { $ne: "Cancelled" },
+    },
+    { $set: { "payment.status": "Overdue" } }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Reload an invoice's phones and persist its recomputed totals and landed costs
+ * @param {ObjectId} invoiceId - Invoice ID
+ * @param {Object} [options] - { session }
+ */
+purchaseInvoiceSchema.statics.recalculateTotals = async function (
+  invoiceId,
+  options = {}
+) {
+  const invoice = await this.findById(invoiceId)
+    .populate("phones")
+    .session(options.session || null);
+
+  if (!invoice) return null;
+
+  invoice.setPhoneTotals(invoice.phones);
+  await invoice.save({ session: options.session });
+
+  const changed = invoice.allocateLandedCost(invoice.phones);
+  if (changed.length > 0) {
+    await mongoose.model("Phone").bulkWrite(
+      changed.map((phone) => ({
+        updateOne: {
+          filter: { _id: phone._id },
+          update: { $set: { landedCost: phone.landedCost } },
+        },
+      })),
+      { session: options.session }
+    );
+  }
+
+  return invoice;
+};
+
 // ============================================
 // EXPORT MODEL (FIX FOR OVERWRITE ERROR)
 // ============================================
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+/**
+ * Purchase Order Schema
+ * What we agreed to buy from a supplier, before the stock arrives
+ * Draft -> Ordered -> Partially Received -> Received (or Cancelled)
+ */
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: [true, 'Supplier is required'],
+      index: true,
+    },
+
+    // Where the stock will be received (default location when empty)
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+    },
+
+    orderDate: {
+      type: Date,
+      default: Date.now,
+    },
+    expectedDate: Date,
+
+    // Ordered Products
+    lines: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: [true, 'Product is required'],
+        },
+        quantity: {
+          type: Number,
+          required: [true, 'Quantity is required'],
+          min: [1, 'Quantity must be at least 1'],
+        },
+        unitCost: {
+          type: Number,
+          required: [true, 'Agreed unit cost is required'],
+          min: 0,
+        },
+        receivedQuantity: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: ['Draft', 'Ordered', 'Partially Received', 'Received', 'Cancelled'],
+      default: 'Draft',
+      index: true,
+    },
+
+    notes: String,
+
+    // Audit Trail
+    orderedAt: Date,
+    orderedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+purchaseOrderSchema.index({ createdAt: -1 });
+
+// Validation
+purchaseOrderSchema.pre('validate', function (next) {
+  const products = this.lines.map((line) => line.product.toString());
+  if (new Set(products).size !== products.length) {
+    return next(new Error('Each product can only appear once on a purchase order'));
+  }
+  next();
+});
+
+// Virtuals
+purchaseOrderSchema.virtual('totalQuantity').get(function () {
+  return this.lines.reduce((sum, line) => sum + line.quantity, 0);
+});
+
+purchaseOrderSchema.virtual('totalReceived').get(function () {
+  return this.lines.reduce((sum, line) => sum + line.receivedQuantity, 0);
+});
+
+purchaseOrderSchema.virtual('totalCost').get(function () {
+  return this.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0);
+});
+
+// Methods
+/**
+ * Find the line of a product
+ */
+purchaseOrderSchema.methods.getLine = function (productId) {
+  return this.lines.find((line) => line.product.toString() === productId.toString());
+};
+
+/**
+ * Move to Partially Received / Received from the received quantities
+ */
+purchaseOrderSchema.methods.refreshReceiptStatus = function () {
+  if (this.lines.every((line) => line.receivedQuantity >= line.quantity)) {
+    this.status = 'Received';
+  } else if (this.lines.some((line) => line.receivedQuantity > 0)) {
+    this.status = 'Partially Received';
+  }
+
+  return this;
+};
+
+purchaseOrderSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    poNumber: this.poNumber,
+    supplier: this.supplier,
+    location: this.location,
+    orderDate: this.orderDate,
+    expectedDate: this.expectedDate,
+    status: this.status,
+    totalLines: this.lines.length,
+    totalQuantity: this.totalQuantity,
+    totalReceived: this.totalReceived,
+    totalCost: this.totalCost,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports =
+  mongoose.models.PurchaseOrder || mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+
+// Ways a customer can settle credit invoices in the field
+const RECEIPT_METHODS = ['Cash', 'Cheque'];
+
+// Cheque lifecycle: Received -> Deposited -> Cleared or Bounced
+const CHEQUE_STATUSES = ['Received', 'Deposited', 'Cleared', 'Bounced'];
+
+/**
+ * Receipt Schema
+ * Money collected from a customer against their open credit sales invoices
+ * A bounced cheque reverses its allocations and reopens the invoice balances
+ * Amounts are in rupees
+ */
+const receiptSchema = new mongoose.Schema(
+  {
+    receiptNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: [true, 'Customer is required'],
+      index: true,
+    },
+    customerName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    receiptDate: {
+      type: Date,
+      required: true,
+      default: Date.now,
+      index: true,
+    },
+
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0.01, 'Amount must be greater than zero'],
+    },
+    method: {
+      type: String,
+      enum: RECEIPT_METHODS,
+      required: [true, 'Payment method is required'],
+    },
+
+    // Cheque Details
+    cheque: {
+      number: String,
+      bank: String,
+      branch: String,
+      chequeDate: Date,
+      status: {
+        type: String,
+        enum: CHEQUE_STATUSES,
+      },
+      depositedAt: Date,
+      depositedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      clearedAt: Date,
+      clearedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      bouncedAt: Date,
+      bouncedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      bounceReason: String,
+    },
+
+    // How the amount was spread over the customer's open invoices
+    allocationMode: {
+      type: String,
+      enum: ['Oldest First', 'Manual'],
+      default: 'Oldest First',
+    },
+    allocations: [
+      {
+        invoice: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'SalesInvoice',
+          required: true,
+        },
+        invoiceNumber: String,
+        amount: {
+          type: Number,
+          required: true,
+          min: 0.01,
+        },
+      },
+    ],
+
+    notes: String,
+
+    // Assignment whose day close the DSR handed this money over in
+    handedOverIn: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DsrAssignment',
+      index: { sparse: true },
+    },
+
+    // Audit Trail
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+receiptSchema.index({ 'allocations.invoice': 1 });
+receiptSchema.index({ method: 1, 'cheque.status': 1 });
+
+// Virtuals
+receiptSchema.virtual('isReversed').get(function () {
+  return this.method === 'Cheque' && this.cheque.status === 'Bounced';
+});
+
+// Methods
+receiptSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    receiptNumber: this.receiptNumber,
+    receiptDate: this.receiptDate,
+    customer: this.customer,
+    customerName: this.customerName,
+    amount: this.amount,
+    method: this.method,
+    chequeNumber: this.method === 'Cheque' ? this.cheque.number : undefined,
+    chequeStatus: this.method === 'Cheque' ? this.cheque.status : undefined,
+    allocationMode: this.allocationMode,
+    allocations: this.allocations.map((allocation) => ({
+      invoice: allocation.invoice,
+      invoiceNumber: allocation.invoiceNumber,
+      amount: allocation.amount,
+    })),
+    isReversed: this.isReversed,
+    collectedBy: this.collectedBy,
+  };
+};
+
+// Statics
+receiptSchema.statics.METHODS = RECEIPT_METHODS;
+receiptSchema.statics.CHEQUE_STATUSES = CHEQUE_STATUSES;
+
+module.exports = mongoose.models.Receipt || mongoose.model('Receipt', receiptSchema);
@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+
+// Methods a customer can pay a sale with
+const SALE_PAYMENT_METHODS = ['Cash', 'Card', 'Bank Transfer', 'Cheque', 'Credit'];
+
+/**
+ * Sales Invoice Schema
+ * Handsets sold to a customer, at the counter or by a DSR in the field
+ * Prices are in rupees
+ * A credit sale over the customer's limit waits for the owner with its phones Reserved:
+ * Pending Approval -> Completed (phones sold) or Rejected (phones released)
+ */
+const salesInvoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    saleDate: {
+      type: Date,
+      required: true,
+      default: Date.now,
+      index: true,
+    },
+
+    status: {
+      type: String,
+      enum: ['Completed', 'Pending Approval', 'Rejected'],
+      default: 'Completed',
+      index: true,
+    },
+
+    channel: {
+      type: String,
+      enum: ['Counter', 'DSR'],
+      required: true,
+      index: true,
+    },
+    // DSR assignment the phones were sold from
+    assignment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DsrAssignment',
+      index: { sparse: true },
+    },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+    },
+
+    // Buyer (walk-in sales may have a name only)
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      index: { sparse: true },
+    },
+    customerName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Sold Phones
+    lines: [
+      {
+        phone: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Phone',
+          required: true,
+        },
+        imei: {
+          type: String,
+          required: true,
+        },
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+        },
+        unitPrice: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        discount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        // Cost in rupees when sold (unit and landed)
+        costPrice: Number,
+        landedCost: Number,
+        // Phone status before it was reserved for credit approval
+        heldFromStatus: String,
+      },
+    ],
+
+    payment: {
+      method: {
+        type: String,
+        enum: SALE_PAYMENT_METHODS,
+        default: 'Cash',
+      },
+      referenceNumber: String,
+      paidAmount: {
+        type: Number,
+        default: 0,
+      },
+      // Credit sales: saleDate + the customer's credit terms
+      dueDate: Date,
+    },
+
+    // Customer's credit position when the sale was recorded
+    creditCheck: {
+      creditLimit: Number,
+      outstanding: Number,
+      exceededBy: Number,
+    },
+
+    notes: String,
+
+    // Audit Trail
+    soldBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    approvedAt: Date,
+    approvalReason: String,
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    rejectedAt: Date,
+    rejectionReason: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+salesInvoiceSchema.index({ 'lines.imei': 1 });
+salesInvoiceSchema.index({ customer: 1, 'payment.method': 1, status: 1 });
+
+// Virtuals
+salesInvoiceSchema.virtual('subtotal').get(function () {
+  return this.lines.reduce((sum, line) => sum + line.unitPrice, 0);
+});
+
+salesInvoiceSchema.virtual('totalDiscount').get(function () {
+  return this.lines.reduce((sum, line) => sum + (line.discount || 0), 0);
+});
+
+salesInvoiceSchema.virtual('total').get(function () {
+  return this.subtotal - this.totalDiscount;
+});
+
+salesInvoiceSchema.virtual('pendingAmount').get(function () {
+  return this.total - (this.payment.paidAmount || 0);
+});
+
+salesInvoiceSchema.virtual('profit').get(function () {
+  return this.lines.reduce(
+    (sum, line) => sum + line.unitPrice - (line.discount || 0) - (line.costPrice || 0),
+    0
+  );
+});
+
+// Methods
+salesInvoiceSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    invoiceNumber: this.invoiceNumber,
+    saleDate: this.saleDate,
+    status: this.status,
+    channel: this.channel,
+    customer: this.customer,
+    customerName: this.customerName,
+    totalPhones: this.lines.length,
+    subtotal: this.subtotal,
+    totalDiscount: this.totalDiscount,
+    total: this.total,
+    paymentMethod: this.payment.method,
+    paidAmount: this.payment.paidAmount,
+    pendingAmount: this.pendingAmount,
+    dueDate: this.payment.dueDate,
+    profit: this.profit,
+  };
+};
+
+// Statics
+salesInvoiceSchema.statics.PAYMENT_METHODS = SALE_PAYMENT_METHODS;
+
+module.exports =
+  mongoose.models.SalesInvoice || mongoose.model('SalesInvoice', salesInvoiceSchema);
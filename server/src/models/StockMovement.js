@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+const PHONE_STATUSES = [
+  'Available',
+  'Assigned',
+  'Reserved',
+  'Sold',
+  'Returned',
+  'Damaged',
+  'Transit',
+];
+
+/**
+ * Stock Movement Schema
+ * Append-only ledger of every status transition of an IMEI
+ * Entries are never updated or deleted once written
+ */
+const stockMovementSchema = new mongoose.Schema(
+  {
+    // Phone Reference (IMEI kept so history survives phone deletion)
+    phone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Phone',
+      index: true,
+    },
+    imei: {
+      type: String,
+      required: [true, 'IMEI is required'],
+      trim: true,
+      index: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseInvoice',
+    },
+
+    // Transition (null = outside of stock)
+    action: {
+      type: String,
+      enum: [
+        'Received',
+        'Assigned',
+        'Sold',
+        'Reserved',
+        'Released',
+        'Returned',
+        'StatusChanged',
+        'Updated',
+        'Removed',
+        'TransferOut',
+        'TransferIn',
+        'Adjusted',
+        'ReturnedToSupplier',
+      ],
+      required: true,
+    },
+    fromStatus: {
+      type: String,
+      enum: [...PHONE_STATUSES, null],
+      default: null,
+    },
+    toStatus: {
+      type: String,
+      enum: [...PHONE_STATUSES, null],
+      default: null,
+    },
+
+    // Source Document
+    source: {
+      kind: {
+        type: String,
+        enum: ['Invoice', 'GRN', 'Assignment', 'Transfer', 'StockTake', 'RMA', 'Amendment', 'Sale', 'Warranty', 'Manual'],
+        required: true,
+      },
+      model: {
+        type: String,
+        enum: [
+          'PurchaseInvoice',
+          'GoodsReceivedNote',
+          'DsrAssignment',
+          'StockTransfer',
+          'StockTake',
+          'SupplierReturn',
+          'InvoiceAmendment',
+          'SalesInvoice',
+          'WarrantyClaim',
+        ],
+      },
+      document: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'source.model',
+      },
+      reference: String, // Document number for quick display
+    },
+
+    // Where the phone was after the movement
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+    },
+
+    // Financials at the time of the movement
+    price: Number,
+
+    // Field-level changes for 'Updated' movements
+    changes: mongoose.Schema.Types.Mixed,
+    notes: String,
+
+    // Audit Trail
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+stockMovementSchema.index({ imei: 1, occurredAt: 1 });
+stockMovementSchema.index({ 'source.document': 1 });
+
+// ============================================
+// IMMUTABILITY
+// ============================================
+
+const immutableError = () => new Error('Stock movements are immutable and cannot be modified or deleted');
+
+stockMovementSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(immutableError());
+  }
+  next();
+});
+
+stockMovementSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  function (next) {
+    next(immutableError());
+  }
+);
+
+// Methods
+stockMovementSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    imei: this.imei,
+    action: this.action,
+    fromStatus: this.fromStatus,
+    toStatus: this.toStatus,
+    source: this.source,
+    price: this.price,
+    changes: this.changes,
+    notes: this.notes,
+    actor: this.actor,
+    occurredAt: this.occurredAt,
+  };
+};
+
+module.exports = mongoose.models.StockMovement || mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+
+// Statuses that mean a phone should physically be on the shelf
+const ON_SHELF_STATUSES = ['Available', 'Damaged', 'Returned'];
+
+const countedPhoneSchema = new mongoose.Schema(
+  {
+    phone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Phone',
+    },
+    imei: {
+      type: String,
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+    status: String,
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+    },
+    reason: String, // Why a scanned phone is flagged
+  },
+  { _id: false }
+);
+
+/**
+ * Stock Take Schema
+ * Physical count session for a location and/or brand
+ * Open -> Closed (variance computed) -> Approved (adjustments posted)
+ */
+const stockTakeSchema = new mongoose.Schema(
+  {
+    sessionNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    // Count Scope (at least one)
+    scope: {
+      location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+      },
+      brand: {
+        type: String,
+        trim: true,
+        uppercase: true,
+      },
+    },
+
+    status: {
+      type: String,
+      enum: ['Open', 'Closed', 'Approved', 'Cancelled'],
+      default: 'Open',
+      index: true,
+    },
+
+    // Phones expected on the shelf when the session was opened
+    expected: [countedPhoneSchema],
+
+    // Scanned IMEIs (one entry per handset)
+    scans: [
+      {
+        imei: {
+          type: String,
+          required: true,
+        },
+        phone: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Phone',
+        },
+        scannedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        scannedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      },
+    ],
+
+    // Variance Report (set on close)
+    variance: {
+      missing: [countedPhoneSchema], // expected but not scanned
+      notInSystem: [countedPhoneSchema], // scanned but unknown IMEI
+      wrongStatus: [countedPhoneSchema], // scanned but Sold/Assigned/elsewhere in the system
+    },
+
+    // Posted Adjustments (set on approve)
+    adjustments: [
+      {
+        phone: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Phone',
+        },
+        imei: String,
+        fromStatus: String,
+        toStatus: String,
+        reason: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+
+    notes: String,
+
+    // Audit Trail
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    closedAt: Date,
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    approvedAt: Date,
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+stockTakeSchema.index({ 'scope.location': 1, status: 1 });
+stockTakeSchema.index({ createdAt: -1 });
+
+// Validation
+stockTakeSchema.pre('validate', function (next) {
+  if (!this.scope || (!this.scope.location && !this.scope.brand)) {
+    return next(new Error('Stock take needs a location or a brand'));
+  }
+  next();
+});
+
+// Virtuals
+stockTakeSchema.virtual('totalExpected').get(function () {
+  return this.expected.length;
+});
+
+stockTakeSchema.virtual('totalScanned').get(function () {
+  return this.scans.length;
+});
+
+// Methods
+stockTakeSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    sessionNumber: this.sessionNumber,
+    scope: this.scope,
+    status: this.status,
+    totalExpected: this.totalExpected,
+    totalScanned: this.totalScanned,
+    variance: this.status === 'Open' || this.status === 'Cancelled'
+      ? undefined
+      : {
+        missing: this.variance.missing.length,
+        notInSystem: this.variance.notInSystem.length,
+        wrongStatus: this.variance.wrongStatus.length,
+      },
+    totalAdjustments: this.adjustments.length,
+    createdAt: this.createdAt,
+    closedAt: this.closedAt,
+    approvedAt: this.approvedAt,
+  };
+};
+
+stockTakeSchema.statics.ON_SHELF_STATUSES = ON_SHELF_STATUSES;
+
+module.exports = mongoose.models.StockTake || mongoose.model('StockTake', stockTakeSchema);
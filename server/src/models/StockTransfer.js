@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+/**
+ * Stock Transfer Schema
+ * Moves phones between locations: Draft -> In Transit -> Received
+ */
+const stockTransferSchema = new mongoose.Schema(
+  {
+    transferNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    fromLocation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      required: [true, 'Source location is required'],
+      index: true,
+    },
+    toLocation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      required: [true, 'Destination location is required'],
+      index: true,
+    },
+
+    // Phones in this transfer
+    phones: [
+      {
+        phone: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Phone',
+          required: true,
+        },
+        imei: {
+          type: String,
+          required: true,
+        },
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+        },
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: ['Draft', 'In Transit', 'Received', 'Cancelled'],
+      default: 'Draft',
+      index: true,
+    },
+
+    notes: String,
+
+    // Dispatch / Receipt
+    dispatchedAt: Date,
+    dispatchedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    receivedAt: Date,
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    receiptNotes: String,
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    // Audit Trail
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+stockTransferSchema.index({ 'phones.imei': 1 });
+stockTransferSchema.index({ createdAt: -1 });
+
+// Virtuals
+stockTransferSchema.virtual('totalPhones').get(function () {
+  return this.phones.length;
+});
+
+// Validation
+stockTransferSchema.pre('validate', function (next) {
+  if (this.fromLocation && this.toLocation && this.fromLocation.equals(this.toLocation)) {
+    return next(new Error('Source and destination locations must be different'));
+  }
+  next();
+});
+
+// Methods
+stockTransferSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    transferNumber: this.transferNumber,
+    fromLocation: this.fromLocation,
+    toLocation: this.toLocation,
+    totalPhones: this.totalPhones,
+    status: this.status,
+    notes: this.notes,
+    dispatchedAt: this.dispatchedAt,
+    receivedAt: this.receivedAt,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports =
+  mongoose.models.StockTransfer || mongoose.model('StockTransfer', stockTransferSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// Company suffixes ignored when matching supplier names
+const NAME_SUFFIXES = ['pvt', 'private', 'ltd', 'limited', 'co', 'company'];
+
+/**
+ * Supplier Schema
+ * Master record of a vendor we buy stock from
+ * Purchase invoices reference it and keep a snapshot of the details they were billed with
+ */
+const supplierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Supplier name is required'],
+      trim: true,
+    },
+    // Matching key, so spelling variants resolve to the same supplier
+    normalizedName: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Contact Details
+    contactPerson: String,
+    phone: String,
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    address: String,
+    taxNumber: String,
+
+    // Credit terms we get from the supplier
+    paymentTermsDays: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    notes: String,
+
+    // Audit Trail
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+supplierSchema.index({ name: 1 });
+
+// Statics
+/**
+ * Normalize a supplier name for matching
+ * "Tech Distributors (Pvt) Ltd." and "tech  distributors" give the same key
+ */
+supplierSchema.statics.normalizeName = function (name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((word) => word && !NAME_SUFFIXES.includes(word))
+    .join(' ');
+};
+
+supplierSchema.statics.findByName = function (name, options = {}) {
+  return this.findOne({ normalizedName: this.normalizeName(name) }).session(
+    options.session || null
+  );
+};
+
+// Middleware
+supplierSchema.pre('validate', function (next) {
+  if (this.isModified('name')) {
+    this.normalizedName = this.constructor.normalizeName(this.name);
+  }
+  next();
+});
+
+// Methods
+supplierSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    contactPerson: this.contactPerson,
+    phone: this.phone,
+    email: this.email,
+    address: this.address,
+    taxNumber: this.taxNumber,
+    paymentTermsDays: this.paymentTermsDays,
+    isActive: this.isActive,
+  };
+};
+
+/**
+ * Details copied onto a purchase invoice
+ */
+supplierSchema.methods.getInvoiceSnapshot = function () {
+  return {
+    name: this.name,
+    contactPerson: this.contactPerson,
+    phone: this.phone,
+    email: this.email,
+    address: this.address,
+  };
+};
+
+module.exports = mongoose.models.Supplier || mongoose.model('Supplier', supplierSchema);
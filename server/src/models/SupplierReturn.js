@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+
+// Statuses a phone can be picked for a supplier return from
+const RETURNABLE_STATUSES = ['Available', 'Damaged'];
+
+/**
+ * Supplier Return (RMA) Schema
+ * Defective handsets sent back to the supplier for a replacement or a credit note
+ * Open -> Dispatched -> Partially Resolved -> Resolved (or Cancelled while Open)
+ */
+const supplierReturnSchema = new mongoose.Schema(
+  {
+    rmaNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: [true, 'Supplier is required'],
+      index: true,
+    },
+
+    // Where replacements are received (default location when empty)
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+    },
+
+    // Returned Phones
+    items: [
+      {
+        phone: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Phone',
+          required: true,
+        },
+        imei: {
+          type: String,
+          required: true,
+        },
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+        },
+        invoice: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'PurchaseInvoice',
+        },
+        costPrice: Number,
+        fault: {
+          type: String,
+          required: [true, 'Fault description is required'],
+          trim: true,
+        },
+
+        // Supplier's Response
+        outcome: {
+          type: String,
+          enum: ['Pending', 'Replaced', 'Credited', 'Rejected'],
+          default: 'Pending',
+        },
+        replacementPhone: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Phone',
+        },
+        replacementImei: String,
+        creditNoteNumber: String,
+        creditAmount: Number,
+        resolutionNotes: String,
+        resolvedAt: Date,
+        resolvedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: ['Open', 'Dispatched', 'Partially Resolved', 'Resolved', 'Cancelled'],
+      default: 'Open',
+      index: true,
+    },
+
+    // Dispatch Details
+    dispatch: {
+      courier: String,
+      trackingNumber: String,
+      dispatchedAt: Date,
+      dispatchedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+
+    notes: String,
+
+    // Audit Trail
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+supplierReturnSchema.index({ 'items.imei': 1 });
+supplierReturnSchema.index({ createdAt: -1 });
+
+// Virtuals
+supplierReturnSchema.virtual('totalCost').get(function () {
+  return this.items.reduce((sum, item) => sum + (item.costPrice || 0), 0);
+});
+
+supplierReturnSchema.virtual('totalCredited').get(function () {
+  return this.items.reduce((sum, item) => sum + (item.creditAmount || 0), 0);
+});
+
+// Methods
+/**
+ * Find the item of a returned IMEI
+ */
+supplierReturnSchema.methods.getItem = function (imei) {
+  return this.items.find((item) => item.imei === imei);
+};
+
+/**
+ * Move to Partially Resolved / Resolved from the item outcomes
+ */
+supplierReturnSchema.methods.refreshResolutionStatus = function () {
+  const pending = this.items.filter((item) => item.outcome === 'Pending').length;
+
+  if (pending === 0) {
+    this.status = 'Resolved';
+  } else if (pending < this.items.length) {
+    this.status = 'Partially Resolved';
+  }
+
+  return this;
+};
+
+supplierReturnSchema.methods.getSummary = function () {
+  const countOf = (outcome) => this.items.filter((item) => item.outcome === outcome).length;
+
+  return {
+    id: this._id,
+    rmaNumber: this.rmaNumber,
+    supplier: this.supplier,
+    location: this.location,
+    status: this.status,
+    totalItems: this.items.length,
+    pending: countOf('Pending'),
+    replaced: countOf('Replaced'),
+    credited: countOf('Credited'),
+    rejected: countOf('Rejected'),
+    totalCost: this.totalCost,
+    totalCredited: this.totalCredited,
+    dispatchedAt: this.dispatch?.dispatchedAt,
+    createdAt: this.createdAt,
+  };
+};
+
+// Statics
+supplierReturnSchema.statics.RETURNABLE_STATUSES = RETURNABLE_STATUSES;
+
+module.exports =
+  mongoose.models.SupplierReturn || mongoose.model('SupplierReturn', supplierReturnSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * TAC Entry Schema
+ * Local lookup table mapping a Type Allocation Code (first 8 IMEI digits)
+ * to the device brand/model it was allocated to
+ */
+const tacEntrySchema = new mongoose.Schema(
+  {
+    tac: {
+      type: String,
+      required: [true, 'TAC is required'],
+      unique: true,
+      trim: true,
+      match: [/^[0-9]{8}$/, 'TAC must be exactly 8 digits'],
+    },
+    brand: {
+      type: String,
+      required: [true, 'Brand is required'],
+      trim: true,
+      uppercase: true,
+      index: true,
+    },
+    model: {
+      type: String,
+      required: [true, 'Model is required'],
+      trim: true,
+    },
+    notes: String,
+
+    // Audit Trail
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Methods
+tacEntrySchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    tac: this.tac,
+    brand: this.brand,
+    model: this.model,
+    notes: this.notes,
+  };
+};
+
+module.exports = mongoose.models.TacEntry || mongoose.model('TacEntry', tacEntrySchema);
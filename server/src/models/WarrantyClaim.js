@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+// Claims that are still with us or the service centre
+const OPEN_STATUSES = ['Received', 'Sent to Service', 'Repaired', 'Replaced'];
+
+/**
+ * Warranty Claim Schema
+ * A customer bringing back a sold phone under warranty
+ * Received -> Sent to Service -> Repaired or Replaced -> Handed Back (or Rejected when received)
+ * A replaced handset comes back into stock as Damaged and can go on a supplier RMA
+ */
+const warrantyClaimSchema = new mongoose.Schema(
+  {
+    claimNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    // Claimed Phone
+    phone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Phone',
+      required: true,
+    },
+    imei: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+
+    // Original Sale
+    salesInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SalesInvoice',
+      index: { sparse: true },
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      index: { sparse: true },
+    },
+    customerName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    contactPhone: {
+      type: String,
+      trim: true,
+    },
+    warrantyExpiryDate: Date,
+
+    fault: {
+      type: String,
+      required: [true, 'Fault description is required'],
+      trim: true,
+    },
+    // Accessories and condition noted when the phone was received
+    receivedCondition: String,
+
+    status: {
+      type: String,
+      enum: [...OPEN_STATUSES, 'Handed Back', 'Rejected'],
+      default: 'Received',
+      index: true,
+    },
+
+    // Service
+    service: {
+      sentTo: String,
+      reference: String,
+      sentAt: Date,
+      sentBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+
+    // Resolution
+    resolution: {
+      notes: String,
+      resolvedAt: Date,
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      // Handset given to the customer instead of the faulty one
+      replacementPhone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Phone',
+      },
+      replacementImei: String,
+    },
+
+    // Supplier return the faulty handset went back on
+    supplierReturn: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SupplierReturn',
+      index: { sparse: true },
+    },
+
+    handedBackAt: Date,
+    handedBackBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    rejectedAt: Date,
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    rejectionReason: String,
+
+    notes: String,
+
+    // Audit Trail
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+warrantyClaimSchema.index({ status: 1, createdAt: -1 });
+
+// Methods
+warrantyClaimSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    claimNumber: this.claimNumber,
+    imei: this.imei,
+    customerName: this.customerName,
+    salesInvoice: this.salesInvoice,
+    fault: this.fault,
+    status: this.status,
+    warrantyExpiryDate: this.warrantyExpiryDate,
+    sentTo: this.service?.sentTo,
+    replacementImei: this.resolution?.replacementImei,
+    supplierReturn: this.supplierReturn,
+    createdAt: this.createdAt,
+  };
+};
+
+// Statics
+warrantyClaimSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports =
+  mongoose.models.WarrantyClaim || mongoose.model('WarrantyClaim', warrantyClaimSchema);
@@ -0,0 +1,71 @@
+const express = require('express');
+const {
+  createCustomer,
+  getAllCustomers,
+  getCustomerById,
+  updateCustomer,
+  deactivateCustomer,
+  getReceivablesAging,
+} = require('../controllers/customerController');
+const { protect, authorize } = require('../middlewares/auth');
+const validate = require('../middlewares/validate');
+const {
+  createCustomerSchema,
+  updateCustomerSchema,
+} = require('../validations/schemas/customerSchemas');
+
+const router = express.Router();
+
+// ============================================
+// CUSTOMER ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/v1/customers
+ * @desc    Create customer
+ * @access  Private (All authenticated users)
+ */
+router.post('/', protect, validate(createCustomerSchema), createCustomer);
+
+/**
+ * @route   GET /api/v1/customers
+ * @desc    Get all customers with search
+ * @access  Private (All authenticated users)
+ */
+router.get('/', protect, getAllCustomers);
+
+/**
+ * @route   GET /api/v1/customers/receivables/aging
+ * @desc    Get accounts-receivable aging by customer and DSR territory (DSRs see their own)
+ * @access  Private (All authenticated users)
+ */
+router.get('/receivables/aging', protect, getReceivablesAging);
+
+/**
+ * @route   GET /api/v1/customers/:id
+ * @desc    Get customer by ID with purchase history
+ * @access  Private (All authenticated users)
+ */
+router.get('/:id', protect, getCustomerById);
+
+/**
+ * @route   PUT /api/v1/customers/:id
+ * @desc    Update customer
+ * @access  Private (Owner, Clerk)
+ */
+router.put(
+  '/:id',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(updateCustomerSchema),
+  updateCustomer
+);
+
+/**
+ * @route   DELETE /api/v1/customers/:id
+ * @desc    Deactivate customer
+ * @access  Private (Owner only)
+ */
+router.delete('/:id', protect, authorize('owner'), deactivateCustomer);
+
+module.exports = router;
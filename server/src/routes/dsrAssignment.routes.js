@@ -4,7 +4,11 @@ const {
   getAllAssignments,
   getAssignmentById,
   markPhoneAsSold,
+  recordAssignmentSale,
   returnPhones,
+  getDayClose,
+  declareDayClose,
+  signOffDayClose,
   exportDailyReport,
 } = require('../controllers/dsrAssignmentController');
 const { protect, authorize } = require('../middlewares/auth');
@@ -13,7 +17,10 @@ const {
   createAssignmentSchema,
   markPhoneAsSoldSchema,
   returnPhonesSchema,
+  declareDayCloseSchema,
+  signOffDayCloseSchema,
 } = require('../validations/schemas/dsrAssignmentSchemas');
+const { recordSaleSchema } = require('../validations/schemas/salesInvoiceSchemas');
 
 const router = express.Router();
 
@@ -64,6 +71,18 @@ router.patch(
   markPhoneAsSold
 );
 
+/**
+ * @route   POST /api/v1/dsr-assignments/:id/sales
+ * @desc    Record a sale of several assigned phones on one sales invoice
+ * @access  Private (DSR can sell from their own, Admin/Clerk can sell from all)
+ */
+router.post(
+  '/:id/sales',
+  protect,
+  validate(recordSaleSchema),
+  recordAssignmentSale
+);
+
 /**
  * @route   PATCH /api/v1/dsr-assignments/:id/return
  * @desc    Return unsold phones from assignment
@@ -76,6 +95,42 @@ router.patch(
   returnPhones
 );
 
+// ============================================
+// END-OF-DAY HANDOVER
+// ============================================
+
+/**
+ * @route   GET /api/v1/dsr-assignments/:id/day-close
+ * @desc    Get expected and declared handover for an assignment
+ * @access  Private (DSR can view their own, Admin/Clerk can view all)
+ */
+router.get('/:id/day-close', protect, getDayClose);
+
+/**
+ * @route   POST /api/v1/dsr-assignments/:id/day-close
+ * @desc    Declare cash, cheques and transfers handed over at the end of the day
+ * @access  Private (DSR can declare their own, Admin/Clerk can declare all)
+ */
+router.post(
+  '/:id/day-close',
+  protect,
+  validate(declareDayCloseSchema),
+  declareDayClose
+);
+
+/**
+ * @route   PATCH /api/v1/dsr-assignments/:id/day-close/sign-off
+ * @desc    Sign off the handover and complete the assignment
+ * @access  Private (Admin/Clerk only)
+ */
+router.patch(
+  '/:id/day-close/sign-off',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(signOffDayCloseSchema),
+  signOffDayClose
+);
+
 // ============================================
 // REPORTS
 // ============================================
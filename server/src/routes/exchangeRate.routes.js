@@ -0,0 +1,69 @@
+const express = require('express');
+const {
+  createExchangeRate,
+  getAllExchangeRates,
+  getCurrentExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate,
+} = require('../controllers/exchangeRateController');
+const { protect, authorize } = require('../middlewares/auth');
+const validate = require('../middlewares/validate');
+const {
+  createExchangeRateSchema,
+  updateExchangeRateSchema,
+} = require('../validations/schemas/exchangeRateSchemas');
+
+const router = express.Router();
+
+// ============================================
+// EXCHANGE RATE ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/v1/exchange-rates
+ * @desc    Add exchange rate (rupees per unit)
+ * @access  Private (Owner only)
+ */
+router.post(
+  '/',
+  protect,
+  authorize('owner'),
+  validate(createExchangeRateSchema),
+  createExchangeRate
+);
+
+/**
+ * @route   GET /api/v1/exchange-rates
+ * @desc    Get exchange rates with filters
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/', protect, authorize('owner', 'clerk'), getAllExchangeRates);
+
+/**
+ * @route   GET /api/v1/exchange-rates/current
+ * @desc    Get the rate in effect for a currency on a date
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/current', protect, authorize('owner', 'clerk'), getCurrentExchangeRate);
+
+/**
+ * @route   PUT /api/v1/exchange-rates/:id
+ * @desc    Update exchange rate
+ * @access  Private (Owner only)
+ */
+router.put(
+  '/:id',
+  protect,
+  authorize('owner'),
+  validate(updateExchangeRateSchema),
+  updateExchangeRate
+);
+
+/**
+ * @route   DELETE /api/v1/exchange-rates/:id
+ * @desc    Delete exchange rate
+ * @access  Private (Owner only)
+ */
+router.delete('/:id', protect, authorize('owner'), deleteExchangeRate);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const { downloadFile } = require('../controllers/fileController');
+
+const router = express.Router();
+
+// ============================================
+// FILE ROUTES (Local storage driver)
+// ============================================
+
+/**
+ * @route   GET /api/v1/files
+ * @desc    Download a stored file through a signed, expiring link
+ * @access  Public (signed link)
+ */
+router.get('/', downloadFile);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const { getAllGrns, getGrnById, getGrnPdf } = require('../controllers/purchaseOrderController');
+const { protect, authorize } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// ============================================
+// GOODS RECEIVED NOTE ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/grns
+ * @desc    Get all goods received notes with filters
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/', protect, authorize('owner', 'clerk'), getAllGrns);
+
+/**
+ * @route   GET /api/v1/grns/:id
+ * @desc    Get goods received note by ID
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/:id', protect, authorize('owner', 'clerk'), getGrnById);
+
+/**
+ * @route   GET /api/v1/grns/:id/pdf
+ * @desc    Printable goods received slip for the warehouse to sign
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/:id/pdf', protect, authorize('owner', 'clerk'), getGrnPdf);
+
+module.exports = router;
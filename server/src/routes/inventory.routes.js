@@ -12,13 +12,20 @@ const {
   uploadInvoiceProof,
   deleteInvoice,
   verifyInvoice,
+  getInvoiceMismatches,
+  getInvoicePdf,
   searchByIMEI,
   getAvailableStock,
   getStatistics,
   updatePhoneStatus,
   exportInventoryToExcel,
+  getStockAging,
+  exportStockAgingToExcel,
+  getLowStock,
+  exportLowStockToExcel,
   getAllPhones,
   getPhoneByIMEI,
+  getPhoneHistory,
   updatePhone,
   deletePhone,
 } = require("../controllers/inventoryController");
@@ -27,6 +34,7 @@ const validate = require("../middlewares/validate");
 const {
   createProductSchema,
   updateProductSchema,
+  reorderProductImagesSchema,
   createPurchaseInvoiceSchema,
   updatePhoneStatusSchema,
 } = require("../validations/schemas/inventorySchemas");
@@ -37,6 +45,50 @@ const {
   importProducts,
   importInvoices,
 } = require("../controllers/importController");
+const {
+  getInvoicePayments,
+  recordPayment,
+  voidPayment,
+} = require("../controllers/supplierPaymentController");
+const {
+  recordPaymentSchema,
+  voidPaymentSchema,
+} = require("../validations/schemas/supplierPaymentSchemas");
+const {
+  getInvoiceAttachments,
+  addInvoiceAttachment,
+  replaceInvoiceAttachment,
+  getInvoiceAttachmentUrl,
+} = require("../controllers/invoiceAttachmentController");
+const {
+  addAttachmentSchema,
+  replaceAttachmentSchema,
+} = require("../validations/schemas/invoiceAttachmentSchemas");
+const {
+  createAmendment,
+  getInvoiceAmendments,
+  getAmendmentById,
+  uploadAmendmentProof,
+  getAmendmentProofUrl,
+  approveAmendment,
+  rejectAmendment,
+} = require("../controllers/invoiceAmendmentController");
+const {
+  createAmendmentSchema,
+  rejectAmendmentSchema,
+} = require("../validations/schemas/invoiceAmendmentSchemas");
+const {
+  getProductImages,
+  uploadProductImages,
+  reorderProductImages,
+  deleteProductImage,
+} = require("../controllers/productImageController");
+const {
+  getAllTacEntries,
+  lookupIMEI,
+  downloadTacTemplate,
+  importTacEntries,
+} = require("../controllers/tacController");
 const router = express.Router();
 
 // ============================================
@@ -90,6 +142,51 @@ router.put(
  */
 router.delete("/products/:id", protect, authorize("owner"), deleteProduct);
 
+/**
+ * @route   GET /api/v1/inventory/products/:id/images
+ * @desc    Get product images with thumbnail, web and original links
+ * @access  Private (All authenticated users)
+ */
+router.get("/products/:id/images", protect, getProductImages);
+
+/**
+ * @route   POST /api/v1/inventory/products/:id/images
+ * @desc    Upload product images (up to 10; thumbnail and web sizes are generated)
+ * @access  Private (Owner only)
+ */
+router.post(
+  "/products/:id/images",
+  protect,
+  authorize("owner"),
+  upload.array("images", 10),
+  uploadProductImages
+);
+
+/**
+ * @route   PUT /api/v1/inventory/products/:id/images/order
+ * @desc    Reorder product images (the first is the main image)
+ * @access  Private (Owner only)
+ */
+router.put(
+  "/products/:id/images/order",
+  protect,
+  authorize("owner"),
+  validate(reorderProductImagesSchema),
+  reorderProductImages
+);
+
+/**
+ * @route   DELETE /api/v1/inventory/products/:id/images/:imageId
+ * @desc    Delete a product image and its stored files
+ * @access  Private (Owner only)
+ */
+router.delete(
+  "/products/:id/images/:imageId",
+  protect,
+  authorize("owner"),
+  deleteProductImage
+);
+
 // ============================================
 // PURCHASE INVOICE ROUTES (Owner only can create)
 // ============================================
@@ -130,7 +227,7 @@ router.put("/invoices/:id", protect, authorize("owner"), updateInvoice);
 
 /**
  * @route   POST /api/v1/inventory/invoices/:id/upload-proof
- * @desc    Upload invoice proof image
+ * @desc    Upload invoice proof image (stored as the Invoice attachment)
  * @access  Private (Owner only)
  */
 router.post(
@@ -155,6 +252,198 @@ router.delete('/invoices/:id', protect, authorize('owner'), deleteInvoice);
  */
 router.patch('/invoices/:id/verify', protect, authorize('owner'), verifyInvoice);
 
+/**
+ * @route   GET /api/v1/inventory/invoices/:id/mismatches
+ * @desc    Get quantity/price mismatches against purchase orders and GRNs
+ * @access  Private (Owner only)
+ */
+router.get("/invoices/:id/mismatches", protect, authorize("owner"), getInvoiceMismatches);
+
+/**
+ * @route   GET /api/v1/inventory/invoices/:id/pdf
+ * @desc    Printable invoice PDF (?variant=received-slip for the warehouse slip, ?archive=true to keep a copy in file storage)
+ * @access  Private
+ */
+router.get("/invoices/:id/pdf", protect, getInvoicePdf);
+
+// ============================================
+// SUPPLIER PAYMENT ROUTES (Owner only)
+// ============================================
+
+/**
+ * @route   GET /api/v1/inventory/invoices/:id/payments
+ * @desc    Get payments recorded against an invoice
+ * @access  Private (Owner only)
+ */
+router.get("/invoices/:id/payments", protect, authorize("owner"), getInvoicePayments);
+
+/**
+ * @route   POST /api/v1/inventory/invoices/:id/payments
+ * @desc    Record a part-payment (cash, cheque or bank transfer)
+ * @access  Private (Owner only)
+ */
+router.post(
+  "/invoices/:id/payments",
+  protect,
+  authorize("owner"),
+  validate(recordPaymentSchema),
+  recordPayment
+);
+
+/**
+ * @route   PATCH /api/v1/inventory/invoices/:id/payments/:paymentId/void
+ * @desc    Void a payment (e.g. bounced cheque)
+ * @access  Private (Owner only)
+ */
+router.patch(
+  "/invoices/:id/payments/:paymentId/void",
+  protect,
+  authorize("owner"),
+  validate(voidPaymentSchema),
+  voidPayment
+);
+
+// ============================================
+// INVOICE ATTACHMENT ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/inventory/invoices/:id/attachments
+ * @desc    Get attachments of an invoice with their previous versions
+ * @access  Private
+ */
+router.get("/invoices/:id/attachments", protect, getInvoiceAttachments);
+
+/**
+ * @route   POST /api/v1/inventory/invoices/:id/attachments
+ * @desc    Attach an invoice scan, delivery note or payment slip
+ * @access  Private (Owner, Clerk)
+ */
+router.post(
+  "/invoices/:id/attachments",
+  protect,
+  authorize("owner", "clerk"),
+  upload.single("file"),
+  validate(addAttachmentSchema),
+  addInvoiceAttachment
+);
+
+/**
+ * @route   PUT /api/v1/inventory/invoices/:id/attachments/:attachmentId
+ * @desc    Replace an attachment's file (the previous file is kept as a version)
+ * @access  Private (Owner, Clerk)
+ */
+router.put(
+  "/invoices/:id/attachments/:attachmentId",
+  protect,
+  authorize("owner", "clerk"),
+  upload.single("file"),
+  validate(replaceAttachmentSchema),
+  replaceInvoiceAttachment
+);
+
+/**
+ * @route   GET /api/v1/inventory/invoices/:id/attachments/:attachmentId/download
+ * @desc    Get a short-lived download link (?version=n for an earlier file)
+ * @access  Private
+ */
+router.get(
+  "/invoices/:id/attachments/:attachmentId/download",
+  protect,
+  getInvoiceAttachmentUrl
+);
+
+// ============================================
+// INVOICE AMENDMENT ROUTES (Credit/Debit Notes)
+// ============================================
+
+/**
+ * @route   GET /api/v1/inventory/invoices/:id/amendments
+ * @desc    Get credit and debit notes of an invoice with its effective total
+ * @access  Private (Owner, Clerk)
+ */
+router.get(
+  "/invoices/:id/amendments",
+  protect,
+  authorize("owner", "clerk"),
+  getInvoiceAmendments
+);
+
+/**
+ * @route   POST /api/v1/inventory/invoices/:id/amendments
+ * @desc    Raise a credit or debit note (price changes, removed IMEIs) on a verified invoice
+ * @access  Private (Owner, Clerk)
+ */
+router.post(
+  "/invoices/:id/amendments",
+  protect,
+  authorize("owner", "clerk"),
+  validate(createAmendmentSchema),
+  createAmendment
+);
+
+/**
+ * @route   GET /api/v1/inventory/invoices/:id/amendments/:amendmentId
+ * @desc    Get a credit or debit note with its lines
+ * @access  Private (Owner, Clerk)
+ */
+router.get(
+  "/invoices/:id/amendments/:amendmentId",
+  protect,
+  authorize("owner", "clerk"),
+  getAmendmentById
+);
+
+/**
+ * @route   POST /api/v1/inventory/invoices/:id/amendments/:amendmentId/upload-proof
+ * @desc    Upload the supplier's credit/debit note
+ * @access  Private (Owner, Clerk)
+ */
+router.post(
+  "/invoices/:id/amendments/:amendmentId/upload-proof",
+  protect,
+  authorize("owner", "clerk"),
+  upload.single("amendmentProof"),
+  uploadAmendmentProof
+);
+
+/**
+ * @route   GET /api/v1/inventory/invoices/:id/amendments/:amendmentId/proof
+ * @desc    Get a short-lived download link for the supplier's note
+ * @access  Private (Owner, Clerk)
+ */
+router.get(
+  "/invoices/:id/amendments/:amendmentId/proof",
+  protect,
+  authorize("owner", "clerk"),
+  getAmendmentProofUrl
+);
+
+/**
+ * @route   PATCH /api/v1/inventory/invoices/:id/amendments/:amendmentId/approve
+ * @desc    Approve a note and apply it to the phones (requires proof)
+ * @access  Private (Owner only)
+ */
+router.patch(
+  "/invoices/:id/amendments/:amendmentId/approve",
+  protect,
+  authorize("owner"),
+  approveAmendment
+);
+
+/**
+ * @route   PATCH /api/v1/inventory/invoices/:id/amendments/:amendmentId/reject
+ * @desc    Reject a note
+ * @access  Private (Owner only)
+ */
+router.patch(
+  "/invoices/:id/amendments/:amendmentId/reject",
+  protect,
+  authorize("owner"),
+  validate(rejectAmendmentSchema),
+  rejectAmendment
+);
+
 // ============================================
 // INVENTORY MANAGEMENT ROUTES
 // ============================================
@@ -173,6 +462,20 @@ router.get("/search/imei/:imei", protect, searchByIMEI);
  */
 router.get("/stock/available", protect, getAvailableStock);
 
+/**
+ * @route   GET /api/v1/inventory/stock/aging
+ * @desc    Get stock aging report with slow movers (AGING_STOCK_DAYS)
+ * @access  Private (Owner, Clerk)
+ */
+router.get("/stock/aging", protect, authorize("owner", "clerk"), getStockAging);
+
+/**
+ * @route   GET /api/v1/inventory/stock/low
+ * @desc    Get products at or below their reorder level, grouped by last supplier
+ * @access  Private (Owner, Clerk)
+ */
+router.get("/stock/low", protect, authorize("owner", "clerk"), getLowStock);
+
 /**
  * @route   GET /api/v1/inventory/statistics
  * @desc    Get inventory statistics
@@ -207,6 +510,18 @@ router.get("/phones", protect, authorize("owner", "clerk"), getAllPhones);
  */
 router.get("/phones/:imei", protect, getPhoneByIMEI);
 
+/**
+ * @route   GET /api/v1/inventory/phones/:imei/history
+ * @desc    Get stock movement timeline of a phone (optional ?asOf=YYYY-MM-DD)
+ * @access  Private (Owner, Clerk)
+ */
+router.get(
+  "/phones/:imei/history",
+  protect,
+  authorize("owner", "clerk"),
+  getPhoneHistory
+);
+
 /**
  * @route   PATCH /api/v1/inventory/phones/:imei
  * @desc    Update phone details
@@ -275,6 +590,49 @@ router.post(
   importInvoices
 );
 
+/**
+ * @route   GET /api/v1/inventory/import/templates/tac
+ * @desc    Download TAC table import template
+ * @access  Private (Owner only)
+ */
+router.get(
+  "/import/templates/tac",
+  protect,
+  authorize("owner"),
+  downloadTacTemplate
+);
+
+/**
+ * @route   POST /api/v1/inventory/import/tac
+ * @desc    Import TAC table entries from Excel
+ * @access  Private (Owner only)
+ */
+router.post(
+  "/import/tac",
+  protect,
+  authorize("owner"),
+  upload.single("file"),
+  importTacEntries
+);
+
+// ============================================
+// TAC ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/inventory/tac
+ * @desc    Get TAC table entries
+ * @access  Private (Owner, Clerk)
+ */
+router.get("/tac", protect, authorize("owner", "clerk"), getAllTacEntries);
+
+/**
+ * @route   GET /api/v1/inventory/tac/lookup/:imei
+ * @desc    Validate an IMEI and identify the device from the TAC table
+ * @access  Private (All authenticated users)
+ */
+router.get("/tac/lookup/:imei", protect, lookupIMEI);
+
 // ============================================
 // EXPORT ROUTES
 // ============================================
@@ -286,4 +644,28 @@ router.post(
  */
 router.get("/export/excel", protect, exportInventoryToExcel);
 
+/**
+ * @route   GET /api/v1/inventory/export/aging
+ * @desc    Export stock aging report to Excel
+ * @access  Private (Owner, Clerk)
+ */
+router.get(
+  "/export/aging",
+  protect,
+  authorize("owner", "clerk"),
+  exportStockAgingToExcel
+);
+
+/**
+ * @route   GET /api/v1/inventory/export/low-stock
+ * @desc    Export low stock buying list to Excel
+ * @access  Private (Owner, Clerk)
+ */
+router.get(
+  "/export/low-stock",
+  protect,
+  authorize("owner", "clerk"),
+  exportLowStockToExcel
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,69 @@
+const express = require('express');
+const {
+  createLocation,
+  getAllLocations,
+  getLocationById,
+  updateLocation,
+  deleteLocation,
+} = require('../controllers/locationController');
+const { protect, authorize } = require('../middlewares/auth');
+const validate = require('../middlewares/validate');
+const {
+  createLocationSchema,
+  updateLocationSchema,
+} = require('../validations/schemas/locationSchemas');
+
+const router = express.Router();
+
+// ============================================
+// LOCATION ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/v1/locations
+ * @desc    Create location (warehouse, shop or van)
+ * @access  Private (Owner only)
+ */
+router.post(
+  '/',
+  protect,
+  authorize('owner'),
+  validate(createLocationSchema),
+  createLocation
+);
+
+/**
+ * @route   GET /api/v1/locations
+ * @desc    Get all locations
+ * @access  Private (All authenticated users)
+ */
+router.get('/', protect, getAllLocations);
+
+/**
+ * @route   GET /api/v1/locations/:id
+ * @desc    Get location with stock counts
+ * @access  Private (All authenticated users)
+ */
+router.get('/:id', protect, getLocationById);
+
+/**
+ * @route   PUT /api/v1/locations/:id
+ * @desc    Update location
+ * @access  Private (Owner only)
+ */
+router.put(
+  '/:id',
+  protect,
+  authorize('owner'),
+  validate(updateLocationSchema),
+  updateLocation
+);
+
+/**
+ * @route   DELETE /api/v1/locations/:id
+ * @desc    Deactivate location
+ * @access  Private (Owner only)
+ */
+router.delete('/:id', protect, authorize('owner'), deleteLocation);
+
+module.exports = router;
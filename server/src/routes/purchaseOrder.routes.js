@@ -0,0 +1,96 @@
+const express = require('express');
+const {
+  createPurchaseOrder,
+  getAllPurchaseOrders,
+  getPurchaseOrderById,
+  updatePurchaseOrder,
+  placePurchaseOrder,
+  cancelPurchaseOrder,
+  receiveGoods,
+} = require('../controllers/purchaseOrderController');
+const { protect, authorize } = require('../middlewares/auth');
+const validate = require('../middlewares/validate');
+const {
+  createPurchaseOrderSchema,
+  updatePurchaseOrderSchema,
+  receiveGoodsSchema,
+} = require('../validations/schemas/purchaseOrderSchemas');
+
+const router = express.Router();
+
+// ============================================
+// PURCHASE ORDER ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/v1/purchase-orders
+ * @desc    Create purchase order (Draft)
+ * @access  Private (Owner only)
+ */
+router.post(
+  '/',
+  protect,
+  authorize('owner'),
+  validate(createPurchaseOrderSchema),
+  createPurchaseOrder
+);
+
+/**
+ * @route   GET /api/v1/purchase-orders
+ * @desc    Get all purchase orders with filters
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/', protect, authorize('owner', 'clerk'), getAllPurchaseOrders);
+
+/**
+ * @route   GET /api/v1/purchase-orders/:id
+ * @desc    Get purchase order by ID with its GRNs
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/:id', protect, authorize('owner', 'clerk'), getPurchaseOrderById);
+
+/**
+ * @route   PUT /api/v1/purchase-orders/:id
+ * @desc    Update Draft purchase order
+ * @access  Private (Owner only)
+ */
+router.put(
+  '/:id',
+  protect,
+  authorize('owner'),
+  validate(updatePurchaseOrderSchema),
+  updatePurchaseOrder
+);
+
+// ============================================
+// ORDER WORKFLOW
+// ============================================
+
+/**
+ * @route   PATCH /api/v1/purchase-orders/:id/order
+ * @desc    Place purchase order with the supplier
+ * @access  Private (Owner only)
+ */
+router.patch('/:id/order', protect, authorize('owner'), placePurchaseOrder);
+
+/**
+ * @route   PATCH /api/v1/purchase-orders/:id/cancel
+ * @desc    Cancel purchase order (nothing received yet)
+ * @access  Private (Owner only)
+ */
+router.patch('/:id/cancel', protect, authorize('owner'), cancelPurchaseOrder);
+
+/**
+ * @route   POST /api/v1/purchase-orders/:id/grns
+ * @desc    Receive goods against the order (creates or extends a Draft invoice)
+ * @access  Private (Owner, Clerk)
+ */
+router.post(
+  '/:id/grns',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(receiveGoodsSchema),
+  receiveGoods
+);
+
+module.exports = router;
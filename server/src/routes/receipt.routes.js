@@ -0,0 +1,88 @@
+const express = require('express');
+const {
+  createReceipt,
+  getAllReceipts,
+  getReceiptById,
+  depositCheque,
+  clearCheque,
+  bounceCheque,
+} = require('../controllers/receiptController');
+const { protect, authorize } = require('../middlewares/auth');
+const validate = require('../middlewares/validate');
+const {
+  createReceiptSchema,
+  chequeActionSchema,
+  bounceChequeSchema,
+} = require('../validations/schemas/receiptSchemas');
+
+const router = express.Router();
+
+// ============================================
+// RECEIPT ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/v1/receipts
+ * @desc    Record cash or a cheque collected from a customer
+ * @access  Private (All authenticated users)
+ */
+router.post('/', protect, validate(createReceiptSchema), createReceipt);
+
+/**
+ * @route   GET /api/v1/receipts
+ * @desc    Get all receipts with filters (DSRs see their own)
+ * @access  Private (All authenticated users)
+ */
+router.get('/', protect, getAllReceipts);
+
+/**
+ * @route   GET /api/v1/receipts/:id
+ * @desc    Get receipt by ID
+ * @access  Private (All authenticated users)
+ */
+router.get('/:id', protect, getReceiptById);
+
+// ============================================
+// CHEQUE LIFECYCLE
+// ============================================
+
+/**
+ * @route   PATCH /api/v1/receipts/:id/cheque/deposit
+ * @desc    Mark a received cheque as deposited
+ * @access  Private (Owner, Clerk)
+ */
+router.patch(
+  '/:id/cheque/deposit',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(chequeActionSchema),
+  depositCheque
+);
+
+/**
+ * @route   PATCH /api/v1/receipts/:id/cheque/clear
+ * @desc    Mark a deposited cheque as cleared
+ * @access  Private (Owner, Clerk)
+ */
+router.patch(
+  '/:id/cheque/clear',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(chequeActionSchema),
+  clearCheque
+);
+
+/**
+ * @route   PATCH /api/v1/receipts/:id/cheque/bounce
+ * @desc    Mark a deposited cheque as bounced and reopen the invoice balances
+ * @access  Private (Owner, Clerk)
+ */
+router.patch(
+  '/:id/cheque/bounce',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(bounceChequeSchema),
+  bounceCheque
+);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const {
+  createSalesInvoice,
+  getAllSalesInvoices,
+  getSalesInvoiceById,
+  approveSalesInvoice,
+  rejectSalesInvoice,
+} = require('../controllers/salesInvoiceController');
+const { protect, authorize } = require('../middlewares/auth');
+const validate = require('../middlewares/validate');
+const {
+  createSalesInvoiceSchema,
+  creditDecisionSchema,
+} = require('../validations/schemas/salesInvoiceSchemas');
+
+const router = express.Router();
+
+// ============================================
+// SALES INVOICE ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/v1/sales-invoices
+ * @desc    Record a counter sale of one or more phones
+ * @access  Private (Owner, Clerk)
+ */
+router.post(
+  '/',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(createSalesInvoiceSchema),
+  createSalesInvoice
+);
+
+/**
+ * @route   GET /api/v1/sales-invoices
+ * @desc    Get all sales invoices with filters
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/', protect, authorize('owner', 'clerk'), getAllSalesInvoices);
+
+/**
+ * @route   GET /api/v1/sales-invoices/:id
+ * @desc    Get sales invoice by ID
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/:id', protect, authorize('owner', 'clerk'), getSalesInvoiceById);
+
+// ============================================
+// CREDIT APPROVAL
+// ============================================
+
+/**
+ * @route   PATCH /api/v1/sales-invoices/:id/approve
+ * @desc    Approve a credit sale over the customer's limit
+ * @access  Private (Owner only)
+ */
+router.patch(
+  '/:id/approve',
+  protect,
+  authorize('owner'),
+  validate(creditDecisionSchema),
+  approveSalesInvoice
+);
+
+/**
+ * @route   PATCH /api/v1/sales-invoices/:id/reject
+ * @desc    Reject a credit sale over the customer's limit and release its phones
+ * @access  Private (Owner only)
+ */
+router.patch(
+  '/:id/reject',
+  protect,
+  authorize('owner'),
+  validate(creditDecisionSchema),
+  rejectSalesInvoice
+);
+
+module.exports = router;
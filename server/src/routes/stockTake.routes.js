@@ -0,0 +1,119 @@
+const express = require('express');
+const {
+  openStockTake,
+  getAllStockTakes,
+  getStockTakeById,
+  addScans,
+  closeStockTake,
+  approveStockTake,
+  cancelStockTake,
+  exportVarianceReport,
+} = require('../controllers/stockTakeController');
+const { protect, authorize } = require('../middlewares/auth');
+const validate = require('../middlewares/validate');
+const {
+  openStockTakeSchema,
+  addScansSchema,
+  approveStockTakeSchema,
+} = require('../validations/schemas/stockTakeSchemas');
+
+const router = express.Router();
+
+// ============================================
+// STOCK TAKE ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/v1/stock-takes
+ * @desc    Open stock take session for a location and/or brand
+ * @access  Private (Owner, Clerk)
+ */
+router.post(
+  '/',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(openStockTakeSchema),
+  openStockTake
+);
+
+/**
+ * @route   GET /api/v1/stock-takes
+ * @desc    Get all stock takes with filters
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/', protect, authorize('owner', 'clerk'), getAllStockTakes);
+
+/**
+ * @route   GET /api/v1/stock-takes/:id
+ * @desc    Get stock take by ID with variance report
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/:id', protect, authorize('owner', 'clerk'), getStockTakeById);
+
+/**
+ * @route   GET /api/v1/stock-takes/:id/export/excel
+ * @desc    Export variance report to Excel
+ * @access  Private (Owner, Clerk)
+ */
+router.get(
+  '/:id/export/excel',
+  protect,
+  authorize('owner', 'clerk'),
+  exportVarianceReport
+);
+
+// ============================================
+// COUNT WORKFLOW
+// ============================================
+
+/**
+ * @route   POST /api/v1/stock-takes/:id/scans
+ * @desc    Post a batch of scanned IMEIs
+ * @access  Private (Owner, Clerk)
+ */
+router.post(
+  '/:id/scans',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(addScansSchema),
+  addScans
+);
+
+/**
+ * @route   PATCH /api/v1/stock-takes/:id/close
+ * @desc    Close count and compute variance report
+ * @access  Private (Owner, Clerk)
+ */
+router.patch(
+  '/:id/close',
+  protect,
+  authorize('owner', 'clerk'),
+  closeStockTake
+);
+
+/**
+ * @route   PATCH /api/v1/stock-takes/:id/approve
+ * @desc    Approve variance and post stock adjustments
+ * @access  Private (Owner only)
+ */
+router.patch(
+  '/:id/approve',
+  protect,
+  authorize('owner'),
+  validate(approveStockTakeSchema),
+  approveStockTake
+);
+
+/**
+ * @route   PATCH /api/v1/stock-takes/:id/cancel
+ * @desc    Cancel open stock take
+ * @access  Private (Owner, Clerk)
+ */
+router.patch(
+  '/:id/cancel',
+  protect,
+  authorize('owner', 'clerk'),
+  cancelStockTake
+);
+
+module.exports = router;
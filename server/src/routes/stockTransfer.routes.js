@@ -0,0 +1,91 @@
+const express = require('express');
+const {
+  createTransfer,
+  getAllTransfers,
+  getTransferById,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer,
+} = require('../controllers/stockTransferController');
+const { protect, authorize } = require('../middlewares/auth');
+const validate = require('../middlewares/validate');
+const {
+  createTransferSchema,
+  receiveTransferSchema,
+} = require('../validations/schemas/stockTransferSchemas');
+
+const router = express.Router();
+
+// ============================================
+// STOCK TRANSFER ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/v1/stock-transfers
+ * @desc    Create stock transfer between locations (Draft)
+ * @access  Private (Owner, Clerk)
+ */
+router.post(
+  '/',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(createTransferSchema),
+  createTransfer
+);
+
+/**
+ * @route   GET /api/v1/stock-transfers
+ * @desc    Get all stock transfers with filters
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/', protect, authorize('owner', 'clerk'), getAllTransfers);
+
+/**
+ * @route   GET /api/v1/stock-transfers/:id
+ * @desc    Get stock transfer by ID
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/:id', protect, authorize('owner', 'clerk'), getTransferById);
+
+// ============================================
+// TRANSFER WORKFLOW
+// ============================================
+
+/**
+ * @route   PATCH /api/v1/stock-transfers/:id/dispatch
+ * @desc    Dispatch transfer (phones move to Transit)
+ * @access  Private (Owner, Clerk)
+ */
+router.patch(
+  '/:id/dispatch',
+  protect,
+  authorize('owner', 'clerk'),
+  dispatchTransfer
+);
+
+/**
+ * @route   PATCH /api/v1/stock-transfers/:id/receive
+ * @desc    Receive transfer (phones become Available at the destination)
+ * @access  Private (Owner, Clerk)
+ */
+router.patch(
+  '/:id/receive',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(receiveTransferSchema),
+  receiveTransfer
+);
+
+/**
+ * @route   PATCH /api/v1/stock-transfers/:id/cancel
+ * @desc    Cancel Draft transfer
+ * @access  Private (Owner, Clerk)
+ */
+router.patch(
+  '/:id/cancel',
+  protect,
+  authorize('owner', 'clerk'),
+  cancelTransfer
+);
+
+module.exports = router;
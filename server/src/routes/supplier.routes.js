@@ -0,0 +1,85 @@
+const express = require('express');
+const {
+  createSupplier,
+  getAllSuppliers,
+  getSupplierById,
+  updateSupplier,
+  deleteSupplier,
+  getSupplierStatement,
+  getPayablesAging,
+} = require('../controllers/supplierController');
+const { protect, authorize } = require('../middlewares/auth');
+const validate = require('../middlewares/validate');
+const {
+  createSupplierSchema,
+  updateSupplierSchema,
+} = require('../validations/schemas/supplierSchemas');
+
+const router = express.Router();
+
+// ============================================
+// SUPPLIER ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/v1/suppliers
+ * @desc    Create supplier
+ * @access  Private (Owner only)
+ */
+router.post(
+  '/',
+  protect,
+  authorize('owner'),
+  validate(createSupplierSchema),
+  createSupplier
+);
+
+/**
+ * @route   GET /api/v1/suppliers
+ * @desc    Get all suppliers with search
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/', protect, authorize('owner', 'clerk'), getAllSuppliers);
+
+/**
+ * @route   GET /api/v1/suppliers/payables/aging
+ * @desc    Get accounts-payable aging by supplier
+ * @access  Private (Owner only)
+ */
+router.get('/payables/aging', protect, authorize('owner'), getPayablesAging);
+
+/**
+ * @route   GET /api/v1/suppliers/:id
+ * @desc    Get supplier by ID
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/:id', protect, authorize('owner', 'clerk'), getSupplierById);
+
+/**
+ * @route   GET /api/v1/suppliers/:id/statement
+ * @desc    Get supplier statement (invoices, payments, balance, phones)
+ * @access  Private (Owner only)
+ */
+router.get('/:id/statement', protect, authorize('owner'), getSupplierStatement);
+
+/**
+ * @route   PUT /api/v1/suppliers/:id
+ * @desc    Update supplier
+ * @access  Private (Owner only)
+ */
+router.put(
+  '/:id',
+  protect,
+  authorize('owner'),
+  validate(updateSupplierSchema),
+  updateSupplier
+);
+
+/**
+ * @route   DELETE /api/v1/suppliers/:id
+ * @desc    Deactivate supplier
+ * @access  Private (Owner only)
+ */
+router.delete('/:id', protect, authorize('owner'), deleteSupplier);
+
+module.exports = router;
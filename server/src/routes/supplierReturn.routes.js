@@ -0,0 +1,88 @@
+const express = require('express');
+const {
+  createSupplierReturn,
+  getAllSupplierReturns,
+  getSupplierReturnById,
+  dispatchSupplierReturn,
+  resolveSupplierReturn,
+  cancelSupplierReturn,
+} = require('../controllers/supplierReturnController');
+const { protect, authorize } = require('../middlewares/auth');
+const validate = require('../middlewares/validate');
+const {
+  createSupplierReturnSchema,
+  dispatchSupplierReturnSchema,
+  resolveSupplierReturnSchema,
+} = require('../validations/schemas/supplierReturnSchemas');
+
+const router = express.Router();
+
+// ============================================
+// SUPPLIER RETURN (RMA) ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/v1/supplier-returns
+ * @desc    Open supplier return for defective phones
+ * @access  Private (Owner, Clerk)
+ */
+router.post(
+  '/',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(createSupplierReturnSchema),
+  createSupplierReturn
+);
+
+/**
+ * @route   GET /api/v1/supplier-returns
+ * @desc    Get all supplier returns with filters
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/', protect, authorize('owner', 'clerk'), getAllSupplierReturns);
+
+/**
+ * @route   GET /api/v1/supplier-returns/:id
+ * @desc    Get supplier return by ID
+ * @access  Private (Owner, Clerk)
+ */
+router.get('/:id', protect, authorize('owner', 'clerk'), getSupplierReturnById);
+
+// ============================================
+// RETURN WORKFLOW
+// ============================================
+
+/**
+ * @route   PATCH /api/v1/supplier-returns/:id/dispatch
+ * @desc    Dispatch phones to the supplier
+ * @access  Private (Owner only)
+ */
+router.patch(
+  '/:id/dispatch',
+  protect,
+  authorize('owner'),
+  validate(dispatchSupplierReturnSchema),
+  dispatchSupplierReturn
+);
+
+/**
+ * @route   POST /api/v1/supplier-returns/:id/resolutions
+ * @desc    Record replacements, credit notes or rejected claims
+ * @access  Private (Owner only)
+ */
+router.post(
+  '/:id/resolutions',
+  protect,
+  authorize('owner'),
+  validate(resolveSupplierReturnSchema),
+  resolveSupplierReturn
+);
+
+/**
+ * @route   PATCH /api/v1/supplier-returns/:id/cancel
+ * @desc    Cancel Open supplier return and release its phones
+ * @access  Private (Owner only)
+ */
+router.patch('/:id/cancel', protect, authorize('owner'), cancelSupplierReturn);
+
+module.exports = router;
@@ -0,0 +1,135 @@
+const express = require('express');
+const {
+  lookupWarranty,
+  createWarrantyClaim,
+  getAllWarrantyClaims,
+  getWarrantyClaimById,
+  sendClaimToService,
+  markClaimRepaired,
+  replaceClaimPhone,
+  handBackClaim,
+  rejectWarrantyClaim,
+  linkClaimSupplierReturn,
+} = require('../controllers/warrantyController');
+const { protect, authorize } = require('../middlewares/auth');
+const validate = require('../middlewares/validate');
+const {
+  createWarrantyClaimSchema,
+  sendClaimToServiceSchema,
+  claimNotesSchema,
+  replaceClaimPhoneSchema,
+  rejectWarrantyClaimSchema,
+  linkClaimSupplierReturnSchema,
+} = require('../validations/schemas/warrantySchemas');
+
+const router = express.Router();
+
+// ============================================
+// WARRANTY LOOKUP
+// ============================================
+
+/**
+ * @route   GET /api/v1/warranty/lookup/:imei
+ * @desc    Get the customer warranty, buyer and claims of a phone
+ * @access  Private (All authenticated users)
+ */
+router.get('/lookup/:imei', protect, lookupWarranty);
+
+// ============================================
+// WARRANTY CLAIMS
+// ============================================
+
+/**
+ * @route   POST /api/v1/warranty/claims
+ * @desc    Receive a warranty claim for a sold phone
+ * @access  Private (All authenticated users)
+ */
+router.post('/claims', protect, validate(createWarrantyClaimSchema), createWarrantyClaim);
+
+/**
+ * @route   GET /api/v1/warranty/claims
+ * @desc    Get all warranty claims with filters
+ * @access  Private (All authenticated users)
+ */
+router.get('/claims', protect, getAllWarrantyClaims);
+
+/**
+ * @route   GET /api/v1/warranty/claims/:id
+ * @desc    Get warranty claim by ID
+ * @access  Private (All authenticated users)
+ */
+router.get('/claims/:id', protect, getWarrantyClaimById);
+
+/**
+ * @route   PATCH /api/v1/warranty/claims/:id/send
+ * @desc    Send the claimed phone to a service centre or the supplier
+ * @access  Private (Owner, Clerk)
+ */
+router.patch(
+  '/claims/:id/send',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(sendClaimToServiceSchema),
+  sendClaimToService
+);
+
+/**
+ * @route   PATCH /api/v1/warranty/claims/:id/repair
+ * @desc    Mark the claimed phone as repaired
+ * @access  Private (Owner, Clerk)
+ */
+router.patch(
+  '/claims/:id/repair',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(claimNotesSchema),
+  markClaimRepaired
+);
+
+/**
+ * @route   PATCH /api/v1/warranty/claims/:id/replace
+ * @desc    Replace the claimed phone with an available phone of the same product
+ * @access  Private (Owner, Clerk)
+ */
+router.patch(
+  '/claims/:id/replace',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(replaceClaimPhoneSchema),
+  replaceClaimPhone
+);
+
+/**
+ * @route   PATCH /api/v1/warranty/claims/:id/hand-back
+ * @desc    Hand the repaired or replacement phone back to the customer
+ * @access  Private (All authenticated users)
+ */
+router.patch('/claims/:id/hand-back', protect, validate(claimNotesSchema), handBackClaim);
+
+/**
+ * @route   PATCH /api/v1/warranty/claims/:id/reject
+ * @desc    Reject a warranty claim
+ * @access  Private (Owner, Clerk)
+ */
+router.patch(
+  '/claims/:id/reject',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(rejectWarrantyClaimSchema),
+  rejectWarrantyClaim
+);
+
+/**
+ * @route   PATCH /api/v1/warranty/claims/:id/supplier-return
+ * @desc    Link the claim to the supplier return of its faulty phone
+ * @access  Private (Owner, Clerk)
+ */
+router.patch(
+  '/claims/:id/supplier-return',
+  protect,
+  authorize('owner', 'clerk'),
+  validate(linkClaimSupplierReturnSchema),
+  linkClaimSupplierReturn
+);
+
+module.exports = router;
@@ -2,8 +2,14 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Phone = require('../models/Phone');
+const Location = require('../models/Location');
+const Supplier = require('../models/Supplier');
+const StockMovement = require('../models/StockMovement');
+const InventoryService = require('../services/inventoryService');
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const { calculateCheckDigit } = require('../utils/imeiUtils');
 
 /**
  * Seed inventory data with popular mobile phones
@@ -25,6 +31,10 @@ const seedInventory = async () => {
     console.log('🗑️  Clearing existing inventory data...');
     await Product.deleteMany({});
     await PurchaseInvoice.deleteMany({});
+    await Phone.deleteMany({});
+    await Supplier.deleteMany({});
+    // Ledger is immutable through the model, clear the raw collection instead
+    await StockMovement.collection.deleteMany({});
     console.log('✅ Existing data cleared\n');
 
     // ============================================
@@ -227,8 +237,10 @@ const seedInventory = async () => {
     }
 
     // Helper function to generate random IMEI
+    // Random 14 digits plus a valid Luhn check digit
     const generateIMEI = () => {
-      return Math.floor(100000000000000 + Math.random() * 900000000000000).toString();
+      const body = Math.floor(10000000000000 + Math.random() * 90000000000000).toString();
+      return `${body}${calculateCheckDigit(body)}`;
     };
 
     // Create phones array for invoice
@@ -325,8 +337,21 @@ const seedInventory = async () => {
       });
     }
 
+    // Stock is received at the default location
+    let warehouse = await Location.getDefault();
+    if (!warehouse) {
+      warehouse = await Location.create({
+        name: 'Main Warehouse',
+        code: 'WH',
+        type: 'Warehouse',
+        isDefault: true,
+        createdBy: owner._id,
+      });
+      console.log(`✅ Created default location: ${warehouse.name}`);
+    }
+
     // Create purchase invoice
-    const invoice = await PurchaseInvoice.create({
+    const invoice = await InventoryService.createInvoice({
       invoiceNumber: 'INV-2025-001',
       invoiceDate: new Date('2025-01-01'),
       invoiceTime: '10:30',
@@ -337,7 +362,6 @@ const seedInventory = async () => {
         email: 'sales@techdist.lk',
         address: 'No. 123, Galle Road, Colombo 03',
       },
-      phones: phonesForInvoice,
       financials: {
         tax: {
           amount: 0,
@@ -361,8 +385,7 @@ const seedInventory = async () => {
       tags: ['january', 'opening-stock', '2025'],
       verifiedBy: owner._id,
       verifiedAt: new Date(),
-      createdBy: owner._id,
-    });
+    }, phonesForInvoice, { actor: owner._id, notes: 'Opening stock seed' });
 
     console.log(`✅ Created purchase invoice: ${invoice.invoiceNumber}`);
     console.log(`   • Total phones: ${invoice.totalPhones}`);
@@ -376,15 +399,14 @@ const seedInventory = async () => {
     console.log('\n📊 INVENTORY SUMMARY\n');
     console.log('='.repeat(120));
 
-    const summary = await PurchaseInvoice.aggregate([
-      { $unwind: '$phones' },
-      { $match: { 'phones.status': 'Available' } },
+    const summary = await Phone.aggregate([
+      { $match: { status: 'Available' } },
       {
         $group: {
-          _id: '$phones.product',
+          _id: '$product',
           count: { $sum: 1 },
-          totalCost: { $sum: '$phones.costPrice' },
-          totalSellingPrice: { $sum: '$phones.sellingPrice' },
+          totalCost: { $sum: '$costPrice' },
+          totalSellingPrice: { $sum: '$sellingPrice' },
         },
       },
       {
@@ -2,6 +2,8 @@ require('dotenv').config();
 const app = require('./app');
 const database = require('./config/database');
 const logger = require('./utils/logger');
+const lowStockAlertJob = require('./jobs/lowStockAlertJob');
+const overduePayablesJob = require('./jobs/overduePayablesJob');
 const { getRegisteredRoutes, displayRoutesTable, getRouteSummary } = require('./utils/routesList');
 
 const PORT = process.env.PORT || 5000;
@@ -29,7 +31,7 @@ const startServer = async () => {
   🔌 Port:             ${PORT.toString().padEnd(59)}
   📡 API Version:      ${(process.env.API_VERSION || 'v1').padEnd(59)} 
   📊 MongoDB:          CONNECTED                                               
-  ☁️  AWS S3:           ${(require('./config/aws').isReady() ? 'CONFIGURED' : 'NOT CONFIGURED').padEnd(59)} 
+  ☁️  File Storage:     ${`${require('./config/storage').name.toUpperCase()} (${require('./config/storage').isReady() ? 'CONFIGURED' : 'NOT CONFIGURED'})`.padEnd(59)} 
                                                                                
   🔗 Access Points:                                                            
     • API Base:       http://localhost:${PORT}${' '.repeat(43 - PORT.toString().length)}
@@ -50,6 +52,10 @@ const startServer = async () => {
       // Display all registered routes
       console.log(displayRoutesTable(routes));
 
+      // Start background jobs
+      lowStockAlertJob.start();
+      overduePayablesJob.start();
+
       logger.info('✅ Server initialized successfully');
       logger.info(`⏰ Server started at: ${new Date().toISOString()}`);
     });
@@ -73,6 +79,8 @@ const startServer = async () => {
     // Graceful shutdown
     process.on('SIGTERM', async () => {
       logger.info('SIGTERM signal received: closing HTTP server');
+      lowStockAlertJob.stop();
+      overduePayablesJob.stop();
       server.close(async () => {
         logger.info('HTTP server closed');
         await database.disconnect();
@@ -0,0 +1,53 @@
+const storage = require('../config/storage');
+const { ApiError } = require('../middlewares/errorHandler');
+
+// Lifetime of download links (seconds)
+const DOWNLOAD_URL_EXPIRES = parseInt(process.env.S3_SIGNED_URL_EXPIRES, 10) || 300;
+
+/**
+ * Attachment Service
+ * Stores uploaded documents in private file storage and issues short-lived download links
+ */
+class AttachmentService {
+  /**
+   * Upload a multer file
+   * @param {Object} file - Multer file (memory storage)
+   * @param {string} folder - Storage folder
+   * @returns {Promise<Object>} { key, fileName, mimeType, size }
+   */
+  static async upload(file, folder) {
+    if (!storage.isReady()) {
+      throw new ApiError(503, 'File storage is not configured. Please check the storage settings.');
+    }
+
+    const { key } = await storage.uploadFile(file.buffer, file.originalname, file.mimetype, folder);
+
+    return {
+      key,
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+    };
+  }
+
+  /**
+   * Signed URL for a stored file
+   * @param {string} key - Storage key
+   * @returns {Promise<Object>} { url, expiresIn, expiresAt }
+   */
+  static async getDownloadUrl(key) {
+    if (!storage.isReady()) {
+      throw new ApiError(503, 'File storage is not configured. Please check the storage settings.');
+    }
+
+    const url = await storage.getSignedUrl(key, DOWNLOAD_URL_EXPIRES);
+
+    return {
+      url,
+      expiresIn: DOWNLOAD_URL_EXPIRES,
+      expiresAt: new Date(Date.now() + DOWNLOAD_URL_EXPIRES * 1000),
+    };
+  }
+}
+
+module.exports = AttachmentService;
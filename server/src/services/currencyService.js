@@ -0,0 +1,143 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Phone = require('../models/Phone');
+const { ApiError } = require('../middlewares/errorHandler');
+const { formatSriLankaDate } = require('../utils/dateUtils');
+const { withTransaction } = require('../utils/transaction');
+
+const { BASE_CURRENCY } = ExchangeRate;
+
+// Converts a phone's cost fields to rupees inside aggregation pipelines
+const PHONE_RATE = { $ifNull: ['$exchangeRate', 1] };
+
+/**
+ * Currency Service
+ * Resolves exchange rates and converts invoice currencies to rupees
+ */
+class CurrencyService {
+  /**
+   * Resolve the rate of a currency on a date
+   * @param {string} currency - Currency code
+   * @param {Date} date - Date the rate is needed for
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} { rate, rateDate } (rate 1 for rupees)
+   */
+  static async resolveRate(currency, date, options = {}) {
+    if (!currency || currency === BASE_CURRENCY) {
+      return { rate: 1 };
+    }
+
+    const exchangeRate = await ExchangeRate.findRate(currency, date, options);
+
+    if (!exchangeRate) {
+      throw new ApiError(
+        400,
+        `No ${currency} exchange rate on or before ${formatSriLankaDate(new Date(date))}. Add one before recording the invoice.`
+      );
+    }
+
+    return { rate: exchangeRate.rate, rateDate: exchangeRate.date };
+  }
+
+  /**
+   * Set an invoice's exchange rate from its currency and date and copy it to its phones
+   * Locked rates are left as they are
+   * @param {Object} invoice - PurchaseInvoice document (saved by the caller)
+   * @param {Object} options - { session, lock }
+   * @returns {Promise<Object>} The invoice
+   */
+  static async applyInvoiceRate(invoice, options = {}) {
+    const { session, lock } = options;
+    const current = invoice.financials.exchangeRate || {};
+
+    if (current.lockedAt) {
+      return invoice;
+    }
+
+    const { rate, rateDate } = await CurrencyService.resolveRate(
+      invoice.financials.currency,
+      invoice.invoiceDate,
+      { session }
+    );
+
+    invoice.financials.exchangeRate = {
+      rate,
+      rateDate,
+      lockedAt: lock ? new Date() : undefined,
+    };
+
+    if (!invoice.isNew) {
+      await Phone.updateMany(
+        { invoice: invoice._id },
+        { $set: { exchangeRate: rate } },
+        { session }
+      );
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Re-apply rates to the unlocked invoices of a currency after the rate table changed
+   * Each invoice and its phones are updated in one transaction, re-checking the lock
+   * @param {string} currency - Currency code
+   * @returns {Promise<number>} Number of invoices updated
+   */
+  static async refreshUnlockedRates(currency) {
+    const invoices = await PurchaseInvoice.find({
+      'financials.currency': currency,
+      'financials.exchangeRate.lockedAt': { $exists: false },
+      invoiceStatus: { $ne: 'Cancelled' },
+    }).select('_id');
+
+    let updated = 0;
+    for (const { _id } of invoices) {
+      const changed = await withTransaction(async (session) => {
+        const invoice = await PurchaseInvoice.findById(_id).session(session);
+
+        // Verified since the list was read
+        if (!invoice || invoice.financials.exchangeRate?.lockedAt) {
+          return false;
+        }
+
+        const previousRate = invoice.financials.exchangeRate?.rate;
+
+        try {
+          await CurrencyService.applyInvoiceRate(invoice, { session });
+        } catch (error) {
+          // No rate covers the invoice date any more; keep the last one
+          return false;
+        }
+
+        if (invoice.financials.exchangeRate.rate === previousRate) {
+          return false;
+        }
+
+        await invoice.save({ session });
+        return true;
+      });
+
+      if (changed) updated++;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Aggregation expression for a phone cost field in rupees
+   * @param {string|Object} field - Field path ('$costPrice') or expression
+   */
+  static phoneBase(field) {
+    return { $multiply: [field, PHONE_RATE] };
+  }
+
+  /**
+   * Aggregation expression for an invoice amount in rupees
+   * @param {string} field - Field path, e.g. '$payment.pendingAmount'
+   */
+  static invoiceBase(field) {
+    return { $multiply: [field, { $ifNull: ['$financials.exchangeRate.rate', 1] }] };
+  }
+}
+
+module.exports = CurrencyService;
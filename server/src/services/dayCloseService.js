@@ -0,0 +1,210 @@
+const Receipt = require('../models/Receipt');
+const SalesInvoice = require('../models/SalesInvoice');
+const { ApiError } = require('../middlewares/errorHandler');
+const { getStartOfDaySriLanka, getEndOfDaySriLanka } = require('../utils/dateUtils');
+
+// Differences below a cent are rounding, not a shortage or excess
+const TOLERANCE = 0.01;
+
+// Bucket each sale payment method is handed over in (Credit is not handed over)
+const HANDOVER_BY_METHOD = {
+  Cash: 'cash',
+  Cheque: 'cheques',
+  'Bank Transfer': 'transfers',
+  Card: 'transfers',
+  Credit: 'credit',
+};
+
+/**
+ * Round a rupee amount to cents
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Day Close Service
+ * Reconciles the money a DSR hands over at the end of an assignment
+ * against the phones they sold and the collections they made that day
+ */
+class DayCloseService {
+  /**
+   * Collections the DSR made on the assignment day that are not handed over elsewhere
+   * Bounced cheques are left out
+   * @param {Object} assignment - DsrAssignment document
+   * @param {Object} options - { session }
+   */
+  static async getCollections(assignment, options = {}) {
+    const receipts = await Receipt.find({
+      collectedBy: assignment.dsr._id || assignment.dsr,
+      receiptDate: {
+        $gte: getStartOfDaySriLanka(assignment.assignmentDate),
+        $lte: getEndOfDaySriLanka(assignment.assignmentDate),
+      },
+      handedOverIn: { $in: [null, assignment._id] },
+    }).session(options.session || null);
+
+    return receipts.filter((receipt) => !receipt.isReversed);
+  }
+
+  /**
+   * What the DSR should hand over for an assignment
+   * Sold phones by the payment method of their sales invoice (phones sold before
+   * sales invoices existed count as cash), plus the day's collections
+   * @param {Object} assignment - DsrAssignment document
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} { expected, sales, receipts }
+   */
+  static async getExpected(assignment, options = {}) {
+    const { session } = options;
+    const soldPhones = assignment.phones.filter((phone) => phone.status === 'Sold');
+
+    const invoices = await SalesInvoice.find({
+      _id: { $in: soldPhones.map((phone) => phone.salesInvoice).filter(Boolean) },
+    })
+      .select('invoiceNumber payment.method')
+      .session(session || null);
+
+    const expected = { cash: 0, cheques: 0, transfers: 0, credit: 0 };
+    const sales = soldPhones.map((phone) => {
+      const invoice = invoices.find((item) => item._id.equals(phone.salesInvoice));
+      const method = invoice ? invoice.payment.method : 'Cash';
+
+      expected[HANDOVER_BY_METHOD[method]] += phone.soldPrice || 0;
+
+      return {
+        imei: phone.imei,
+        soldPrice: phone.soldPrice,
+        salesInvoice: invoice ? invoice.invoiceNumber : null,
+        paymentMethod: method,
+      };
+    });
+
+    const receipts = await DayCloseService.getCollections(assignment, { session });
+    receipts.forEach((receipt) => {
+      expected[receipt.method === 'Cheque' ? 'cheques' : 'cash'] += receipt.amount;
+    });
+
+    Object.keys(expected).forEach((key) => {
+      expected[key] = roundAmount(expected[key]);
+    });
+
+    return { expected, sales, receipts };
+  }
+
+  /**
+   * Record what the DSR hands over and compare it with what is expected
+   * Can be repeated until the day close is signed off
+   * @param {Object} assignment - DsrAssignment document
+   * @param {Object} declaration - { cash, cheques: [{ number, bank, amount }], transfers: [{ reference, amount }], notes }
+   * @param {Object} options - { session, actor }
+   * @returns {Promise<Object>} The assignment
+   */
+  static async declare(assignment, declaration, options = {}) {
+    const { session, actor } = options;
+
+    if (assignment.dayClose.status === 'Signed Off') {
+      throw new ApiError(400, 'Day close is already signed off');
+    }
+
+    const unresolved = assignment.phones.filter((phone) => phone.status === 'Assigned');
+    if (unresolved.length > 0) {
+      throw new ApiError(
+        400,
+        `${unresolved.length} phone(s) are still assigned. Sell or return every phone before closing the day.`,
+        unresolved.map((phone) => ({ imei: phone.imei }))
+      );
+    }
+
+    const { expected, receipts } = await DayCloseService.getExpected(assignment, { session });
+
+    const cheques = declaration.cheques || [];
+    const transfers = declaration.transfers || [];
+    const declared = {
+      cash: roundAmount(declaration.cash || 0),
+      cheques: roundAmount(cheques.reduce((sum, cheque) => sum + cheque.amount, 0)),
+      transfers: roundAmount(transfers.reduce((sum, transfer) => sum + transfer.amount, 0)),
+    };
+
+    const variance = {
+      cash: roundAmount(declared.cash - expected.cash),
+      cheques: roundAmount(declared.cheques - expected.cheques),
+      transfers: roundAmount(declared.transfers - expected.transfers),
+    };
+    variance.total = roundAmount(variance.cash + variance.cheques + variance.transfers);
+
+    let outcome = 'Balanced';
+    if (variance.total <= -TOLERANCE) {
+      outcome = 'Shortage';
+    } else if (variance.total >= TOLERANCE) {
+      outcome = 'Excess';
+    }
+
+    // Release collections claimed by an earlier declaration that no longer apply
+    await Receipt.updateMany(
+      {
+        handedOverIn: assignment._id,
+        _id: { $nin: receipts.map((receipt) => receipt._id) },
+      },
+      { $unset: { handedOverIn: 1 } },
+      { session }
+    );
+    await Receipt.updateMany(
+      { _id: { $in: receipts.map((receipt) => receipt._id) } },
+      { handedOverIn: assignment._id },
+      { session }
+    );
+
+    assignment.dayClose = {
+      status: 'Declared',
+      declared: { cash: declared.cash, cheques, transfers },
+      expected,
+      variance,
+      outcome,
+      receipts: receipts.map((receipt) => receipt._id),
+      declaredBy: actor,
+      declaredAt: new Date(),
+      declarationNotes: declaration.notes,
+    };
+    assignment.updatedBy = actor;
+    await assignment.save({ session });
+
+    return assignment;
+  }
+
+  /**
+   * Sign off a declared day close, completing the assignment
+   * A shortage or excess needs a note explaining it
+   * @param {Object} assignment - DsrAssignment document
+   * @param {Object} options - { session, actor, notes }
+   * @returns {Promise<Object>} The assignment
+   */
+  static async signOff(assignment, options = {}) {
+    const { session, actor, notes } = options;
+
+    if (assignment.dayClose.status !== 'Declared') {
+      throw new ApiError(
+        400,
+        assignment.dayClose.status === 'Signed Off'
+          ? 'Day close is already signed off'
+          : 'The DSR has not declared the handover yet'
+      );
+    }
+
+    if (assignment.dayClose.outcome !== 'Balanced' && !notes) {
+      throw new ApiError(
+        400,
+        `Handover has a ${assignment.dayClose.outcome.toLowerCase()} of Rs. ${Math.abs(assignment.dayClose.variance.total)}. A note is required to sign it off.`
+      );
+    }
+
+    assignment.dayClose.status = 'Signed Off';
+    assignment.dayClose.signedOffBy = actor;
+    assignment.dayClose.signedOffAt = new Date();
+    assignment.dayClose.signOffNotes = notes;
+    assignment.updatedBy = actor;
+    await assignment.save({ session });
+
+    return assignment;
+  }
+}
+
+module.exports = DayCloseService;
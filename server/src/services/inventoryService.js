@@ -1,70 +1,277 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const Phone = require('../models/Phone');
+const Location = require('../models/Location');
 const PurchaseInvoice = require('../models/PurchaseInvoice');
+const StockMovementService = require('./stockMovementService');
+const TacService = require('./tacService');
+const SupplierService = require('./supplierService');
+const CurrencyService = require('./currencyService');
 const { ApiError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
 
+// Stock aging buckets in days since purchase (the last bucket is open-ended)
+const AGING_BUCKETS = [
+  { label: '0-30', maxDays: 30 },
+  { label: '31-60', maxDays: 60 },
+  { label: '61-90', maxDays: 90 },
+  { label: '90+' },
+];
+
+// Phone costs in rupees; landed cost falls back to the unit cost for phones not allocated yet
+const BASE_COST = CurrencyService.phoneBase('$costPrice');
+const LANDED_COST = CurrencyService.phoneBase({ $ifNull: ['$landedCost', '$costPrice'] });
+
 /**
  * Inventory Service
  * Business logic for inventory management
+ * Stock reports give costs in rupees, whatever currency the phones were bought in
  */
 class InventoryService {
   /**
    * Search available phones by IMEI
    */
   static async searchByIMEI(imei) {
-    const invoice = await PurchaseInvoice.findOne({
-      'phones.imei': imei,
-    }).populate('phones.product');
+    const phone = await Phone.findByIMEI(imei).populate('product');
 
-    if (!invoice) {
+    if (!phone) {
       throw new ApiError(404, 'Phone with this IMEI not found');
     }
 
-    const phone = invoice.phones.find(p => p.imei === imei);
+    const invoice = await PurchaseInvoice.findById(phone.invoice).populate('phones');
 
     return {
       invoice: invoice.getSummary(),
-      phone: {
-        ...phone.toObject(),
-        product: phone.product,
-      },
+      phone: phone.toObject(),
     };
   }
 
+  /**
+   * Create a purchase invoice together with its phones
+   * Records a 'Received' stock movement for every phone and flags
+   * phones whose TAC does not match their product
+   * Phones are received at invoiceData.location, or the default location
+   * invoiceData.supplier is a supplier { id } or free-text details matched by name
+   * @param {Object} invoiceData - Invoice fields (without phones)
+   * @param {Array} phones - Phone items ({ product, imei, costPrice, ... })
+   * @param {Object} options - { actor, session, notes, source }
+   * @returns {Promise<Object>} Invoice with phones populated
+   */
+  static async createInvoice(invoiceData, phones, options = {}) {
+    const { actor, session } = options;
+
+    const location = await InventoryService.resolveLocation(invoiceData.location, { session });
+    const { supplierRef, supplier, paymentTermsDays } = await SupplierService.resolveForInvoice(
+      invoiceData.supplier,
+      { actor, session }
+    );
+
+    const invoice = new PurchaseInvoice({
+      ...invoiceData,
+      location: location?._id,
+      supplierRef,
+      supplier,
+      createdBy: actor,
+    });
+
+    invoice.setPhoneTotals(phones);
+    await CurrencyService.applyInvoiceRate(invoice, { session });
+    if (!invoice.payment.dueDate) {
+      invoice.setDueDate(paymentTermsDays);
+    }
+    invoice.addInitialPayment(actor);
+    await invoice.save({ session });
+
+    await InventoryService.receivePhones(invoice, phones, options);
+
+    // Spreads tax, shipping and discount over the new phones
+    return PurchaseInvoice.recalculateTotals(invoice._id, { session });
+  }
+
+  /**
+   * Add phones to an existing Draft invoice and update its totals
+   * @param {Object} invoice - PurchaseInvoice document
+   * @param {Array} phones - Phone items ({ product, imei, costPrice, ... })
+   * @param {Object} options - { actor, session, notes, source }
+   * @returns {Promise<Object>} Invoice with phones populated
+   */
+  static async addPhonesToInvoice(invoice, phones, options = {}) {
+    const { session } = options;
+
+    if (invoice.invoiceStatus !== 'Draft') {
+      throw new ApiError(
+        400,
+        `Cannot add phones to ${invoice.invoiceStatus} invoice. Only Draft invoices can be extended.`
+      );
+    }
+
+    await InventoryService.receivePhones(invoice, phones, options);
+    return PurchaseInvoice.recalculateTotals(invoice._id, { session });
+  }
+
+  /**
+   * Insert the phones of an invoice at its location
+   * Flags TAC mismatches and records a 'Received' movement for every phone
+   * @param {Object} invoice - Saved PurchaseInvoice document
+   * @param {Array} phones - Phone items
+   * @param {Object} options - { actor, session, notes, source, location } (source and location default to the invoice)
+   * @returns {Promise<Array>} Phone documents
+   */
+  static async receivePhones(invoice, phones, options = {}) {
+    const { actor, session, notes } = options;
+    const source = options.source || StockMovementService.source('Invoice', invoice);
+
+    // Checked inside the transaction so a concurrent request cannot take an IMEI first
+    const duplicates = await InventoryService.findDuplicateIMEIs(phones, { session });
+    if (duplicates.length > 0) {
+      throw new ApiError(
+        400,
+        `${duplicates.length} duplicate IMEI(s) found. No phones were received.`,
+        duplicates
+      );
+    }
+
+    const phoneDocs = phones.map((phone) => new Phone({
+      ...phone,
+      invoice: invoice._id,
+      location: options.location || invoice.location,
+      exchangeRate: invoice.financials.exchangeRate?.rate || 1,
+      createdBy: actor,
+    }));
+
+    await TacService.identifyPhones(phoneDocs, { session });
+    await Phone.insertMany(phoneDocs, { session });
+
+    await StockMovementService.record(
+      phoneDocs.map((phone) =>
+        StockMovementService.entry(phone, {
+          action: 'Received',
+          fromStatus: null,
+          toStatus: phone.status,
+          source,
+          notes,
+          actor,
+        })
+      ),
+      { session }
+    );
+
+    return phoneDocs;
+  }
+
+  /**
+   * Resolve the location stock is received at
+   * @param {string} [locationId] - Requested location, defaults to the default location
+   * @param {Object} options - { session }
+   * @returns {Promise<Object|null>} Location (null when no locations are set up)
+   */
+  static async resolveLocation(locationId, options = {}) {
+    const { session } = options;
+
+    if (!locationId) {
+      return Location.getDefault({ session });
+    }
+
+    const location = await Location.findOne({ _id: locationId, isActive: true }).session(
+      session || null
+    );
+
+    if (!location) {
+      throw new ApiError(400, 'Location not found or inactive');
+    }
+
+    return location;
+  }
+
+  /**
+   * Cast a location filter for aggregation pipelines
+   * @param {string} location - Location ID
+   */
+  static toLocationId(location) {
+    if (!mongoose.isValidObjectId(location)) {
+      throw new ApiError(400, 'Invalid location ID');
+    }
+
+    return new mongoose.Types.ObjectId(location);
+  }
+
+  /**
+   * Build the $match stage for available stock
+   * Phones picked for a supplier return are held back
+   * @param {Object} filters - { location }
+   */
+  static buildStockMatch(filters = {}) {
+    const match = { status: 'Available', supplierReturn: null };
+
+    if (filters.location) {
+      match.location = InventoryService.toLocationId(filters.location);
+    }
+
+    return match;
+  }
+
   /**
    * Get available stock summary (UPDATED - includes individual phones)
+   * @param {Object} filters - { location }
    */
-  static async getAvailableStock() {
-    const result = await PurchaseInvoice.aggregate([
-      { $unwind: '$phones' },
-      { $match: { 'phones.status': 'Available' } },
+  static async getAvailableStock(filters = {}) {
+    const result = await Phone.aggregate([
+      { $match: InventoryService.buildStockMatch(filters) },
       {
         $lookup: {
           from: 'products',
-          localField: 'phones.product',
+          localField: 'product',
           foreignField: '_id',
           as: 'productDetails',
         },
       },
       { $unwind: '$productDetails' },
+      {
+        $lookup: {
+          from: 'purchaseinvoices',
+          localField: 'invoice',
+          foreignField: '_id',
+          as: 'invoiceDetails',
+        },
+      },
+      { $unwind: '$invoiceDetails' },
+      {
+        $lookup: {
+          from: 'locations',
+          localField: 'location',
+          foreignField: '_id',
+          as: 'locationDetails',
+        },
+      },
+      {
+        $unwind: { path: '$locationDetails', preserveNullAndEmptyArrays: true },
+      },
       {
         $group: {
-          _id: '$phones.product',
+          _id: '$product',
           count: { $sum: 1 },
-          totalCost: { $sum: '$phones.costPrice' },
-          totalSellingPrice: { $sum: '$phones.sellingPrice' },
+          totalCost: { $sum: BASE_COST },
+          totalLandedCost: { $sum: LANDED_COST },
+          totalSellingPrice: { $sum: '$sellingPrice' },
           productDetails: { $first: '$productDetails' },
           // Collect individual phones with IMEI
           phones: {
             $push: {
-              imei: '$phones.imei',
-              costPrice: '$phones.costPrice',
-              sellingPrice: '$phones.sellingPrice',
-              condition: '$phones.condition',
-              warrantyExpiryDate: '$phones.warrantyExpiryDate',
-              invoiceNumber: '$invoiceNumber',
-              invoiceId: '$_id',
-              addedAt: '$phones.addedAt',
+              imei: '$imei',
+              imei2: '$imei2',
+              location: {
+                _id: '$locationDetails._id',
+                name: '$locationDetails.name',
+                code: '$locationDetails.code',
+              },
+              costPrice: BASE_COST,
+              landedCost: LANDED_COST,
+              sellingPrice: '$sellingPrice',
+              condition: '$condition',
+              warrantyExpiryDate: '$warrantyExpiryDate',
+              invoiceNumber: '$invoiceDetails.invoiceNumber',
+              invoiceId: '$invoice',
+              addedAt: '$addedAt',
             },
           },
         },
@@ -76,90 +283,439 @@ class InventoryService {
   }
 
   /**
-   * Get inventory statistics
+   * Get available stock grouped by location, then product
+   * Phones without a location are grouped under location null
+   * @param {Object} filters - { location }
    */
-  static async getStatistics() {
-    const stats = await PurchaseInvoice.aggregate([
-      { $unwind: '$phones' },
+  static async getAvailableStockByLocation(filters = {}) {
+    const result = await Phone.aggregate([
+      { $match: InventoryService.buildStockMatch(filters) },
       {
         $group: {
-          _id: '$phones.status',
+          _id: { location: '$location', product: '$product' },
           count: { $sum: 1 },
-          totalCost: { $sum: '$phones.costPrice' },
-          totalSellingPrice: { $sum: '$phones.sellingPrice' },
+          totalCost: { $sum: BASE_COST },
+          totalLandedCost: { $sum: LANDED_COST },
+          totalSellingPrice: { $sum: '$sellingPrice' },
+        },
+      },
+      {
+        $lookup: {
+          from: 'products',
+          localField: '_id.product',
+          foreignField: '_id',
+          as: 'productDetails',
+        },
+      },
+      { $unwind: '$productDetails' },
+      { $sort: { 'productDetails.brand': 1, 'productDetails.model': 1 } },
+      {
+        $group: {
+          _id: '$_id.location',
+          count: { $sum: '$count' },
+          totalCost: { $sum: '$totalCost' },
+          totalLandedCost: { $sum: '$totalLandedCost' },
+          totalSellingPrice: { $sum: '$totalSellingPrice' },
+          products: {
+            $push: {
+              product: {
+                _id: '$productDetails._id',
+                brand: '$productDetails.brand',
+                model: '$productDetails.model',
+                specifications: '$productDetails.specifications',
+              },
+              count: '$count',
+              totalCost: '$totalCost',
+              totalLandedCost: '$totalLandedCost',
+              totalSellingPrice: '$totalSellingPrice',
+            },
+          },
         },
       },
+      {
+        $lookup: {
+          from: 'locations',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'locationDetails',
+        },
+      },
+      {
+        $unwind: { path: '$locationDetails', preserveNullAndEmptyArrays: true },
+      },
+      {
+        $project: {
+          _id: 0,
+          location: {
+            _id: '$locationDetails._id',
+            name: '$locationDetails.name',
+            code: '$locationDetails.code',
+            type: '$locationDetails.type',
+          },
+          count: 1,
+          totalCost: 1,
+          totalLandedCost: 1,
+          totalSellingPrice: 1,
+          products: 1,
+        },
+      },
+      { $sort: { 'location.name': 1 } },
     ]);
 
-    return stats;
+    return result;
   }
 
   /**
-   * Check if IMEI is duplicate
+   * Get inventory statistics
+   * @param {Object} filters - { location }
    */
-  static async isIMEIDuplicate(imei) {
-    const existing = await PurchaseInvoice.findOne({
-      'phones.imei': imei,
-    });
+  static async getStatistics(filters = {}) {
+    const match = {};
+    if (filters.location) {
+      match.location = InventoryService.toLocationId(filters.location);
+    }
 
-    return !!existing;
+    const stats = await Phone.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          totalCost: { $sum: BASE_COST },
+          totalLandedCost: { $sum: LANDED_COST },
+          totalSellingPrice: { $sum: '$sellingPrice' },
+        },
+      },
+    ]);
+
+    return stats;
   }
 
   /**
-   * Get low stock products
+   * Get phone counts per location and status
+   * @param {Object} filters - { location }
    */
-  static async getLowStock(threshold = 5) {
-    const result = await PurchaseInvoice.aggregate([
-      { $unwind: '$phones' },
-      { $match: { 'phones.status': 'Available' } },
+  static async getStatisticsByLocation(filters = {}) {
+    const match = {};
+    if (filters.location) {
+      match.location = InventoryService.toLocationId(filters.location);
+    }
+
+    const stats = await Phone.aggregate([
+      { $match: match },
       {
         $group: {
-          _id: '$phones.product',
+          _id: { location: '$location', status: '$status' },
           count: { $sum: 1 },
+          totalCost: { $sum: BASE_COST },
+          totalSellingPrice: { $sum: '$sellingPrice' },
+        },
+      },
+      {
+        $group: {
+          _id: '$_id.location',
+          count: { $sum: '$count' },
+          totalCost: { $sum: '$totalCost' },
+          totalSellingPrice: { $sum: '$totalSellingPrice' },
+          statuses: {
+            $push: {
+              status: '$_id.status',
+              count: '$count',
+              totalCost: '$totalCost',
+              totalSellingPrice: '$totalSellingPrice',
+            },
+          },
         },
       },
-      { $match: { count: { $lte: threshold } } },
       {
         $lookup: {
-          from: 'products',
+          from: 'locations',
           localField: '_id',
           foreignField: '_id',
-          as: 'productDetails',
+          as: 'locationDetails',
         },
       },
-      { $unwind: '$productDetails' },
+      {
+        $unwind: { path: '$locationDetails', preserveNullAndEmptyArrays: true },
+      },
+      {
+        $project: {
+          _id: 0,
+          location: {
+            _id: '$locationDetails._id',
+            name: '$locationDetails.name',
+            code: '$locationDetails.code',
+            type: '$locationDetails.type',
+          },
+          count: 1,
+          totalCost: 1,
+          totalSellingPrice: 1,
+          statuses: 1,
+        },
+      },
+      { $sort: { 'location.name': 1 } },
+    ]);
+
+    return stats;
+  }
+
+  /**
+   * Check if IMEI is duplicate
+   * Checks both IMEI slots so a number can only belong to one handset
+   * @param {string} imei - IMEI number
+   * @param {Object} options - { excludePhoneId, session }
+   */
+  static async isIMEIDuplicate(imei, options = {}) {
+    const { excludePhoneId, session } = options;
+    const filter = { $or: [{ imei }, { imei2: imei }] };
+    if (excludePhoneId) filter._id = { $ne: excludePhoneId };
+
+    const existing = await Phone.exists(filter).session(session || null);
+
+    return !!existing;
+  }
+
+  /**
+   * Find IMEIs that are repeated inside a list of phones, across either slot
+   * @param {Array} phones - Phone items ({ imei, imei2 })
+   * @returns {Array} [{ imei, reason }]
+   */
+  static findRepeatedIMEIs(phones) {
+    const seen = new Set();
+    const repeated = [];
+
+    for (const phone of phones) {
+      for (const imei of [phone.imei, phone.imei2].filter(Boolean)) {
+        if (seen.has(imei)) {
+          repeated.push({ imei, reason: 'IMEI is repeated in this request' });
+          continue;
+        }
+        seen.add(imei);
+      }
+    }
+
+    return repeated;
+  }
+
+  /**
+   * Find IMEIs that are repeated inside a list of phones or already in stock
+   * @param {Array} phones - Phone items ({ imei, imei2 })
+   * @param {Object} options - { session }
+   * @returns {Promise<Array>} [{ imei, reason }]
+   */
+  static async findDuplicateIMEIs(phones, options = {}) {
+    const duplicates = InventoryService.findRepeatedIMEIs(phones);
+    const imeis = new Set(phones.flatMap((phone) => [phone.imei, phone.imei2].filter(Boolean)));
+
+    for (const imei of imeis) {
+      if (await InventoryService.isIMEIDuplicate(imei, { session: options.session })) {
+        duplicates.push({ imei, reason: 'IMEI already exists in inventory' });
+      }
+    }
+
+    return duplicates;
+  }
+
+  /**
+   * Get products at or below their reorder level
+   * Includes products with no stock left and the supplier each was last bought from
+   * @param {Object} filters - { threshold } overrides every product's reorder level
+   * @returns {Promise<Array>} Reorder suggestions, most urgent first
+   */
+  static async getLowStock(filters = {}) {
+    const { threshold } = filters;
+
+    const productMatch = { isActive: true, isDiscontinued: false };
+    if (!threshold) {
+      productMatch['reorder.level'] = { $gt: 0 };
+    }
+
+    const result = await Product.aggregate([
+      { $match: productMatch },
+      {
+        $addFields: {
+          reorderLevel: threshold || '$reorder.level',
+        },
+      },
+      {
+        $lookup: {
+          from: 'phones',
+          let: { productId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ['$product', '$$productId'] },
+                status: 'Available',
+                supplierReturn: null,
+              },
+            },
+            { $count: 'count' },
+          ],
+          as: 'stock',
+        },
+      },
+      {
+        $addFields: {
+          available: { $ifNull: [{ $first: '$stock.count' }, 0] },
+        },
+      },
+      { $match: { $expr: { $lte: ['$available', '$reorderLevel'] } } },
+      // Last purchase of the product, for the supplier and cost
+      {
+        $lookup: {
+          from: 'phones',
+          let: { productId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$product', '$$productId'] } } },
+            { $sort: { addedAt: -1 } },
+            { $limit: 1 },
+            {
+              $lookup: {
+                from: 'purchaseinvoices',
+                localField: 'invoice',
+                foreignField: '_id',
+                as: 'invoiceDetails',
+              },
+            },
+            { $unwind: '$invoiceDetails' },
+            {
+              $project: {
+                _id: 0,
+                costPrice: BASE_COST,
+                invoiceNumber: '$invoiceDetails.invoiceNumber',
+                invoiceDate: '$invoiceDetails.invoiceDate',
+                supplierId: '$invoiceDetails.supplierRef',
+                supplier: '$invoiceDetails.supplier',
+              },
+            },
+          ],
+          as: 'lastPurchase',
+        },
+      },
+      {
+        $unwind: { path: '$lastPurchase', preserveNullAndEmptyArrays: true },
+      },
+      {
+        $project: {
+          _id: 0,
+          product: {
+            _id: '$_id',
+            brand: '$brand',
+            model: '$model',
+            specifications: '$specifications',
+          },
+          available: 1,
+          reorderLevel: 1,
+          // Reorder quantity, or enough to get back above the level
+          suggestedQuantity: {
+            $cond: [
+              { $gt: ['$reorder.quantity', 0] },
+              '$reorder.quantity',
+              { $add: [{ $subtract: ['$reorderLevel', '$available'] }, 1] },
+            ],
+          },
+          alertedAt: '$reorder.alertedAt',
+          lastPurchase: 1,
+        },
+      },
+      { $sort: { available: 1, 'product.brand': 1, 'product.model': 1 } },
     ]);
 
     return result;
   }
 
+  /**
+   * Group reorder suggestions by the supplier each product was last bought from
+   * @param {Array} items - Result of getLowStock
+   * @returns {Array} [{ supplierId, supplier, products, totalQuantity, estimatedCost }]
+   */
+  static groupLowStockBySupplier(items) {
+    const groups = new Map();
+
+    items.forEach((item) => {
+      const { supplierId, supplier } = item.lastPurchase || {};
+      const key = supplierId ? supplierId.toString() : supplier?.name || null;
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          supplierId,
+          supplier,
+          products: [],
+          totalQuantity: 0,
+          estimatedCost: 0,
+        });
+      }
+
+      const group = groups.get(key);
+      group.products.push(item);
+      group.totalQuantity += item.suggestedQuantity;
+      group.estimatedCost += item.lastPurchase
+        ? item.lastPurchase.costPrice * item.suggestedQuantity
+        : 0;
+    });
+
+    // Products never purchased go last
+    return [...groups.values()].sort((a, b) => {
+      if (!a.supplier) return 1;
+      if (!b.supplier) return -1;
+      return a.supplier.name.localeCompare(b.supplier.name);
+    });
+  }
+
   /**
    * Get detailed available stock (alternative method - flattened view)
+   * @param {Object} filters - { location }
    */
-  static async getAvailableStockDetailed() {
-    const result = await PurchaseInvoice.aggregate([
-      { $unwind: '$phones' },
-      { $match: { 'phones.status': 'Available' } },
+  static async getAvailableStockDetailed(filters = {}) {
+    const result = await Phone.aggregate([
+      { $match: InventoryService.buildStockMatch(filters) },
       {
         $lookup: {
           from: 'products',
-          localField: 'phones.product',
+          localField: 'product',
           foreignField: '_id',
           as: 'productDetails',
         },
       },
       { $unwind: '$productDetails' },
+      {
+        $lookup: {
+          from: 'purchaseinvoices',
+          localField: 'invoice',
+          foreignField: '_id',
+          as: 'invoiceDetails',
+        },
+      },
+      { $unwind: '$invoiceDetails' },
+      {
+        $lookup: {
+          from: 'locations',
+          localField: 'location',
+          foreignField: '_id',
+          as: 'locationDetails',
+        },
+      },
+      {
+        $unwind: { path: '$locationDetails', preserveNullAndEmptyArrays: true },
+      },
       {
         $project: {
           _id: 0,
-          invoiceNumber: 1,
-          invoiceId: '$_id',
-          imei: '$phones.imei',
-          costPrice: '$phones.costPrice',
-          sellingPrice: '$phones.sellingPrice',
-          condition: '$phones.condition',
-          warrantyExpiryDate: '$phones.warrantyExpiryDate',
-          addedAt: '$phones.addedAt',
+          invoiceNumber: '$invoiceDetails.invoiceNumber',
+          invoiceId: '$invoice',
+          imei: 1,
+          imei2: 1,
+          location: {
+            _id: '$locationDetails._id',
+            name: '$locationDetails.name',
+            code: '$locationDetails.code',
+          },
+          costPrice: BASE_COST,
+          landedCost: LANDED_COST,
+          sellingPrice: 1,
+          condition: 1,
+          warrantyExpiryDate: 1,
+          addedAt: 1,
           product: {
             _id: '$productDetails._id',
             brand: '$productDetails.brand',
@@ -182,6 +738,223 @@ class InventoryService {
 
     return result;
   }
+
+  /**
+   * Days after which available stock counts as aging (AGING_STOCK_DAYS)
+   */
+  static getAgingThresholdDays() {
+    return parseInt(process.env.AGING_STOCK_DAYS) || 90;
+  }
+
+  /**
+   * Get stock aging report for available phones
+   * Age runs from the earlier of the invoice date and the date the phone was added,
+   * so back-dated invoices entered late still age from the purchase
+   * @param {Object} filters - { location, threshold }
+   * @returns {Promise<Object>} { buckets, byProduct, bySupplier, slowMovers }
+   */
+  static async getStockAging(filters = {}) {
+    const threshold = filters.threshold || InventoryService.getAgingThresholdDays();
+
+    // Cost tied up per bucket, accumulated as bucket0..bucketN and projected by label
+    const bucketFields = {};
+    const costByBucket = {};
+    AGING_BUCKETS.forEach((bucket, index) => {
+      bucketFields[`bucket${index}`] = {
+        $sum: { $cond: [{ $eq: ['$bucket', bucket.label] }, BASE_COST, 0] },
+      };
+      costByBucket[bucket.label] = `$bucket${index}`;
+    });
+
+    const [result] = await Phone.aggregate([
+      { $match: InventoryService.buildStockMatch(filters) },
+      {
+        $lookup: {
+          from: 'purchaseinvoices',
+          localField: 'invoice',
+          foreignField: '_id',
+          as: 'invoiceDetails',
+        },
+      },
+      { $unwind: '$invoiceDetails' },
+      {
+        $addFields: {
+          ageDays: {
+            $dateDiff: {
+              startDate: { $min: ['$addedAt', '$invoiceDetails.invoiceDate'] },
+              endDate: '$$NOW',
+              unit: 'day',
+            },
+          },
+        },
+      },
+      {
+        $addFields: {
+          bucket: {
+            $switch: {
+              branches: AGING_BUCKETS.filter((bucket) => bucket.maxDays).map((bucket) => ({
+                case: { $lte: ['$ageDays', bucket.maxDays] },
+                then: bucket.label,
+              })),
+              default: AGING_BUCKETS[AGING_BUCKETS.length - 1].label,
+            },
+          },
+          isAging: { $gt: ['$ageDays', threshold] },
+        },
+      },
+      {
+        $facet: {
+          buckets: [
+            {
+              $group: {
+                _id: '$bucket',
+                count: { $sum: 1 },
+                totalCost: { $sum: BASE_COST },
+              },
+            },
+          ],
+          byProduct: [
+            {
+              $group: {
+                _id: '$product',
+                count: { $sum: 1 },
+                agingCount: { $sum: { $cond: ['$isAging', 1, 0] } },
+                totalCost: { $sum: BASE_COST },
+                oldestDays: { $max: '$ageDays' },
+                ...bucketFields,
+              },
+            },
+            {
+              $lookup: {
+                from: 'products',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'productDetails',
+              },
+            },
+            { $unwind: '$productDetails' },
+            {
+              $project: {
+                _id: 0,
+                product: {
+                  _id: '$productDetails._id',
+                  brand: '$productDetails.brand',
+                  model: '$productDetails.model',
+                  specifications: '$productDetails.specifications',
+                },
+                count: 1,
+                agingCount: 1,
+                totalCost: 1,
+                oldestDays: 1,
+                costByBucket,
+              },
+            },
+            { $sort: { oldestDays: -1 } },
+          ],
+          bySupplier: [
+            {
+              $group: {
+                _id: '$invoiceDetails.supplierRef',
+                supplierName: { $first: '$invoiceDetails.supplier.name' },
+                count: { $sum: 1 },
+                agingCount: { $sum: { $cond: ['$isAging', 1, 0] } },
+                totalCost: { $sum: BASE_COST },
+                oldestDays: { $max: '$ageDays' },
+                ...bucketFields,
+              },
+            },
+            {
+              $lookup: {
+                from: 'suppliers',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'supplierDetails',
+              },
+            },
+            {
+              $project: {
+                _id: 0,
+                supplierId: '$_id',
+                supplier: { $ifNull: [{ $first: '$supplierDetails.name' }, '$supplierName'] },
+                count: 1,
+                agingCount: 1,
+                totalCost: 1,
+                oldestDays: 1,
+                costByBucket,
+              },
+            },
+            { $sort: { totalCost: -1 } },
+          ],
+          // Phones past the threshold, oldest first, to reprice or push to DSRs
+          slowMovers: [
+            { $match: { isAging: true } },
+            { $sort: { ageDays: -1 } },
+            {
+              $lookup: {
+                from: 'products',
+                localField: 'product',
+                foreignField: '_id',
+                as: 'productDetails',
+              },
+            },
+            { $unwind: '$productDetails' },
+            {
+              $lookup: {
+                from: 'locations',
+                localField: 'location',
+                foreignField: '_id',
+                as: 'locationDetails',
+              },
+            },
+            {
+              $unwind: { path: '$locationDetails', preserveNullAndEmptyArrays: true },
+            },
+            {
+              $project: {
+                _id: 0,
+                imei: 1,
+                ageDays: 1,
+                costPrice: BASE_COST,
+                sellingPrice: 1,
+                condition: 1,
+                invoiceNumber: '$invoiceDetails.invoiceNumber',
+                supplier: '$invoiceDetails.supplier.name',
+                location: {
+                  _id: '$locationDetails._id',
+                  name: '$locationDetails.name',
+                  code: '$locationDetails.code',
+                },
+                product: {
+                  _id: '$productDetails._id',
+                  brand: '$productDetails.brand',
+                  model: '$productDetails.model',
+                  specifications: '$productDetails.specifications',
+                },
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    // Report every bucket, even empty ones, in a fixed order
+    const buckets = AGING_BUCKETS.map((bucket) => {
+      const found = result.buckets.find((item) => item._id === bucket.label);
+      return {
+        bucket: bucket.label,
+        count: found ? found.count : 0,
+        totalCost: found ? found.totalCost : 0,
+      };
+    });
+
+    return {
+      threshold,
+      buckets,
+      byProduct: result.byProduct,
+      bySupplier: result.bySupplier,
+      slowMovers: result.slowMovers,
+    };
+  }
 }
 
-module.exports = InventoryService;
\ No newline at end of file
+module.exports = InventoryService;
@@ -0,0 +1,426 @@
+const PDFDocument = require('pdfkit');
+const { formatSriLankaDate, formatSriLankaDateTime } = require('../utils/dateUtils');
+
+const MARGIN = 40;
+const BRAND_COLOR = '#4472C4';
+const MUTED_COLOR = '#666666';
+const ROW_HEIGHT = 18;
+
+/**
+ * PDF Service
+ * Renders printable purchase invoices and goods-received slips
+ */
+class PdfService {
+  /**
+   * Business details printed on every document (COMPANY_* settings)
+   */
+  static getBranding() {
+    return {
+      name: process.env.COMPANY_NAME || 'Mobile Distribution',
+      address: process.env.COMPANY_ADDRESS || '',
+      phone: process.env.COMPANY_PHONE || '',
+      email: process.env.COMPANY_EMAIL || '',
+    };
+  }
+
+  /**
+   * Render a purchase invoice
+   * @param {Object} invoice - PurchaseInvoice with phones (and their products) populated
+   * @returns {Promise<Buffer>} PDF file
+   */
+  static renderPurchaseInvoice(invoice) {
+    return PdfService.render((doc) => {
+      const summary = invoice.getSummary();
+
+      PdfService.drawHeader(doc, 'PURCHASE INVOICE', invoice.invoiceNumber);
+      PdfService.drawParties(doc, invoice);
+
+      const currency = summary.currency;
+      PdfService.drawTable(
+        doc,
+        [
+          { header: '#', width: 25 },
+          { header: 'Product', width: 150 },
+          { header: 'IMEI', width: 150 },
+          { header: 'Condition', width: 70 },
+          { header: `Unit Cost (${currency})`, width: 120, align: 'right' },
+        ],
+        (invoice.phones || []).map((phone, index) => [
+          index + 1,
+          PdfService.productName(phone.product),
+          [phone.imei, phone.imei2].filter(Boolean).join(' / '),
+          phone.condition,
+          PdfService.amount(phone.costPrice),
+        ])
+      );
+
+      PdfService.drawFinancials(doc, invoice, summary);
+      PdfService.drawStamp(doc, invoice);
+      PdfService.drawFooter(doc);
+    });
+  }
+
+  /**
+   * Render a goods-received slip for the warehouse to check and sign
+   * Lists the handsets without prices
+   * @param {Object} receipt - { title, reference, date, supplierName, location, notes, items }
+   *   items: [{ product, imei, imei2, serialNumber, condition }]
+   * @returns {Promise<Buffer>} PDF file
+   */
+  static renderReceivedSlip(receipt) {
+    return PdfService.render((doc) => {
+      PdfService.drawHeader(doc, receipt.title || 'GOODS RECEIVED SLIP', receipt.reference);
+
+      const top = doc.y;
+      doc.fontSize(9).fillColor(MUTED_COLOR).text('SUPPLIER', MARGIN, top);
+      doc.fontSize(11).fillColor('black').text(receipt.supplierName || '-', MARGIN, doc.y + 2);
+
+      PdfService.drawMeta(doc, [
+        ['Date', formatSriLankaDate(receipt.date || new Date())],
+        ['Location', receipt.location || '-'],
+        ['Phones', String(receipt.items.length)],
+      ], top);
+
+      doc.moveDown(2);
+      PdfService.drawTable(
+        doc,
+        [
+          { header: '#', width: 25 },
+          { header: 'Product', width: 150 },
+          { header: 'IMEI', width: 105 },
+          { header: 'IMEI 2', width: 105 },
+          { header: 'Serial', width: 80 },
+          { header: 'Checked', width: 50, align: 'center' },
+        ],
+        receipt.items.map((item, index) => [
+          index + 1,
+          PdfService.productName(item.product),
+          item.imei,
+          item.imei2 || '',
+          item.serialNumber || '',
+          '[   ]',
+        ])
+      );
+
+      if (receipt.notes) {
+        doc.moveDown().fontSize(9).fillColor(MUTED_COLOR).text(`Notes: ${receipt.notes}`, MARGIN);
+      }
+
+      PdfService.drawSignatures(doc, ['Received by', 'Checked by', 'Date']);
+      PdfService.drawFooter(doc);
+    });
+  }
+
+  /**
+   * Create a document, draw it and collect the output
+   * @param {Function} draw - Draws onto the PDFDocument
+   * @returns {Promise<Buffer>}
+   */
+  static render(draw) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: MARGIN, bufferPages: true });
+      const chunks = [];
+
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        draw(doc);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Company block on the left, document title and reference on the right
+   */
+  static drawHeader(doc, title, reference) {
+    const brand = PdfService.getBranding();
+    const right = doc.page.width - MARGIN;
+
+    doc.fontSize(18).fillColor(BRAND_COLOR).text(brand.name, MARGIN, MARGIN);
+    doc.fontSize(9).fillColor(MUTED_COLOR);
+    [brand.address, brand.phone, brand.email].filter(Boolean).forEach((line) => {
+      doc.text(line, MARGIN);
+    });
+    const leftBottom = doc.y;
+
+    doc.fontSize(16).fillColor('black').text(title, MARGIN, MARGIN, {
+      width: right - MARGIN,
+      align: 'right',
+    });
+    doc.fontSize(10).fillColor(MUTED_COLOR).text(reference || '', {
+      width: right - MARGIN,
+      align: 'right',
+    });
+
+    const bottom = Math.max(leftBottom, doc.y) + 10;
+    doc.moveTo(MARGIN, bottom).lineTo(right, bottom).strokeColor(BRAND_COLOR).lineWidth(1.5).stroke();
+    doc.y = bottom + 15;
+  }
+
+  /**
+   * Supplier block on the left, invoice details on the right
+   */
+  static drawParties(doc, invoice) {
+    const top = doc.y;
+    const { supplier } = invoice;
+
+    doc.fontSize(9).fillColor(MUTED_COLOR).text('SUPPLIER', MARGIN, top);
+    doc.fontSize(11).fillColor('black').text(supplier?.name || '-', MARGIN, doc.y + 2, { width: 250 });
+    doc.fontSize(9).fillColor(MUTED_COLOR);
+    [supplier?.contactPerson, supplier?.phone, supplier?.email, supplier?.address]
+      .filter(Boolean)
+      .forEach((line) => doc.text(line, MARGIN, doc.y, { width: 250 }));
+    const leftBottom = doc.y;
+
+    PdfService.drawMeta(doc, [
+      ['Invoice Date', `${formatSriLankaDate(invoice.invoiceDate)} ${invoice.invoiceTime || ''}`],
+      ['Currency', invoice.financials.currency || 'LKR'],
+      ['Status', invoice.invoiceStatus],
+      ['Payment', invoice.payment?.status || '-'],
+      ['Due Date', invoice.payment?.dueDate ? formatSriLankaDate(invoice.payment.dueDate) : '-'],
+    ], top);
+
+    doc.y = Math.max(leftBottom, doc.y) + 20;
+  }
+
+  /**
+   * Label/value pairs in a right-hand column
+   */
+  static drawMeta(doc, rows, top) {
+    const x = doc.page.width - MARGIN - 220;
+    let y = top;
+
+    rows.forEach(([label, value]) => {
+      doc.fontSize(9).fillColor(MUTED_COLOR).text(label, x, y, { width: 90 });
+      doc.fillColor('black').text(value, x + 90, y, { width: 130, align: 'right' });
+      y += 14;
+    });
+
+    doc.y = Math.max(doc.y, y);
+  }
+
+  /**
+   * Table with a shaded header row, repeated on every page
+   * @param {Array} columns - [{ header, width, align }]
+   * @param {Array} rows - Cell values per row
+   */
+  static drawTable(doc, columns, rows) {
+    const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+    const bottomLimit = doc.page.height - MARGIN - 60;
+
+    const drawRow = (cells, options = {}) => {
+      const y = doc.y;
+
+      if (options.header) {
+        doc.rect(MARGIN, y, tableWidth, ROW_HEIGHT).fill(BRAND_COLOR);
+      }
+
+      let x = MARGIN;
+      columns.forEach((column, index) => {
+        doc
+          .fontSize(8.5)
+          .fillColor(options.header ? 'white' : 'black')
+          .text(String(cells[index] ?? ''), x + 4, y + 5, {
+            width: column.width - 8,
+            align: column.align || 'left',
+            lineBreak: false,
+            ellipsis: true,
+          });
+        x += column.width;
+      });
+
+      doc
+        .moveTo(MARGIN, y + ROW_HEIGHT)
+        .lineTo(MARGIN + tableWidth, y + ROW_HEIGHT)
+        .strokeColor('#DDDDDD')
+        .lineWidth(0.5)
+        .stroke();
+      doc.y = y + ROW_HEIGHT;
+    };
+
+    const headers = columns.map((column) => column.header);
+    drawRow(headers, { header: true });
+
+    rows.forEach((cells) => {
+      if (doc.y + ROW_HEIGHT > bottomLimit) {
+        doc.addPage();
+        doc.y = MARGIN;
+        drawRow(headers, { header: true });
+      }
+      drawRow(cells);
+    });
+
+    doc.x = MARGIN;
+    doc.moveDown();
+  }
+
+  /**
+   * Totals from the invoice summary, with the rupee value of foreign invoices
+   */
+  static drawFinancials(doc, invoice, summary) {
+    const { financials } = invoice;
+    const lines = [
+      ['Subtotal', invoice.formatCurrency(financials.subtotal)],
+      ['Tax', invoice.formatCurrency(financials.tax?.amount || 0)],
+      ['Shipping', invoice.formatCurrency(financials.shippingCost || 0)],
+      ['Discount', `- ${invoice.formatCurrency(financials.discount?.amount || 0)}`],
+    ];
+
+    if (summary.returnedCost) {
+      lines.push(['Supplier Returns', `- ${invoice.formatCurrency(summary.returnedCost)}`]);
+    }
+
+    lines.push(['Total', summary.totalCostFormatted]);
+
+    if (summary.amendedCost) {
+      const sign = summary.amendedCost < 0 ? '-' : '+';
+      lines.push(['Credit/Debit Notes', `${sign} ${invoice.formatCurrency(Math.abs(summary.amendedCost))}`]);
+      lines.push(['Effective Total', summary.effectiveTotalCostFormatted]);
+    }
+
+    lines.push(['Paid', invoice.formatCurrency(invoice.payment?.paidAmount || 0)]);
+    lines.push(['Balance Due', invoice.formatCurrency(summary.pendingAmount || 0)]);
+
+    if (summary.currency !== 'LKR') {
+      lines.push([`Rate (LKR per ${summary.currency})`, String(summary.exchangeRate)]);
+      lines.push(['Total (LKR)', summary.totalCostBaseFormatted]);
+    }
+
+    if (doc.y + lines.length * 15 > doc.page.height - MARGIN - 60) {
+      doc.addPage();
+      doc.y = MARGIN;
+    }
+
+    const x = doc.page.width - MARGIN - 250;
+    let y = doc.y;
+    doc.fontSize(9).fillColor(MUTED_COLOR).text(`Phones: ${summary.totalPhones}`, MARGIN, y);
+
+    lines.forEach(([label, value]) => {
+      const isTotal = label === 'Total';
+      doc
+        .font(isTotal ? 'Helvetica-Bold' : 'Helvetica')
+        .fontSize(isTotal ? 11 : 9.5)
+        .fillColor('black')
+        .text(label, x, y, { width: 120 })
+        .text(value, x + 120, y, { width: 130, align: 'right' });
+      y += isTotal ? 17 : 15;
+    });
+    doc.font('Helvetica');
+    doc.y = y + 10;
+  }
+
+  /**
+   * Verification stamp (or a DRAFT mark for unverified invoices)
+   */
+  static drawStamp(doc, invoice) {
+    const verified = ['Verified', 'Completed'].includes(invoice.invoiceStatus);
+    const color = verified ? '#2E7D32' : '#9E9E9E';
+    const x = MARGIN;
+    const y = doc.y;
+
+    doc.save();
+    doc.rotate(-8, { origin: [x + 90, y + 30] });
+    doc.roundedRect(x, y, 180, 55, 6).lineWidth(2).strokeColor(color).stroke();
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(18)
+      .fillColor(color)
+      .text(verified ? 'VERIFIED' : invoice.invoiceStatus.toUpperCase(), x, y + 8, {
+        width: 180,
+        align: 'center',
+      });
+
+    if (verified) {
+      const verifier = invoice.verifiedBy?.firstName
+        ? `${invoice.verifiedBy.firstName} ${invoice.verifiedBy.lastName || ''}`.trim()
+        : '';
+      doc
+        .font('Helvetica')
+        .fontSize(8)
+        .text(
+          [invoice.verifiedAt && formatSriLankaDate(invoice.verifiedAt), verifier]
+            .filter(Boolean)
+            .join(' · '),
+          x,
+          y + 32,
+          { width: 180, align: 'center' }
+        );
+    }
+    doc.restore();
+    doc.font('Helvetica');
+    doc.y = y + 75;
+  }
+
+  /**
+   * Signature lines across the bottom of the slip
+   */
+  static drawSignatures(doc, labels) {
+    const width = (doc.page.width - MARGIN * 2 - (labels.length - 1) * 30) / labels.length;
+    let y = Math.max(doc.y + 50, doc.page.height - MARGIN - 110);
+
+    if (doc.y + 50 > doc.page.height - MARGIN - 110) {
+      doc.addPage();
+      y = MARGIN + 50;
+    }
+
+    labels.forEach((label, index) => {
+      const x = MARGIN + index * (width + 30);
+      doc.moveTo(x, y).lineTo(x + width, y).strokeColor('black').lineWidth(0.7).stroke();
+      doc.fontSize(9).fillColor(MUTED_COLOR).text(label, x, y + 5, { width, align: 'center' });
+    });
+  }
+
+  /**
+   * Print time and page numbers on every page
+   */
+  static drawFooter(doc) {
+    const range = doc.bufferedPageRange();
+    const printedAt = formatSriLankaDateTime(new Date());
+
+    for (let index = range.start; index < range.start + range.count; index++) {
+      doc.switchToPage(index);
+      const y = doc.page.height - MARGIN + 10;
+      // Writing inside the bottom margin would otherwise start a new page
+      const { bottom } = doc.page.margins;
+      doc.page.margins.bottom = 0;
+      doc
+        .fontSize(8)
+        .fillColor(MUTED_COLOR)
+        .text(`Printed ${printedAt}`, MARGIN, y, { lineBreak: false })
+        .text(`Page ${index + 1} of ${range.count}`, MARGIN, y, {
+          width: doc.page.width - MARGIN * 2,
+          align: 'right',
+          lineBreak: false,
+        });
+      doc.page.margins.bottom = bottom;
+    }
+  }
+
+  /**
+   * "BRAND Model (storage, color)" of a populated product
+   */
+  static productName(product) {
+    if (!product || !product.brand) return '-';
+    const specs = [product.specifications?.storage, product.specifications?.color]
+      .filter(Boolean)
+      .join(', ');
+    return `${product.brand} ${product.model}${specs ? ` (${specs})` : ''}`;
+  }
+
+  /**
+   * Plain two-decimal amount for table cells
+   */
+  static amount(value) {
+    return (value || 0).toLocaleString('en-LK', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    });
+  }
+}
+
+module.exports = PdfService;
@@ -0,0 +1,129 @@
+const sharp = require('sharp');
+const storage = require('../config/storage');
+const AttachmentService = require('./attachmentService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const PRODUCT_FOLDER = process.env.S3_FOLDER_PRODUCTS || 'products';
+
+// Sizes generated for every upload (the original is kept as uploaded)
+const IMAGE_SIZES = {
+  web: { width: 1200, height: 1200, fit: 'inside', quality: 80 },
+  thumbnail: { width: 300, height: 300, fit: 'cover', quality: 70 },
+};
+
+/**
+ * Product Image Service
+ * Resizes catalog images, stores every size and issues links to them
+ */
+class ProductImageService {
+  /**
+   * Resize an uploaded image and store the original, web and thumbnail sizes
+   * @param {Object} file - Multer file (memory storage)
+   * @param {Object} product - Product document
+   * @param {ObjectId} actor - Uploading user
+   * @returns {Promise<Object>} Image entry for product.images.files
+   */
+  static async store(file, product, actor) {
+    if (!storage.isReady()) {
+      throw new ApiError(503, 'File storage is not configured. Please check the storage settings.');
+    }
+
+    let metadata;
+    const resized = {};
+    try {
+      // Apply EXIF rotation so phone camera shots are upright
+      const image = sharp(file.buffer).rotate();
+      metadata = await image.metadata();
+
+      for (const [size, options] of Object.entries(IMAGE_SIZES)) {
+        resized[size] = await image
+          .clone()
+          .resize({
+            width: options.width,
+            height: options.height,
+            fit: options.fit,
+            withoutEnlargement: true,
+          })
+          .webp({ quality: options.quality })
+          .toBuffer();
+      }
+    } catch (error) {
+      throw new ApiError(400, `${file.originalname} is not a readable image`);
+    }
+
+    const folder = `${PRODUCT_FOLDER}/${product._id}`;
+    const baseName = file.originalname.replace(/\.[^.]+$/, '');
+    const sizes = {};
+
+    try {
+      sizes.original = (await AttachmentService.upload(file, folder)).key;
+      for (const [size, buffer] of Object.entries(resized)) {
+        const result = await storage.uploadFile(buffer, `${baseName}-${size}.webp`, 'image/webp', folder);
+        sizes[size] = result.key;
+      }
+    } catch (error) {
+      // Do not leave half an image behind
+      await ProductImageService.removeKeys(Object.values(sizes));
+      throw error;
+    }
+
+    return {
+      sizes,
+      fileName: file.originalname,
+      width: metadata.width,
+      height: metadata.height,
+      uploadedBy: actor,
+    };
+  }
+
+  /**
+   * Delete the stored objects of an image
+   * @param {Object} image - Entry of product.images.files
+   */
+  static async remove(image) {
+    const { original, web, thumbnail } = image.sizes;
+    await ProductImageService.removeKeys([original, web, thumbnail]);
+  }
+
+  /**
+   * Delete stored objects, logging (not throwing) failures so a missing object cannot block a delete
+   */
+  static async removeKeys(keys) {
+    for (const key of keys.filter(Boolean)) {
+      try {
+        await storage.deleteFile(key);
+      } catch (error) {
+        logger.error(`Failed to delete product image ${key}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Product images with short-lived links to each size
+   * @param {Array} images - product.images.files
+   * @returns {Promise<Array>}
+   */
+  static async withUrls(images) {
+    if (!storage.isReady()) {
+      return [];
+    }
+
+    return Promise.all(
+      images.map(async (image, index) => ({
+        id: image._id,
+        position: index,
+        isMain: index === 0,
+        fileName: image.fileName,
+        width: image.width,
+        height: image.height,
+        uploadedAt: image.uploadedAt,
+        thumbnailUrl: (await AttachmentService.getDownloadUrl(image.sizes.thumbnail)).url,
+        webUrl: (await AttachmentService.getDownloadUrl(image.sizes.web)).url,
+        originalUrl: (await AttachmentService.getDownloadUrl(image.sizes.original)).url,
+      }))
+    );
+  }
+}
+
+module.exports = ProductImageService;
@@ -0,0 +1,95 @@
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceivedNote = require('../models/GoodsReceivedNote');
+const Phone = require('../models/Phone');
+
+/**
+ * Purchase Order Service
+ * Matches purchase orders, goods received notes and purchase invoices
+ */
+class PurchaseOrderService {
+  /**
+   * Report quantity and price mismatches of an invoice against its POs and GRNs
+   * Invoices not received through a GRN have nothing to match
+   * @param {Object} invoice - PurchaseInvoice document
+   * @param {Object} options - { session }
+   * @returns {Promise<Array>} Mismatches ({ type, between, ... })
+   */
+  static async getInvoiceMismatches(invoice, options = {}) {
+    const session = options.session || null;
+
+    const grns = await GoodsReceivedNote.find({ invoice: invoice._id }).session(session);
+    if (grns.length === 0) return [];
+
+    const orders = await PurchaseOrder.find({
+      _id: { $in: grns.map((grn) => grn.purchaseOrder) },
+    }).session(session);
+    const phones = await Phone.find({ invoice: invoice._id })
+      .select('imei product costPrice')
+      .session(session);
+
+    const mismatches = [];
+    const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+    // PO vs GRN: more received than ordered
+    orders.forEach((order) => {
+      order.lines.forEach((line) => {
+        if (line.receivedQuantity > line.quantity) {
+          mismatches.push({
+            type: 'Quantity',
+            between: 'PO/GRN',
+            poNumber: order.poNumber,
+            product: line.product,
+            ordered: line.quantity,
+            received: line.receivedQuantity,
+          });
+        }
+      });
+    });
+
+    // GRN vs invoice: phones received but not invoiced, or invoiced but not received
+    const received = new Map();
+    const invoiced = new Map();
+    const receivedItems = new Map();
+    grns.forEach((grn) => {
+      grn.items.forEach((item) => {
+        count(received, item.product.toString());
+        receivedItems.set(item.imei, item);
+      });
+    });
+    phones.forEach((phone) => count(invoiced, phone.product.toString()));
+
+    new Set([...received.keys(), ...invoiced.keys()]).forEach((product) => {
+      if ((received.get(product) || 0) !== (invoiced.get(product) || 0)) {
+        mismatches.push({
+          type: 'Quantity',
+          between: 'GRN/Invoice',
+          product,
+          received: received.get(product) || 0,
+          invoiced: invoiced.get(product) || 0,
+        });
+      }
+    });
+
+    // Price: agreed PO cost vs received cost vs invoiced cost, per phone
+    phones.forEach((phone) => {
+      const item = receivedItems.get(phone.imei);
+      if (!item) return;
+
+      if (item.orderedCost !== item.costPrice || item.costPrice !== phone.costPrice) {
+        mismatches.push({
+          type: 'Price',
+          between: item.orderedCost !== item.costPrice ? 'PO/GRN' : 'GRN/Invoice',
+          imei: phone.imei,
+          product: phone.product,
+          orderedCost: item.orderedCost,
+          receivedCost: item.costPrice,
+          invoicedCost: phone.costPrice,
+        });
+      }
+    });
+
+    return mismatches;
+  }
+}
+
+module.exports = PurchaseOrderService;
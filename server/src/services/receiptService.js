@@ -0,0 +1,390 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const SalesInvoice = require('../models/SalesInvoice');
+const Receipt = require('../models/Receipt');
+const SalesService = require('./salesService');
+const { ApiError } = require('../middlewares/errorHandler');
+
+// Receivables aging buckets in days past the due date (the last bucket is open-ended)
+const RECEIVABLE_BUCKETS = [
+  { label: 'Current', maxDays: 0 },
+  { label: '1-30', maxDays: 30 },
+  { label: '31-60', maxDays: 60 },
+  { label: '61-90', maxDays: 90 },
+  { label: '90+' },
+];
+
+// Cheque actions: the status a cheque must have and the status it moves to
+const CHEQUE_TRANSITIONS = {
+  deposit: { from: 'Received', to: 'Deposited' },
+  clear: { from: 'Deposited', to: 'Cleared' },
+  bounce: { from: 'Deposited', to: 'Bounced' },
+};
+
+// Open credit invoices of a customer
+const openInvoiceFilter = (customerId) => ({
+  customer: customerId,
+  status: 'Completed',
+  'payment.method': 'Credit',
+});
+
+/**
+ * Generate receipt number (RCT-YYYYMMDD-xxxx)
+ */
+const generateReceiptNumber = () => {
+  const date = new Date();
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const random = Math.floor(Math.random() * 10000)
+    .toString()
+    .padStart(4, '0');
+  return `RCT-${year}${month}${day}-${random}`;
+};
+
+/**
+ * Round a rupee amount to cents
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Receipt Service
+ * Records collections against credit sales invoices and builds the receivables aging
+ */
+class ReceiptService {
+  /**
+   * Open credit invoices of a customer, oldest due first
+   * @param {ObjectId} customerId - Customer ID
+   * @param {Object} options - { session }
+   * @returns {Promise<Array>} Sales invoices with a balance
+   */
+  static async getOpenInvoices(customerId, options = {}) {
+    const invoices = await SalesInvoice.find(openInvoiceFilter(customerId))
+      .sort({ 'payment.dueDate': 1, saleDate: 1 })
+      .session(options.session || null);
+
+    return invoices.filter((invoice) => invoice.pendingAmount > 0);
+  }
+
+  /**
+   * Record money collected from a customer and apply it to their open invoices
+   * Allocated oldest-first unless the collector splits it manually
+   * @param {Object} collection - { customer, amount, method, cheque, receiptDate, allocations, notes, collectedBy }
+   * @param {Object} options - { session, actor }
+   * @returns {Promise<Object>} The receipt
+   */
+  static async createReceipt(collection, options = {}) {
+    const { session, actor } = options;
+    const { amount, method, cheque, receiptDate, allocations, notes, collectedBy } = collection;
+
+    const customer = await Customer.findById(collection.customer).session(session || null);
+    if (!customer) {
+      throw new ApiError(404, 'Customer not found');
+    }
+
+    const openInvoices = await ReceiptService.getOpenInvoices(customer._id, { session });
+    const totalOpen = roundAmount(
+      openInvoices.reduce((sum, invoice) => sum + invoice.pendingAmount, 0)
+    );
+
+    if (amount > totalOpen) {
+      throw new ApiError(
+        400,
+        `Amount Rs. ${amount} is more than the customer's open balance of Rs. ${totalOpen}`
+      );
+    }
+
+    let applied;
+
+    if (allocations && allocations.length > 0) {
+      const rejected = [];
+      const requested = new Set();
+
+      applied = allocations.map(({ invoice: invoiceId, amount: allocated }) => {
+        const invoice = openInvoices.find((item) => item._id.toString() === invoiceId);
+
+        if (requested.has(invoiceId)) {
+          rejected.push({ invoice: invoiceId, reason: 'Duplicate invoice in allocations' });
+        } else if (!invoice) {
+          rejected.push({ invoice: invoiceId, reason: 'Not an open credit invoice of this customer' });
+        } else if (allocated > roundAmount(invoice.pendingAmount)) {
+          rejected.push({
+            invoice: invoiceId,
+            reason: `Allocation is more than the balance of Rs. ${roundAmount(invoice.pendingAmount)}`,
+          });
+        }
+        requested.add(invoiceId);
+
+        return { invoice, amount: allocated };
+      });
+
+      if (rejected.length > 0) {
+        throw new ApiError(
+          400,
+          `${rejected.length} of ${allocations.length} allocation(s) are invalid. No receipt was recorded.`,
+          rejected
+        );
+      }
+
+      const allocatedTotal = roundAmount(applied.reduce((sum, item) => sum + item.amount, 0));
+      if (allocatedTotal !== roundAmount(amount)) {
+        throw new ApiError(
+          400,
+          `Allocations total Rs. ${allocatedTotal} but the receipt is Rs. ${amount}`
+        );
+      }
+    } else {
+      applied = [];
+      let remaining = amount;
+
+      for (const invoice of openInvoices) {
+        if (remaining <= 0) break;
+
+        const allocated = roundAmount(Math.min(remaining, invoice.pendingAmount));
+        applied.push({ invoice, amount: allocated });
+        remaining = roundAmount(remaining - allocated);
+      }
+    }
+
+    for (const { invoice, amount: allocated } of applied) {
+      invoice.payment.paidAmount = roundAmount((invoice.payment.paidAmount || 0) + allocated);
+      await invoice.save({ session });
+    }
+
+    const receipt = new Receipt({
+      receiptNumber: generateReceiptNumber(),
+      customer: customer._id,
+      customerName: customer.shopName || customer.name,
+      receiptDate: receiptDate || new Date(),
+      amount,
+      method,
+      cheque: method === 'Cheque' ? { ...cheque, status: 'Received' } : undefined,
+      allocationMode: allocations && allocations.length > 0 ? 'Manual' : 'Oldest First',
+      allocations: applied.map(({ invoice, amount: allocated }) => ({
+        invoice: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        amount: allocated,
+      })),
+      notes,
+      collectedBy: collectedBy || actor,
+      createdBy: actor,
+    });
+
+    await receipt.save({ session });
+
+    return receipt;
+  }
+
+  /**
+   * Move a cheque receipt along its lifecycle
+   * A bounced cheque takes its allocations back off the invoices
+   * @param {Object} receipt - Receipt document
+   * @param {string} action - 'deposit', 'clear' or 'bounce'
+   * @param {Object} options - { session, actor, date, reason }
+   * @returns {Promise<Object>} The receipt
+   */
+  static async updateCheque(receipt, action, options = {}) {
+    const { session, actor, date, reason } = options;
+    const transition = CHEQUE_TRANSITIONS[action];
+
+    if (receipt.method !== 'Cheque') {
+      throw new ApiError(400, 'Receipt was not paid by cheque');
+    }
+
+    if (receipt.cheque.status !== transition.from) {
+      throw new ApiError(
+        400,
+        `Cheque is ${receipt.cheque.status.toLowerCase()}. Only ${transition.from.toLowerCase()} cheques can be marked ${transition.to.toLowerCase()}.`
+      );
+    }
+
+    const at = date || new Date();
+
+    if (action === 'deposit') {
+      receipt.cheque.depositedAt = at;
+      receipt.cheque.depositedBy = actor;
+    } else if (action === 'clear') {
+      receipt.cheque.clearedAt = at;
+      receipt.cheque.clearedBy = actor;
+    } else {
+      receipt.cheque.bouncedAt = at;
+      receipt.cheque.bouncedBy = actor;
+      receipt.cheque.bounceReason = reason;
+
+      // Reopen the balances the cheque settled
+      const invoices = await SalesInvoice.find({
+        _id: { $in: receipt.allocations.map((allocation) => allocation.invoice) },
+      }).session(session || null);
+
+      for (const allocation of receipt.allocations) {
+        const invoice = invoices.find((item) => item._id.equals(allocation.invoice));
+        if (!invoice) continue;
+
+        invoice.payment.paidAmount = Math.max(
+          roundAmount((invoice.payment.paidAmount || 0) - allocation.amount),
+          0
+        );
+        await invoice.save({ session });
+      }
+    }
+
+    receipt.cheque.status = transition.to;
+    await receipt.save({ session });
+
+    return receipt;
+  }
+
+  /**
+   * Get accounts-receivable aging
+   * Open credit invoice balances per customer and per DSR territory, by days past the due date
+   * @param {Object} filters - { dsr, territory }
+   * @returns {Promise<Object>} { buckets, customers, territories }
+   */
+  static async getReceivablesAging(filters = {}) {
+    const amountDue = SalesService.amountDueExpression();
+
+    const bucketTotals = {};
+    const amountByBucket = {};
+    RECEIVABLE_BUCKETS.forEach((bucket, index) => {
+      bucketTotals[`bucket${index}`] = {
+        $sum: { $cond: [{ $eq: ['$bucket', bucket.label] }, '$amountDue', 0] },
+      };
+      amountByBucket[bucket.label] = `$bucket${index}`;
+    });
+
+    const customerMatch = {};
+    if (filters.dsr) {
+      customerMatch['customerDetails.dsr'] = new mongoose.Types.ObjectId(filters.dsr);
+    }
+    if (filters.territory) customerMatch['customerDetails.territory'] = filters.territory;
+
+    const customers = await SalesInvoice.aggregate([
+      { $match: { status: 'Completed', 'payment.method': 'Credit' } },
+      { $addFields: { amountDue } },
+      { $match: { amountDue: { $gt: 0 } } },
+      {
+        $addFields: {
+          daysOverdue: {
+            $dateDiff: {
+              startDate: { $ifNull: ['$payment.dueDate', '$saleDate'] },
+              endDate: '$$NOW',
+              unit: 'day',
+            },
+          },
+        },
+      },
+      {
+        $addFields: {
+          bucket: {
+            $switch: {
+              branches: RECEIVABLE_BUCKETS.filter((bucket) => bucket.maxDays !== undefined).map(
+                (bucket) => ({
+                  case: { $lte: ['$daysOverdue', bucket.maxDays] },
+                  then: bucket.label,
+                })
+              ),
+              default: RECEIVABLE_BUCKETS[RECEIVABLE_BUCKETS.length - 1].label,
+            },
+          },
+        },
+      },
+      {
+        $group: {
+          _id: '$customer',
+          customerName: { $first: '$customerName' },
+          invoices: { $sum: 1 },
+          totalOutstanding: { $sum: '$amountDue' },
+          oldestDaysOverdue: { $max: '$daysOverdue' },
+          ...bucketTotals,
+        },
+      },
+      {
+        $lookup: {
+          from: 'customers',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'customerDetails',
+        },
+      },
+      { $unwind: '$customerDetails' },
+      { $match: customerMatch },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'customerDetails.dsr',
+          foreignField: '_id',
+          as: 'dsrDetails',
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          customerId: '$_id',
+          customer: '$customerDetails.name',
+          shopName: '$customerDetails.shopName',
+          territory: '$customerDetails.territory',
+          dsr: {
+            $let: {
+              vars: { dsr: { $first: '$dsrDetails' } },
+              in: {
+                $cond: [
+                  '$$dsr',
+                  {
+                    id: '$$dsr._id',
+                    name: { $concat: ['$$dsr.firstName', ' ', '$$dsr.lastName'] },
+                  },
+                  null,
+                ],
+              },
+            },
+          },
+          creditLimit: '$customerDetails.creditLimit',
+          creditTermsDays: '$customerDetails.creditTermsDays',
+          invoices: 1,
+          totalOutstanding: 1,
+          oldestDaysOverdue: 1,
+          amountByBucket,
+        },
+      },
+      { $sort: { totalOutstanding: -1 } },
+    ]);
+
+    const buckets = RECEIVABLE_BUCKETS.map((bucket) => ({
+      bucket: bucket.label,
+      amount: customers.reduce((sum, item) => sum + item.amountByBucket[bucket.label], 0),
+    }));
+
+    // Territory of a DSR: the customers assigned to them in one area
+    const territories = new Map();
+    customers.forEach((item) => {
+      const key = `${item.territory || ''}|${item.dsr ? item.dsr.id : ''}`;
+
+      if (!territories.has(key)) {
+        territories.set(key, {
+          territory: item.territory || 'Unassigned',
+          dsr: item.dsr,
+          customers: 0,
+          totalOutstanding: 0,
+          amountByBucket: Object.fromEntries(RECEIVABLE_BUCKETS.map((bucket) => [bucket.label, 0])),
+        });
+      }
+
+      const territory = territories.get(key);
+      territory.customers += 1;
+      territory.totalOutstanding += item.totalOutstanding;
+      RECEIVABLE_BUCKETS.forEach((bucket) => {
+        territory.amountByBucket[bucket.label] += item.amountByBucket[bucket.label];
+      });
+    });
+
+    return {
+      buckets,
+      customers,
+      territories: [...territories.values()].sort(
+        (a, b) => b.totalOutstanding - a.totalOutstanding
+      ),
+    };
+  }
+}
+
+module.exports = ReceiptService;
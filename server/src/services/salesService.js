@@ -0,0 +1,486 @@
+const Customer = require('../models/Customer');
+const SalesInvoice = require('../models/SalesInvoice');
+const Phone = require('../models/Phone');
+const DsrAssignment = require('../models/DsrAssignment');
+const DsrSchedule = require('../models/DsrSchedule');
+const StockMovementService = require('./stockMovementService');
+const WarrantyService = require('./warrantyService');
+const { ApiError } = require('../middlewares/errorHandler');
+
+// Name printed on sales to buyers without a customer record
+const WALK_IN_CUSTOMER = 'Walk-in customer';
+
+/**
+ * Generate sales invoice number (SI-YYYYMMDD-xxxx)
+ */
+const generateInvoiceNumber = () => {
+  const date = new Date();
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const random = Math.floor(Math.random() * 10000)
+    .toString()
+    .padStart(4, '0');
+  return `SI-${year}${month}${day}-${random}`;
+};
+
+/**
+ * Net amount of an invoice still owed, as an aggregation expression
+ */
+const amountDueExpression = {
+  $subtract: [
+    {
+      $sum: {
+        $map: {
+          input: '$lines',
+          in: { $subtract: ['$$this.unitPrice', { $ifNull: ['$$this.discount', 0] }] },
+        },
+      },
+    },
+    { $ifNull: ['$payment.paidAmount', 0] },
+  ],
+};
+
+/**
+ * Sales Service
+ * Creates sales invoices and links the sold phones to them and their buyer
+ * Credit sales over the customer's limit hold their phones until the owner decides
+ */
+class SalesService {
+  /**
+   * Aggregation expression for the amount still owed on a sales invoice
+   */
+  static amountDueExpression() {
+    return amountDueExpression;
+  }
+
+  /**
+   * Whether credit sales are checked against the customer's limit (CREDIT_CHECK_ENABLED)
+   */
+  static isCreditCheckEnabled() {
+    return process.env.CREDIT_CHECK_ENABLED !== 'false';
+  }
+
+  /**
+   * Credit position of a customer
+   * Outstanding is unpaid completed credit sales; sales awaiting approval are counted separately
+   * @param {Object} customer - Customer document
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} { creditLimit, creditTermsDays, outstanding, pendingApproval, available }
+   */
+  static async getCreditPosition(customer, options = {}) {
+    const [totals] = await SalesInvoice.aggregate([
+      {
+        $match: {
+          customer: customer._id,
+          'payment.method': 'Credit',
+          status: { $in: ['Completed', 'Pending Approval'] },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          outstanding: {
+            $sum: { $cond: [{ $eq: ['$status', 'Completed'] }, amountDueExpression, 0] },
+          },
+          pendingApproval: {
+            $sum: { $cond: [{ $eq: ['$status', 'Pending Approval'] }, amountDueExpression, 0] },
+          },
+        },
+      },
+    ]).session(options.session || null);
+
+    const outstanding = totals ? totals.outstanding : 0;
+    const pendingApproval = totals ? totals.pendingApproval : 0;
+
+    return {
+      creditLimit: customer.creditLimit || 0,
+      creditTermsDays: customer.creditTermsDays || 0,
+      outstanding,
+      pendingApproval,
+      available: (customer.creditLimit || 0) - outstanding - pendingApproval,
+    };
+  }
+
+  /**
+   * Resolve the buyer of a sale
+   * An existing customer, a new one (matched on NIC when it is already on file) or a name only
+   * @param {Object} buyer - { customer, newCustomer, customerName }
+   * @param {Object} options - { session, actor }
+   * @returns {Promise<Object>} { customer (document or null), customerName }
+   */
+  static async resolveCustomer(buyer = {}, options = {}) {
+    const { session, actor } = options;
+    const { customer, newCustomer, customerName } = buyer;
+
+    if (customer) {
+      const existing = await Customer.findById(customer).session(session || null);
+
+      if (!existing || !existing.isActive) {
+        throw new ApiError(400, 'Customer not found or inactive');
+      }
+
+      return { customer: existing, customerName: existing.name };
+    }
+
+    if (newCustomer) {
+      const nic = newCustomer.nic && newCustomer.nic.toUpperCase();
+      const existing = nic ? await Customer.findOne({ nic }).session(session || null) : null;
+
+      if (existing) {
+        return { customer: existing, customerName: existing.name };
+      }
+
+      const [created] = await Customer.create([{ ...newCustomer, createdBy: actor }], {
+        session,
+      });
+
+      return { customer: created, customerName: created.name };
+    }
+
+    return { customer: null, customerName: customerName || WALK_IN_CUSTOMER };
+  }
+
+  /**
+   * Create a sales invoice and mark its phones as sold
+   * A credit sale over the customer's limit is left Pending Approval with its phones Reserved
+   * Callers check the phones can be sold and record the stock movements (see saleEntries)
+   * @param {Object} sale - { phones, lines, channel, assignment, location, buyer, payment, saleDate, notes }
+   *   phones: Phone documents; lines: [{ imei, unitPrice, discount }] matching them by IMEI
+   * @param {Object} options - { session, actor }
+   * @returns {Promise<Object>} The sales invoice
+   */
+  static async createInvoice(sale, options = {}) {
+    const { session, actor } = options;
+    const { phones, lines, channel, assignment, location, buyer, payment = {}, saleDate, notes } = sale;
+
+    const linesByImei = new Map(lines.map((line) => [line.imei, line]));
+    const invalid = [];
+    const invoiceLines = phones.map((phone) => {
+      const line = linesByImei.get(phone.imei) || linesByImei.get(phone.imei2);
+      const discount = line.discount || 0;
+
+      if (discount > line.unitPrice) {
+        invalid.push({ imei: phone.imei, reason: 'Discount is more than the price' });
+      }
+
+      return {
+        phone: phone._id,
+        imei: phone.imei,
+        product: phone.product?._id || phone.product,
+        unitPrice: line.unitPrice,
+        discount,
+        costPrice: phone.baseCostPrice,
+        landedCost: phone.baseLandedCost,
+      };
+    });
+
+    if (invalid.length > 0) {
+      throw new ApiError(
+        400,
+        `${invalid.length} of ${lines.length} line(s) have an invalid discount. Nothing was sold.`,
+        invalid
+      );
+    }
+
+    const { customer, customerName } = await SalesService.resolveCustomer(buyer, {
+      session,
+      actor,
+    });
+
+    const invoice = new SalesInvoice({
+      invoiceNumber: generateInvoiceNumber(),
+      saleDate: saleDate || new Date(),
+      channel,
+      assignment,
+      location,
+      customer: customer?._id,
+      customerName,
+      lines: invoiceLines,
+      payment: {
+        method: payment.method || 'Cash',
+        referenceNumber: payment.referenceNumber,
+      },
+      notes,
+      soldBy: actor,
+    });
+
+    // Credit sales are collected later; anything else is paid at the sale
+    invoice.payment.paidAmount = invoice.payment.method === 'Credit' ? 0 : invoice.total;
+
+    if (invoice.payment.method === 'Credit') {
+      if (!customer || customer.type !== 'Retailer') {
+        throw new ApiError(400, 'Credit sales need a retailer customer account');
+      }
+
+      const dueDate = new Date(invoice.saleDate);
+      dueDate.setDate(dueDate.getDate() + (customer.creditTermsDays || 0));
+      invoice.payment.dueDate = dueDate;
+
+      if (SalesService.isCreditCheckEnabled()) {
+        const position = await SalesService.getCreditPosition(customer, { session });
+        const exceededBy = invoice.total - position.available;
+
+        invoice.creditCheck = {
+          creditLimit: position.creditLimit,
+          outstanding: position.outstanding + position.pendingApproval,
+          exceededBy: Math.max(exceededBy, 0),
+        };
+
+        if (exceededBy > 0) {
+          invoice.status = 'Pending Approval';
+          invoice.lines.forEach((line, index) => {
+            line.heldFromStatus = phones[index].status;
+          });
+        }
+      }
+    }
+
+    await invoice.save({ session });
+
+    const pending = invoice.status === 'Pending Approval';
+
+    if (!pending) {
+      await WarrantyService.registerWarranty(phones, invoice.saleDate, { session });
+    }
+
+    for (const phone of phones) {
+      if (pending) {
+        phone.status = 'Reserved';
+      } else {
+        phone.status = 'Sold';
+        phone.soldDate = invoice.saleDate;
+        phone.soldTo = customerName;
+      }
+      phone.salesInvoice = invoice._id;
+      phone.customer = customer?._id;
+      phone.updatedBy = actor;
+      await phone.save({ session });
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Ledger entries for the phones of a new sales invoice
+   * Sold, or Reserved while the sale waits for credit approval
+   * @param {Object} invoice - Sales invoice from createInvoice
+   * @param {Array} phones - Phone documents of the invoice
+   * @param {Object} fields - { previousStatuses, source, actor }
+   */
+  static saleEntries(invoice, phones, fields) {
+    const { previousStatuses, source, actor } = fields;
+    const pending = invoice.status === 'Pending Approval';
+
+    return phones.map((phone, index) =>
+      StockMovementService.entry(phone, {
+        action: pending ? 'Reserved' : 'Sold',
+        fromStatus: previousStatuses[index],
+        toStatus: phone.status,
+        source,
+        price: SalesService.linePrice(invoice, phone.imei),
+        notes: pending
+          ? `Sales invoice ${invoice.invoiceNumber} to ${invoice.customerName} awaiting credit approval`
+          : `Sales invoice ${invoice.invoiceNumber} to ${invoice.customerName}`,
+        actor,
+      })
+    );
+  }
+
+  /**
+   * Mark the phones of a DSR sales invoice as sold on its assignment
+   * Updates the assignment lines and the schedule performance metrics
+   * @param {Object} invoice - Completed DSR sales invoice
+   * @param {Object} assignment - DsrAssignment document
+   * @param {Object} options - { session }
+   * @returns {Promise<Array>} The sold assignment lines
+   */
+  static async recordAssignmentSale(invoice, assignment, options = {}) {
+    const { session } = options;
+    const soldPhones = [];
+    let revenue = 0;
+    let profit = 0;
+    let landedProfit = 0;
+
+    for (const line of invoice.lines) {
+      const phone = assignment.phones.find((item) => item.imei === line.imei);
+      if (!phone) continue;
+
+      const soldPrice = line.unitPrice - (line.discount || 0);
+
+      phone.status = 'Sold';
+      phone.soldDate = invoice.saleDate;
+      phone.soldPrice = soldPrice;
+      phone.salesInvoice = invoice._id;
+
+      revenue += soldPrice;
+      profit += soldPrice - phone.assignedPrice;
+      landedProfit += soldPrice - (phone.landedCost ?? phone.assignedPrice);
+      soldPhones.push(phone);
+    }
+
+    await assignment.save({ session });
+
+    // Update schedule performance metrics
+    if (assignment.schedule) {
+      const schedule = await DsrSchedule.findById(assignment.schedule).session(session || null);
+      if (schedule) {
+        schedule.performance.phonesSold += soldPhones.length;
+        schedule.performance.revenue += revenue;
+        schedule.performance.profit += profit;
+        schedule.performance.landedProfit += landedProfit;
+        await schedule.save({ session });
+      }
+    }
+
+    return soldPhones;
+  }
+
+  /**
+   * Load the phones held by a sales invoice awaiting credit approval
+   * Phones released from the hold elsewhere fail the load unless allowReleased is set,
+   * in which case only the phones still held are returned
+   * @param {Object} invoice - Sales invoice awaiting approval
+   * @param {Object} options - { session, allowReleased }
+   */
+  static async getHeldPhones(invoice, options = {}) {
+    if (invoice.status !== 'Pending Approval') {
+      throw new ApiError(400, `Sales invoice is ${invoice.status.toLowerCase()}, not awaiting credit approval`);
+    }
+
+    const phones = await Phone.find({
+      _id: { $in: invoice.lines.map((line) => line.phone) },
+    }).session(options.session || null);
+
+    const held = phones.filter(
+      (phone) => phone.status === 'Reserved' && phone.salesInvoice?.equals(invoice._id)
+    );
+
+    const released = invoice.lines.filter(
+      (line) => !held.some((phone) => phone._id.equals(line.phone))
+    );
+
+    if (released.length > 0 && !options.allowReleased) {
+      throw new ApiError(
+        400,
+        `${released.length} phone(s) are no longer held for this sale`,
+        released.map((line) => ({ imei: line.imei }))
+      );
+    }
+
+    return held;
+  }
+
+  /**
+   * Approve a credit sale over the customer's limit
+   * Its reserved phones are sold and, for DSR sales, the assignment is updated
+   * Records the stock movements
+   * @param {Object} invoice - Sales invoice awaiting approval
+   * @param {Object} options - { session, actor, reason }
+   */
+  static async approveCredit(invoice, options = {}) {
+    const { session, actor, reason } = options;
+    const phones = await SalesService.getHeldPhones(invoice, { session });
+    const source = StockMovementService.source('Sale', invoice);
+    const movements = [];
+
+    await WarrantyService.registerWarranty(phones, invoice.saleDate, { session });
+
+    for (const phone of phones) {
+      phone.status = 'Sold';
+      phone.soldDate = invoice.saleDate;
+      phone.soldTo = invoice.customerName;
+      phone.updatedBy = actor;
+      await phone.save({ session });
+
+      movements.push(
+        StockMovementService.entry(phone, {
+          action: 'Sold',
+          fromStatus: 'Reserved',
+          toStatus: 'Sold',
+          source,
+          price: SalesService.linePrice(invoice, phone.imei),
+          notes: `Credit approved: ${reason}`,
+          actor,
+        })
+      );
+    }
+
+    if (invoice.channel === 'DSR') {
+      const assignment = await DsrAssignment.findById(invoice.assignment).session(session || null);
+      if (assignment) {
+        await SalesService.recordAssignmentSale(invoice, assignment, { session });
+      }
+    }
+
+    invoice.status = 'Completed';
+    invoice.approvedBy = actor;
+    invoice.approvedAt = new Date();
+    invoice.approvalReason = reason;
+    invoice.lines.forEach((line) => {
+      line.heldFromStatus = undefined;
+    });
+    await invoice.save({ session });
+
+    await StockMovementService.record(movements, { session });
+
+    return invoice;
+  }
+
+  /**
+   * Reject a credit sale over the customer's limit
+   * Its reserved phones go back to the status they were held from; phones already
+   * released elsewhere are left as they are. Records the stock movements
+   * @param {Object} invoice - Sales invoice awaiting approval
+   * @param {Object} options - { session, actor, reason }
+   */
+  static async rejectCredit(invoice, options = {}) {
+    const { session, actor, reason } = options;
+    const phones = await SalesService.getHeldPhones(invoice, { session, allowReleased: true });
+    const source = StockMovementService.source('Sale', invoice);
+    const movements = [];
+
+    for (const phone of phones) {
+      const line = invoice.lines.find((item) => item.phone.equals(phone._id));
+      const releasedTo =
+        line.heldFromStatus || (invoice.channel === 'DSR' ? 'Assigned' : 'Available');
+
+      phone.status = releasedTo;
+      phone.salesInvoice = undefined;
+      phone.customer = undefined;
+      phone.updatedBy = actor;
+      await phone.save({ session });
+
+      movements.push(
+        StockMovementService.entry(phone, {
+          action: 'Released',
+          fromStatus: 'Reserved',
+          toStatus: releasedTo,
+          source,
+          notes: `Credit rejected: ${reason}`,
+          actor,
+        })
+      );
+    }
+
+    invoice.status = 'Rejected';
+    invoice.rejectedBy = actor;
+    invoice.rejectedAt = new Date();
+    invoice.rejectionReason = reason;
+    await invoice.save({ session });
+
+    await StockMovementService.record(movements, { session });
+
+    return invoice;
+  }
+
+  /**
+   * Net price of a phone on a sales invoice
+   */
+  static linePrice(invoice, imei) {
+    const line = invoice.lines.find((item) => item.imei === imei);
+    return line ? line.unitPrice - (line.discount || 0) : 0;
+  }
+}
+
+module.exports = SalesService;
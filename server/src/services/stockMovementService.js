@@ -0,0 +1,112 @@
+const StockMovement = require('../models/StockMovement');
+const { getEndOfDaySriLanka } = require('../utils/dateUtils');
+
+// Document model and reference number field of each movement source kind
+const SOURCE_KINDS = {
+  Invoice: { model: 'PurchaseInvoice', referenceField: 'invoiceNumber' },
+  Assignment: { model: 'DsrAssignment', referenceField: 'assignmentNumber' },
+  Transfer: { model: 'StockTransfer', referenceField: 'transferNumber' },
+  StockTake: { model: 'StockTake', referenceField: 'sessionNumber' },
+  GRN: { model: 'GoodsReceivedNote', referenceField: 'grnNumber' },
+  RMA: { model: 'SupplierReturn', referenceField: 'rmaNumber' },
+  Amendment: { model: 'InvoiceAmendment', referenceField: 'amendmentNumber' },
+  Sale: { model: 'SalesInvoice', referenceField: 'invoiceNumber' },
+  Warranty: { model: 'WarrantyClaim', referenceField: 'claimNumber' },
+};
+
+/**
+ * Stock Movement Service
+ * Writes and reads the IMEI movement ledger
+ */
+class StockMovementService {
+  /**
+   * Build the source block for a movement
+   * @param {string} kind - A key of SOURCE_KINDS, or 'Manual'
+   * @param {Object} [document] - Source document for every kind except 'Manual'
+   */
+  static source(kind, document) {
+    const sourceKind = SOURCE_KINDS[kind];
+
+    if (!sourceKind) {
+      return { kind: 'Manual' };
+    }
+
+    return {
+      kind,
+      model: sourceKind.model,
+      document: document._id,
+      reference: document[sourceKind.referenceField],
+    };
+  }
+
+  /**
+   * Build a movement entry for an inventory phone
+   * Price defaults to the phone's cost price in rupees
+   * @param {Object} phone - Phone document
+   * @param {Object} fields - action, fromStatus, toStatus, source, actor, ...
+   */
+  static entry(phone, fields) {
+    return {
+      phone: phone._id,
+      imei: phone.imei,
+      product: phone.product?._id || phone.product,
+      invoice: phone.invoice?._id || phone.invoice,
+      location: phone.location?._id || phone.location,
+      price: phone.costPrice * (phone.exchangeRate || 1),
+      ...fields,
+    };
+  }
+
+  /**
+   * Record one or more movements
+   * @param {Object|Array} entries - Movement entries
+   * @param {Object} [options] - { session }
+   * @returns {Promise<Array>} Created movements
+   */
+  static async record(entries, options = {}) {
+    const list = Array.isArray(entries) ? entries : [entries];
+
+    if (list.length === 0) {
+      return [];
+    }
+
+    return StockMovement.create(list, {
+      session: options.session,
+      ordered: true,
+    });
+  }
+
+  /**
+   * Get full movement timeline for an IMEI
+   * @param {string} imei - Phone IMEI
+   * @param {Object} [options] - { asOf } to also resolve the status at the end of a given day
+   */
+  static async getHistory(imei, options = {}) {
+    const movements = await StockMovement.find({ imei })
+      .populate('actor', 'firstName lastName email role')
+      .sort({ occurredAt: 1, _id: 1 });
+
+    const result = {
+      imei,
+      totalMovements: movements.length,
+      timeline: movements.map((movement) => movement.getSummary()),
+    };
+
+    if (options.asOf) {
+      const asOf = getEndOfDaySriLanka(new Date(options.asOf));
+      const lastBefore = movements
+        .filter((movement) => movement.occurredAt <= asOf)
+        .pop();
+
+      result.asOf = {
+        date: asOf,
+        status: lastBefore ? lastBefore.toStatus : null,
+        movement: lastBefore ? lastBefore.getSummary() : null,
+      };
+    }
+
+    return result;
+  }
+}
+
+module.exports = StockMovementService;
@@ -0,0 +1,122 @@
+const Phone = require('../models/Phone');
+const Product = require('../models/Product');
+const StockTake = require('../models/StockTake');
+
+const { ON_SHELF_STATUSES } = StockTake;
+
+/**
+ * Stock Take Service
+ * Builds expected stock and variance reports for physical counts
+ */
+class StockTakeService {
+  /**
+   * Build the phone filter for a count scope
+   * @param {Object} scope - { location, brand }
+   * @param {Object} options - { session }
+   */
+  static async buildScopeFilter(scope, options = {}) {
+    const filter = { status: { $in: ON_SHELF_STATUSES } };
+
+    if (scope.location) {
+      filter.location = scope.location;
+    }
+
+    if (scope.brand) {
+      const products = await Product.find({ brand: scope.brand.toUpperCase() })
+        .select('_id')
+        .session(options.session || null);
+      filter.product = { $in: products.map((product) => product._id) };
+    }
+
+    return filter;
+  }
+
+  /**
+   * Snapshot the phones expected on the shelf for a scope
+   * @param {Object} scope - { location, brand }
+   * @param {Object} options - { session }
+   * @returns {Promise<Array>} Expected phone entries
+   */
+  static async getExpectedPhones(scope, options = {}) {
+    const filter = await StockTakeService.buildScopeFilter(scope, options);
+    const phones = await Phone.find(filter)
+      .select('imei product status location')
+      .session(options.session || null);
+
+    return phones.map((phone) => StockTakeService.toEntry(phone));
+  }
+
+  /**
+   * Map a phone to a counted phone entry
+   */
+  static toEntry(phone, reason) {
+    return {
+      phone: phone._id,
+      imei: phone.imei,
+      product: phone.product,
+      status: phone.status,
+      location: phone.location,
+      reason,
+    };
+  }
+
+  /**
+   * Compute the variance report of a stock take
+   * Uses the current state of each phone, so phones sold during the count
+   * are not reported as missing
+   * @param {Object} stockTake - StockTake document
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} { missing, notInSystem, wrongStatus }
+   */
+  static async computeVariance(stockTake, options = {}) {
+    const { session } = options;
+    const { scope } = stockTake;
+
+    const scannedIds = new Set(
+      stockTake.scans.filter((scan) => scan.phone).map((scan) => scan.phone.toString())
+    );
+
+    // Expected phones that are still on the shelf in the system but were not scanned
+    const expectedIds = stockTake.expected.map((entry) => entry.phone);
+    const stillExpected = await Phone.find({
+      _id: { $in: expectedIds },
+      ...(await StockTakeService.buildScopeFilter(scope, { session })),
+    })
+      .select('imei product status location')
+      .session(session || null);
+
+    const missing = stillExpected
+      .filter((phone) => !scannedIds.has(phone._id.toString()))
+      .map((phone) => StockTakeService.toEntry(phone));
+
+    // Scanned IMEIs the system does not know
+    const notInSystem = stockTake.scans
+      .filter((scan) => !scan.phone)
+      .map((scan) => ({ imei: scan.imei }));
+
+    // Scanned phones the system places somewhere else
+    const scannedPhones = await Phone.find({ _id: { $in: [...scannedIds] } })
+      .select('imei product status location')
+      .session(session || null);
+
+    const wrongStatus = [];
+    scannedPhones.forEach((phone) => {
+      if (!ON_SHELF_STATUSES.includes(phone.status)) {
+        wrongStatus.push(
+          StockTakeService.toEntry(phone, `Phone is ${phone.status} in the system`)
+        );
+      } else if (
+        scope.location &&
+        (!phone.location || !phone.location.equals(scope.location))
+      ) {
+        wrongStatus.push(
+          StockTakeService.toEntry(phone, 'Phone is recorded at another location')
+        );
+      }
+    });
+
+    return { missing, notInSystem, wrongStatus };
+  }
+}
+
+module.exports = StockTakeService;
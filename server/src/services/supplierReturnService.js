@@ -0,0 +1,51 @@
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+
+/**
+ * Supplier Return Service
+ * Reverses the cost of returned handsets on their purchase invoices
+ */
+class SupplierReturnService {
+  /**
+   * Add the cost given back by the supplier to each invoice's returnedCost
+   * Totals are recomputed, so replacement phones already on the invoice are included
+   * @param {Map} amounts - Invoice ID (string) -> amount to reverse
+   * @param {Object} options - { session }
+   * @returns {Promise<Array>} Updated invoices
+   */
+  static async reverseInvoiceCosts(amounts, options = {}) {
+    const { session } = options;
+    const invoices = [];
+
+    for (const [invoiceId, amount] of amounts) {
+      await PurchaseInvoice.updateOne(
+        { _id: invoiceId },
+        { $inc: { 'financials.returnedCost': amount } },
+        { session }
+      );
+
+      const invoice = await PurchaseInvoice.recalculateTotals(invoiceId, { session });
+      if (invoice) invoices.push(invoice);
+    }
+
+    return invoices;
+  }
+
+  /**
+   * Group the cost to reverse by invoice
+   * @param {Array} entries - [{ invoice, amount }]
+   * @returns {Map} Invoice ID (string) -> amount
+   */
+  static groupByInvoice(entries) {
+    const amounts = new Map();
+
+    entries.forEach(({ invoice, amount }) => {
+      if (!invoice || !amount) return;
+      const key = invoice.toString();
+      amounts.set(key, (amounts.get(key) || 0) + amount);
+    });
+
+    return amounts;
+  }
+}
+
+module.exports = SupplierReturnService;
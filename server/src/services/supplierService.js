@@ -0,0 +1,271 @@
+const Supplier = require('../models/Supplier');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Phone = require('../models/Phone');
+const CurrencyService = require('./currencyService');
+const { ApiError } = require('../middlewares/errorHandler');
+
+// Payables aging buckets in days past the due date (the last bucket is open-ended)
+const PAYABLE_BUCKETS = [
+  { label: 'Current', maxDays: 0 },
+  { label: '1-30', maxDays: 30 },
+  { label: '31-60', maxDays: 60 },
+  { label: '61-90', maxDays: 90 },
+  { label: '90+' },
+];
+
+/**
+ * Supplier Service
+ * Resolves invoice suppliers and builds supplier statements
+ */
+class SupplierService {
+  /**
+   * Resolve the supplier of a purchase invoice
+   * Either an existing supplier ID, or free-text details that are matched by name
+   * and create the supplier when it is new
+   * @param {Object} input - { id } or { name, contactPerson, phone, email, address }
+   * @param {Object} options - { actor, session }
+   * @returns {Promise<Object>} { supplierRef, supplier, paymentTermsDays } for the invoice
+   */
+  static async resolveForInvoice(input, options = {}) {
+    const { actor, session } = options;
+
+    if (input && input.id) {
+      const supplier = await Supplier.findOne({ _id: input.id, isActive: true }).session(
+        session || null
+      );
+
+      if (!supplier) {
+        throw new ApiError(400, 'Supplier not found or inactive');
+      }
+
+      return {
+        supplierRef: supplier._id,
+        supplier: supplier.getInvoiceSnapshot(),
+        paymentTermsDays: supplier.paymentTermsDays,
+      };
+    }
+
+    if (!input || !input.name) {
+      throw new ApiError(400, 'Supplier is required');
+    }
+
+    const { id, ...details } = input;
+
+    let supplier = await Supplier.findByName(details.name, { session });
+
+    if (!supplier) {
+      [supplier] = await Supplier.create(
+        [{ ...details, createdBy: actor }],
+        { session }
+      );
+    }
+
+    return {
+      supplierRef: supplier._id,
+      supplier: details,
+      paymentTermsDays: supplier.paymentTermsDays,
+    };
+  }
+
+  /**
+   * Build a supplier statement
+   * Invoice lines and payments are in the invoice currency; the summary is in rupees
+   * @param {Object} supplier - Supplier document
+   * @param {Object} filters - { startDate, endDate }
+   * @returns {Promise<Object>} { invoices, payments, summary, phones }
+   */
+  static async getStatement(supplier, filters = {}) {
+    const filter = {
+      supplierRef: supplier._id,
+      invoiceStatus: { $ne: 'Cancelled' },
+    };
+
+    if (filters.startDate || filters.endDate) {
+      filter.invoiceDate = {};
+      if (filters.startDate) filter.invoiceDate.$gte = new Date(filters.startDate);
+      if (filters.endDate) filter.invoiceDate.$lte = new Date(filters.endDate);
+    }
+
+    const invoices = await PurchaseInvoice.find(filter)
+      .select('invoiceNumber invoiceDate invoiceStatus financials payment payments')
+      .sort({ invoiceDate: 1 });
+
+    const invoiceLines = invoices.map((invoice) => ({
+      id: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceDate: invoice.invoiceDate,
+      invoiceStatus: invoice.invoiceStatus,
+      currency: invoice.financials.currency,
+      exchangeRate: invoice.financials.exchangeRate?.rate || 1,
+      totalCost: invoice.financials.totalCost,
+      returnedCost: invoice.financials.returnedCost || 0,
+      amendedCost: invoice.financials.amendedCost || 0,
+      effectiveTotalCost: invoice.effectiveTotalCost,
+      paidAmount: invoice.payment.paidAmount,
+      pendingAmount: invoice.payment.pendingAmount,
+      paymentStatus: invoice.payment.status,
+      dueDate: invoice.payment.dueDate,
+    }));
+
+    const payments = invoices
+      .flatMap((invoice) =>
+        invoice.payments
+          .filter((payment) => !payment.voidedAt)
+          .map((payment) => ({
+            invoiceNumber: invoice.invoiceNumber,
+            paymentDate: payment.paymentDate,
+            method: payment.method,
+            referenceNumber: payment.referenceNumber,
+            chequeNumber: payment.cheque?.number,
+            currency: invoice.financials.currency,
+            amount: payment.amount,
+          }))
+      )
+      .sort((a, b) => a.paymentDate - b.paymentDate);
+
+    const phonesByStatus = await Phone.aggregate([
+      {
+        $match: {
+          invoice: { $in: invoices.map((invoice) => invoice._id) },
+        },
+      },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          totalCost: { $sum: CurrencyService.phoneBase('$costPrice') },
+        },
+      },
+    ]);
+
+    const countOf = (status) => {
+      const item = phonesByStatus.find((entry) => entry._id === status);
+      return item ? item.count : 0;
+    };
+
+    const inRupees = (field) =>
+      invoiceLines.reduce((sum, line) => sum + line[field] * line.exchangeRate, 0);
+    const totalPurchased = inRupees('effectiveTotalCost');
+    const totalPaid = inRupees('paidAmount');
+    const totalReturned = inRupees('returnedCost');
+    const totalAmended = inRupees('amendedCost');
+
+    return {
+      summary: {
+        totalInvoices: invoiceLines.length,
+        totalPurchased,
+        totalPaid,
+        totalReturned, // Already deducted from totalPurchased
+        totalAmended, // Credit/debit notes, already included in totalPurchased
+        outstandingBalance: totalPurchased - totalPaid,
+      },
+      phones: {
+        bought: phonesByStatus.reduce((sum, item) => sum + item.count, 0),
+        returned: countOf('Returned'),
+        byStatus: phonesByStatus.map((item) => ({
+          status: item._id,
+          count: item.count,
+          totalCost: item.totalCost,
+        })),
+      },
+      invoices: invoiceLines,
+      payments,
+    };
+  }
+  /**
+   * Get accounts-payable aging
+   * Outstanding invoice balances per supplier, by days past the due date
+   * @returns {Promise<Object>} { buckets, suppliers }
+   */
+  static async getPayablesAging() {
+    const bucketTotals = {};
+    const amountByBucket = {};
+    PAYABLE_BUCKETS.forEach((bucket, index) => {
+      bucketTotals[`bucket${index}`] = {
+        $sum: {
+          $cond: [
+            { $eq: ['$bucket', bucket.label] },
+            CurrencyService.invoiceBase('$payment.pendingAmount'),
+            0,
+          ],
+        },
+      };
+      amountByBucket[bucket.label] = `$bucket${index}`;
+    });
+
+    const suppliers = await PurchaseInvoice.aggregate([
+      {
+        $match: {
+          invoiceStatus: { $ne: 'Cancelled' },
+          'payment.pendingAmount': { $gt: 0 },
+        },
+      },
+      {
+        $addFields: {
+          daysOverdue: {
+            $dateDiff: {
+              startDate: { $ifNull: ['$payment.dueDate', '$invoiceDate'] },
+              endDate: '$$NOW',
+              unit: 'day',
+            },
+          },
+        },
+      },
+      {
+        $addFields: {
+          bucket: {
+            $switch: {
+              branches: PAYABLE_BUCKETS.filter((bucket) => bucket.maxDays !== undefined).map(
+                (bucket) => ({
+                  case: { $lte: ['$daysOverdue', bucket.maxDays] },
+                  then: bucket.label,
+                })
+              ),
+              default: PAYABLE_BUCKETS[PAYABLE_BUCKETS.length - 1].label,
+            },
+          },
+        },
+      },
+      {
+        $group: {
+          _id: '$supplierRef',
+          supplierName: { $first: '$supplier.name' },
+          invoices: { $sum: 1 },
+          totalOutstanding: { $sum: CurrencyService.invoiceBase('$payment.pendingAmount') },
+          oldestDaysOverdue: { $max: '$daysOverdue' },
+          ...bucketTotals,
+        },
+      },
+      {
+        $lookup: {
+          from: 'suppliers',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'supplierDetails',
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          supplierId: '$_id',
+          supplier: { $ifNull: [{ $first: '$supplierDetails.name' }, '$supplierName'] },
+          paymentTermsDays: { $first: '$supplierDetails.paymentTermsDays' },
+          invoices: 1,
+          totalOutstanding: 1,
+          oldestDaysOverdue: 1,
+          amountByBucket,
+        },
+      },
+      { $sort: { totalOutstanding: -1 } },
+    ]);
+
+    const buckets = PAYABLE_BUCKETS.map((bucket) => ({
+      bucket: bucket.label,
+      amount: suppliers.reduce((sum, item) => sum + item.amountByBucket[bucket.label], 0),
+    }));
+
+    return { buckets, suppliers };
+  }
+}
+
+module.exports = SupplierService;
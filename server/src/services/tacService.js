@@ -0,0 +1,137 @@
+const Product = require('../models/Product');
+const TacEntry = require('../models/TacEntry');
+const { getTAC, isValidIMEI } = require('../utils/imeiUtils');
+
+/**
+ * Normalize a model name for loose comparison
+ * "Galaxy S23 Ultra" and "GALAXY-S23ULTRA" both become "galaxys23ultra"
+ */
+const normalizeModel = (model) => (model || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * TAC Service
+ * Identifies devices from the local TAC (Type Allocation Code) table
+ */
+class TacService {
+  /**
+   * Decode an IMEI using the TAC table
+   * @param {string} imei - IMEI number
+   * @returns {Promise<Object>} { imei, tac, isValid, device }
+   */
+  static async lookup(imei) {
+    const tac = getTAC(imei);
+    const entry = tac ? await TacEntry.findOne({ tac }) : null;
+
+    return {
+      imei,
+      tac,
+      isValid: isValidIMEI(imei),
+      device: entry ? entry.getSummary() : null,
+    };
+  }
+
+  /**
+   * Compare a TAC entry with the product a phone is attached to
+   * @returns {string} 'Matched', 'Mismatch' or 'Unknown' (TAC not in table)
+   */
+  static compare(entry, product) {
+    if (!entry || !product) return 'Unknown';
+
+    const brandMatches = entry.brand === (product.brand || '').toUpperCase();
+    const tacModel = normalizeModel(entry.model);
+    const productModel = normalizeModel(product.model);
+    const modelMatches =
+      tacModel.includes(productModel) || productModel.includes(tacModel);
+
+    return brandMatches && modelMatches ? 'Matched' : 'Mismatch';
+  }
+
+  /**
+   * Set the deviceCheck block on phones before they are saved
+   * Mismatches are flagged, never rejected
+   * @param {Array} phones - Phone documents with a product id
+   * @param {Object} options - { session }
+   * @returns {Promise<Array>} The same phones
+   */
+  static async identifyPhones(phones, options = {}) {
+    const { session } = options;
+    const tacs = [...new Set(phones.map((phone) => getTAC(phone.imei)))];
+    const productIds = [...new Set(phones.map((phone) => String(phone.product)))];
+
+    // One operation at a time, a transaction session does not run them in parallel
+    const entries = await TacEntry.find({ tac: { $in: tacs } }).session(session || null);
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select('brand model')
+      .session(session || null);
+
+    const entriesByTac = new Map(entries.map((entry) => [entry.tac, entry]));
+    const productsById = new Map(products.map((product) => [String(product._id), product]));
+
+    phones.forEach((phone) => {
+      const entry = entriesByTac.get(getTAC(phone.imei));
+
+      phone.deviceCheck = {
+        status: TacService.compare(entry, productsById.get(String(phone.product))),
+        tac: getTAC(phone.imei),
+        brand: entry ? entry.brand : undefined,
+        model: entry ? entry.model : undefined,
+        checkedAt: new Date(),
+      };
+    });
+
+    return phones;
+  }
+
+  /**
+   * Build response warnings for phones whose TAC does not match their product
+   * @param {Array} phones - Phones with deviceCheck set
+   * @returns {Array} [{ imei, tac, detected, message }]
+   */
+  static getWarnings(phones) {
+    return phones
+      .filter((phone) => phone.deviceCheck && phone.deviceCheck.status === 'Mismatch')
+      .map((phone) => ({
+        imei: phone.imei,
+        tac: phone.deviceCheck.tac,
+        detected: `${phone.deviceCheck.brand} ${phone.deviceCheck.model}`,
+        message: `IMEI ${phone.imei} belongs to a ${phone.deviceCheck.brand} ${phone.deviceCheck.model} according to the TAC table`,
+      }));
+  }
+
+  /**
+   * Insert or update TAC entries
+   * @param {Array} entries - [{ tac, brand, model, notes }]
+   * @param {string} actor - User ID
+   * @returns {Promise<Object>} { inserted, updated }
+   */
+  static async importEntries(entries, actor) {
+    if (entries.length === 0) {
+      return { inserted: 0, updated: 0 };
+    }
+
+    const result = await TacEntry.bulkWrite(
+      entries.map((entry) => ({
+        updateOne: {
+          filter: { tac: entry.tac },
+          update: {
+            $set: {
+              brand: entry.brand.toUpperCase(),
+              model: entry.model,
+              notes: entry.notes,
+              updatedBy: actor,
+            },
+            $setOnInsert: { createdBy: actor },
+          },
+          upsert: true,
+        },
+      }))
+    );
+
+    return {
+      inserted: result.upsertedCount,
+      updated: result.modifiedCount,
+    };
+  }
+}
+
+module.exports = TacService;
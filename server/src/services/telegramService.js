@@ -126,6 +126,60 @@ class TelegramService {
       logger.error(`Failed to send daily summary: ${error.message}`);
     }
   }
+  /**
+   * Send low stock digest
+   * @param {Array} groups - Reorder suggestions grouped by supplier
+   * @returns {Promise<boolean>} Whether the digest was sent
+   */
+  async sendLowStockDigest(groups) {
+    if (!this.isReady()) return false;
+
+    try {
+      let message = `📉 *Low Stock Alert*\n\n`;
+
+      groups.forEach((group) => {
+        message += `🏢 *${group.supplier ? group.supplier.name : 'No previous supplier'}*\n`;
+        group.products.forEach((item) => {
+          message += `• ${item.product.brand} ${item.product.model} ${item.product.specifications.storage} ${item.product.specifications.color}\n`;
+          message += `   In stock: ${item.available} (reorder at ${item.reorderLevel}) → order ${item.suggestedQuantity}\n`;
+        });
+        message += `\n`;
+      });
+
+      await this.bot.sendMessage(this.adminChatId, message, { parse_mode: 'Markdown' });
+      logger.info('Low stock digest sent via Telegram');
+      return true;
+    } catch (error) {
+      logger.error(`Failed to send low stock digest: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Ask the owner to approve a credit sale over the customer's limit
+   * @param {Object} invoice - Sales invoice awaiting approval
+   * @returns {Promise<boolean>} Whether the request was sent
+   */
+  async sendCreditApprovalRequest(invoice) {
+    if (!this.isReady()) return false;
+
+    try {
+      let message = `💳 *Credit Approval Needed*\n\n`;
+      message += `🧾 *Invoice:* ${invoice.invoiceNumber}\n`;
+      message += `🏪 *Customer:* ${invoice.customerName}\n`;
+      message += `📱 *Phones:* ${invoice.lines.length}\n`;
+      message += `💰 *Amount:* Rs. ${invoice.total.toLocaleString()}\n`;
+      message += `📊 *Limit:* Rs. ${invoice.creditCheck.creditLimit.toLocaleString()} (outstanding Rs. ${invoice.creditCheck.outstanding.toLocaleString()})\n`;
+      message += `⚠️ *Over limit by:* Rs. ${invoice.creditCheck.exceededBy.toLocaleString()}\n`;
+
+      await this.bot.sendMessage(this.adminChatId, message, { parse_mode: 'Markdown' });
+      logger.info(`Credit approval request sent via Telegram for ${invoice.invoiceNumber}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to send credit approval request: ${error.message}`);
+      return false;
+    }
+  }
 }
 
 module.exports = new TelegramService();
\ No newline at end of file
@@ -0,0 +1,395 @@
+const Phone = require('../models/Phone');
+const Product = require('../models/Product');
+const SalesInvoice = require('../models/SalesInvoice');
+const SupplierReturn = require('../models/SupplierReturn');
+const WarrantyClaim = require('../models/WarrantyClaim');
+const StockMovementService = require('./stockMovementService');
+const { ApiError } = require('../middlewares/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Claim actions: the statuses a claim can be in and the status it moves to
+const CLAIM_TRANSITIONS = {
+  send: { from: ['Received'], to: 'Sent to Service' },
+  repair: { from: ['Received', 'Sent to Service'], to: 'Repaired' },
+  replace: { from: ['Received', 'Sent to Service'], to: 'Replaced' },
+  handBack: { from: ['Repaired', 'Replaced'], to: 'Handed Back' },
+  reject: { from: ['Received'], to: 'Rejected' },
+};
+
+/**
+ * Generate warranty claim number (WC-YYYYMMDD-xxxx)
+ */
+const generateClaimNumber = () => {
+  const date = new Date();
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const random = Math.floor(Math.random() * 10000)
+    .toString()
+    .padStart(4, '0');
+  return `WC-${year}${month}${day}-${random}`;
+};
+
+/**
+ * Expiry of a warranty of a number of months from a start date
+ */
+const addMonths = (startDate, months) => {
+  const expiryDate = new Date(startDate);
+  expiryDate.setMonth(expiryDate.getMonth() + months);
+  return expiryDate;
+};
+
+/**
+ * Warranty Service
+ * Registers customer warranties on sold phones, looks them up and tracks claims
+ */
+class WarrantyService {
+  /**
+   * Register the customer warranty of sold phones
+   * Runs from the sold date for the product's warranty period
+   * @param {Array} phones - Phone documents (saved by the caller)
+   * @param {Date} startDate - Sold date
+   * @param {Object} options - { session }
+   */
+  static async registerWarranty(phones, startDate, options = {}) {
+    const productIds = phones.map((phone) => phone.product?._id || phone.product);
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select('warrantyMonths')
+      .session(options.session || null);
+
+    phones.forEach((phone, index) => {
+      const product = products.find((item) => item._id.equals(productIds[index]));
+      const months = product ? product.warrantyMonths : 0;
+
+      phone.customerWarranty = {
+        startDate,
+        expiryDate: addMonths(startDate, months),
+        months,
+      };
+    });
+  }
+
+  /**
+   * Customer warranty of a phone
+   * Phones sold before warranties were registered use the product period from the sold date
+   * @param {Object} phone - Phone document with its product populated
+   * @returns {Object|null} { registered, startDate, expiryDate, months, inWarranty, daysRemaining }
+   */
+  static getWarranty(phone, now = new Date()) {
+    if (phone.status !== 'Sold') {
+      return null;
+    }
+
+    const registered = phone.customerWarranty;
+
+    let warranty;
+    if (registered && registered.expiryDate) {
+      warranty = {
+        registered: true,
+        startDate: registered.startDate,
+        expiryDate: registered.expiryDate,
+        months: registered.months,
+      };
+    } else if (phone.soldDate) {
+      const months = phone.product?.warrantyMonths ?? 0;
+      warranty = {
+        registered: false,
+        startDate: phone.soldDate,
+        expiryDate: addMonths(phone.soldDate, months),
+        months,
+      };
+    } else {
+      return null;
+    }
+
+    const inWarranty = warranty.expiryDate >= now;
+
+    return {
+      ...warranty,
+      inWarranty,
+      daysRemaining: inWarranty ? Math.ceil((warranty.expiryDate - now) / DAY_MS) : 0,
+    };
+  }
+
+  /**
+   * Look up the warranty of a phone by either IMEI
+   * @param {string} imei - IMEI or IMEI 2
+   * @returns {Promise<Object>} Warranty, buyer, sale and claims of the phone
+   */
+  static async lookup(imei) {
+    const phone = await Phone.findByIMEI(imei).populate(
+      'product',
+      'brand model specifications warrantyMonths'
+    );
+
+    if (!phone) {
+      throw new ApiError(404, 'Phone with this IMEI not found');
+    }
+
+    const sold = phone.status === 'Sold';
+    const sale = sold && phone.salesInvoice
+      ? await SalesInvoice.findById(phone.salesInvoice)
+        .select('invoiceNumber saleDate channel customer customerName')
+        .populate('customer', 'name type shopName phone')
+      : null;
+
+    const claims = await WarrantyClaim.find({
+      $or: [{ phone: phone._id }, { 'resolution.replacementPhone': phone._id }],
+    }).sort({ createdAt: -1 });
+
+    return {
+      imei: phone.imei,
+      imei2: phone.imei2,
+      product: phone.product,
+      status: phone.status,
+      warranty: WarrantyService.getWarranty(phone),
+      buyer: sold
+        ? {
+          customer: sale ? sale.customer : null,
+          customerName: sale ? sale.customerName : phone.soldTo,
+          soldDate: phone.soldDate,
+        }
+        : null,
+      sale: sale
+        ? {
+          id: sale._id,
+          invoiceNumber: sale.invoiceNumber,
+          saleDate: sale.saleDate,
+          channel: sale.channel,
+        }
+        : null,
+      claims: claims.map((claim) => claim.getSummary()),
+    };
+  }
+
+  /**
+   * Receive a warranty claim for a sold phone
+   * The phone must be in warranty and not already on an open claim
+   * @param {Object} input - { imei, fault, receivedCondition, contactPhone, notes }
+   * @param {Object} options - { session, actor }
+   * @returns {Promise<Object>} The claim
+   */
+  static async createClaim(input, options = {}) {
+    const { session, actor } = options;
+
+    const phone = await Phone.findByIMEI(input.imei)
+      .populate('product', 'warrantyMonths')
+      .session(session || null);
+
+    if (!phone) {
+      throw new ApiError(404, 'Phone with this IMEI not found');
+    }
+
+    const warranty = WarrantyService.getWarranty(phone);
+
+    if (!warranty) {
+      throw new ApiError(400, `Phone has not been sold. Current status: ${phone.status}`);
+    }
+
+    if (!warranty.inWarranty) {
+      throw new ApiError(
+        400,
+        `Phone is out of warranty (expired ${warranty.expiryDate.toISOString().slice(0, 10)})`
+      );
+    }
+
+    const openClaim = await WarrantyClaim.findOne({
+      phone: phone._id,
+      status: { $in: WarrantyClaim.OPEN_STATUSES },
+    }).session(session || null);
+
+    if (openClaim) {
+      throw new ApiError(400, `Phone already has an open warranty claim (${openClaim.claimNumber})`);
+    }
+
+    const sale = phone.salesInvoice
+      ? await SalesInvoice.findById(phone.salesInvoice)
+        .select('customer customerName')
+        .session(session || null)
+      : null;
+
+    const claim = new WarrantyClaim({
+      claimNumber: generateClaimNumber(),
+      phone: phone._id,
+      imei: phone.imei,
+      product: phone.product?._id,
+      salesInvoice: sale?._id,
+      customer: sale?.customer,
+      customerName: sale?.customerName || phone.soldTo || 'Walk-in customer',
+      contactPhone: input.contactPhone,
+      warrantyExpiryDate: warranty.expiryDate,
+      fault: input.fault,
+      receivedCondition: input.receivedCondition,
+      notes: input.notes,
+      receivedBy: actor,
+    });
+
+    await claim.save({ session });
+
+    return claim;
+  }
+
+  /**
+   * Check a claim can take an action
+   */
+  static assertTransition(claim, action) {
+    const transition = CLAIM_TRANSITIONS[action];
+
+    if (!transition.from.includes(claim.status)) {
+      throw new ApiError(
+        400,
+        `Claim is ${claim.status.toLowerCase()}. Only ${transition.from.join(' or ').toLowerCase()} claims can be marked ${transition.to.toLowerCase()}.`
+      );
+    }
+
+    return transition;
+  }
+
+  /**
+   * Move a claim along its lifecycle
+   * Replacing hands the customer an Available phone of the same product with the rest of the
+   * warranty; the faulty phone comes back into stock as Damaged. Records the stock movements.
+   * @param {Object} claim - WarrantyClaim document
+   * @param {string} action - 'send', 'repair', 'replace', 'handBack' or 'reject'
+   * @param {Object} details - { sentTo, reference, notes, replacementImei, reason }
+   * @param {Object} options - { session, actor }
+   * @returns {Promise<Object>} The claim
+   */
+  static async updateClaim(claim, action, details = {}, options = {}) {
+    const { session, actor } = options;
+    const transition = WarrantyService.assertTransition(claim, action);
+    const now = new Date();
+
+    if (action === 'send') {
+      claim.service = {
+        sentTo: details.sentTo,
+        reference: details.reference,
+        sentAt: now,
+        sentBy: actor,
+      };
+    } else if (action === 'repair') {
+      claim.resolution = { notes: details.notes, resolvedAt: now, resolvedBy: actor };
+    } else if (action === 'replace') {
+      const phone = await Phone.findById(claim.phone).session(session || null);
+      const replacement = await Phone.findByIMEI(details.replacementImei).session(session || null);
+
+      if (!replacement) {
+        throw new ApiError(404, `Replacement phone ${details.replacementImei} not found`);
+      }
+
+      if (replacement.status !== 'Available' || replacement.supplierReturn) {
+        throw new ApiError(400, `Replacement phone is not available. Current status: ${replacement.status}`);
+      }
+
+      if (!replacement.product.equals(phone.product)) {
+        throw new ApiError(400, 'Replacement phone must be the same product as the claimed phone');
+      }
+
+      if (phone.status !== 'Sold') {
+        throw new ApiError(400, `Claimed phone is no longer sold. Current status: ${phone.status}`);
+      }
+
+      // The replacement carries the rest of the original warranty
+      replacement.status = 'Sold';
+      replacement.soldDate = now;
+      replacement.soldTo = claim.customerName;
+      replacement.salesInvoice = phone.salesInvoice;
+      replacement.customer = phone.customer;
+      replacement.customerWarranty = {
+        startDate: phone.customerWarranty?.startDate || phone.soldDate,
+        expiryDate: claim.warrantyExpiryDate,
+        months: phone.customerWarranty?.months,
+      };
+      replacement.updatedBy = actor;
+
+      // The faulty phone is ours again
+      phone.status = 'Damaged';
+      phone.location = replacement.location;
+      phone.soldDate = undefined;
+      phone.soldTo = undefined;
+      phone.salesInvoice = undefined;
+      phone.customer = undefined;
+      phone.customerWarranty = undefined;
+      phone.updatedBy = actor;
+
+      await replacement.save({ session });
+      await phone.save({ session });
+
+      claim.resolution = {
+        notes: details.notes,
+        resolvedAt: now,
+        resolvedBy: actor,
+        replacementPhone: replacement._id,
+        replacementImei: replacement.imei,
+      };
+
+      const source = StockMovementService.source('Warranty', claim);
+      await StockMovementService.record(
+        [
+          StockMovementService.entry(phone, {
+            action: 'Returned',
+            fromStatus: 'Sold',
+            toStatus: 'Damaged',
+            source,
+            notes: `Warranty claim ${claim.claimNumber}: ${claim.fault}`,
+            actor,
+          }),
+          StockMovementService.entry(replacement, {
+            action: 'Sold',
+            fromStatus: 'Available',
+            toStatus: 'Sold',
+            source,
+            price: 0,
+            notes: `Warranty replacement for IMEI ${phone.imei}`,
+            actor,
+          }),
+        ],
+        { session }
+      );
+    } else if (action === 'handBack') {
+      claim.handedBackAt = now;
+      claim.handedBackBy = actor;
+      if (details.notes) {
+        claim.notes = claim.notes ? `${claim.notes}\n${details.notes}` : details.notes;
+      }
+    } else {
+      claim.rejectedAt = now;
+      claim.rejectedBy = actor;
+      claim.rejectionReason = details.reason;
+    }
+
+    claim.status = transition.to;
+    await claim.save({ session });
+
+    return claim;
+  }
+
+  /**
+   * Link a claim to the supplier return its faulty handset went back on
+   * @param {Object} claim - WarrantyClaim document
+   * @param {string} supplierReturnId - SupplierReturn ID
+   */
+  static async linkSupplierReturn(claim, supplierReturnId) {
+    if (claim.status === 'Rejected') {
+      throw new ApiError(400, 'Claim is rejected');
+    }
+
+    const rma = await SupplierReturn.findById(supplierReturnId).select('rmaNumber items.imei');
+
+    if (!rma) {
+      throw new ApiError(404, 'Supplier return not found');
+    }
+
+    if (!rma.items.some((item) => item.imei === claim.imei)) {
+      throw new ApiError(400, `Supplier return ${rma.rmaNumber} does not include IMEI ${claim.imei}`);
+    }
+
+    claim.supplierReturn = rma._id;
+    await claim.save();
+
+    return { claim, rma };
+  }
+}
+
+module.exports = WarrantyService;
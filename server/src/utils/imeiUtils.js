@@ -0,0 +1,62 @@
+/**
+ * IMEI Utilities
+ * An IMEI is 14 digits (8-digit TAC + 6-digit serial) followed by a Luhn check digit
+ */
+
+const IMEI_PATTERN = /^[0-9]{15}$/;
+const TAC_PATTERN = /^[0-9]{8}$/;
+
+/**
+ * Calculate the Luhn check digit for a string of digits
+ * @param {string} digits - Digits without the check digit (14 for an IMEI)
+ * @returns {number} Check digit (0-9)
+ */
+const calculateCheckDigit = (digits) => {
+  let sum = 0;
+
+  // Double every second digit counting from the right of the payload
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Check that an IMEI is 15 digits with a valid Luhn check digit
+ * @param {string} imei - IMEI number
+ * @returns {boolean} True if valid
+ */
+const isValidIMEI = (imei) => {
+  if (typeof imei !== 'string' || !IMEI_PATTERN.test(imei)) {
+    return false;
+  }
+
+  return calculateCheckDigit(imei.slice(0, 14)) === Number(imei[14]);
+};
+
+/**
+ * Get the Type Allocation Code (first 8 digits) of an IMEI
+ * @param {string} imei - IMEI number
+ * @returns {string|null} TAC or null if the IMEI is too short
+ */
+const getTAC = (imei) => {
+  if (typeof imei !== 'string' || imei.length < 8) {
+    return null;
+  }
+
+  return imei.slice(0, 8);
+};
+
+module.exports = {
+  IMEI_PATTERN,
+  TAC_PATTERN,
+  calculateCheckDigit,
+  isValidIMEI,
+  getTAC,
+};
@@ -91,6 +91,14 @@ const displayRoutesTable = (routes) => {
     'Purchase Invoices': [],
     'DSR Assignments': [],
     'DSR Schedule Management': [],
+    'Locations & Transfers': [],
+    'Stock Takes': [],
+    'Suppliers': [],
+    'Purchase Orders & GRNs': [],
+    'Supplier Returns': [],
+    'Exchange Rates': [],
+    'Customers & Sales': [],
+    'Warranty': [],
     'Import/Export': [],
     'Testing': [],
     'Other': [],
@@ -107,6 +115,22 @@ const displayRoutesTable = (routes) => {
       categorized['DSR Schedule Management'].push(route);
     } else if (route.path.includes('/dsr-assignments')) {
       categorized['DSR Assignments'].push(route);
+    } else if (route.path.includes('/locations') || route.path.includes('/stock-transfers')) {
+      categorized['Locations & Transfers'].push(route);
+    } else if (route.path.includes('/purchase-orders') || route.path.includes('/grns')) {
+      categorized['Purchase Orders & GRNs'].push(route);
+    } else if (route.path.includes('/exchange-rates')) {
+      categorized['Exchange Rates'].push(route);
+    } else if (route.path.includes('/warranty')) {
+      categorized['Warranty'].push(route);
+    } else if (route.path.includes('/customers') || route.path.includes('/sales-invoices') || route.path.includes('/receipts')) {
+      categorized['Customers & Sales'].push(route);
+    } else if (route.path.includes('/supplier-returns')) {
+      categorized['Supplier Returns'].push(route);
+    } else if (route.path.includes('/suppliers')) {
+      categorized['Suppliers'].push(route);
+    } else if (route.path.includes('/stock-takes')) {
+      categorized['Stock Takes'].push(route);
     } else if (route.path.includes('/import') || route.path.includes('/export')) {
       categorized['Import/Export'].push(route);
     } else if (route.path.includes('/inventory/products') || route.path.includes('/inventory/stock') || route.path.includes('/inventory/search') || route.path.includes('/inventory/statistics')) {
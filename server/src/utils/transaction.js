@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+/**
+ * Transaction Utilities
+ * MongoDB transactions require the server to run as a replica set
+ */
+
+/**
+ * Run a unit of work inside a MongoDB transaction
+ * Commits when the callback resolves, aborts when it throws.
+ * The callback may be retried on transient errors, so it must not
+ * depend on state mutated by a previous attempt.
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} Value returned by the callback
+ */
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  withTransaction,
+};
@@ -0,0 +1,20 @@
+const Joi = require('joi');
+const { IMEI_PATTERN, isValidIMEI } = require('../../utils/imeiUtils');
+
+/**
+ * IMEI validation schema
+ * 15 digits with a valid Luhn check digit
+ */
+const imeiSchema = Joi.string()
+  .pattern(IMEI_PATTERN)
+  .custom((value, helpers) =>
+    isValidIMEI(value) ? value : helpers.error('string.imeiChecksum')
+  )
+  .messages({
+    'string.pattern.base': 'IMEI must be exactly 15 digits',
+    'string.imeiChecksum': 'IMEI {#value} has an invalid check digit',
+  });
+
+module.exports = {
+  imeiSchema,
+};
@@ -0,0 +1,58 @@
+const Joi = require('joi');
+
+/**
+ * Customer fields shared by create and update
+ */
+const customerFields = {
+  name: Joi.string().trim().max(150),
+  type: Joi.string().valid('Individual', 'Retailer'),
+  shopName: Joi.string().trim().max(150).allow(''),
+  nic: Joi.string()
+    .trim()
+    .pattern(/^(\d{9}[VvXx]|\d{12})$/)
+    .messages({
+      'string.pattern.base': 'NIC must be 9 digits followed by V or X, or 12 digits',
+    }),
+  phone: Joi.string()
+    .pattern(/^[0-9+\-\s]{7,20}$/)
+    .allow('')
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number',
+    }),
+  email: Joi.string().email().allow(''),
+  address: Joi.string().max(500).allow(''),
+  territory: Joi.string().trim().max(100).allow(''),
+  dsr: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null)
+    .messages({
+      'string.pattern.base': 'Invalid DSR ID',
+    }),
+  // Credit account (owner only)
+  creditLimit: Joi.number().min(0),
+  creditTermsDays: Joi.number().integer().min(0).max(365),
+  notes: Joi.string().max(500).allow(''),
+};
+
+/**
+ * Create customer validation schema
+ */
+const createCustomerSchema = Joi.object({
+  ...customerFields,
+  name: customerFields.name.required().messages({
+    'any.required': 'Customer name is required',
+  }),
+});
+
+/**
+ * Update customer validation schema
+ */
+const updateCustomerSchema = Joi.object({
+  ...customerFields,
+  isActive: Joi.boolean(),
+}).min(1);
+
+module.exports = {
+  createCustomerSchema,
+  updateCustomerSchema,
+};
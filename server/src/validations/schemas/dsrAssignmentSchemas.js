@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { imeiSchema } = require('./commonSchemas');
+const { buyerFields, salePaymentSchema } = require('./salesInvoiceSchemas');
 
 /**
  * Create DSR assignment validation schema
@@ -14,11 +16,9 @@ const createAssignmentSchema = Joi.object({
   phones: Joi.array()
     .items(
       Joi.object({
-        imei: Joi.string()
-          .pattern(/^[0-9]{15}$/)
+        imei: imeiSchema
           .required()
           .messages({
-            'string.pattern.base': 'IMEI must be exactly 15 digits',
             'any.required': 'IMEI is required',
           }),
         targetPrice: Joi.number()
@@ -57,7 +57,11 @@ const markPhoneAsSoldSchema = Joi.object({
   soldDate: Joi.date()
     .optional()
     .default(() => new Date()),
-});
+
+  // Buyer and payment for the sales invoice
+  ...buyerFields,
+  payment: salePaymentSchema,
+}).oxor('customer', 'newCustomer', 'customerName');
 
 /**
  * Return phones validation schema
@@ -65,11 +69,9 @@ const markPhoneAsSoldSchema = Joi.object({
 const returnPhonesSchema = Joi.object({
   imeis: Joi.array()
     .items(
-      Joi.string()
-        .pattern(/^[0-9]{15}$/)
-        .messages({
-          'string.pattern.base': 'Each IMEI must be exactly 15 digits',
-        })
+      imeiSchema.messages({
+        'string.pattern.base': 'Each IMEI must be exactly 15 digits',
+      })
     )
     .min(1)
     .required()
@@ -84,8 +86,46 @@ const returnPhonesSchema = Joi.object({
     .optional(),
 });
 
+/**
+ * End-of-day handover declaration validation schema
+ */
+const declareDayCloseSchema = Joi.object({
+  cash: Joi.number().min(0).precision(2).default(0),
+
+  cheques: Joi.array()
+    .items(
+      Joi.object({
+        number: Joi.string().trim().max(50).required(),
+        bank: Joi.string().trim().max(100).allow(''),
+        amount: Joi.number().positive().precision(2).required(),
+      })
+    )
+    .default([]),
+
+  transfers: Joi.array()
+    .items(
+      Joi.object({
+        reference: Joi.string().trim().max(100).required(),
+        amount: Joi.number().positive().precision(2).required(),
+      })
+    )
+    .default([]),
+
+  notes: Joi.string().max(500).allow(''),
+});
+
+/**
+ * Day close sign-off validation schema
+ * A note is required when the handover is short or over (checked on sign-off)
+ */
+const signOffDayCloseSchema = Joi.object({
+  notes: Joi.string().trim().max(500).allow(''),
+});
+
 module.exports = {
   createAssignmentSchema,
   markPhoneAsSoldSchema,
   returnPhonesSchema,
+  declareDayCloseSchema,
+  signOffDayCloseSchema,
 };
\ No newline at end of file
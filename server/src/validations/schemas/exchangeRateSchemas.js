@@ -0,0 +1,43 @@
+const Joi = require('joi');
+
+/**
+ * Create exchange rate validation schema
+ */
+const createExchangeRateSchema = Joi.object({
+  currency: Joi.string()
+    .valid('USD', 'EUR')
+    .required()
+    .messages({
+      'any.required': 'Currency is required',
+    }),
+  date: Joi.date()
+    .required()
+    .messages({
+      'any.required': 'Rate date is required',
+    }),
+  rate: Joi.number()
+    .positive()
+    .required()
+    .messages({
+      'number.positive': 'Rate must be greater than zero',
+      'any.required': 'Rate is required',
+    }),
+  notes: Joi.string().max(500).allow(''),
+});
+
+/**
+ * Update exchange rate validation schema
+ */
+const updateExchangeRateSchema = Joi.object({
+  rate: Joi.number()
+    .positive()
+    .messages({
+      'number.positive': 'Rate must be greater than zero',
+    }),
+  notes: Joi.string().max(500).allow(''),
+});
+
+module.exports = {
+  createExchangeRateSchema,
+  updateExchangeRateSchema,
+};
@@ -1,8 +1,9 @@
 const Joi = require('joi');
+const { imeiSchema } = require('./commonSchemas');
 
 /**
  * Create product validation schema
- * NO PRICING OR WARRANTY - Only product specifications
+ * NO PRICING - Only product specifications and customer warranty period
  */
 const createProductSchema = Joi.object({
   brand: Joi.string()
@@ -43,7 +44,13 @@ const createProductSchema = Joi.object({
   }),
 
   // ❌ REMOVED: pricing (pricing is per-invoice now)
-  // ❌ REMOVED: warranty (warranty is per-invoice now)
+  // Customer warranty from the sold date (supplier warranty is per-invoice)
+  warrantyMonths: Joi.number().integer().min(0).max(60),
+
+  reorder: Joi.object({
+    level: Joi.number().integer().min(0),
+    quantity: Joi.number().integer().min(0),
+  }),
 
   description: Joi.string().allow(''),
   features: Joi.array().items(Joi.string()),
@@ -51,16 +58,11 @@ const createProductSchema = Joi.object({
   tags: Joi.array().items(Joi.string()),
   sku: Joi.string().allow(''),
   barcode: Joi.string().allow(''),
-  
-  images: Joi.object({
-    main: Joi.string().uri().allow(''),
-    gallery: Joi.array().items(Joi.string().uri()),
-  }),
 });
 
 /**
  * Update product validation schema
- * NO PRICING OR WARRANTY - Only product specifications
+ * NO PRICING - Only product specifications and customer warranty period
  */
 const updateProductSchema = Joi.object({
   brand: Joi.string().uppercase().max(50),
@@ -88,19 +90,33 @@ const updateProductSchema = Joi.object({
   }),
 
   // ❌ REMOVED: pricing
-  // ❌ REMOVED: warranty
+  warrantyMonths: Joi.number().integer().min(0).max(60),
 
   isActive: Joi.boolean(),
   isDiscontinued: Joi.boolean(),
+  reorder: Joi.object({
+    level: Joi.number().integer().min(0),
+    quantity: Joi.number().integer().min(0),
+  }),
+
   description: Joi.string().allow(''),
   features: Joi.array().items(Joi.string()),
   boxContents: Joi.array().items(Joi.string()),
   tags: Joi.array().items(Joi.string()),
-  
-  images: Joi.object({
-    main: Joi.string().uri().allow(''),
-    gallery: Joi.array().items(Joi.string().uri()),
-  }),
+});
+
+/**
+ * Reorder product images validation schema
+ */
+const reorderProductImagesSchema = Joi.object({
+  imageIds: Joi.array()
+    .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+    .min(1)
+    .required()
+    .messages({
+      'any.required': 'Image order is required',
+      'string.pattern.base': 'Invalid image ID',
+    }),
 });
 
 /**
@@ -126,23 +142,34 @@ const createPurchaseInvoiceSchema = Joi.object({
       'string.pattern.base': 'Invoice time must be in HH:MM format',
     }),
   
+  location: Joi.string(), // Defaults to the default location
+
+  // Existing supplier by ID, or details of a supplier matched (or created) by name
   supplier: Joi.object({
-    name: Joi.string().required(),
+    id: Joi.string(),
+    name: Joi.string(),
     contactPerson: Joi.string().allow(''),
     phone: Joi.string().allow(''),
     email: Joi.string().email().allow(''),
     address: Joi.string().allow(''),
-  }).required(),
+  })
+    .or('id', 'name')
+    .required()
+    .messages({
+      'object.missing': 'Supplier ID or supplier name is required',
+    }),
 
   phones: Joi.array()
     .items(
       Joi.object({
         product: Joi.string().required(), // MongoDB ObjectId
-        imei: Joi.string()
-          .required()
-          .pattern(/^[0-9]{15}$/)
+        imei: imeiSchema.required(),
+        imei2: imeiSchema
+          .empty('')
+          .invalid(Joi.ref('imei'))
           .messages({
-            'string.pattern.base': 'IMEI must be exactly 15 digits',
+            'string.pattern.base': 'IMEI 2 must be exactly 15 digits',
+            'any.invalid': 'IMEI 2 must be different from IMEI',
           }),
         serialNumber: Joi.string().allow(''),
         costPrice: Joi.number().required().min(0),        // ✅ Pricing per phone
@@ -161,6 +188,7 @@ const createPurchaseInvoiceSchema = Joi.object({
     }),
 
   financials: Joi.object({
+    currency: Joi.string().valid('LKR', 'USD', 'EUR').default('LKR'),
     tax: Joi.object({
       amount: Joi.number().min(0).default(0),
       percentage: Joi.number().min(0).max(100).default(0),
@@ -170,6 +198,8 @@ const createPurchaseInvoiceSchema = Joi.object({
       percentage: Joi.number().min(0).max(100).default(0),
     }),
     shippingCost: Joi.number().min(0).default(0),
+    // Spread tax, shipping and discount over the phones by cost or equally
+    costAllocation: Joi.string().valid('Value', 'Quantity').default('Value'),
   }),
 
   payment: Joi.object({
@@ -182,6 +212,7 @@ const createPurchaseInvoiceSchema = Joi.object({
     paidAmount: Joi.number().min(0).default(0),
     paymentDate: Joi.date(),
     referenceNumber: Joi.string().allow(''),
+    dueDate: Joi.date(), // Defaults to the supplier's credit terms
   }),
 
   notes: Joi.string().allow(''),
@@ -203,11 +234,15 @@ const updatePhoneStatusSchema = Joi.object({
     is: 'Sold',
     then: Joi.required(),
   }),
+  // Sale price (defaults to the phone's selling price) and optional customer record
+  soldPrice: Joi.number().min(0),
+  customer: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
 });
 
 module.exports = {
   createProductSchema,
   updateProductSchema,
+  reorderProductImagesSchema,
   createPurchaseInvoiceSchema,
   updatePhoneStatusSchema,
 };
\ No newline at end of file
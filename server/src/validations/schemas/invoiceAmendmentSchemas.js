@@ -0,0 +1,64 @@
+const Joi = require('joi');
+const { imeiSchema } = require('./commonSchemas');
+
+/**
+ * Credit/debit note line validation schema
+ */
+const amendmentLineSchema = Joi.object({
+  imei: imeiSchema.required(),
+  action: Joi.string()
+    .valid('PriceChange', 'Remove')
+    .required()
+    .messages({
+      'any.only': 'Action must be PriceChange or Remove',
+      'any.required': 'Action is required',
+    }),
+  newCost: Joi.number()
+    .min(0)
+    .when('action', {
+      is: 'PriceChange',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      'any.required': 'New cost is required for a price change',
+    }),
+});
+
+/**
+ * Raise credit/debit note validation schema
+ */
+const createAmendmentSchema = Joi.object({
+  lines: Joi.array()
+    .items(amendmentLineSchema)
+    .min(1)
+    .required()
+    .messages({
+      'array.min': 'At least one line is required',
+      'any.required': 'Lines are required',
+    }),
+  reason: Joi.string()
+    .max(500)
+    .required()
+    .messages({
+      'any.required': 'Reason is required',
+    }),
+  supplierNoteNumber: Joi.string().max(100).allow(''),
+});
+
+/**
+ * Reject credit/debit note validation schema
+ */
+const rejectAmendmentSchema = Joi.object({
+  reason: Joi.string()
+    .max(500)
+    .required()
+    .messages({
+      'any.required': 'Reason is required to reject a note',
+    }),
+});
+
+module.exports = {
+  createAmendmentSchema,
+  rejectAmendmentSchema,
+};
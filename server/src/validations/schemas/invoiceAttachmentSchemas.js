@@ -0,0 +1,27 @@
+const Joi = require('joi');
+
+/**
+ * Add invoice attachment validation schema (multipart fields)
+ */
+const addAttachmentSchema = Joi.object({
+  type: Joi.string()
+    .valid('Invoice', 'Delivery Note', 'Payment Slip', 'Other')
+    .required()
+    .messages({
+      'any.only': 'Type must be Invoice, Delivery Note, Payment Slip or Other',
+      'any.required': 'Attachment type is required',
+    }),
+  notes: Joi.string().max(500).allow(''),
+});
+
+/**
+ * Replace invoice attachment validation schema (multipart fields)
+ */
+const replaceAttachmentSchema = Joi.object({
+  notes: Joi.string().max(500).allow(''),
+});
+
+module.exports = {
+  addAttachmentSchema,
+  replaceAttachmentSchema,
+};
@@ -0,0 +1,50 @@
+const Joi = require('joi');
+
+/**
+ * Create location validation schema
+ */
+const createLocationSchema = Joi.object({
+  name: Joi.string()
+    .required()
+    .max(100)
+    .messages({
+      'any.required': 'Location name is required',
+    }),
+  code: Joi.string()
+    .required()
+    .uppercase()
+    .max(10)
+    .messages({
+      'any.required': 'Location code is required',
+      'string.max': 'Location code cannot exceed 10 characters',
+    }),
+  type: Joi.string()
+    .valid('Warehouse', 'Shop', 'Van')
+    .required()
+    .messages({
+      'any.required': 'Location type is required',
+    }),
+  address: Joi.string().allow(''),
+  phone: Joi.string().allow(''),
+  isDefault: Joi.boolean(),
+  notes: Joi.string().allow(''),
+});
+
+/**
+ * Update location validation schema
+ */
+const updateLocationSchema = Joi.object({
+  name: Joi.string().max(100),
+  code: Joi.string().uppercase().max(10),
+  type: Joi.string().valid('Warehouse', 'Shop', 'Van'),
+  address: Joi.string().allow(''),
+  phone: Joi.string().allow(''),
+  isDefault: Joi.boolean(),
+  isActive: Joi.boolean(),
+  notes: Joi.string().allow(''),
+});
+
+module.exports = {
+  createLocationSchema,
+  updateLocationSchema,
+};
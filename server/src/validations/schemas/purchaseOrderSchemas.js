@@ -0,0 +1,110 @@
+const Joi = require('joi');
+const { imeiSchema } = require('./commonSchemas');
+
+const lineSchema = Joi.object({
+  product: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Product is required',
+    }),
+  quantity: Joi.number()
+    .integer()
+    .min(1)
+    .required()
+    .messages({
+      'number.min': 'Quantity must be at least 1',
+      'any.required': 'Quantity is required',
+    }),
+  unitCost: Joi.number()
+    .min(0)
+    .required()
+    .messages({
+      'any.required': 'Agreed unit cost is required',
+    }),
+});
+
+/**
+ * Create purchase order validation schema
+ */
+const createPurchaseOrderSchema = Joi.object({
+  supplier: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Supplier is required',
+    }),
+  location: Joi.string(), // Defaults to the default location
+  orderDate: Joi.date(),
+  expectedDate: Joi.date(),
+  lines: Joi.array()
+    .items(lineSchema)
+    .min(1)
+    .unique('product')
+    .required()
+    .messages({
+      'array.min': 'At least one line is required',
+      'array.unique': 'Each product can only appear once on a purchase order',
+    }),
+  notes: Joi.string().max(500).allow(''),
+});
+
+/**
+ * Update purchase order validation schema (Draft only)
+ */
+const updatePurchaseOrderSchema = Joi.object({
+  location: Joi.string(),
+  orderDate: Joi.date(),
+  expectedDate: Joi.date(),
+  lines: Joi.array()
+    .items(lineSchema)
+    .min(1)
+    .unique('product')
+    .messages({
+      'array.min': 'At least one line is required',
+      'array.unique': 'Each product can only appear once on a purchase order',
+    }),
+  notes: Joi.string().max(500).allow(''),
+});
+
+/**
+ * Receive goods (GRN) validation schema
+ */
+const receiveGoodsSchema = Joi.object({
+  // Supplier invoice to book the phones on (new or an existing Draft)
+  invoiceNumber: Joi.string().max(50),
+  invoiceDate: Joi.date(),
+  phones: Joi.array()
+    .items(
+      Joi.object({
+        product: Joi.string().required(),
+        imei: imeiSchema.required(),
+        imei2: imeiSchema
+          .empty('')
+          .invalid(Joi.ref('imei'))
+          .messages({
+            'string.pattern.base': 'IMEI 2 must be exactly 15 digits',
+            'any.invalid': 'IMEI 2 must be different from IMEI',
+          }),
+        serialNumber: Joi.string().allow(''),
+        costPrice: Joi.number().min(0), // Defaults to the agreed PO cost
+        sellingPrice: Joi.number().required().min(0),
+        condition: Joi.string()
+          .valid('New', 'Refurbished', 'Open Box', 'Like New')
+          .default('New'),
+        warrantyExpiryDate: Joi.date(),
+        notes: Joi.string().allow(''),
+      })
+    )
+    .min(1)
+    .required()
+    .messages({
+      'array.min': 'At least one phone is required',
+      'any.required': 'Phones array is required',
+    }),
+  notes: Joi.string().max(500).allow(''),
+});
+
+module.exports = {
+  createPurchaseOrderSchema,
+  updatePurchaseOrderSchema,
+  receiveGoodsSchema,
+};
@@ -0,0 +1,75 @@
+const Joi = require('joi');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+/**
+ * Record collection (receipt) validation schema
+ * Without allocations the amount is applied to the oldest open invoices first
+ */
+const createReceiptSchema = Joi.object({
+  customer: objectId.required().messages({
+    'string.pattern.base': 'Invalid customer ID',
+    'any.required': 'Customer is required',
+  }),
+  amount: Joi.number().positive().precision(2).required().messages({
+    'any.required': 'Amount is required',
+  }),
+  method: Joi.string().valid('Cash', 'Cheque').required(),
+  cheque: Joi.when('method', {
+    is: 'Cheque',
+    then: Joi.object({
+      number: Joi.string().trim().max(50).required().messages({
+        'any.required': 'Cheque number is required',
+      }),
+      bank: Joi.string().trim().max(100).required().messages({
+        'any.required': 'Bank is required',
+      }),
+      branch: Joi.string().trim().max(100).allow(''),
+      chequeDate: Joi.date(),
+    }).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  receiptDate: Joi.date().max('now'),
+  allocations: Joi.array()
+    .items(
+      Joi.object({
+        invoice: objectId.required().messages({
+          'string.pattern.base': 'Invalid sales invoice ID',
+        }),
+        amount: Joi.number().positive().precision(2).required(),
+      })
+    )
+    .min(1),
+  // DSR who collected the money (defaults to the user recording it)
+  collectedBy: objectId.messages({
+    'string.pattern.base': 'Invalid DSR ID',
+  }),
+  notes: Joi.string().max(500).allow(''),
+});
+
+/**
+ * Deposit or clear cheque validation schema
+ */
+const chequeActionSchema = Joi.object({
+  date: Joi.date().max('now'),
+});
+
+/**
+ * Bounced cheque validation schema
+ */
+const bounceChequeSchema = Joi.object({
+  date: Joi.date().max('now'),
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .required()
+    .messages({
+      'any.required': 'Reason is required for a bounced cheque',
+    }),
+});
+
+module.exports = {
+  createReceiptSchema,
+  chequeActionSchema,
+  bounceChequeSchema,
+};
@@ -0,0 +1,91 @@
+const Joi = require('joi');
+const { imeiSchema } = require('./commonSchemas');
+const { createCustomerSchema } = require('./customerSchemas');
+
+/**
+ * Buyer of a sale: an existing customer, a new customer or a walk-in name
+ */
+const buyerFields = {
+  customer: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'Invalid customer ID',
+    }),
+  // Credit accounts are set up by the owner on the customer record
+  newCustomer: createCustomerSchema.keys({
+    creditLimit: Joi.forbidden(),
+    creditTermsDays: Joi.forbidden(),
+  }),
+  customerName: Joi.string().trim().max(150),
+};
+
+/**
+ * Sale payment validation schema
+ */
+const salePaymentSchema = Joi.object({
+  method: Joi.string()
+    .valid('Cash', 'Card', 'Bank Transfer', 'Cheque', 'Credit')
+    .default('Cash'),
+  referenceNumber: Joi.string().max(100).allow(''),
+});
+
+/**
+ * Sale line validation schema
+ */
+const saleLineSchema = Joi.object({
+  imei: imeiSchema.required(),
+  unitPrice: Joi.number()
+    .min(0)
+    .required()
+    .messages({
+      'number.min': 'Price cannot be negative',
+      'any.required': 'Price is required',
+    }),
+  discount: Joi.number().min(0).default(0),
+});
+
+/**
+ * Record sale validation schema (counter sales and DSR sales)
+ */
+const recordSaleSchema = Joi.object({
+  ...buyerFields,
+  lines: Joi.array()
+    .items(saleLineSchema)
+    .min(1)
+    .required()
+    .messages({
+      'array.min': 'At least one phone is required',
+      'any.required': 'Lines are required',
+    }),
+  payment: salePaymentSchema,
+  saleDate: Joi.date().max('now'),
+  notes: Joi.string().max(500).allow(''),
+}).oxor('customer', 'newCustomer', 'customerName');
+
+/**
+ * Counter sale validation schema
+ */
+const createSalesInvoiceSchema = recordSaleSchema.keys({
+  location: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+});
+
+/**
+ * Approve or reject a sale awaiting credit approval
+ */
+const creditDecisionSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .required()
+    .messages({
+      'any.required': 'Reason is required',
+    }),
+});
+
+module.exports = {
+  buyerFields,
+  salePaymentSchema,
+  recordSaleSchema,
+  createSalesInvoiceSchema,
+  creditDecisionSchema,
+};
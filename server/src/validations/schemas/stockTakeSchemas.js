@@ -0,0 +1,75 @@
+const Joi = require('joi');
+const { IMEI_PATTERN } = require('../../utils/imeiUtils');
+
+/**
+ * Open stock take validation schema
+ */
+const openStockTakeSchema = Joi.object({
+  location: Joi.string(),
+  brand: Joi.string().trim().max(50),
+  notes: Joi.string().max(500).allow(''),
+})
+  .or('location', 'brand')
+  .messages({
+    'object.missing': 'A location or a brand is required',
+  });
+
+/**
+ * Scan batch validation schema
+ * No checksum rule here: unreadable or fake IMEIs should show up as not in system
+ */
+const addScansSchema = Joi.object({
+  imeis: Joi.array()
+    .items(
+      Joi.string()
+        .pattern(IMEI_PATTERN)
+        .messages({
+          'string.pattern.base': 'IMEI must be exactly 15 digits',
+        })
+    )
+    .min(1)
+    .max(500)
+    .required()
+    .messages({
+      'array.min': 'At least one IMEI is required',
+      'array.max': 'Post at most 500 IMEIs per batch',
+      'any.required': 'IMEIs array is required',
+    }),
+});
+
+/**
+ * Approve stock take validation schema
+ */
+const approveStockTakeSchema = Joi.object({
+  adjustments: Joi.array().items(
+    Joi.object({
+      imei: Joi.string()
+        .pattern(IMEI_PATTERN)
+        .required()
+        .messages({
+          'string.pattern.base': 'IMEI must be exactly 15 digits',
+          'any.required': 'IMEI is required',
+        }),
+      toStatus: Joi.string()
+        .valid('Available', 'Damaged')
+        .required()
+        .messages({
+          'any.only': 'Adjusted status must be Available or Damaged',
+          'any.required': 'Adjusted status is required',
+        }),
+      reason: Joi.string()
+        .trim()
+        .max(500)
+        .required()
+        .messages({
+          'any.required': 'Adjustment reason is required',
+        }),
+    })
+  ),
+});
+
+module.exports = {
+  openStockTakeSchema,
+  addScansSchema,
+  approveStockTakeSchema,
+};
@@ -0,0 +1,39 @@
+const Joi = require('joi');
+const { imeiSchema } = require('./commonSchemas');
+
+/**
+ * Create stock transfer validation schema
+ */
+const createTransferSchema = Joi.object({
+  fromLocation: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Source location is required',
+    }),
+  toLocation: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Destination location is required',
+    }),
+  imeis: Joi.array()
+    .items(imeiSchema)
+    .min(1)
+    .required()
+    .messages({
+      'array.min': 'At least one IMEI is required',
+      'any.required': 'IMEIs array is required',
+    }),
+  notes: Joi.string().max(500).allow(''),
+});
+
+/**
+ * Receive stock transfer validation schema
+ */
+const receiveTransferSchema = Joi.object({
+  receiptNotes: Joi.string().max(500).allow(''),
+});
+
+module.exports = {
+  createTransferSchema,
+  receiveTransferSchema,
+};
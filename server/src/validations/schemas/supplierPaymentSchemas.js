@@ -0,0 +1,54 @@
+const Joi = require('joi');
+
+/**
+ * Record supplier payment validation schema
+ */
+const recordPaymentSchema = Joi.object({
+  amount: Joi.number()
+    .positive()
+    .required()
+    .messages({
+      'any.required': 'Payment amount is required',
+      'number.positive': 'Payment amount must be greater than zero',
+    }),
+  method: Joi.string()
+    .valid('Cash', 'Cheque', 'Bank Transfer')
+    .required()
+    .messages({
+      'any.required': 'Payment method is required',
+    }),
+  paymentDate: Joi.date().max('now'),
+  referenceNumber: Joi.string().allow(''),
+  cheque: Joi.object({
+    number: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Cheque number is required',
+      }),
+    bank: Joi.string().allow(''),
+    chequeDate: Joi.date(),
+    clearingDate: Joi.date(),
+  }).when('method', {
+    is: 'Cheque',
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  notes: Joi.string().max(500).allow(''),
+});
+
+/**
+ * Void supplier payment validation schema
+ */
+const voidPaymentSchema = Joi.object({
+  reason: Joi.string()
+    .max(500)
+    .required()
+    .messages({
+      'any.required': 'Reason is required to void a payment',
+    }),
+});
+
+module.exports = {
+  recordPaymentSchema,
+  voidPaymentSchema,
+};
@@ -0,0 +1,91 @@
+const Joi = require('joi');
+const { imeiSchema } = require('./commonSchemas');
+
+/**
+ * Open supplier return validation schema
+ */
+const createSupplierReturnSchema = Joi.object({
+  supplier: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Supplier is required',
+    }),
+  location: Joi.string(), // Where replacements are received, defaults to the default location
+  items: Joi.array()
+    .items(
+      Joi.object({
+        imei: imeiSchema.required(),
+        fault: Joi.string()
+          .max(500)
+          .required()
+          .messages({
+            'any.required': 'Fault description is required',
+          }),
+      })
+    )
+    .min(1)
+    .required()
+    .messages({
+      'array.min': 'At least one phone is required',
+      'any.required': 'Items array is required',
+    }),
+  notes: Joi.string().max(500).allow(''),
+});
+
+/**
+ * Dispatch supplier return validation schema
+ */
+const dispatchSupplierReturnSchema = Joi.object({
+  courier: Joi.string().max(100).allow(''),
+  trackingNumber: Joi.string().max(100).allow(''),
+});
+
+/**
+ * Supplier response validation schema
+ */
+const resolveSupplierReturnSchema = Joi.object({
+  // Credit note covering every credited phone (unless given per phone)
+  creditNoteNumber: Joi.string().max(50),
+  items: Joi.array()
+    .items(
+      Joi.object({
+        imei: imeiSchema.required(),
+        outcome: Joi.string()
+          .valid('Replaced', 'Credited', 'Rejected')
+          .required(),
+        replacement: Joi.object({
+          imei: imeiSchema.required(),
+          imei2: imeiSchema
+            .empty('')
+            .invalid(Joi.ref('imei'))
+            .messages({
+              'string.pattern.base': 'IMEI 2 must be exactly 15 digits',
+              'any.invalid': 'IMEI 2 must be different from IMEI',
+            }),
+          serialNumber: Joi.string().allow(''),
+          sellingPrice: Joi.number().min(0), // Defaults to the returned phone's price
+          warrantyExpiryDate: Joi.date(),
+        }).when('outcome', {
+          is: 'Replaced',
+          then: Joi.required(),
+          otherwise: Joi.forbidden(),
+        }),
+        creditNoteNumber: Joi.string().max(50),
+        creditAmount: Joi.number().min(0), // Defaults to the phone's cost price
+        notes: Joi.string().max(500).allow(''),
+      })
+    )
+    .min(1)
+    .unique('imei')
+    .required()
+    .messages({
+      'array.min': 'At least one phone is required',
+      'array.unique': 'Each phone can only be resolved once',
+    }),
+});
+
+module.exports = {
+  createSupplierReturnSchema,
+  dispatchSupplierReturnSchema,
+  resolveSupplierReturnSchema,
+};
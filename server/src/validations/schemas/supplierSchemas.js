@@ -0,0 +1,40 @@
+const Joi = require('joi');
+
+/**
+ * Create supplier validation schema
+ */
+const createSupplierSchema = Joi.object({
+  name: Joi.string()
+    .required()
+    .max(150)
+    .messages({
+      'any.required': 'Supplier name is required',
+    }),
+  contactPerson: Joi.string().allow(''),
+  phone: Joi.string().allow(''),
+  email: Joi.string().email().allow(''),
+  address: Joi.string().allow(''),
+  taxNumber: Joi.string().allow(''),
+  paymentTermsDays: Joi.number().integer().min(0),
+  notes: Joi.string().allow(''),
+});
+
+/**
+ * Update supplier validation schema
+ */
+const updateSupplierSchema = Joi.object({
+  name: Joi.string().max(150),
+  contactPerson: Joi.string().allow(''),
+  phone: Joi.string().allow(''),
+  email: Joi.string().email().allow(''),
+  address: Joi.string().allow(''),
+  taxNumber: Joi.string().allow(''),
+  paymentTermsDays: Joi.number().integer().min(0),
+  isActive: Joi.boolean(),
+  notes: Joi.string().allow(''),
+});
+
+module.exports = {
+  createSupplierSchema,
+  updateSupplierSchema,
+};
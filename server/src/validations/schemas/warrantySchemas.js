@@ -0,0 +1,84 @@
+const Joi = require('joi');
+const { imeiSchema } = require('./commonSchemas');
+
+/**
+ * Create warranty claim validation schema
+ */
+const createWarrantyClaimSchema = Joi.object({
+  imei: imeiSchema.required().messages({
+    'any.required': 'IMEI is required',
+  }),
+  fault: Joi.string().trim().max(500).required().messages({
+    'any.required': 'Fault description is required',
+  }),
+  receivedCondition: Joi.string().max(500).allow(''),
+  contactPhone: Joi.string()
+    .pattern(/^[0-9+\-\s]{7,20}$/)
+    .allow('')
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number',
+    }),
+  notes: Joi.string().max(500).allow(''),
+});
+
+/**
+ * Send claim to service validation schema
+ */
+const sendClaimToServiceSchema = Joi.object({
+  sentTo: Joi.string().trim().max(150).required().messages({
+    'any.required': 'Service centre or supplier is required',
+  }),
+  reference: Joi.string().trim().max(100).allow(''),
+});
+
+/**
+ * Claim resolution notes validation schema (repaired, handed back)
+ */
+const claimNotesSchema = Joi.object({
+  notes: Joi.string().max(500).allow(''),
+});
+
+/**
+ * Replace claimed phone validation schema
+ */
+const replaceClaimPhoneSchema = Joi.object({
+  replacementImei: imeiSchema.required().messages({
+    'any.required': 'Replacement IMEI is required',
+  }),
+  notes: Joi.string().max(500).allow(''),
+});
+
+/**
+ * Reject warranty claim validation schema
+ */
+const rejectWarrantyClaimSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .required()
+    .messages({
+      'any.required': 'Reason is required to reject a claim',
+    }),
+});
+
+/**
+ * Link claim to supplier return validation schema
+ */
+const linkClaimSupplierReturnSchema = Joi.object({
+  supplierReturn: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid supplier return ID',
+      'any.required': 'Supplier return is required',
+    }),
+});
+
+module.exports = {
+  createWarrantyClaimSchema,
+  sendClaimToServiceSchema,
+  claimNotesSchema,
+  replaceClaimPhoneSchema,
+  rejectWarrantyClaimSchema,
+  linkClaimSupplierReturnSchema,
+};
@@ -0,0 +1,90 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const LocalStorageService = require('../../src/config/localStorage');
+
+describe('LocalStorageService', () => {
+  const env = { ...process.env };
+  let rootPath;
+  let storage;
+
+  beforeEach(async () => {
+    rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+    process.env.LOCAL_STORAGE_PATH = rootPath;
+    process.env.STORAGE_SIGNING_SECRET = 'test-secret';
+    process.env.STORAGE_PUBLIC_URL = 'https://api.example.com';
+    storage = new LocalStorageService();
+  });
+
+  afterEach(async () => {
+    process.env = { ...env };
+    await fs.rm(rootPath, { recursive: true, force: true });
+  });
+
+  describe('signed links', () => {
+    const linkParams = (url) => Object.fromEntries(new URL(url).searchParams);
+
+    it('accepts its own link until it expires', async () => {
+      const url = await storage.getSignedUrl('invoices/scan.pdf', 300);
+      const { key, expires, signature } = linkParams(url);
+
+      expect(url.startsWith('https://api.example.com/api/v1/files?')).toBe(true);
+      expect(key).toBe('invoices/scan.pdf');
+      expect(storage.verifySignature(key, expires, signature)).toBe(true);
+    });
+
+    it('refuses a link for another key or a later expiry', async () => {
+      const url = await storage.getSignedUrl('invoices/scan.pdf', 300);
+      const { key, expires, signature } = linkParams(url);
+
+      expect(storage.verifySignature('invoices/other.pdf', expires, signature)).toBe(false);
+      expect(storage.verifySignature(key, String(Number(expires) + 3600), signature)).toBe(false);
+      expect(storage.verifySignature(key, expires, 'abc')).toBe(false);
+    });
+
+    it('refuses an expired link', () => {
+      const expires = String(Math.floor(Date.now() / 1000) - 1);
+      const signature = storage.sign('invoices/scan.pdf', expires);
+
+      expect(storage.verifySignature('invoices/scan.pdf', expires, signature)).toBe(false);
+    });
+  });
+
+  describe('files', () => {
+    it('keeps keys inside the storage folder', () => {
+      expect(storage.resolvePath('invoices/scan.pdf')).toBe(
+        path.join(rootPath, 'invoices', 'scan.pdf')
+      );
+      expect(() => storage.resolvePath('../secrets.txt')).toThrow('Invalid file key');
+      expect(() => storage.resolvePath('invoices/../../secrets.txt')).toThrow('Invalid file key');
+      expect(() => storage.resolvePath('')).toThrow('Invalid file key');
+    });
+
+    it('uploads, describes and deletes a file', async () => {
+      const { key } = await storage.uploadFile(
+        Buffer.from('%PDF-'),
+        '../Scan 01.pdf',
+        'application/pdf',
+        'invoices'
+      );
+
+      expect(key).toMatch(/^invoices\/\d+-Scan_01\.pdf$/);
+      await expect(storage.fileExists(key)).resolves.toBe(true);
+      await expect(storage.getFileMetadata(key)).resolves.toMatchObject({
+        contentType: 'application/pdf',
+        contentLength: 5,
+      });
+      await expect(storage.listFiles('invoices')).resolves.toEqual([
+        expect.objectContaining({ key, size: 5 }),
+      ]);
+
+      await storage.deleteFile(key);
+
+      await expect(storage.fileExists(key)).resolves.toBe(false);
+    });
+
+    it('lists nothing for a folder that was never written', async () => {
+      await expect(storage.listFiles('products')).resolves.toEqual([]);
+    });
+  });
+});
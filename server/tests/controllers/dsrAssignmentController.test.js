@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const DsrAssignment = require('../../src/models/DsrAssignment');
+const DsrSchedule = require('../../src/models/DsrSchedule');
+const Phone = require('../../src/models/Phone');
+const StockMovement = require('../../src/models/StockMovement');
+const User = require('../../src/models/User');
+const { createAssignment, returnPhones } = require('../../src/controllers/dsrAssignmentController');
+const { mockQuery } = require('../helpers/mockQuery');
+const { mockResponse } = require('../helpers/mockResponse');
+
+jest.mock('../../src/utils/transaction', () => ({
+  withTransaction: (work) => work({ id: 'session' }),
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+
+const owner = { _id: id(), role: 'owner', email: 'owner@example.com' };
+const dsrUser = { _id: id(), role: 'dsr', email: 'dsr@example.com', fullName: 'Nimal Silva' };
+
+const stockPhones = (phones) =>
+  phones.map(
+    ([imei, status]) =>
+      new Phone({
+        invoice: id(),
+        product: id(),
+        imei,
+        costPrice: 40000,
+        sellingPrice: 50000,
+        status,
+      })
+  );
+
+describe('DSR assignment transactions', () => {
+  let schedule;
+  let phones;
+
+  beforeEach(() => {
+    schedule = new DsrSchedule({ dsr: dsrUser._id, date: new Date() });
+
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery(dsrUser));
+    jest.spyOn(DsrSchedule, 'findOne').mockReturnValue(mockQuery(schedule));
+    jest.spyOn(DsrSchedule, 'findById').mockReturnValue(mockQuery(schedule));
+    jest.spyOn(DsrSchedule.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Phone.prototype, 'save').mockResolvedValue();
+    jest.spyOn(DsrAssignment.prototype, 'save').mockResolvedValue();
+    jest.spyOn(DsrAssignment.prototype, 'populate').mockResolvedValue();
+    jest.spyOn(StockMovement, 'create').mockImplementation(async (entries) => entries);
+    jest
+      .spyOn(Phone, 'findByIMEI')
+      .mockImplementation((imei) => mockQuery(phones.find((phone) => phone.imei === imei)));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createAssignment', () => {
+    const assign = async (imeis) => {
+      const req = {
+        body: { dsrId: dsrUser._id, phones: imeis.map((imei) => ({ imei })) },
+        user: owner,
+      };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await createAssignment(req, res, next);
+
+      return { res, next };
+    };
+
+    beforeEach(() => {
+      jest
+        .spyOn(DsrAssignment, 'create')
+        .mockImplementation(async ([data]) => [new DsrAssignment(data)]);
+    });
+
+    it('reserves every phone and links the assignment to the schedule', async () => {
+      phones = stockPhones([
+        ['356938035643809', 'Available'],
+        ['490154203237518', 'Available'],
+      ]);
+
+      const { res, next } = await assign(['356938035643809', '490154203237518']);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(phones.map((phone) => phone.status)).toEqual(['Assigned', 'Assigned']);
+      expect(Phone.prototype.save).toHaveBeenCalledWith({ session: { id: 'session' } });
+      expect(schedule.performance.phonesAssigned).toBe(2);
+      expect(schedule.assignment).toBeDefined();
+    });
+
+    it('assigns nothing when one phone is not available', async () => {
+      phones = stockPhones([
+        ['356938035643809', 'Available'],
+        ['490154203237518', 'Sold'],
+      ]);
+
+      const { next } = await assign(['356938035643809', '490154203237518']);
+
+      const [error] = next.mock.calls[0];
+      expect(error.statusCode).toBe(400);
+      expect(error.errors).toEqual([
+        { imei: '490154203237518', reason: 'Phone is not available. Current status: Sold' },
+      ]);
+      expect(phones[0].status).toBe('Available');
+      expect(Phone.prototype.save).not.toHaveBeenCalled();
+      expect(DsrAssignment.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects an IMEI repeated in the request', async () => {
+      phones = stockPhones([['356938035643809', 'Available']]);
+
+      const { next } = await assign(['356938035643809', '356938035643809']);
+
+      const [error] = next.mock.calls[0];
+      expect(error.errors).toEqual([{ imei: '356938035643809', reason: 'Duplicate IMEI in request' }]);
+    });
+
+    it('refuses a second assignment on the same schedule', async () => {
+      schedule.assignment = id();
+      phones = stockPhones([['356938035643809', 'Available']]);
+
+      const { next } = await assign(['356938035643809']);
+
+      expect(next.mock.calls[0][0].message).toMatch('already has an assignment for today');
+    });
+  });
+
+  describe('returnPhones', () => {
+    let assignment;
+
+    const returnImeis = async (imeis) => {
+      const req = { params: { id: assignment._id }, body: { imeis }, user: owner };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await returnPhones(req, res, next);
+
+      return { res, next };
+    };
+
+    beforeEach(() => {
+      assignment = new DsrAssignment({
+        assignmentNumber: 'DSR-20260301-0001',
+        dsr: dsrUser._id,
+        schedule: schedule._id,
+        phones: ['356938035643809', '490154203237518'].map((imei) => ({
+          invoice: id(),
+          product: id(),
+          imei,
+          assignedPrice: 40000,
+          targetPrice: 50000,
+        })),
+        assignedBy: owner._id,
+      });
+
+      jest.spyOn(DsrAssignment, 'findById').mockReturnValue(mockQuery(assignment));
+    });
+
+    it('puts returned phones back in stock', async () => {
+      phones = stockPhones([
+        ['356938035643809', 'Assigned'],
+        ['490154203237518', 'Assigned'],
+      ]);
+
+      const { res, next } = await returnImeis(['356938035643809']);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(assignment.phones[0].status).toBe('Returned');
+      expect(phones.map((phone) => phone.status)).toEqual(['Available', 'Assigned']);
+      expect(schedule.performance.phonesReturned).toBe(1);
+    });
+
+    it('returns nothing when a phone was sold in inventory while assigned', async () => {
+      phones = stockPhones([
+        ['356938035643809', 'Assigned'],
+        ['490154203237518', 'Sold'],
+      ]);
+
+      const { next } = await returnImeis(['356938035643809', '490154203237518']);
+
+      const [error] = next.mock.calls[0];
+      expect(error.statusCode).toBe(400);
+      expect(error.errors).toEqual([
+        {
+          imei: '490154203237518',
+          reason: 'Phone is Sold in inventory, not assigned. It cannot be returned.',
+        },
+      ]);
+      expect(assignment.phones.map((phone) => phone.status)).toEqual(['Assigned', 'Assigned']);
+      expect(phones[1].status).toBe('Sold');
+      expect(DsrAssignment.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('keeps a phone held on a credit sale on the assignment', async () => {
+      phones = stockPhones([['356938035643809', 'Reserved']]);
+
+      const { next } = await returnImeis(['356938035643809']);
+
+      expect(next.mock.calls[0][0].errors).toEqual([
+        { imei: '356938035643809', reason: 'Phone is held on a sale awaiting credit approval' },
+      ]);
+      expect(phones[0].status).toBe('Reserved');
+    });
+
+    it('only lets a DSR return their own assignment', async () => {
+      const req = {
+        params: { id: assignment._id },
+        body: { imeis: ['356938035643809'] },
+        user: { _id: id(), role: 'dsr' },
+      };
+      const next = jest.fn();
+
+      await returnPhones(req, mockResponse(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const storage = require('../../src/config/storage');
+const { downloadFile } = require('../../src/controllers/fileController');
+const { mockResponse } = require('../helpers/mockResponse');
+
+describe('downloadFile', () => {
+  const download = async (query) => {
+    const res = mockResponse();
+    res.setHeader = jest.fn();
+    res.sendFile = jest.fn();
+    const next = jest.fn();
+
+    await downloadFile({ query }, res, next);
+
+    return { res, next, error: next.mock.calls[0] && next.mock.calls[0][0] };
+  };
+
+  const signedQuery = async (key) =>
+    Object.fromEntries(new URL(await storage.getSignedUrl(key, 300)).searchParams);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('serves a file through a valid link', async () => {
+    jest.spyOn(storage, 'fileExists').mockResolvedValue(true);
+    jest
+      .spyOn(storage, 'getFileMetadata')
+      .mockResolvedValue({ contentType: 'application/pdf', contentLength: 5 });
+
+    const { res, next } = await download(await signedQuery('invoices/scan.pdf'));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/pdf');
+    expect(res.sendFile).toHaveBeenCalledWith(storage.resolvePath('invoices/scan.pdf'));
+  });
+
+  it('refuses a tampered link', async () => {
+    jest.spyOn(storage, 'fileExists');
+    const query = await signedQuery('invoices/scan.pdf');
+
+    const { error } = await download({ ...query, key: 'invoices/other.pdf' });
+
+    expect(error).toMatchObject({ statusCode: 403, message: 'Download link is invalid or has expired' });
+    expect(storage.fileExists).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const Phone = require('../../src/models/Phone');
+const Product = require('../../src/models/Product');
+const PurchaseInvoice = require('../../src/models/PurchaseInvoice');
+const SalesInvoice = require('../../src/models/SalesInvoice');
+const StockMovement = require('../../src/models/StockMovement');
+const {
+  deletePhone,
+  updatePhone,
+  updatePhoneStatus,
+} = require('../../src/controllers/inventoryController');
+const { mockQuery } = require('../helpers/mockQuery');
+const { mockResponse } = require('../helpers/mockResponse');
+
+jest.mock('../../src/utils/transaction', () => ({
+  withTransaction: (work) => work({ id: 'session' }),
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+
+const user = { _id: id(), role: 'owner', email: 'owner@example.com' };
+
+const call = async (handler, req) => {
+  const res = mockResponse();
+  const next = jest.fn();
+
+  await handler({ user, ...req }, res, next);
+
+  return { res, next, error: next.mock.calls[0] && next.mock.calls[0][0] };
+};
+
+describe('inventoryController', () => {
+  let invoice;
+  let phone;
+
+  beforeEach(() => {
+    invoice = new PurchaseInvoice({ invoiceNumber: 'INV-001', invoiceStatus: 'Verified' });
+    phone = new Phone({
+      invoice: invoice._id,
+      product: id(),
+      imei: '356938035643809',
+      costPrice: 60000,
+      sellingPrice: 70000,
+    });
+
+    jest.spyOn(Phone, 'findByIMEI').mockReturnValue(mockQuery(phone));
+    jest.spyOn(PurchaseInvoice, 'findById').mockReturnValue(mockQuery(invoice));
+    jest.spyOn(Phone.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Phone.prototype, 'deleteOne').mockResolvedValue();
+    jest.spyOn(StockMovement, 'create').mockImplementation(async (entries) => entries);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('verified invoice costs', () => {
+    it('refuses to delete a phone of a verified invoice', async () => {
+      const { error } = await call(deletePhone, { params: { imei: phone.imei } });
+
+      expect(error.message).toBe(
+        'Cannot delete a phone on Verified invoice INV-001. Record a credit or debit note against the invoice instead.'
+      );
+      expect(Phone.prototype.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses to change the cost of a phone of a verified invoice', async () => {
+      const { error } = await call(updatePhone, {
+        params: { imei: phone.imei },
+        body: { costPrice: 55000 },
+      });
+
+      expect(error.message).toMatch(/^Cannot change the cost of a phone on Verified invoice INV-001/);
+      expect(phone.costPrice).toBe(60000);
+      expect(Phone.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updatePhoneStatus', () => {
+    const setStatus = (body) => call(updatePhoneStatus, { params: { imei: phone.imei }, body });
+
+    beforeEach(() => {
+      jest.spyOn(SalesInvoice.prototype, 'save').mockResolvedValue();
+      jest.spyOn(Product, 'find').mockReturnValue(mockQuery([]));
+    });
+
+    it('records a counter sales invoice when an Available phone is sold', async () => {
+      const { res, next } = await setStatus({ status: 'Sold', soldTo: 'Nimal Silva', soldPrice: 68000 });
+
+      expect(next).not.toHaveBeenCalled();
+      const { salesInvoice } = res.json.mock.calls[0][0].data;
+      expect(salesInvoice).toMatchObject({ channel: 'Counter', customerName: 'Nimal Silva' });
+      expect(phone.status).toBe('Sold');
+
+      const [[movement]] = StockMovement.create.mock.calls[0];
+      expect(movement).toMatchObject({ action: 'Sold', price: 68000 });
+      expect(movement.source).toMatchObject({ kind: 'Sale', reference: salesInvoice.invoiceNumber });
+    });
+
+    it('sells only Available phones at the counter', async () => {
+      phone.status = 'Assigned';
+
+      const { error } = await setStatus({ status: 'Sold' });
+
+      expect(error.message).toBe(
+        'Cannot sell phone with status: Assigned. Only Available phones can be sold at the counter.'
+      );
+      expect(SalesInvoice.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses to change the status of a phone sold on an invoice', async () => {
+      phone.status = 'Sold';
+      phone.salesInvoice = id();
+
+      const { error } = await setStatus({ status: 'Available' });
+
+      expect(error.message).toBe(
+        'Phone is sold on a sales invoice. Record a sales return against the invoice instead.'
+      );
+      expect(phone.status).toBe('Sold');
+      expect(Phone.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const InvoiceAmendment = require('../../src/models/InvoiceAmendment');
+const Phone = require('../../src/models/Phone');
+const PurchaseInvoice = require('../../src/models/PurchaseInvoice');
+const StockMovement = require('../../src/models/StockMovement');
+const {
+  createAmendment,
+  approveAmendment,
+} = require('../../src/controllers/invoiceAmendmentController');
+const { mockQuery } = require('../helpers/mockQuery');
+const { mockResponse } = require('../helpers/mockResponse');
+
+jest.mock('../../src/utils/transaction', () => ({
+  withTransaction: (work) => work({ id: 'session' }),
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+
+const user = { _id: id(), role: 'owner', email: 'owner@example.com' };
+
+const call = async (handler, req) => {
+  const res = mockResponse();
+  const next = jest.fn();
+
+  await handler({ user, ...req }, res, next);
+
+  return { res, next, error: next.mock.calls[0] && next.mock.calls[0][0] };
+};
+
+describe('invoice amendments', () => {
+  let invoice;
+  let phones;
+
+  beforeEach(() => {
+    invoice = new PurchaseInvoice({
+      invoiceNumber: 'INV-001',
+      invoiceStatus: 'Verified',
+      supplier: { name: 'Dialog' },
+      financials: { subtotal: 100000, totalCost: 100000 },
+    });
+    const phoneOf = (imei, costPrice) =>
+      new Phone({ invoice: invoice._id, product: id(), imei, costPrice, sellingPrice: costPrice + 10000 });
+    phones = [phoneOf('356938035643809', 60000), phoneOf('490154203237518', 40000)];
+
+    jest.spyOn(PurchaseInvoice, 'findById').mockReturnValue(mockQuery(invoice));
+    jest.spyOn(Phone, 'find').mockReturnValue(mockQuery(phones));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createAmendment', () => {
+    let pending;
+
+    beforeEach(() => {
+      pending = [];
+      jest.spyOn(InvoiceAmendment, 'find').mockImplementation(() => mockQuery(pending));
+      jest
+        .spyOn(InvoiceAmendment, 'create')
+        .mockImplementation(async (data) => new InvoiceAmendment(data));
+    });
+
+    const create = (lines) =>
+      call(createAmendment, { params: { id: invoice._id }, body: { lines, reason: 'Price drop' } });
+
+    it('raises a credit note when the lines lower the invoice total', async () => {
+      const { res, next } = await create([
+        { imei: '356938035643809', action: 'PriceChange', newCost: 55000 },
+        { imei: '490154203237518', action: 'Remove' },
+      ]);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+      const [data] = InvoiceAmendment.create.mock.calls[0];
+      expect(data.type).toBe('Credit');
+      expect(data.amendmentNumber).toMatch(/^CN-\d{8}-\d{4}$/);
+      expect(data.lines.map((line) => line.adjustment)).toEqual([-5000, -40000]);
+      expect(phones[0].costPrice).toBe(60000);
+    });
+
+    it('raises nothing when a line cannot be amended', async () => {
+      phones[1].status = 'Sold';
+      pending = [
+        new InvoiceAmendment({ amendmentNumber: 'DN-20260301-0001', lines: [{ imei: '356938035643809' }] }),
+      ];
+
+      const { error } = await create([
+        { imei: '356938035643809', action: 'PriceChange', newCost: 65000 },
+        { imei: '490154203237518', action: 'Remove' },
+        { imei: '352099001761481', action: 'Remove' },
+      ]);
+
+      expect(error.errors).toEqual([
+        { imei: '356938035643809', reason: 'Phone is already on pending note DN-20260301-0001' },
+        { imei: '490154203237518', reason: 'Only Available phones can be removed. Current status: Sold' },
+        { imei: '352099001761481', reason: 'Phone is not on this invoice' },
+      ]);
+      expect(InvoiceAmendment.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses to amend a draft invoice', async () => {
+      invoice.invoiceStatus = 'Draft';
+
+      const { error } = await create([{ imei: '490154203237518', action: 'Remove' }]);
+
+      expect(error.message).toBe('Cannot amend Draft invoice. Draft invoices are edited directly.');
+    });
+  });
+
+  describe('approveAmendment', () => {
+    let amendment;
+
+    beforeEach(() => {
+      amendment = new InvoiceAmendment({
+        amendmentNumber: 'CN-20260301-0001',
+        invoice: invoice._id,
+        type: 'Credit',
+        proof: { key: 'invoices/cn.jpg' },
+        lines: [
+          {
+            action: 'PriceChange',
+            phone: phones[0]._id,
+            imei: phones[0].imei,
+            previousCost: 60000,
+            newCost: 55000,
+            adjustment: -5000,
+          },
+          {
+            action: 'Remove',
+            phone: phones[1]._id,
+            imei: phones[1].imei,
+            previousCost: 40000,
+            adjustment: -40000,
+          },
+        ],
+        createdBy: user._id,
+      });
+
+      jest.spyOn(InvoiceAmendment, 'findOne').mockReturnValue(mockQuery(amendment));
+      jest.spyOn(InvoiceAmendment.prototype, 'save').mockResolvedValue();
+      jest.spyOn(Phone.prototype, 'save').mockResolvedValue();
+      jest.spyOn(Phone.prototype, 'deleteOne').mockResolvedValue();
+      jest.spyOn(StockMovement, 'create').mockImplementation(async (entries) => entries);
+      jest.spyOn(PurchaseInvoice, 'updateOne').mockResolvedValue();
+      jest.spyOn(PurchaseInvoice, 'recalculateTotals').mockResolvedValue(invoice);
+    });
+
+    const approve = () =>
+      call(approveAmendment, { params: { id: invoice._id, amendmentId: amendment._id } });
+
+    it('applies the lines and adds the adjustment to the invoice', async () => {
+      const { next } = await approve();
+
+      expect(next).not.toHaveBeenCalled();
+      expect(amendment.status).toBe('Approved');
+      expect(phones[0].costPrice).toBe(55000);
+      expect(Phone.prototype.deleteOne.mock.contexts).toEqual([phones[1]]);
+      expect(PurchaseInvoice.updateOne).toHaveBeenCalledWith(
+        { _id: invoice._id },
+        { $inc: { 'financials.amendedCost': -45000 } },
+        { session: { id: 'session' } }
+      );
+
+      const [movements] = StockMovement.create.mock.calls[0];
+      expect(movements.map((movement) => movement.action)).toEqual(['Updated', 'Removed']);
+      expect(movements[0].source).toMatchObject({ kind: 'Amendment', reference: 'CN-20260301-0001' });
+    });
+
+    it('applies nothing when a phone cost changed since the note was raised', async () => {
+      phones[0].costPrice = 58000;
+
+      const { error } = await approve();
+
+      expect(error.errors).toEqual([
+        { imei: '356938035643809', reason: 'Phone cost has changed since the note was raised' },
+      ]);
+      expect(amendment.status).toBe('Pending');
+      expect(PurchaseInvoice.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const PurchaseInvoice = require('../../src/models/PurchaseInvoice');
+const AttachmentService = require('../../src/services/attachmentService');
+const { getInvoiceAttachmentUrl } = require('../../src/controllers/invoiceAttachmentController');
+const { mockQuery } = require('../helpers/mockQuery');
+const { mockResponse } = require('../helpers/mockResponse');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('getInvoiceAttachmentUrl', () => {
+  let invoice;
+  let attachment;
+
+  const download = async (query = {}) => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await getInvoiceAttachmentUrl(
+      { params: { id: invoice._id, attachmentId: attachment._id }, query },
+      res,
+      next
+    );
+
+    return { res, next, error: next.mock.calls[0] && next.mock.calls[0][0] };
+  };
+
+  beforeEach(() => {
+    invoice = new PurchaseInvoice({ invoiceNumber: 'INV-001' });
+    const file = (key) => ({ key, fileName: `${key}.pdf`, mimeType: 'application/pdf' });
+    attachment = invoice.storeAttachment(file('first'), { type: 'Invoice', actor: id() });
+    invoice.storeAttachment(file('second'), { attachment, actor: id() });
+
+    jest.spyOn(PurchaseInvoice, 'findById').mockReturnValue(mockQuery(invoice));
+    jest
+      .spyOn(AttachmentService, 'getDownloadUrl')
+      .mockImplementation(async (key) => ({ url: `https://signed/${key}`, expiresIn: 300 }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('links the current file', async () => {
+    const { res } = await download();
+
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      data: {
+        fileName: 'second.pdf',
+        mimeType: 'application/pdf',
+        url: 'https://signed/second',
+        expiresIn: 300,
+      },
+    });
+  });
+
+  it('links an earlier version', async () => {
+    const { res } = await download({ version: '1' });
+
+    expect(res.json.mock.calls[0][0].data.url).toBe('https://signed/first');
+  });
+
+  it('reports a version that does not exist', async () => {
+    const { error } = await download({ version: '2' });
+
+    expect(error).toMatchObject({ statusCode: 404, message: 'Version 2 not found' });
+    expect(AttachmentService.getDownloadUrl).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Phone = require('../../src/models/Phone');
+const StockMovement = require('../../src/models/StockMovement');
+const StockTake = require('../../src/models/StockTake');
+const { approveStockTake } = require('../../src/controllers/stockTakeController');
+const { mockQuery } = require('../helpers/mockQuery');
+const { mockResponse } = require('../helpers/mockResponse');
+
+jest.mock('../../src/utils/transaction', () => ({
+  withTransaction: (work) => work({ id: 'session' }),
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+
+const user = { _id: id(), role: 'owner', email: 'owner@example.com' };
+const shop = id();
+
+describe('approveStockTake', () => {
+  let phones;
+  let stockTake;
+
+  const approve = async (adjustments) => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await approveStockTake({ user, params: { id: stockTake._id }, body: { adjustments } }, res, next);
+
+    return { res, next, error: next.mock.calls[0] && next.mock.calls[0][0] };
+  };
+
+  beforeEach(() => {
+    phones = [
+      new Phone({ invoice: id(), product: id(), imei: '356938035643809', costPrice: 1, sellingPrice: 1, location: id() }),
+      new Phone({ invoice: id(), product: id(), imei: '490154203237518', costPrice: 1, sellingPrice: 1, location: shop }),
+    ];
+
+    stockTake = new StockTake({
+      sessionNumber: 'STK-20260301-0001',
+      scope: { location: shop },
+      status: 'Closed',
+      variance: {
+        missing: [{ phone: phones[1]._id, imei: phones[1].imei, status: 'Available' }],
+        wrongStatus: [{ phone: phones[0]._id, imei: phones[0].imei, reason: 'Phone is recorded at another location' }],
+      },
+      openedBy: user._id,
+    });
+
+    jest.spyOn(StockTake, 'findById').mockReturnValue(mockQuery(stockTake));
+    jest.spyOn(StockTake.prototype, 'save').mockResolvedValue();
+    jest
+      .spyOn(Phone, 'findByIMEI')
+      .mockImplementation((imei) => mockQuery(phones.find((phone) => phone.imei === imei)));
+    jest.spyOn(Phone.prototype, 'save').mockResolvedValue();
+    jest.spyOn(StockMovement, 'create').mockImplementation(async (entries) => entries);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('posts each adjustment with a ledger movement', async () => {
+    const { next } = await approve([
+      { imei: '356938035643809', toStatus: 'Available', reason: 'Found on this shelf' },
+      { imei: '490154203237518', toStatus: 'Damaged', reason: 'Screen cracked' },
+    ]);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(stockTake.status).toBe('Approved');
+    expect(phones[0].location.equals(shop)).toBe(true);
+    expect(phones[1].status).toBe('Damaged');
+    expect(stockTake.adjustments).toHaveLength(2);
+    const [movements] = StockMovement.create.mock.calls[0];
+    expect(movements.map((movement) => movement.action)).toEqual(['Adjusted', 'Adjusted']);
+    expect(movements[0].source).toMatchObject({ kind: 'StockTake', reference: 'STK-20260301-0001' });
+  });
+
+  it('posts nothing when an IMEI is not in the variance report', async () => {
+    const { error } = await approve([
+      { imei: '490154203237518', toStatus: 'Damaged' },
+      { imei: '356938035643817', toStatus: 'Available' },
+    ]);
+
+    expect(error.errors).toEqual([{ imei: '356938035643817', reason: 'IMEI is not in the variance report' }]);
+    expect(phones[1].status).toBe('Available');
+    expect(stockTake.status).toBe('Closed');
+  });
+
+  it('leaves assigned and in-transit phones to their own flows', async () => {
+    phones[1].status = 'Assigned';
+
+    const { error } = await approve([{ imei: '490154203237518', toStatus: 'Available' }]);
+
+    expect(error.errors).toEqual([
+      { imei: '490154203237518', reason: 'Phone is Assigned. Close its assignment or transfer instead.' },
+    ]);
+  });
+
+  it('leaves phones reserved for a credit sale to the credit approval', async () => {
+    phones[1].status = 'Reserved';
+
+    const { error } = await approve([{ imei: '490154203237518', toStatus: 'Available' }]);
+
+    expect(error.errors).toEqual([
+      {
+        imei: '490154203237518',
+        reason: 'Phone is Reserved for a credit sale. Resolve the credit approval first.',
+      },
+    ]);
+  });
+
+  it('leaves phones sold on an invoice to sales returns', async () => {
+    phones[1].status = 'Sold';
+    phones[1].salesInvoice = id();
+
+    const { error } = await approve([{ imei: '490154203237518', toStatus: 'Available' }]);
+
+    expect(error.errors).toEqual([
+      {
+        imei: '490154203237518',
+        reason: 'Phone is sold on a sales invoice. Record a sales return against the invoice instead.',
+      },
+    ]);
+  });
+
+  it('clears the sale of a phone sold without an invoice', async () => {
+    phones[1].status = 'Sold';
+    phones[1].soldTo = 'Nimal Silva';
+    phones[1].customer = id();
+    phones[1].customerWarranty = { startDate: new Date(), expiryDate: new Date(), months: 12 };
+
+    const { next } = await approve([{ imei: '490154203237518', toStatus: 'Available' }]);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(phones[1].status).toBe('Available');
+    expect(phones[1].soldTo).toBeUndefined();
+    expect(phones[1].customer).toBeUndefined();
+    expect(phones[1].customerWarranty.expiryDate).toBeUndefined();
+  });
+});
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const Location = require('../../src/models/Location');
+const Phone = require('../../src/models/Phone');
+const StockMovement = require('../../src/models/StockMovement');
+const StockTransfer = require('../../src/models/StockTransfer');
+const {
+  createTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+} = require('../../src/controllers/stockTransferController');
+const { mockQuery } = require('../helpers/mockQuery');
+const { mockResponse } = require('../helpers/mockResponse');
+
+jest.mock('../../src/utils/transaction', () => ({
+  withTransaction: (work) => work({ id: 'session' }),
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+
+const user = { _id: id(), role: 'clerk', email: 'clerk@example.com' };
+const shop = id();
+const warehouse = id();
+
+const stockPhone = (imei, fields = {}) =>
+  new Phone({
+    invoice: id(),
+    product: id(),
+    imei,
+    costPrice: 40000,
+    sellingPrice: 50000,
+    location: shop,
+    ...fields,
+  });
+
+const run = async (handler, req) => {
+  const res = mockResponse();
+  const next = jest.fn();
+
+  await handler({ user, params: {}, body: {}, ...req }, res, next);
+
+  return { res, next, error: next.mock.calls[0] && next.mock.calls[0][0] };
+};
+
+describe('Stock transfers', () => {
+  let phones;
+
+  beforeEach(() => {
+    phones = [stockPhone('356938035643809'), stockPhone('490154203237518')];
+
+    jest
+      .spyOn(Phone, 'findByIMEI')
+      .mockImplementation((imei) => mockQuery(phones.find((phone) => phone.imei === imei)));
+    jest.spyOn(Phone.prototype, 'save').mockResolvedValue();
+    jest.spyOn(StockTransfer.prototype, 'save').mockResolvedValue();
+    jest.spyOn(StockMovement, 'create').mockImplementation(async (entries) => entries);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createTransfer', () => {
+    const body = (imeis) => ({
+      fromLocation: shop.toString(),
+      toLocation: warehouse.toString(),
+      imeis,
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Location, 'find').mockReturnValue(mockQuery([{ _id: shop }, { _id: warehouse }]));
+      jest.spyOn(StockTransfer, 'exists').mockReturnValue(mockQuery(null));
+      jest
+        .spyOn(StockTransfer, 'create')
+        .mockImplementation(async ([data]) => [new StockTransfer(data)]);
+    });
+
+    it('drafts a transfer without touching phone status', async () => {
+      const { res, next } = await run(createTransfer, {
+        body: body(['356938035643809', '490154203237518']),
+      });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+      const [[data]] = StockTransfer.create.mock.calls[0];
+      expect(data.phones.map((item) => item.imei)).toEqual(['356938035643809', '490154203237518']);
+      expect(phones.map((phone) => phone.status)).toEqual(['Available', 'Available']);
+    });
+
+    it('creates nothing when a phone is elsewhere or already on an open transfer', async () => {
+      phones[0].location = warehouse;
+      StockTransfer.exists.mockImplementation((filter) =>
+        mockQuery(filter['phones.phone'].equals(phones[1]._id) ? { _id: id() } : null)
+      );
+
+      const { error } = await run(createTransfer, {
+        body: body(['356938035643809', '490154203237518']),
+      });
+
+      expect(error.statusCode).toBe(400);
+      expect(error.errors).toEqual([
+        { imei: '356938035643809', reason: 'Phone is not held at the source location' },
+        { imei: '490154203237518', reason: 'Phone is already on another open transfer' },
+      ]);
+      expect(StockTransfer.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses the same source and destination', async () => {
+      const { error } = await run(createTransfer, {
+        body: { fromLocation: shop.toString(), toLocation: shop.toString(), imeis: ['356938035643809'] },
+      });
+
+      expect(error.message).toBe('Source and destination locations must be different');
+    });
+  });
+
+  describe('dispatch and receive', () => {
+    let transfer;
+
+    beforeEach(() => {
+      transfer = new StockTransfer({
+        transferNumber: 'TRF-20260301-0001',
+        fromLocation: shop,
+        toLocation: warehouse,
+        phones: phones.map((phone) => ({ phone: phone._id, imei: phone.imei, product: phone.product })),
+        createdBy: user._id,
+      });
+
+      jest.spyOn(StockTransfer, 'findById').mockReturnValue(mockQuery(transfer));
+      jest.spyOn(Phone, 'find').mockImplementation(() => mockQuery(phones));
+    });
+
+    it('puts every phone in transit and records a movement each', async () => {
+      const { next } = await run(dispatchTransfer, { params: { id: transfer._id } });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(transfer.status).toBe('In Transit');
+      expect(phones.map((phone) => phone.status)).toEqual(['Transit', 'Transit']);
+      const [movements] = StockMovement.create.mock.calls[0];
+      expect(movements.map((movement) => movement.action)).toEqual(['TransferOut', 'TransferOut']);
+      expect(movements[0].source).toMatchObject({ kind: 'Transfer', reference: 'TRF-20260301-0001' });
+    });
+
+    it('dispatches nothing when a phone was sold after drafting', async () => {
+      phones[1].status = 'Sold';
+
+      const { error } = await run(dispatchTransfer, { params: { id: transfer._id } });
+
+      expect(error.errors).toEqual([
+        { imei: '490154203237518', reason: 'Phone is not available. Current status: Sold' },
+      ]);
+      expect(transfer.status).toBe('Draft');
+      expect(phones[0].status).toBe('Available');
+    });
+
+    it('makes phones available at the destination on receipt', async () => {
+      transfer.status = 'In Transit';
+      phones.forEach((phone) => (phone.status = 'Transit'));
+
+      const { next } = await run(receiveTransfer, { params: { id: transfer._id } });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(transfer.status).toBe('Received');
+      expect(phones.every((phone) => phone.status === 'Available' && phone.location.equals(warehouse))).toBe(true);
+    });
+
+    it('refuses to receive when a phone left transit', async () => {
+      transfer.status = 'In Transit';
+      Phone.find.mockReturnValue(mockQuery([phones[0]]));
+
+      const { error } = await run(receiveTransfer, { params: { id: transfer._id } });
+
+      expect(error.statusCode).toBe(409);
+      expect(transfer.status).toBe('In Transit');
+    });
+
+    it('only receives transfers that are in transit', async () => {
+      const { error } = await run(receiveTransfer, { params: { id: transfer._id } });
+
+      expect(error.message).toBe('Transfer is Draft. Only In Transit transfers can be processed.');
+    });
+  });
+});
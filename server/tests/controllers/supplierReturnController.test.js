@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Phone = require('../../src/models/Phone');
+const PurchaseInvoice = require('../../src/models/PurchaseInvoice');
+const StockMovement = require('../../src/models/StockMovement');
+const Supplier = require('../../src/models/Supplier');
+const SupplierReturn = require('../../src/models/SupplierReturn');
+const InventoryService = require('../../src/services/inventoryService');
+const SupplierReturnService = require('../../src/services/supplierReturnService');
+const {
+  createSupplierReturn,
+  resolveSupplierReturn,
+} = require('../../src/controllers/supplierReturnController');
+const { mockQuery } = require('../helpers/mockQuery');
+const { mockResponse } = require('../helpers/mockResponse');
+
+jest.mock('../../src/utils/transaction', () => ({
+  withTransaction: (work) => work({ id: 'session' }),
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+
+const user = { _id: id(), role: 'owner', email: 'owner@example.com' };
+const supplier = id();
+
+const call = async (handler, req) => {
+  const res = mockResponse();
+  const next = jest.fn();
+
+  await handler({ user, ...req }, res, next);
+
+  return { res, next, error: next.mock.calls[0] && next.mock.calls[0][0] };
+};
+
+const makePhone = (imei, fields = {}) => {
+  const phone = new Phone({ product: id(), imei, costPrice: 1000, sellingPrice: 1500, ...fields });
+  phone.invoice = new PurchaseInvoice({ supplierRef: fields.supplierRef || supplier });
+  return phone;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createSupplierReturn', () => {
+  let phones;
+
+  beforeEach(() => {
+    phones = [
+      makePhone('356938035643809'),
+      makePhone('490154203237518', { status: 'Damaged' }),
+    ];
+
+    jest.spyOn(Supplier, 'exists').mockReturnValue(mockQuery(true));
+    jest.spyOn(InventoryService, 'resolveLocation').mockResolvedValue({ _id: id() });
+    jest
+      .spyOn(Phone, 'findByIMEI')
+      .mockImplementation((imei) => mockQuery(phones.find((phone) => phone.imei === imei)));
+    jest.spyOn(SupplierReturn.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Phone.prototype, 'save').mockResolvedValue();
+  });
+
+  const create = (items) => call(createSupplierReturn, { body: { supplier, items } });
+
+  it('holds the phones on the new return', async () => {
+    const { res, next } = await create([
+      { imei: '356938035643809', fault: 'No signal' },
+      { imei: '490154203237518', fault: 'Dead on arrival' },
+    ]);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(201);
+    const [rma] = SupplierReturn.prototype.save.mock.contexts;
+    expect(rma.items.map((item) => item.imei)).toEqual(['356938035643809', '490154203237518']);
+    phones.forEach((phone) => expect(phone.supplierReturn.equals(rma._id)).toBe(true));
+  });
+
+  it('adds no phones when any phone cannot be returned', async () => {
+    phones[0].status = 'Sold';
+    phones[1] = makePhone('490154203237518', { supplierRef: id() });
+    phones.push(makePhone('353456789012348', { supplierReturn: id() }));
+
+    const { error } = await create([
+      { imei: '356938035643809', fault: 'No signal' },
+      { imei: '490154203237518', fault: 'No signal' },
+      { imei: '353456789012348', fault: 'No signal' },
+      { imei: '353456789012348', fault: 'No signal' },
+      { imei: '352099001761481', fault: 'No signal' },
+    ]);
+
+    expect(error.statusCode).toBe(400);
+    expect(error.errors).toEqual([
+      { imei: '356938035643809', reason: 'Phone cannot be returned. Current status: Sold' },
+      { imei: '490154203237518', reason: 'Phone was not bought from this supplier' },
+      { imei: '353456789012348', reason: 'Phone is already on a supplier return' },
+      { imei: '353456789012348', reason: 'Duplicate IMEI in request' },
+      { imei: '352099001761481', reason: 'Phone not found in inventory' },
+    ]);
+    expect(SupplierReturn.prototype.save).not.toHaveBeenCalled();
+    expect(Phone.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('resolveSupplierReturn', () => {
+  let phones;
+  let rma;
+
+  beforeEach(() => {
+    phones = [
+      makePhone('356938035643809', { status: 'Returned' }),
+      makePhone('490154203237518', { status: 'Returned' }),
+    ];
+
+    rma = new SupplierReturn({
+      rmaNumber: 'RMA-20260301-0001',
+      supplier,
+      status: 'Dispatched',
+      items: phones.map((phone) => ({
+        phone: phone._id,
+        imei: phone.imei,
+        product: phone.product,
+        invoice: phone.invoice._id,
+        costPrice: phone.costPrice,
+        fault: 'No signal',
+      })),
+      createdBy: user._id,
+    });
+
+    jest.spyOn(InventoryService, 'findDuplicateIMEIs').mockResolvedValue([]);
+    jest.spyOn(SupplierReturn, 'findById').mockReturnValue(mockQuery(rma));
+    jest.spyOn(SupplierReturn.prototype, 'save').mockResolvedValue();
+    jest
+      .spyOn(Phone, 'findById')
+      .mockImplementation((phoneId) => mockQuery(phones.find((phone) => phone._id.equals(phoneId))));
+    jest.spyOn(Phone.prototype, 'save').mockResolvedValue();
+    jest.spyOn(StockMovement, 'create').mockImplementation(async (entries) => entries);
+    jest.spyOn(SupplierReturnService, 'reverseInvoiceCosts').mockResolvedValue([]);
+  });
+
+  const resolve = (body) => call(resolveSupplierReturn, { params: { id: rma._id }, body });
+
+  it('reverses credited costs and takes rejected phones back as Damaged', async () => {
+    const { next } = await resolve({
+      creditNoteNumber: 'CN-42',
+      items: [
+        { imei: '356938035643809', outcome: 'Credited', creditAmount: 800 },
+        { imei: '490154203237518', outcome: 'Rejected', notes: 'Water damage' },
+      ],
+    });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(rma.status).toBe('Resolved');
+    expect(rma.items[0]).toMatchObject({ outcome: 'Credited', creditNoteNumber: 'CN-42', creditAmount: 800 });
+    expect(phones[1].status).toBe('Damaged');
+    expect(phones[1].supplierReturn).toBeUndefined();
+
+    const [amounts] = SupplierReturnService.reverseInvoiceCosts.mock.calls[0];
+    expect([...amounts]).toEqual([[phones[0].invoice._id.toString(), 800]]);
+  });
+
+  it('resolves nothing when an item cannot be resolved', async () => {
+    rma.items[1].outcome = 'Replaced';
+
+    const { error } = await resolve({
+      items: [
+        { imei: '356938035643809', outcome: 'Credited' },
+        { imei: '490154203237518', outcome: 'Rejected' },
+        { imei: '352099001761481', outcome: 'Rejected' },
+      ],
+    });
+
+    expect(error.errors).toEqual([
+      { imei: '356938035643809', reason: 'Credit note number is required' },
+      { imei: '490154203237518', reason: 'Phone is already Replaced' },
+      { imei: '352099001761481', reason: 'Phone is not on this supplier return' },
+    ]);
+    expect(rma.status).toBe('Dispatched');
+    expect(SupplierReturnService.reverseInvoiceCosts).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * Chainable stand-in for a Mongoose query or aggregate that resolves to a value
+ * Lets services run against mocked model statics without a database
+ * @param {*} value - What awaiting the query resolves to
+ */
+const mockQuery = (value) => {
+  const query = {
+    sort: () => query,
+    select: () => query,
+    populate: () => query,
+    session: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+
+  return query;
+};
+
+module.exports = {
+  mockQuery,
+};
@@ -0,0 +1,13 @@
+/**
+ * Express response stand-in that records the status and JSON body
+ */
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+module.exports = {
+  mockResponse,
+};
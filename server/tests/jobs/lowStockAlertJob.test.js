@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Product = require('../../src/models/Product');
+const InventoryService = require('../../src/services/inventoryService');
+const telegramService = require('../../src/services/telegramService');
+const lowStockAlertJob = require('../../src/jobs/lowStockAlertJob');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const lowItem = (fields = {}) => ({
+  product: { _id: id(), brand: 'SAMSUNG', model: 'Galaxy A15', specifications: {} },
+  available: 1,
+  reorderLevel: 3,
+  suggestedQuantity: 5,
+  lastPurchase: { supplier: { name: 'Dialog' }, costPrice: 40000 },
+  ...fields,
+});
+
+describe('LowStockAlertJob', () => {
+  beforeEach(() => {
+    jest.spyOn(Product, 'updateMany').mockResolvedValue({});
+    jest.spyOn(telegramService, 'sendLowStockDigest').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('alerts only products not already reported and marks them', async () => {
+    const fresh = lowItem();
+    const reported = lowItem({ alertedAt: new Date() });
+    jest.spyOn(InventoryService, 'getLowStock').mockResolvedValue([fresh, reported]);
+
+    await lowStockAlertJob.run();
+
+    const [groups] = telegramService.sendLowStockDigest.mock.calls[0];
+    expect(groups).toHaveLength(1);
+    expect(groups[0].products).toEqual([fresh]);
+    expect(Product.updateMany).toHaveBeenLastCalledWith(
+      { _id: { $in: [fresh.product._id] } },
+      { $set: { 'reorder.alertedAt': expect.any(Date) } }
+    );
+  });
+
+  it('lets restocked products alert again', async () => {
+    const stillLow = lowItem({ alertedAt: new Date() });
+    jest.spyOn(InventoryService, 'getLowStock').mockResolvedValue([stillLow]);
+
+    await lowStockAlertJob.run();
+
+    expect(Product.updateMany).toHaveBeenCalledWith(
+      { _id: { $nin: [stillLow.product._id] }, 'reorder.alertedAt': { $exists: true } },
+      { $unset: { 'reorder.alertedAt': 1 } }
+    );
+    expect(telegramService.sendLowStockDigest).not.toHaveBeenCalled();
+  });
+
+  it('keeps products unmarked when the digest could not be sent', async () => {
+    jest.spyOn(InventoryService, 'getLowStock').mockResolvedValue([lowItem()]);
+    telegramService.sendLowStockDigest.mockResolvedValue(false);
+
+    await lowStockAlertJob.run();
+
+    expect(Product.updateMany).toHaveBeenCalledTimes(1);
+  });
+});
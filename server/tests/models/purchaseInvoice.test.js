@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const PurchaseInvoice = require('../../src/models/PurchaseInvoice');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const invoiceOf = (payment = {}) =>
+  new PurchaseInvoice({
+    invoiceNumber: 'INV-001',
+    invoiceDate: new Date('2026-03-01T00:00:00Z'),
+    invoiceTime: '10:30',
+    supplier: { name: 'Dialog' },
+    financials: { subtotal: 300000, totalCost: 300000 },
+    payment: { method: 'Bank Transfer', ...payment },
+  });
+
+describe('PurchaseInvoice payments', () => {
+  describe('addInitialPayment', () => {
+    it('records the amount entered with the invoice as its first installment', () => {
+      const actor = id();
+      const invoice = invoiceOf({ paidAmount: 100000, referenceNumber: 'TRX-1' });
+
+      invoice.addInitialPayment(actor);
+
+      expect(invoice.payments).toHaveLength(1);
+      expect(invoice.payments[0]).toMatchObject({
+        amount: 100000,
+        method: 'Bank Transfer',
+        referenceNumber: 'TRX-1',
+        recordedBy: actor,
+      });
+      expect(invoice.payments[0].paymentDate).toEqual(invoice.invoiceDate);
+    });
+
+    it('treats an invoice marked paid without an amount as paid in full', () => {
+      const invoice = invoiceOf({ status: 'Paid' });
+
+      invoice.addInitialPayment(id());
+
+      expect(invoice.payments[0].amount).toBe(300000);
+    });
+
+    it('records nothing for a credit purchase', () => {
+      const invoice = invoiceOf({ method: 'Credit', status: 'Paid' });
+
+      invoice.addInitialPayment(id());
+
+      expect(invoice.payments).toHaveLength(0);
+    });
+  });
+
+  describe('refreshPaymentStatus', () => {
+    const now = new Date('2026-03-20T00:00:00Z');
+
+    it('sums installments and ignores voided ones', () => {
+      const invoice = invoiceOf();
+      invoice.payments.push(
+        { amount: 100000, method: 'Cash', paymentDate: new Date('2026-03-02') },
+        { amount: 50000, method: 'Cheque', paymentDate: new Date('2026-03-05'), voidedAt: new Date('2026-03-08') }
+      );
+
+      invoice.refreshPaymentStatus(now);
+
+      expect(invoice.payment.paidAmount).toBe(100000);
+      expect(invoice.payment.pendingAmount).toBe(200000);
+      expect(invoice.payment.paymentDate).toEqual(new Date('2026-03-02'));
+      expect(invoice.payment.status).toBe('Partial');
+    });
+
+    it('marks an unpaid balance past its due date as overdue', () => {
+      const invoice = invoiceOf().setDueDate(14);
+
+      invoice.refreshPaymentStatus(now);
+
+      expect(invoice.payment.dueDate).toEqual(new Date('2026-03-15T00:00:00Z'));
+      expect(invoice.payment.status).toBe('Overdue');
+    });
+
+    it('is paid once installments cover the total', () => {
+      const invoice = invoiceOf().setDueDate(14);
+      invoice.payments.push({ amount: 300000, method: 'Cash', paymentDate: new Date('2026-03-25') });
+
+      invoice.refreshPaymentStatus(now);
+
+      expect(invoice.payment.status).toBe('Paid');
+    });
+
+    it('goes back to pending when the only payment is voided', () => {
+      const invoice = invoiceOf();
+      invoice.payments.push({ amount: 300000, method: 'Cheque', voidedAt: new Date() });
+
+      invoice.refreshPaymentStatus(now);
+
+      expect(invoice.payment.paidAmount).toBe(0);
+      expect(invoice.payment.status).toBe('Pending');
+    });
+  });
+});
+
+describe('PurchaseInvoice.allocateLandedCost', () => {
+  const invoiceWith = (financials) =>
+    new PurchaseInvoice({
+      invoiceNumber: 'INV-002',
+      supplier: { name: 'Dialog' },
+      financials: {
+        subtotal: 100000,
+        tax: { amount: 1800 },
+        shippingCost: 1000,
+        discount: { amount: 400 },
+        ...financials,
+      },
+    });
+
+  const phonesOf = (...costs) => costs.map((costPrice) => ({ _id: id(), costPrice, status: 'Available' }));
+
+  it('spreads tax and shipping less discount by unit cost', () => {
+    const phones = phonesOf(25000, 75000);
+
+    const changed = invoiceWith().allocateLandedCost(phones);
+
+    expect(phones.map((phone) => phone.landedCost)).toEqual([25600, 76800]);
+    expect(changed).toEqual(phones);
+  });
+
+  it('gives equal shares by quantity and leaves the rounding to the last phone', () => {
+    const phones = phonesOf(10000, 20000, 30000);
+
+    const invoice = invoiceWith({
+      costAllocation: 'Quantity',
+      tax: { amount: 0 },
+      shippingCost: 100,
+      discount: { amount: 0 },
+    });
+
+    invoice.allocateLandedCost(phones);
+
+    expect(phones.map((phone) => phone.landedCost)).toEqual([10033.33, 20033.33, 30033.34]);
+  });
+
+  it('skips phones sent back to the supplier and reports only changed phones', () => {
+    const phones = phonesOf(40000, 60000, 50000);
+    phones[1].landedCost = 61440;
+    phones[2].status = 'Returned';
+    phones[2].supplierReturn = id();
+
+    const changed = invoiceWith().allocateLandedCost(phones);
+
+    expect(phones[0].landedCost).toBe(40960);
+    expect(phones[2].landedCost).toBeUndefined();
+    expect(changed).toEqual([phones[0]]);
+  });
+});
+
+describe('PurchaseInvoice attachments', () => {
+  const file = (key) => ({ key, fileName: `${key}.pdf`, mimeType: 'application/pdf', size: 1024 });
+
+  it('adds a new attachment of a type', () => {
+    const actor = id();
+    const invoice = invoiceOf();
+
+    const attachment = invoice.storeAttachment(file('invoices/scan'), {
+      type: 'Invoice',
+      notes: 'Original copy',
+      actor,
+    });
+
+    expect(invoice.attachments).toHaveLength(1);
+    expect(attachment).toMatchObject({ type: 'Invoice', key: 'invoices/scan', notes: 'Original copy' });
+    expect(attachment.uploadedBy).toEqual(actor);
+    expect(attachment.versions).toHaveLength(0);
+  });
+
+  it('keeps the replaced file as a version', () => {
+    const invoice = invoiceOf();
+    const attachment = invoice.storeAttachment(file('invoices/first'), { type: 'Invoice', notes: 'Blurry' });
+
+    invoice.storeAttachment(file('invoices/second'), { attachment, actor: id() });
+
+    expect(invoice.attachments).toHaveLength(1);
+    expect(attachment.key).toBe('invoices/second');
+    expect(attachment.notes).toBe('Blurry');
+    expect(attachment.versions.map((version) => version.key)).toEqual(['invoices/first']);
+  });
+
+  it('finds the latest attachment of a type', () => {
+    const invoice = invoiceOf();
+    invoice.storeAttachment(file('invoices/first'), { type: 'Invoice' });
+    invoice.storeAttachment(file('invoices/delivery'), { type: 'Delivery Note' });
+    invoice.storeAttachment(file('invoices/second'), { type: 'Invoice' });
+
+    expect(invoice.findAttachment('Invoice').key).toBe('invoices/second');
+    expect(invoice.findAttachment('Payment Slip')).toBeUndefined();
+  });
+});
@@ -0,0 +1,52 @@
+const storage = require('../../src/config/storage');
+const AttachmentService = require('../../src/services/attachmentService');
+
+describe('AttachmentService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores the key and file details of an upload', async () => {
+    jest.spyOn(storage, 'isReady').mockReturnValue(true);
+    jest
+      .spyOn(storage, 'uploadFile')
+      .mockResolvedValue({ key: 'invoices/scan.pdf', location: 'https://bucket/invoices/scan.pdf' });
+
+    const stored = await AttachmentService.upload(
+      { buffer: Buffer.from('pdf'), originalname: 'scan.pdf', mimetype: 'application/pdf', size: 3 },
+      'invoices'
+    );
+
+    expect(storage.uploadFile).toHaveBeenCalledWith(
+      expect.any(Buffer),
+      'scan.pdf',
+      'application/pdf',
+      'invoices'
+    );
+    expect(stored).toEqual({
+      key: 'invoices/scan.pdf',
+      fileName: 'scan.pdf',
+      mimeType: 'application/pdf',
+      size: 3,
+    });
+  });
+
+  it('issues a short-lived signed link', async () => {
+    jest.spyOn(storage, 'isReady').mockReturnValue(true);
+    jest.spyOn(storage, 'getSignedUrl').mockResolvedValue('https://bucket/invoices/scan.pdf?signature');
+
+    const download = await AttachmentService.getDownloadUrl('invoices/scan.pdf');
+
+    expect(storage.getSignedUrl).toHaveBeenCalledWith('invoices/scan.pdf', 300);
+    expect(download).toMatchObject({ url: 'https://bucket/invoices/scan.pdf?signature', expiresIn: 300 });
+    expect(download.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('refuses when file storage is not configured', async () => {
+    jest.spyOn(storage, 'isReady').mockReturnValue(false);
+
+    await expect(AttachmentService.getDownloadUrl('invoices/scan.pdf')).rejects.toMatchObject({
+      statusCode: 503,
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const ExchangeRate = require('../../src/models/ExchangeRate');
+const Phone = require('../../src/models/Phone');
+const PurchaseInvoice = require('../../src/models/PurchaseInvoice');
+const CurrencyService = require('../../src/services/currencyService');
+const { mockQuery } = require('../helpers/mockQuery');
+
+jest.mock('../../src/utils/transaction', () => ({
+  withTransaction: (work) => work({ id: 'session' }),
+}));
+
+const invoiceIn = (currency, exchangeRate) => {
+  const invoice = new PurchaseInvoice({
+    invoiceNumber: 'INV-USD-1',
+    invoiceDate: new Date('2026-03-10T00:00:00Z'),
+    supplier: { name: 'Shenzhen Trading' },
+    financials: { currency, exchangeRate },
+  });
+  invoice.isNew = false;
+  return invoice;
+};
+
+describe('CurrencyService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveRate', () => {
+    it('uses 1 for rupees without looking up a rate', async () => {
+      jest.spyOn(ExchangeRate, 'findRate');
+
+      await expect(CurrencyService.resolveRate('LKR', new Date())).resolves.toEqual({ rate: 1 });
+      expect(ExchangeRate.findRate).not.toHaveBeenCalled();
+    });
+
+    it('refuses a currency without a rate on or before the date', async () => {
+      jest.spyOn(ExchangeRate, 'findRate').mockReturnValue(mockQuery(null));
+
+      await expect(
+        CurrencyService.resolveRate('USD', new Date('2026-03-10T00:00:00Z'))
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('applyInvoiceRate', () => {
+    const rateDate = new Date('2026-03-09T00:00:00Z');
+
+    beforeEach(() => {
+      jest.spyOn(ExchangeRate, 'findRate').mockReturnValue(mockQuery({ rate: 300, date: rateDate }));
+      jest.spyOn(Phone, 'updateMany').mockResolvedValue();
+    });
+
+    it('sets and locks the rate and copies it to the phones', async () => {
+      const invoice = invoiceIn('USD');
+      const session = { id: 'session' };
+
+      await CurrencyService.applyInvoiceRate(invoice, { lock: true, session });
+
+      expect(invoice.financials.exchangeRate).toMatchObject({ rate: 300, rateDate });
+      expect(invoice.financials.exchangeRate.lockedAt).toBeInstanceOf(Date);
+      expect(Phone.updateMany).toHaveBeenCalledWith(
+        { invoice: invoice._id },
+        { $set: { exchangeRate: 300 } },
+        { session }
+      );
+    });
+
+    it('leaves a locked rate as it is', async () => {
+      const lockedAt = new Date('2026-03-11T00:00:00Z');
+      const invoice = invoiceIn('USD', { rate: 290, lockedAt });
+
+      await CurrencyService.applyInvoiceRate(invoice, { lock: true });
+
+      expect(invoice.financials.exchangeRate).toMatchObject({ rate: 290, lockedAt });
+      expect(Phone.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refreshUnlockedRates', () => {
+    let invoices;
+
+    beforeEach(() => {
+      invoices = [invoiceIn('USD', { rate: 290 }), invoiceIn('USD', { rate: 300 })];
+
+      jest.spyOn(PurchaseInvoice, 'find').mockReturnValue(mockQuery(invoices));
+      jest
+        .spyOn(PurchaseInvoice, 'findById')
+        .mockImplementation((invoiceId) =>
+          mockQuery(invoices.find((invoice) => invoice._id.equals(invoiceId)))
+        );
+      jest.spyOn(PurchaseInvoice.prototype, 'save').mockResolvedValue();
+      jest.spyOn(ExchangeRate, 'findRate').mockReturnValue(mockQuery({ rate: 300, date: new Date() }));
+      jest.spyOn(Phone, 'updateMany').mockResolvedValue();
+    });
+
+    it('saves only the invoices whose rate changed', async () => {
+      await expect(CurrencyService.refreshUnlockedRates('USD')).resolves.toBe(1);
+
+      expect(invoices[0].financials.exchangeRate.rate).toBe(300);
+      expect(PurchaseInvoice.prototype.save.mock.contexts).toEqual([invoices[0]]);
+    });
+
+    it('skips an invoice verified after the list was read', async () => {
+      invoices[0].financials.exchangeRate.lockedAt = new Date();
+
+      await expect(CurrencyService.refreshUnlockedRates('USD')).resolves.toBe(0);
+
+      expect(invoices[0].financials.exchangeRate.rate).toBe(290);
+      expect(PurchaseInvoice.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+});
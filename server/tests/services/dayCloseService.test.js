@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const DsrAssignment = require('../../src/models/DsrAssignment');
+const SalesInvoice = require('../../src/models/SalesInvoice');
+const Receipt = require('../../src/models/Receipt');
+const DayCloseService = require('../../src/services/dayCloseService');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const dsr = id();
+
+const saleInvoice = (method) =>
+  new SalesInvoice({
+    invoiceNumber: `SI-20260301-${method.slice(0, 4).toUpperCase()}`,
+    channel: 'DSR',
+    customerName: 'Kamal Mobile',
+    lines: [],
+    payment: { method },
+    soldBy: dsr,
+  });
+
+const collection = (method, amount, chequeStatus) =>
+  new Receipt({
+    receiptNumber: `RCT-20260301-${amount}`,
+    customer: id(),
+    customerName: 'Kamal Mobile',
+    receiptDate: new Date('2026-03-01T10:00:00+05:30'),
+    amount,
+    method,
+    cheque: method === 'Cheque' ? { number: '100234', status: chequeStatus } : undefined,
+    collectedBy: dsr,
+    createdBy: dsr,
+  });
+
+// Assigned phone line, sold on an invoice unless the status says otherwise
+const assignedPhone = (imei, soldPrice, invoice, status = 'Sold') => ({
+  invoice: id(),
+  product: id(),
+  imei,
+  assignedPrice: 40000,
+  targetPrice: 50000,
+  status,
+  soldPrice: status === 'Sold' ? soldPrice : undefined,
+  salesInvoice: invoice?._id,
+});
+
+describe('DayCloseService', () => {
+  const actor = id();
+  let cashSale;
+  let creditSale;
+  let chequeSale;
+  let assignment;
+
+  beforeEach(() => {
+    cashSale = saleInvoice('Cash');
+    creditSale = saleInvoice('Credit');
+    chequeSale = saleInvoice('Cheque');
+
+    assignment = new DsrAssignment({
+      assignmentNumber: 'DSR-20260301-0001',
+      dsr,
+      assignmentDate: new Date('2026-03-01T08:00:00+05:30'),
+      phones: [
+        assignedPhone('356938035643809', 52000, cashSale),
+        assignedPhone('490154203237518', 48000, creditSale),
+        assignedPhone('353456789012343', 50000, chequeSale),
+        // Sold before sales invoices existed: counted as cash
+        assignedPhone('861234567890125', 45000, null),
+        assignedPhone('359876543210985', 0, null, 'Returned'),
+      ],
+      assignedBy: actor,
+    });
+
+    jest
+      .spyOn(SalesInvoice, 'find')
+      .mockReturnValue(mockQuery([cashSale, creditSale, chequeSale]));
+    jest
+      .spyOn(Receipt, 'find')
+      .mockReturnValue(
+        mockQuery([
+          collection('Cash', 15000),
+          collection('Cheque', 30000, 'Received'),
+          collection('Cheque', 20000, 'Bounced'),
+        ])
+      );
+    jest.spyOn(Receipt, 'updateMany').mockResolvedValue({});
+    jest.spyOn(DsrAssignment.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getExpected', () => {
+    it('splits sold phones by payment method and adds the collections that were not reversed', async () => {
+      const { expected, sales, receipts } = await DayCloseService.getExpected(assignment);
+
+      expect(expected).toEqual({
+        cash: 52000 + 45000 + 15000,
+        cheques: 50000 + 30000,
+        transfers: 0,
+        credit: 48000,
+      });
+      expect(sales.map((sale) => sale.paymentMethod)).toEqual(['Cash', 'Credit', 'Cheque', 'Cash']);
+      expect(receipts).toHaveLength(2);
+    });
+  });
+
+  describe('declare', () => {
+    const handover = {
+      cash: 112000,
+      cheques: [
+        { number: '556677', bank: 'HNB', amount: 50000 },
+        { number: '100234', bank: 'BOC', amount: 30000 },
+      ],
+    };
+
+    it('balances when the handover matches what is expected', async () => {
+      await DayCloseService.declare(assignment, handover, { actor });
+
+      expect(assignment.dayClose.status).toBe('Declared');
+      expect(assignment.dayClose.outcome).toBe('Balanced');
+      expect(assignment.dayClose.variance.total).toBe(0);
+      expect(assignment.dayClose.receipts).toHaveLength(2);
+      expect(Receipt.updateMany).toHaveBeenLastCalledWith(
+        { _id: { $in: assignment.dayClose.receipts } },
+        { handedOverIn: assignment._id },
+        { session: undefined }
+      );
+    });
+
+    it('reports a shortage per method', async () => {
+      await DayCloseService.declare(assignment, { ...handover, cash: 110500.5 }, { actor });
+
+      expect(assignment.dayClose.outcome).toBe('Shortage');
+      expect(assignment.dayClose.variance.toObject()).toEqual({
+        cash: -1499.5,
+        cheques: 0,
+        transfers: 0,
+        total: -1499.5,
+      });
+    });
+
+    it('reports an excess', async () => {
+      await DayCloseService.declare(
+        assignment,
+        { ...handover, transfers: [{ reference: 'TRX-1', amount: 1000 }] },
+        { actor }
+      );
+
+      expect(assignment.dayClose.outcome).toBe('Excess');
+      expect(assignment.dayClose.variance.total).toBe(1000);
+    });
+
+    it('needs every phone sold or returned first', async () => {
+      assignment.phones[4].status = 'Assigned';
+
+      await expect(DayCloseService.declare(assignment, handover, { actor })).rejects.toMatchObject({
+        statusCode: 400,
+        errors: [{ imei: '359876543210985' }],
+      });
+      expect(DsrAssignment.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('signOff', () => {
+    it('needs a note to sign off a shortage', async () => {
+      await DayCloseService.declare(assignment, { cash: 100000 }, { actor });
+
+      await expect(DayCloseService.signOff(assignment, { actor })).rejects.toThrow(
+        'A note is required to sign it off'
+      );
+
+      await DayCloseService.signOff(assignment, { actor, notes: 'Cheques handed over next day' });
+
+      expect(assignment.dayClose.status).toBe('Signed Off');
+      expect(assignment.dayClose.signOffNotes).toBe('Cheques handed over next day');
+    });
+
+    it('cannot sign off before the DSR declares', async () => {
+      await expect(DayCloseService.signOff(assignment, { actor })).rejects.toThrow(
+        'The DSR has not declared the handover yet'
+      );
+    });
+
+    it('cannot declare again once signed off', async () => {
+      await DayCloseService.declare(assignment, { cash: 112000, cheques: [{ amount: 80000 }] }, { actor });
+      await DayCloseService.signOff(assignment, { actor });
+
+      await expect(DayCloseService.declare(assignment, { cash: 0 }, { actor })).rejects.toThrow(
+        'Day close is already signed off'
+      );
+    });
+  });
+});
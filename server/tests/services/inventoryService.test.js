@@ -0,0 +1,299 @@
+const mongoose = require('mongoose');
+const Location = require('../../src/models/Location');
+const Phone = require('../../src/models/Phone');
+const Product = require('../../src/models/Product');
+const PurchaseInvoice = require('../../src/models/PurchaseInvoice');
+const StockMovement = require('../../src/models/StockMovement');
+const TacEntry = require('../../src/models/TacEntry');
+const InventoryService = require('../../src/services/inventoryService');
+const SupplierService = require('../../src/services/supplierService');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('InventoryService', () => {
+  let inStock;
+
+  beforeEach(() => {
+    inStock = [];
+    jest
+      .spyOn(Phone, 'exists')
+      .mockImplementation(({ $or: [{ imei }] }) => mockQuery(inStock.includes(imei) ? { _id: id() } : null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('findRepeatedIMEIs', () => {
+    it('reports every repeat after the first occurrence', () => {
+      const phones = [
+        { imei: '356938035643809' },
+        { imei: '490154203237518' },
+        { imei: '356938035643809' },
+        { imei: '356938035643809' },
+      ];
+
+      expect(InventoryService.findRepeatedIMEIs(phones)).toEqual([
+        { imei: '356938035643809', reason: 'IMEI is repeated in this request' },
+        { imei: '356938035643809', reason: 'IMEI is repeated in this request' },
+      ]);
+    });
+
+    it('finds nothing in a list of distinct IMEIs', () => {
+      expect(InventoryService.findRepeatedIMEIs([{ imei: '356938035643809' }])).toEqual([]);
+    });
+  });
+
+  describe('findDuplicateIMEIs', () => {
+    it('reports repeats and IMEIs already in stock', async () => {
+      inStock = ['490154203237518'];
+
+      const duplicates = await InventoryService.findDuplicateIMEIs([
+        { imei: '356938035643809' },
+        { imei: '356938035643809' },
+        { imei: '490154203237518' },
+      ]);
+
+      expect(duplicates).toEqual([
+        { imei: '356938035643809', reason: 'IMEI is repeated in this request' },
+        { imei: '490154203237518', reason: 'IMEI already exists in inventory' },
+      ]);
+    });
+
+    it('looks up stock once per IMEI inside the given session', async () => {
+      const session = { id: 'session' };
+      const query = mockQuery(null);
+      query.session = jest.fn(() => query);
+      Phone.exists.mockReturnValue(query);
+
+      await InventoryService.findDuplicateIMEIs(
+        [{ imei: '356938035643809' }, { imei: '356938035643809' }],
+        { session }
+      );
+
+      expect(Phone.exists).toHaveBeenCalledTimes(1);
+      expect(query.session).toHaveBeenCalledWith(session);
+    });
+  });
+
+  describe('secondary IMEI', () => {
+    it('treats a number repeated across slots as a repeat', () => {
+      const phones = [
+        { imei: '356938035643809', imei2: '490154203237518' },
+        { imei: '490154203237518' },
+      ];
+
+      expect(InventoryService.findRepeatedIMEIs(phones)).toEqual([
+        { imei: '490154203237518', reason: 'IMEI is repeated in this request' },
+      ]);
+    });
+
+    it('checks the secondary IMEI against stock', async () => {
+      inStock = ['490154203237518'];
+
+      const duplicates = await InventoryService.findDuplicateIMEIs([
+        { imei: '356938035643809', imei2: '490154203237518' },
+      ]);
+
+      expect(duplicates).toEqual([{ imei: '490154203237518', reason: 'IMEI already exists in inventory' }]);
+    });
+
+    it('matches stock on either slot and can skip the phone being edited', async () => {
+      const phoneId = id();
+
+      await InventoryService.isIMEIDuplicate('490154203237518', { excludePhoneId: phoneId });
+
+      expect(Phone.exists).toHaveBeenCalledWith({
+        $or: [{ imei: '490154203237518' }, { imei2: '490154203237518' }],
+        _id: { $ne: phoneId },
+      });
+    });
+  });
+
+  describe('createInvoice', () => {
+    const phones = [
+      { product: id(), imei: '356938035643809', costPrice: 40000, sellingPrice: 50000 },
+      { product: id(), imei: '490154203237518', costPrice: 60000, sellingPrice: 72000 },
+    ];
+    const invoiceData = { invoiceNumber: 'INV-001', invoiceDate: new Date(), supplier: { name: 'Dialog' } };
+
+    beforeEach(() => {
+      jest.spyOn(PurchaseInvoice.prototype, 'save').mockResolvedValue();
+      jest
+        .spyOn(PurchaseInvoice, 'recalculateTotals')
+        .mockImplementation(async (invoiceId) => new PurchaseInvoice({ _id: invoiceId }));
+      jest.spyOn(Phone, 'insertMany').mockResolvedValue();
+      jest.spyOn(StockMovement, 'create').mockImplementation(async (entries) => entries);
+      jest.spyOn(TacEntry, 'find').mockReturnValue(mockQuery([]));
+      jest.spyOn(Product, 'find').mockReturnValue(mockQuery([]));
+      jest.spyOn(Location, 'getDefault').mockResolvedValue(null);
+      jest
+        .spyOn(SupplierService, 'resolveForInvoice')
+        .mockResolvedValue({ supplierRef: id(), supplier: { name: 'Dialog' } });
+    });
+
+    it('saves the invoice, its phones and a received movement per phone', async () => {
+      const actor = id();
+
+      const invoice = await InventoryService.createInvoice(invoiceData, phones, { actor, session: {} });
+
+      const [phoneDocs] = Phone.insertMany.mock.calls[0];
+      expect(phoneDocs.map((phone) => phone.invoice)).toEqual([invoice._id, invoice._id]);
+
+      const [movements] = StockMovement.create.mock.calls[0];
+      expect(movements).toHaveLength(2);
+      expect(movements[0]).toMatchObject({
+        imei: '356938035643809',
+        action: 'Received',
+        fromStatus: null,
+        toStatus: 'Available',
+        source: { kind: 'Invoice', reference: 'INV-001' },
+        actor,
+      });
+    });
+
+    it('receives no phones when an IMEI is already in stock', async () => {
+      inStock = ['490154203237518'];
+
+      await expect(InventoryService.createInvoice(invoiceData, phones, { session: {} })).rejects.toMatchObject({
+        statusCode: 400,
+        message: '1 duplicate IMEI(s) found. No phones were received.',
+        errors: [{ imei: '490154203237518', reason: 'IMEI already exists in inventory' }],
+      });
+      expect(Phone.insertMany).not.toHaveBeenCalled();
+    });
+  });
+  describe('getStockAging', () => {
+    const OLD_ENV = process.env.AGING_STOCK_DAYS;
+
+    beforeEach(() => {
+      jest.spyOn(Phone, 'aggregate').mockResolvedValue([
+        {
+          buckets: [
+            { _id: '90+', count: 2, totalCost: 90000 },
+            { _id: '0-30', count: 5, totalCost: 210000 },
+          ],
+          byProduct: [],
+          bySupplier: [],
+          slowMovers: [],
+        },
+      ]);
+    });
+
+    afterEach(() => {
+      if (OLD_ENV === undefined) {
+        delete process.env.AGING_STOCK_DAYS;
+      } else {
+        process.env.AGING_STOCK_DAYS = OLD_ENV;
+      }
+    });
+
+    it('reports every bucket in order, including empty ones', async () => {
+      const report = await InventoryService.getStockAging();
+
+      expect(report.buckets).toEqual([
+        { bucket: '0-30', count: 5, totalCost: 210000 },
+        { bucket: '31-60', count: 0, totalCost: 0 },
+        { bucket: '61-90', count: 0, totalCost: 0 },
+        { bucket: '90+', count: 2, totalCost: 90000 },
+      ]);
+    });
+
+    it('flags slow movers past the configured threshold', async () => {
+      process.env.AGING_STOCK_DAYS = '45';
+
+      const report = await InventoryService.getStockAging();
+
+      const [pipeline] = Phone.aggregate.mock.calls[0];
+      const flags = pipeline.find((stage) => stage.$addFields && stage.$addFields.isAging);
+      expect(report.threshold).toBe(45);
+      expect(flags.$addFields.isAging).toEqual({ $gt: ['$ageDays', 45] });
+    });
+
+    it('prefers a threshold passed by the caller', async () => {
+      const report = await InventoryService.getStockAging({ threshold: 120 });
+
+      expect(report.threshold).toBe(120);
+    });
+
+    it('only ages available stock that is not held for a supplier return', async () => {
+      await InventoryService.getStockAging();
+
+      const [pipeline] = Phone.aggregate.mock.calls[0];
+      expect(pipeline[0]).toEqual({ $match: { status: 'Available', supplierReturn: null } });
+    });
+  });
+  describe('low stock', () => {
+    it('uses each product reorder level unless a threshold is given', async () => {
+      jest.spyOn(Product, 'aggregate').mockResolvedValue([]);
+
+      await InventoryService.getLowStock();
+      await InventoryService.getLowStock({ threshold: 4 });
+
+      const [[levels], [threshold]] = Product.aggregate.mock.calls;
+      expect(levels[0].$match).toEqual({ isActive: true, isDiscontinued: false, 'reorder.level': { $gt: 0 } });
+      expect(levels[1].$addFields.reorderLevel).toBe('$reorder.level');
+      expect(threshold[0].$match).toEqual({ isActive: true, isDiscontinued: false });
+      expect(threshold[1].$addFields.reorderLevel).toBe(4);
+    });
+
+    it('groups suggestions by last supplier with never-bought products last', () => {
+      const suppliers = { Dialog: id(), Softlogic: id() };
+      const item = (supplier, suggestedQuantity, costPrice) => ({
+        suggestedQuantity,
+        lastPurchase: supplier
+          ? { supplierId: suppliers[supplier], supplier: { name: supplier }, costPrice }
+          : undefined,
+      });
+
+      const groups = InventoryService.groupLowStockBySupplier([
+        item(null, 2),
+        item('Softlogic', 3, 50000),
+        item('Dialog', 1, 40000),
+        item('Softlogic', 2, 30000),
+      ]);
+
+      const summary = groups.map((group) => [
+        group.supplier ? group.supplier.name : null,
+        group.totalQuantity,
+        group.estimatedCost,
+      ]);
+      expect(summary).toEqual([
+        ['Dialog', 1, 40000],
+        ['Softlogic', 5, 210000],
+        [null, 2, 0],
+      ]);
+    });
+  });
+});
+
+describe('Phone model', () => {
+  it('requires a 15-digit IMEI and an invoice', () => {
+    const error = new Phone({ product: id(), imei: '12345', costPrice: 1, sellingPrice: 1 }).validateSync();
+
+    expect(error.errors.imei.message).toBe('IMEI must be exactly 15 digits');
+    expect(error.errors.invoice.message).toBe('Purchase invoice is required');
+  });
+
+  it('refuses a secondary IMEI equal to the primary one', () => {
+    const error = new Phone({
+      invoice: id(),
+      product: id(),
+      imei: '356938035643809',
+      imei2: '356938035643809',
+      costPrice: 1,
+      sellingPrice: 1,
+    }).validateSync();
+
+    expect(error.errors.imei2.message).toBe('IMEI 2 must be different from IMEI');
+  });
+
+  it('stores a blank secondary IMEI as missing', () => {
+    expect(new Phone({ imei2: '' }).imei2).toBeUndefined();
+  });
+
+  it('keeps IMEIs unique across the collection', () => {
+    expect(Phone.schema.path('imei').options.unique).toBe(true);
+  });
+});
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Phone = require('../../src/models/Phone');
+const PurchaseInvoice = require('../../src/models/PurchaseInvoice');
+const PdfService = require('../../src/services/pdfService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const product = {
+  brand: 'Samsung',
+  model: 'Galaxy A55',
+  specifications: { storage: '256GB', color: 'Navy' },
+};
+
+describe('PdfService', () => {
+  describe('productName', () => {
+    it('prints the brand, model and specifications', () => {
+      expect(PdfService.productName(product)).toBe('Samsung Galaxy A55 (256GB, Navy)');
+      expect(PdfService.productName({ brand: 'Apple', model: 'iPhone 15' })).toBe('Apple iPhone 15');
+    });
+
+    it('prints a dash for a product that is not populated', () => {
+      expect(PdfService.productName(id())).toBe('-');
+    });
+  });
+
+  describe('amount', () => {
+    it('formats two decimals and treats a missing value as zero', () => {
+      expect(PdfService.amount(1234.5)).toBe('1,234.50');
+      expect(PdfService.amount(undefined)).toBe('0.00');
+    });
+  });
+
+  describe('rendering', () => {
+    const isPdf = (buffer) => buffer.subarray(0, 5).toString() === '%PDF-';
+
+    it('renders a purchase invoice with its phones', async () => {
+      const invoice = new PurchaseInvoice({
+        invoiceNumber: 'INV-001',
+        invoiceDate: new Date('2026-03-01T00:00:00Z'),
+        invoiceTime: '10:30',
+        supplier: { name: 'Dialog' },
+        financials: { subtotal: 100000, totalCost: 100000 },
+      });
+      invoice.phones = [
+        new Phone({
+          invoice: invoice._id,
+          product: id(),
+          imei: '356938035643809',
+          costPrice: 100000,
+          sellingPrice: 120000,
+        }),
+      ];
+
+      expect(isPdf(await PdfService.renderPurchaseInvoice(invoice))).toBe(true);
+    });
+
+    it('renders a goods-received slip', async () => {
+      const slip = await PdfService.renderReceivedSlip({
+        reference: 'GRN-20260301-0001',
+        supplierName: 'Dialog',
+        location: 'Main Warehouse',
+        notes: 'Two boxes',
+        items: [{ product, imei: '356938035643809', imei2: '356938035643817' }],
+      });
+
+      expect(isPdf(slip)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const storage = require('../../src/config/storage');
+const AttachmentService = require('../../src/services/attachmentService');
+const ProductImageService = require('../../src/services/productImageService');
+
+describe('ProductImageService', () => {
+  const product = { _id: new mongoose.Types.ObjectId() };
+  const actor = new mongoose.Types.ObjectId();
+  let photo;
+
+  beforeAll(async () => {
+    const buffer = await sharp({
+      create: { width: 1600, height: 900, channels: 3, background: '#4472C4' },
+    })
+      .jpeg()
+      .toBuffer();
+    photo = { buffer, originalname: 'galaxy.jpg', mimetype: 'image/jpeg', size: buffer.length };
+  });
+
+  beforeEach(() => {
+    jest.spyOn(storage, 'isReady').mockReturnValue(true);
+    jest
+      .spyOn(AttachmentService, 'upload')
+      .mockImplementation(async (file, folder) => ({ key: `${folder}/${file.originalname}` }));
+    jest
+      .spyOn(storage, 'uploadFile')
+      .mockImplementation(async (buffer, fileName, mimeType, folder) => ({
+        key: `${folder}/${fileName}`,
+      }));
+    jest.spyOn(storage, 'deleteFile').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('store', () => {
+    it('keeps the original and stores web and thumbnail sizes', async () => {
+      const image = await ProductImageService.store(photo, product, actor);
+      const folder = `products/${product._id}`;
+
+      expect(image).toEqual({
+        sizes: {
+          original: `${folder}/galaxy.jpg`,
+          web: `${folder}/galaxy-web.webp`,
+          thumbnail: `${folder}/galaxy-thumbnail.webp`,
+        },
+        fileName: 'galaxy.jpg',
+        width: 1600,
+        height: 900,
+        uploadedBy: actor,
+      });
+
+      const [[web], [thumbnail]] = storage.uploadFile.mock.calls;
+      await expect(sharp(web).metadata()).resolves.toMatchObject({
+        format: 'webp',
+        width: 1200,
+        height: 675,
+      });
+      await expect(sharp(thumbnail).metadata()).resolves.toMatchObject({ width: 300, height: 300 });
+    });
+
+    it('refuses a file that is not an image', async () => {
+      const file = { ...photo, buffer: Buffer.from('not an image'), originalname: 'notes.txt' };
+
+      await expect(ProductImageService.store(file, product, actor)).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'notes.txt is not a readable image',
+      });
+      expect(AttachmentService.upload).not.toHaveBeenCalled();
+    });
+
+    it('deletes the sizes already stored when an upload fails', async () => {
+      storage.uploadFile.mockRejectedValueOnce(new Error('Disk full'));
+
+      await expect(ProductImageService.store(photo, product, actor)).rejects.toThrow('Disk full');
+      expect(storage.deleteFile).toHaveBeenCalledWith(`products/${product._id}/galaxy.jpg`);
+    });
+  });
+
+  describe('removeKeys', () => {
+    it('keeps deleting when one object cannot be deleted', async () => {
+      storage.deleteFile.mockRejectedValueOnce(new Error('Not found'));
+
+      await ProductImageService.removeKeys(['products/a.webp', undefined, 'products/b.webp']);
+
+      expect(storage.deleteFile.mock.calls).toEqual([['products/a.webp'], ['products/b.webp']]);
+    });
+  });
+});
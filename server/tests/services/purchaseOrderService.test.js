@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const GoodsReceivedNote = require('../../src/models/GoodsReceivedNote');
+const Phone = require('../../src/models/Phone');
+const PurchaseOrder = require('../../src/models/PurchaseOrder');
+const PurchaseOrderService = require('../../src/services/purchaseOrderService');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('PurchaseOrderService.getInvoiceMismatches', () => {
+  const invoice = { _id: id() };
+  const galaxy = id();
+  const iphone = id();
+  let order;
+  let grn;
+  let phones;
+
+  beforeEach(() => {
+    order = new PurchaseOrder({
+      poNumber: 'PO-20260301-0001',
+      supplier: id(),
+      lines: [
+        { product: galaxy, quantity: 2, unitCost: 40000, receivedQuantity: 2 },
+        { product: iphone, quantity: 1, unitCost: 180000, receivedQuantity: 1 },
+      ],
+    });
+    grn = new GoodsReceivedNote({
+      grnNumber: 'GRN-20260305-0001',
+      purchaseOrder: order._id,
+      invoice: invoice._id,
+      items: [
+        { product: galaxy, imei: '356938035643809', costPrice: 40000, orderedCost: 40000 },
+        { product: galaxy, imei: '356938035643817', costPrice: 40000, orderedCost: 40000 },
+        { product: iphone, imei: '490154203237518', costPrice: 180000, orderedCost: 180000 },
+      ],
+    });
+    phones = grn.items.map((item) => ({ imei: item.imei, product: item.product, costPrice: item.costPrice }));
+
+    jest.spyOn(GoodsReceivedNote, 'find').mockImplementation(() => mockQuery([grn]));
+    jest.spyOn(PurchaseOrder, 'find').mockImplementation(() => mockQuery([order]));
+    jest.spyOn(Phone, 'find').mockImplementation(() => mockQuery(phones));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('finds nothing when order, receipt and invoice agree', async () => {
+    expect(await PurchaseOrderService.getInvoiceMismatches(invoice)).toEqual([]);
+  });
+
+  it('has nothing to match for an invoice not received through a GRN', async () => {
+    GoodsReceivedNote.find.mockReturnValue(mockQuery([]));
+
+    expect(await PurchaseOrderService.getInvoiceMismatches(invoice)).toEqual([]);
+    expect(PurchaseOrder.find).not.toHaveBeenCalled();
+  });
+
+  it('reports more received than ordered', async () => {
+    order.lines[1].receivedQuantity = 2;
+
+    const mismatches = await PurchaseOrderService.getInvoiceMismatches(invoice);
+
+    expect(mismatches).toEqual([
+      {
+        type: 'Quantity',
+        between: 'PO/GRN',
+        poNumber: 'PO-20260301-0001',
+        product: iphone,
+        ordered: 1,
+        received: 2,
+      },
+    ]);
+  });
+
+  it('reports received phones that are missing from the invoice', async () => {
+    phones.pop();
+
+    const mismatches = await PurchaseOrderService.getInvoiceMismatches(invoice);
+
+    expect(mismatches).toEqual([
+      { type: 'Quantity', between: 'GRN/Invoice', product: iphone.toString(), received: 1, invoiced: 0 },
+    ]);
+  });
+
+  it('reports a received cost that differs from the agreed cost', async () => {
+    grn.items[0].costPrice = 42000;
+    phones[0].costPrice = 42000;
+
+    const [mismatch] = await PurchaseOrderService.getInvoiceMismatches(invoice);
+
+    expect(mismatch).toMatchObject({
+      type: 'Price',
+      between: 'PO/GRN',
+      imei: '356938035643809',
+      orderedCost: 40000,
+      receivedCost: 42000,
+      invoicedCost: 42000,
+    });
+  });
+
+  it('reports an invoiced cost that differs from the received cost', async () => {
+    phones[2].costPrice = 175000;
+
+    const [mismatch] = await PurchaseOrderService.getInvoiceMismatches(invoice);
+
+    expect(mismatch).toMatchObject({ type: 'Price', between: 'GRN/Invoice', invoicedCost: 175000 });
+  });
+
+  it('reads inside the caller session', async () => {
+    const session = { id: 'session' };
+    const query = mockQuery([]);
+    query.session = jest.fn(() => query);
+    GoodsReceivedNote.find.mockReturnValue(query);
+
+    await PurchaseOrderService.getInvoiceMismatches(invoice, { session });
+
+    expect(query.session).toHaveBeenCalledWith(session);
+  });
+});
+
+describe('PurchaseOrder.refreshReceiptStatus', () => {
+  const orderOf = (received) =>
+    new PurchaseOrder({
+      poNumber: 'PO-1',
+      supplier: id(),
+      status: 'Ordered',
+      lines: received.map((receivedQuantity) => ({ product: id(), quantity: 2, unitCost: 1, receivedQuantity })),
+    });
+
+  it('stays ordered until something arrives', () => {
+    expect(orderOf([0, 0]).refreshReceiptStatus().status).toBe('Ordered');
+  });
+
+  it('is partially received until every line is complete', () => {
+    expect(orderOf([2, 1]).refreshReceiptStatus().status).toBe('Partially Received');
+    expect(orderOf([2, 3]).refreshReceiptStatus().status).toBe('Received');
+  });
+});
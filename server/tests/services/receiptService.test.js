@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const Customer = require('../../src/models/Customer');
+const SalesInvoice = require('../../src/models/SalesInvoice');
+const Receipt = require('../../src/models/Receipt');
+const ReceiptService = require('../../src/services/receiptService');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const retailer = new Customer({ name: 'Kamal Perera', shopName: 'Kamal Mobile', type: 'Retailer' });
+
+// Completed credit invoice of one phone
+const creditInvoice = (invoiceNumber, total, paidAmount = 0) =>
+  new SalesInvoice({
+    invoiceNumber,
+    channel: 'Counter',
+    customer: retailer._id,
+    customerName: retailer.name,
+    lines: [{ phone: id(), imei: '356938035643809', product: id(), unitPrice: total }],
+    payment: { method: 'Credit', paidAmount },
+    soldBy: id(),
+  });
+
+describe('ReceiptService', () => {
+  let oldest;
+  let newest;
+
+  beforeEach(() => {
+    oldest = creditInvoice('SI-20260101-0001', 100000);
+    newest = creditInvoice('SI-20260201-0002', 50000, 10000);
+
+    jest.spyOn(Customer, 'findById').mockReturnValue(mockQuery(retailer));
+    jest.spyOn(SalesInvoice, 'find').mockReturnValue(mockQuery([oldest, newest]));
+    jest.spyOn(SalesInvoice.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Receipt.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createReceipt', () => {
+    it('allocates oldest-first when no allocations are given', async () => {
+      const receipt = await ReceiptService.createReceipt(
+        { customer: retailer._id, amount: 120000, method: 'Cash' },
+        { actor: id() }
+      );
+
+      expect(receipt.allocationMode).toBe('Oldest First');
+      expect(receipt.allocations.map((item) => [item.invoiceNumber, item.amount])).toEqual([
+        ['SI-20260101-0001', 100000],
+        ['SI-20260201-0002', 20000],
+      ]);
+      expect(oldest.pendingAmount).toBe(0);
+      expect(newest.payment.paidAmount).toBe(30000);
+      expect(newest.pendingAmount).toBe(20000);
+    });
+
+    it('stops at the invoices the amount covers', async () => {
+      const receipt = await ReceiptService.createReceipt(
+        { customer: retailer._id, amount: 40000, method: 'Cash' },
+        { actor: id() }
+      );
+
+      expect(receipt.allocations).toHaveLength(1);
+      expect(oldest.payment.paidAmount).toBe(40000);
+      expect(newest.payment.paidAmount).toBe(10000);
+    });
+
+    it('applies manual allocations as given', async () => {
+      const receipt = await ReceiptService.createReceipt(
+        {
+          customer: retailer._id,
+          amount: 45000,
+          method: 'Cash',
+          allocations: [
+            { invoice: newest._id.toString(), amount: 40000 },
+            { invoice: oldest._id.toString(), amount: 5000 },
+          ],
+        },
+        { actor: id() }
+      );
+
+      expect(receipt.allocationMode).toBe('Manual');
+      expect(newest.pendingAmount).toBe(0);
+      expect(oldest.pendingAmount).toBe(95000);
+    });
+
+    it('rejects a manual allocation over an invoice balance without changing any invoice', async () => {
+      await expect(
+        ReceiptService.createReceipt(
+          {
+            customer: retailer._id,
+            amount: 50000,
+            method: 'Cash',
+            allocations: [{ invoice: newest._id.toString(), amount: 50000 }],
+          },
+          { actor: id() }
+        )
+      ).rejects.toMatchObject({ statusCode: 400 });
+
+      expect(SalesInvoice.prototype.save).not.toHaveBeenCalled();
+      expect(newest.payment.paidAmount).toBe(10000);
+    });
+
+    it('rejects manual allocations that do not add up to the amount', async () => {
+      await expect(
+        ReceiptService.createReceipt(
+          {
+            customer: retailer._id,
+            amount: 30000,
+            method: 'Cash',
+            allocations: [{ invoice: oldest._id.toString(), amount: 20000 }],
+          },
+          { actor: id() }
+        )
+      ).rejects.toThrow('Allocations total Rs. 20000 but the receipt is Rs. 30000');
+    });
+
+    it('rejects an amount over the open balance', async () => {
+      await expect(
+        ReceiptService.createReceipt(
+          { customer: retailer._id, amount: 140001, method: 'Cash' },
+          { actor: id() }
+        )
+      ).rejects.toThrow("more than the customer's open balance of Rs. 140000");
+    });
+
+    it('records a cheque as received', async () => {
+      const receipt = await ReceiptService.createReceipt(
+        {
+          customer: retailer._id,
+          amount: 10000,
+          method: 'Cheque',
+          cheque: { number: '100234', bank: 'BOC' },
+        },
+        { actor: id() }
+      );
+
+      expect(receipt.cheque.status).toBe('Received');
+    });
+  });
+
+  describe('updateCheque', () => {
+    const chequeReceipt = (status) =>
+      new Receipt({
+        receiptNumber: 'RCT-20260301-0001',
+        customer: retailer._id,
+        customerName: retailer.name,
+        amount: 60000,
+        method: 'Cheque',
+        cheque: { number: '100234', bank: 'BOC', status },
+        allocations: [
+          { invoice: oldest._id, invoiceNumber: oldest.invoiceNumber, amount: 50000 },
+          { invoice: newest._id, invoiceNumber: newest.invoiceNumber, amount: 10000 },
+        ],
+        collectedBy: id(),
+        createdBy: id(),
+      });
+
+    it('reopens the settled balances when a deposited cheque bounces', async () => {
+      oldest.payment.paidAmount = 50000;
+      newest.payment.paidAmount = 20000;
+      const receipt = chequeReceipt('Deposited');
+
+      await ReceiptService.updateCheque(receipt, 'bounce', { actor: id(), reason: 'Insufficient funds' });
+
+      expect(receipt.cheque.status).toBe('Bounced');
+      expect(receipt.cheque.bounceReason).toBe('Insufficient funds');
+      expect(receipt.isReversed).toBe(true);
+      expect(oldest.pendingAmount).toBe(100000);
+      expect(newest.payment.paidAmount).toBe(10000);
+    });
+
+    it('clears a deposited cheque without touching the invoices', async () => {
+      const receipt = chequeReceipt('Deposited');
+
+      await ReceiptService.updateCheque(receipt, 'clear', { actor: id() });
+
+      expect(receipt.cheque.status).toBe('Cleared');
+      expect(SalesInvoice.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('only bounces deposited cheques', async () => {
+      const receipt = chequeReceipt('Received');
+
+      await expect(ReceiptService.updateCheque(receipt, 'bounce', { actor: id() })).rejects.toThrow(
+        'Only deposited cheques can be marked bounced'
+      );
+      expect(receipt.cheque.status).toBe('Received');
+    });
+  });
+});
@@ -0,0 +1,293 @@
+const mongoose = require('mongoose');
+const Customer = require('../../src/models/Customer');
+const SalesInvoice = require('../../src/models/SalesInvoice');
+const Phone = require('../../src/models/Phone');
+const Product = require('../../src/models/Product');
+const SalesService = require('../../src/services/salesService');
+const StockMovementService = require('../../src/services/stockMovementService');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const product = new Product({ brand: 'SAMSUNG', model: 'Galaxy A15', warrantyMonths: 12 });
+
+const stockPhone = (imei, status = 'Available') =>
+  new Phone({
+    imei,
+    product: product._id,
+    invoice: id(),
+    costPrice: 40000,
+    sellingPrice: 50000,
+    status,
+  });
+
+describe('SalesService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveCustomer', () => {
+    it('refuses an inactive customer', async () => {
+      const customer = new Customer({ name: 'Kamal Perera', isActive: false });
+      jest.spyOn(Customer, 'findById').mockReturnValue(mockQuery(customer));
+
+      await expect(SalesService.resolveCustomer({ customer: customer._id })).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Customer not found or inactive',
+      });
+    });
+
+    it('reuses the customer already on file with the same NIC', async () => {
+      const existing = new Customer({ name: 'Kamal Perera', nic: '199012345678' });
+      jest.spyOn(Customer, 'findOne').mockReturnValue(mockQuery(existing));
+      jest.spyOn(Customer, 'create');
+
+      const buyer = await SalesService.resolveCustomer({
+        newCustomer: { name: 'K. Perera', nic: '199012345678' },
+      });
+
+      expect(buyer).toEqual({ customer: existing, customerName: 'Kamal Perera' });
+      expect(Customer.create).not.toHaveBeenCalled();
+    });
+
+    it('sells to a walk-in customer without a record', async () => {
+      await expect(SalesService.resolveCustomer({})).resolves.toEqual({
+        customer: null,
+        customerName: 'Walk-in customer',
+      });
+    });
+  });
+
+  describe('createInvoice', () => {
+    const actor = id();
+    let phones;
+
+    const sell = (lines, payment) =>
+      SalesService.createInvoice(
+        {
+          phones,
+          lines,
+          channel: 'Counter',
+          buyer: { customerName: 'Nimal Silva' },
+          payment,
+          saleDate: new Date('2026-03-01T00:00:00Z'),
+        },
+        { actor }
+      );
+
+    beforeEach(() => {
+      phones = [stockPhone('356938035643809'), stockPhone('490154203237518')];
+      jest.spyOn(Product, 'find').mockReturnValue(mockQuery([product]));
+      jest.spyOn(SalesInvoice.prototype, 'save').mockResolvedValue();
+      jest.spyOn(Phone.prototype, 'save').mockResolvedValue();
+    });
+
+    it('records the lines and links the sold phones to the invoice', async () => {
+      const invoice = await sell([
+        { imei: '356938035643809', unitPrice: 50000, discount: 2000 },
+        { imei: '490154203237518', unitPrice: 52000 },
+      ]);
+
+      expect(invoice.invoiceNumber).toMatch(/^SI-\d{8}-\d{4}$/);
+      expect(invoice.customerName).toBe('Nimal Silva');
+      expect(invoice.lines.map((line) => [line.imei, line.costPrice])).toEqual([
+        ['356938035643809', 40000],
+        ['490154203237518', 40000],
+      ]);
+      expect(invoice.payment.paidAmount).toBe(100000);
+      expect(SalesService.linePrice(invoice, '356938035643809')).toBe(48000);
+
+      phones.forEach((phone) => {
+        expect(phone.status).toBe('Sold');
+        expect(phone.salesInvoice).toEqual(invoice._id);
+        expect(phone.soldTo).toBe('Nimal Silva');
+      });
+    });
+
+    it('sells nothing when a discount is more than the price', async () => {
+      await expect(
+        sell([
+          { imei: '356938035643809', unitPrice: 50000, discount: 60000 },
+          { imei: '490154203237518', unitPrice: 50000 },
+        ])
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        errors: [{ imei: '356938035643809', reason: 'Discount is more than the price' }],
+      });
+      expect(SalesInvoice.prototype.save).not.toHaveBeenCalled();
+      expect(phones[0].status).toBe('Available');
+    });
+  });
+});
+
+describe('SalesService credit sales', () => {
+  const actor = id();
+  let retailer;
+  let phones;
+
+  // Outstanding and awaiting-approval credit of the customer
+  const creditTotals = (outstanding, pendingApproval = 0) =>
+    jest
+      .spyOn(SalesInvoice, 'aggregate')
+      .mockReturnValue(mockQuery([{ outstanding, pendingApproval }]));
+
+  const creditSale = () =>
+    SalesService.createInvoice(
+      {
+        phones,
+        lines: phones.map((phone) => ({ imei: phone.imei, unitPrice: 50000 })),
+        channel: 'Counter',
+        buyer: { customer: retailer._id },
+        payment: { method: 'Credit' },
+        saleDate: new Date('2026-03-01T00:00:00Z'),
+      },
+      { actor }
+    );
+
+  beforeEach(() => {
+    delete process.env.CREDIT_CHECK_ENABLED;
+
+    retailer = new Customer({
+      name: 'Kamal Perera',
+      type: 'Retailer',
+      creditLimit: 200000,
+      creditTermsDays: 30,
+    });
+    phones = [stockPhone('356938035643809'), stockPhone('490154203237518')];
+
+    jest.spyOn(Customer, 'findById').mockReturnValue(mockQuery(retailer));
+    jest.spyOn(Product, 'find').mockReturnValue(mockQuery([product]));
+    jest.spyOn(SalesInvoice.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Phone.prototype, 'save').mockResolvedValue();
+    jest.spyOn(StockMovementService, 'record').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createInvoice', () => {
+    it('completes a credit sale within the limit and sets its due date from the credit terms', async () => {
+      creditTotals(50000);
+
+      const invoice = await creditSale();
+
+      expect(invoice.status).toBe('Completed');
+      expect(invoice.payment.paidAmount).toBe(0);
+      expect(invoice.payment.dueDate).toEqual(new Date('2026-03-31T00:00:00Z'));
+      expect(invoice.creditCheck.exceededBy).toBe(0);
+      phones.forEach((phone) => {
+        expect(phone.status).toBe('Sold');
+        expect(phone.salesInvoice).toEqual(invoice._id);
+        expect(phone.customerWarranty.months).toBe(12);
+      });
+    });
+
+    it('holds a credit sale over the limit for approval with its phones reserved', async () => {
+      creditTotals(90000, 20000);
+
+      const invoice = await creditSale();
+
+      expect(invoice.status).toBe('Pending Approval');
+      expect(invoice.creditCheck.toObject()).toEqual({
+        creditLimit: 200000,
+        outstanding: 110000,
+        exceededBy: 10000,
+      });
+      expect(invoice.lines.map((line) => line.heldFromStatus)).toEqual(['Available', 'Available']);
+      phones.forEach((phone) => {
+        expect(phone.status).toBe('Reserved');
+        expect(phone.salesInvoice).toEqual(invoice._id);
+        expect(phone.soldDate).toBeUndefined();
+        expect(phone.customerWarranty.expiryDate).toBeUndefined();
+      });
+    });
+
+    it('does not hold sales when the credit check is turned off', async () => {
+      process.env.CREDIT_CHECK_ENABLED = 'false';
+      creditTotals(190000);
+
+      const invoice = await creditSale();
+
+      expect(invoice.status).toBe('Completed');
+      expect(SalesInvoice.aggregate).not.toHaveBeenCalled();
+    });
+
+    it('only sells on credit to retailers', async () => {
+      retailer.type = 'Individual';
+
+      await expect(creditSale()).rejects.toThrow('Credit sales need a retailer customer account');
+      expect(Phone.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('credit decisions', () => {
+    let invoice;
+
+    beforeEach(async () => {
+      creditTotals(190000);
+      invoice = await creditSale();
+      jest.spyOn(Phone, 'find').mockReturnValue(mockQuery(phones));
+      Phone.prototype.save.mockClear();
+    });
+
+    it('approving sells the reserved phones and completes the invoice', async () => {
+      await SalesService.approveCredit(invoice, { actor, reason: 'Long-standing retailer' });
+
+      expect(invoice.status).toBe('Completed');
+      expect(invoice.approvalReason).toBe('Long-standing retailer');
+      expect(invoice.lines.every((line) => line.heldFromStatus === undefined)).toBe(true);
+      phones.forEach((phone) => {
+        expect(phone.status).toBe('Sold');
+        expect(phone.soldDate).toEqual(invoice.saleDate);
+      });
+
+      const [movements] = StockMovementService.record.mock.calls[0];
+      expect(movements.map((movement) => [movement.action, movement.fromStatus, movement.toStatus])).toEqual([
+        ['Sold', 'Reserved', 'Sold'],
+        ['Sold', 'Reserved', 'Sold'],
+      ]);
+    });
+
+    it('rejecting releases the reserved phones to where they were held from', async () => {
+      await SalesService.rejectCredit(invoice, { actor, reason: 'Overdue balance' });
+
+      expect(invoice.status).toBe('Rejected');
+      phones.forEach((phone) => {
+        expect(phone.status).toBe('Available');
+        expect(phone.salesInvoice).toBeUndefined();
+        expect(phone.customer).toBeUndefined();
+      });
+    });
+
+    it('approving fails when a phone is no longer held for the sale', async () => {
+      phones[1].status = 'Damaged';
+
+      await expect(SalesService.approveCredit(invoice, { actor, reason: 'OK' })).rejects.toMatchObject({
+        statusCode: 400,
+        errors: [{ imei: phones[1].imei }],
+      });
+      expect(invoice.status).toBe('Pending Approval');
+    });
+
+    it('rejecting skips phones already released elsewhere', async () => {
+      phones[1].status = 'Damaged';
+      phones[1].salesInvoice = undefined;
+
+      await SalesService.rejectCredit(invoice, { actor, reason: 'Overdue balance' });
+
+      expect(invoice.status).toBe('Rejected');
+      expect(phones[0].status).toBe('Available');
+      expect(phones[1].status).toBe('Damaged');
+      expect(Phone.prototype.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('only decides sales awaiting approval', async () => {
+      await SalesService.rejectCredit(invoice, { actor, reason: 'Overdue balance' });
+
+      await expect(SalesService.approveCredit(invoice, { actor, reason: 'OK' })).rejects.toThrow(
+        'Sales invoice is rejected, not awaiting credit approval'
+      );
+    });
+  });
+});
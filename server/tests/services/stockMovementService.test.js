@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const StockMovement = require('../../src/models/StockMovement');
+const StockMovementService = require('../../src/services/stockMovementService');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('StockMovementService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('source', () => {
+    it('points at the source document and its reference number', () => {
+      const invoice = { _id: id(), invoiceNumber: 'INV-001' };
+      const assignment = { _id: id(), assignmentNumber: 'DSR-20260301-0001' };
+
+      expect(StockMovementService.source('Invoice', invoice)).toEqual({
+        kind: 'Invoice',
+        model: 'PurchaseInvoice',
+        document: invoice._id,
+        reference: 'INV-001',
+      });
+      expect(StockMovementService.source('Assignment', assignment)).toEqual({
+        kind: 'Assignment',
+        model: 'DsrAssignment',
+        document: assignment._id,
+        reference: 'DSR-20260301-0001',
+      });
+    });
+
+    it('falls back to a manual source without a document', () => {
+      expect(StockMovementService.source('Manual')).toEqual({ kind: 'Manual' });
+      expect(StockMovementService.source('Unknown', { _id: id() })).toEqual({ kind: 'Manual' });
+    });
+  });
+
+  describe('entry', () => {
+    it('takes the IMEI, product, invoice and cost price from the phone', () => {
+      const product = { _id: id(), name: 'Galaxy A15' };
+      const invoice = { _id: id(), invoiceNumber: 'INV-001' };
+      const phone = { _id: id(), imei: '356938035643809', product, invoice, costPrice: 42000 };
+
+      expect(
+        StockMovementService.entry(phone, { action: 'Sold', fromStatus: 'Available', toStatus: 'Sold' })
+      ).toEqual({
+        phone: phone._id,
+        imei: '356938035643809',
+        product: product._id,
+        invoice: invoice._id,
+        price: 42000,
+        action: 'Sold',
+        fromStatus: 'Available',
+        toStatus: 'Sold',
+      });
+    });
+
+    it('lets the caller override the price', () => {
+      const phone = { _id: id(), imei: '356938035643809', product: id(), invoice: id(), costPrice: 42000 };
+
+      expect(StockMovementService.entry(phone, { price: 55000 }).price).toBe(55000);
+    });
+  });
+
+  describe('record', () => {
+    it('writes nothing for an empty list', async () => {
+      const create = jest.spyOn(StockMovement, 'create');
+
+      await expect(StockMovementService.record([])).resolves.toEqual([]);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('writes a single entry in order within the session', async () => {
+      const create = jest.spyOn(StockMovement, 'create').mockResolvedValue([]);
+      const session = { id: 'session' };
+      const entry = { imei: '356938035643809', action: 'Received' };
+
+      await StockMovementService.record(entry, { session });
+
+      expect(create).toHaveBeenCalledWith([entry], { session, ordered: true });
+    });
+  });
+
+  describe('getHistory', () => {
+    const movement = (toStatus, occurredAt) =>
+      new StockMovement({
+        imei: '356938035643809',
+        action: 'StatusChanged',
+        toStatus,
+        source: { kind: 'Manual' },
+        actor: id(),
+        occurredAt: new Date(occurredAt),
+      });
+
+    it('resolves the status held at the end of a past day', async () => {
+      jest
+        .spyOn(StockMovement, 'find')
+        .mockReturnValue(
+          mockQuery([
+            movement('Available', '2026-03-01T04:00:00Z'),
+            movement('Assigned', '2026-03-02T04:00:00Z'),
+            movement('Sold', '2026-03-03T04:00:00Z'),
+          ])
+        );
+
+      const history = await StockMovementService.getHistory('356938035643809', { asOf: '2026-03-02' });
+
+      expect(history.totalMovements).toBe(3);
+      expect(history.timeline.map((entry) => entry.toStatus)).toEqual(['Available', 'Assigned', 'Sold']);
+      expect(history.asOf.status).toBe('Assigned');
+    });
+
+    it('has no status before the first movement', async () => {
+      jest
+        .spyOn(StockMovement, 'find')
+        .mockReturnValue(mockQuery([movement('Available', '2026-03-05T04:00:00Z')]));
+
+      const history = await StockMovementService.getHistory('356938035643809', { asOf: '2026-03-01' });
+
+      expect(history.asOf).toMatchObject({ status: null, movement: null });
+    });
+  });
+
+  describe('ledger immutability', () => {
+    it('refuses to save over an existing movement', async () => {
+      const existing = StockMovement.hydrate({
+        _id: id(),
+        imei: '356938035643809',
+        action: 'Received',
+        source: { kind: 'Manual' },
+        actor: id(),
+      });
+      existing.notes = 'edited';
+
+      await expect(existing.save()).rejects.toThrow('Stock movements are immutable');
+    });
+
+    it('refuses query updates and deletes', async () => {
+      await expect(StockMovement.updateOne({}, { notes: 'edited' })).rejects.toThrow(
+        'Stock movements are immutable'
+      );
+      await expect(StockMovement.deleteMany({})).rejects.toThrow('Stock movements are immutable');
+    });
+  });
+});
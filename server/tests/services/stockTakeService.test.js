@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Phone = require('../../src/models/Phone');
+const Product = require('../../src/models/Product');
+const StockTakeService = require('../../src/services/stockTakeService');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('StockTakeService', () => {
+  const shop = id();
+  const warehouse = id();
+  let phones;
+
+  const stockPhone = (imei, status, location = shop) =>
+    new Phone({ invoice: id(), product: id(), imei, costPrice: 1, sellingPrice: 1, status, location });
+
+  // Applies the _id, status and location parts of a phone filter
+  const findPhones = (filter) =>
+    mockQuery(
+      phones.filter(
+        (phone) =>
+          (!filter._id || filter._id.$in.some((phoneId) => phone._id.equals(phoneId))) &&
+          (!filter.status || filter.status.$in.includes(phone.status)) &&
+          (!filter.location || phone.location.equals(filter.location))
+      )
+    );
+
+  beforeEach(() => {
+    jest.spyOn(Phone, 'find').mockImplementation(findPhones);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildScopeFilter', () => {
+    it('limits a location count to phones on the shelf there', async () => {
+      expect(await StockTakeService.buildScopeFilter({ location: shop })).toEqual({
+        status: { $in: ['Available', 'Damaged', 'Returned'] },
+        location: shop,
+      });
+    });
+
+    it('limits a brand count to the products of that brand', async () => {
+      const productIds = [id(), id()];
+      jest.spyOn(Product, 'find').mockReturnValue(mockQuery(productIds.map((_id) => ({ _id }))));
+
+      const filter = await StockTakeService.buildScopeFilter({ brand: 'samsung' });
+
+      expect(Product.find).toHaveBeenCalledWith({ brand: 'SAMSUNG' });
+      expect(filter.product).toEqual({ $in: productIds });
+    });
+  });
+
+  describe('computeVariance', () => {
+    const countOf = (expected, scanned, extraScans = []) => ({
+      scope: { location: shop },
+      expected: expected.map((phone) => StockTakeService.toEntry(phone)),
+      scans: [...scanned.map((phone) => ({ phone: phone._id, imei: phone.imei })), ...extraScans],
+    });
+
+    it('reports unscanned shelf phones as missing', async () => {
+      phones = [stockPhone('356938035643809', 'Available'), stockPhone('490154203237518', 'Damaged')];
+
+      const variance = await StockTakeService.computeVariance(countOf(phones, [phones[0]]));
+
+      expect(variance.missing.map((entry) => entry.imei)).toEqual(['490154203237518']);
+      expect(variance.notInSystem).toEqual([]);
+      expect(variance.wrongStatus).toEqual([]);
+    });
+
+    it('does not report a phone sold during the count as missing', async () => {
+      phones = [stockPhone('356938035643809', 'Available'), stockPhone('490154203237518', 'Available')];
+      const stockTake = countOf(phones, [phones[0]]);
+      phones[1].status = 'Sold';
+
+      const variance = await StockTakeService.computeVariance(stockTake);
+
+      expect(variance.missing).toEqual([]);
+    });
+
+    it('lists scanned IMEIs the system does not know', async () => {
+      phones = [];
+
+      const variance = await StockTakeService.computeVariance(countOf([], [], [{ imei: '356938035643817' }]));
+
+      expect(variance.notInSystem).toEqual([{ imei: '356938035643817' }]);
+    });
+
+    it('flags scanned phones that are off the shelf or at another location', async () => {
+      phones = [stockPhone('356938035643809', 'Sold'), stockPhone('490154203237518', 'Available', warehouse)];
+
+      const variance = await StockTakeService.computeVariance(countOf([], phones));
+
+      expect(variance.wrongStatus.map(({ imei, reason }) => ({ imei, reason }))).toEqual([
+        { imei: '356938035643809', reason: 'Phone is Sold in the system' },
+        { imei: '490154203237518', reason: 'Phone is recorded at another location' },
+      ]);
+    });
+  });
+});
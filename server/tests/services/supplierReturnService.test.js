@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const PurchaseInvoice = require('../../src/models/PurchaseInvoice');
+const SupplierReturnService = require('../../src/services/supplierReturnService');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('SupplierReturnService.groupByInvoice', () => {
+  it('sums the amounts of each invoice', () => {
+    const first = id();
+    const second = id();
+
+    const amounts = SupplierReturnService.groupByInvoice([
+      { invoice: first, amount: 1000 },
+      { invoice: second, amount: 250 },
+      { invoice: first.toString(), amount: 500 },
+    ]);
+
+    expect([...amounts]).toEqual([
+      [first.toString(), 1500],
+      [second.toString(), 250],
+    ]);
+  });
+
+  it('skips entries without an invoice or an amount', () => {
+    const amounts = SupplierReturnService.groupByInvoice([
+      { invoice: null, amount: 1000 },
+      { invoice: id(), amount: 0 },
+    ]);
+
+    expect(amounts.size).toBe(0);
+  });
+});
+
+describe('SupplierReturnService.reverseInvoiceCosts', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds the amount to returnedCost and recalculates each invoice', async () => {
+    const invoice = new PurchaseInvoice({ invoiceNumber: 'INV-1' });
+    const session = { id: 'session' };
+    jest.spyOn(PurchaseInvoice, 'updateOne').mockReturnValue(mockQuery({ modifiedCount: 1 }));
+    jest.spyOn(PurchaseInvoice, 'recalculateTotals').mockResolvedValue(invoice);
+
+    const invoices = await SupplierReturnService.reverseInvoiceCosts(
+      new Map([[invoice._id.toString(), 1500]]),
+      { session }
+    );
+
+    expect(PurchaseInvoice.updateOne).toHaveBeenCalledWith(
+      { _id: invoice._id.toString() },
+      { $inc: { 'financials.returnedCost': 1500 } },
+      { session }
+    );
+    expect(PurchaseInvoice.recalculateTotals).toHaveBeenCalledWith(invoice._id.toString(), { session });
+    expect(invoices).toEqual([invoice]);
+  });
+});
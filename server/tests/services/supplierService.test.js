@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const Phone = require('../../src/models/Phone');
+const PurchaseInvoice = require('../../src/models/PurchaseInvoice');
+const Supplier = require('../../src/models/Supplier');
+const SupplierService = require('../../src/services/supplierService');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('SupplierService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Supplier.normalizeName', () => {
+    it('matches spelling variants of the same supplier', () => {
+      expect(Supplier.normalizeName('Tech Distributors (Pvt) Ltd.')).toBe(
+        Supplier.normalizeName('tech  distributors')
+      );
+    });
+  });
+
+  describe('resolveForInvoice', () => {
+    const existing = new Supplier({ name: 'Tech Distributors (Pvt) Ltd', contactPerson: 'Kamal' });
+
+    it('links an active supplier by ID and snapshots its details', async () => {
+      jest.spyOn(Supplier, 'findOne').mockReturnValue(mockQuery(existing));
+
+      const result = await SupplierService.resolveForInvoice({ id: existing._id });
+
+      expect(result.supplierRef).toBe(existing._id);
+      expect(result.supplier).toMatchObject({ name: 'Tech Distributors (Pvt) Ltd', contactPerson: 'Kamal' });
+    });
+
+    it('refuses an unknown or inactive supplier ID', async () => {
+      jest.spyOn(Supplier, 'findOne').mockReturnValue(mockQuery(null));
+
+      await expect(SupplierService.resolveForInvoice({ id: id() })).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Supplier not found or inactive',
+      });
+    });
+
+    it('matches free-text details to an existing supplier by name', async () => {
+      jest.spyOn(Supplier, 'findOne').mockReturnValue(mockQuery(existing));
+      const create = jest.spyOn(Supplier, 'create');
+
+      const result = await SupplierService.resolveForInvoice({ name: 'TECH DISTRIBUTORS', phone: '0771234567' });
+
+      expect(Supplier.findOne).toHaveBeenCalledWith({ normalizedName: 'tech distributors' });
+      expect(create).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        supplierRef: existing._id,
+        supplier: { name: 'TECH DISTRIBUTORS', phone: '0771234567' },
+        paymentTermsDays: 0,
+      });
+    });
+
+    it('creates a supplier the first time its name is seen', async () => {
+      const actor = id();
+      const created = new Supplier({ name: 'New Mobile Hub' });
+      jest.spyOn(Supplier, 'findOne').mockReturnValue(mockQuery(null));
+      jest.spyOn(Supplier, 'create').mockResolvedValue([created]);
+
+      const result = await SupplierService.resolveForInvoice({ name: 'New Mobile Hub' }, { actor });
+
+      expect(Supplier.create).toHaveBeenCalledWith([{ name: 'New Mobile Hub', createdBy: actor }], {
+        session: undefined,
+      });
+      expect(result.supplierRef).toBe(created._id);
+    });
+
+    it('requires a supplier', async () => {
+      await expect(SupplierService.resolveForInvoice(undefined)).rejects.toThrow('Supplier is required');
+    });
+  });
+
+  describe('getStatement', () => {
+    it('totals purchases, payments and phones bought from the supplier', async () => {
+      const supplier = { _id: id() };
+      const invoice = (invoiceNumber, totalCost, payments) => {
+        const paidAmount = payments.reduce((sum, payment) => sum + payment.amount, 0);
+        return {
+          _id: id(),
+          invoiceNumber,
+          invoiceDate: new Date('2026-03-01'),
+          invoiceStatus: 'Verified',
+          financials: { totalCost },
+          effectiveTotalCost: totalCost,
+          payment: { paidAmount, pendingAmount: totalCost - paidAmount, status: 'Partial' },
+          payments,
+        };
+      };
+      const payment = (amount, paymentDate, voidedAt) => ({
+        amount,
+        paymentDate: new Date(paymentDate),
+        method: 'Bank Transfer',
+        voidedAt,
+      });
+      jest
+        .spyOn(PurchaseInvoice, 'find')
+        .mockReturnValue(
+          mockQuery([
+            invoice('INV-001', 300000, [payment(200000, '2026-03-20'), payment(100000, '2026-03-05')]),
+            invoice('INV-002', 200000, []),
+          ])
+        );
+      jest.spyOn(Phone, 'aggregate').mockResolvedValue([
+        { _id: 'Sold', count: 6, totalCost: 360000 },
+        { _id: 'Returned', count: 1, totalCost: 40000 },
+      ]);
+
+      const statement = await SupplierService.getStatement(supplier, { startDate: '2026-03-01' });
+
+      expect(PurchaseInvoice.find).toHaveBeenCalledWith({
+        supplierRef: supplier._id,
+        invoiceStatus: { $ne: 'Cancelled' },
+        invoiceDate: { $gte: new Date('2026-03-01') },
+      });
+      expect(statement.summary).toEqual({
+        totalInvoices: 2,
+        totalPurchased: 500000,
+        totalPaid: 300000,
+        totalReturned: 0,
+        totalAmended: 0,
+        outstandingBalance: 200000,
+      });
+      expect(statement.payments.map(({ invoiceNumber, amount }) => [invoiceNumber, amount])).toEqual([
+        ['INV-001', 100000],
+        ['INV-001', 200000],
+      ]);
+      expect(statement.phones).toMatchObject({ bought: 7, returned: 1 });
+    });
+  });
+
+  describe('getPayablesAging', () => {
+    it('totals outstanding balances per bucket across suppliers', async () => {
+      const bucketsOf = (amounts) =>
+        Object.fromEntries(['Current', '1-30', '31-60', '61-90', '90+'].map((label, i) => [label, amounts[i]]));
+      jest.spyOn(PurchaseInvoice, 'aggregate').mockResolvedValue([
+        { supplier: 'Dialog', totalOutstanding: 250000, amountByBucket: bucketsOf([100000, 150000, 0, 0, 0]) },
+        { supplier: 'Softlogic', totalOutstanding: 80000, amountByBucket: bucketsOf([0, 30000, 0, 0, 50000]) },
+      ]);
+
+      const aging = await SupplierService.getPayablesAging();
+
+      expect(aging.buckets).toEqual([
+        { bucket: 'Current', amount: 100000 },
+        { bucket: '1-30', amount: 180000 },
+        { bucket: '31-60', amount: 0 },
+        { bucket: '61-90', amount: 0 },
+        { bucket: '90+', amount: 50000 },
+      ]);
+    });
+
+    it('ages open balances from the due date, or the invoice date without one', async () => {
+      jest.spyOn(PurchaseInvoice, 'aggregate').mockResolvedValue([]);
+
+      await SupplierService.getPayablesAging();
+
+      const [pipeline] = PurchaseInvoice.aggregate.mock.calls[0];
+      expect(pipeline[0].$match).toEqual({
+        invoiceStatus: { $ne: 'Cancelled' },
+        'payment.pendingAmount': { $gt: 0 },
+      });
+      expect(pipeline[1].$addFields.daysOverdue.$dateDiff.startDate).toEqual({
+        $ifNull: ['$payment.dueDate', '$invoiceDate'],
+      });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Product = require('../../src/models/Product');
+const TacEntry = require('../../src/models/TacEntry');
+const TacService = require('../../src/services/tacService');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('TacService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('compare', () => {
+    const entry = new TacEntry({ tac: '35693803', brand: 'samsung', model: 'Galaxy S23 Ultra' });
+
+    it('matches brand case-insensitively and model loosely', () => {
+      expect(TacService.compare(entry, { brand: 'Samsung', model: 'GALAXY-S23ULTRA' })).toBe('Matched');
+      expect(TacService.compare(entry, { brand: 'Samsung', model: 'S23 Ultra' })).toBe('Matched');
+    });
+
+    it('flags a different brand or model', () => {
+      expect(TacService.compare(entry, { brand: 'Apple', model: 'Galaxy S23 Ultra' })).toBe('Mismatch');
+      expect(TacService.compare(entry, { brand: 'Samsung', model: 'Galaxy A15' })).toBe('Mismatch');
+    });
+
+    it('is unknown without a TAC entry', () => {
+      expect(TacService.compare(null, { brand: 'Samsung', model: 'Galaxy A15' })).toBe('Unknown');
+    });
+  });
+
+  describe('identifyPhones', () => {
+    const galaxy = { _id: id(), brand: 'Samsung', model: 'Galaxy S23 Ultra' };
+    const iphone = { _id: id(), brand: 'Apple', model: 'iPhone 15' };
+
+    beforeEach(() => {
+      jest
+        .spyOn(TacEntry, 'find')
+        .mockReturnValue(mockQuery([new TacEntry({ tac: '35693803', brand: 'Samsung', model: 'Galaxy S23 Ultra' })]));
+      jest.spyOn(Product, 'find').mockReturnValue(mockQuery([galaxy, iphone]));
+    });
+
+    it('sets the device check on every phone without rejecting mismatches', async () => {
+      const phones = [
+        { imei: '356938035643809', product: galaxy._id },
+        { imei: '356938035643817', product: iphone._id },
+        { imei: '490154203237518', product: iphone._id },
+      ];
+
+      await TacService.identifyPhones(phones);
+
+      expect(phones.map((phone) => phone.deviceCheck.status)).toEqual(['Matched', 'Mismatch', 'Unknown']);
+      expect(phones[1].deviceCheck).toMatchObject({ tac: '35693803', brand: 'SAMSUNG', model: 'Galaxy S23 Ultra' });
+    });
+
+    it('starts the product lookup only after the TAC lookup has finished', async () => {
+      let tacLookupDone = false;
+      TacEntry.find.mockReturnValue({
+        session: () => ({
+          then: (resolve) =>
+            setImmediate(() => {
+              tacLookupDone = true;
+              resolve([]);
+            }),
+        }),
+      });
+      Product.find.mockImplementation(() => {
+        expect(tacLookupDone).toBe(true);
+        return mockQuery([]);
+      });
+
+      await TacService.identifyPhones([{ imei: '356938035643809', product: galaxy._id }], { session: {} });
+
+      expect(Product.find).toHaveBeenCalled();
+    });
+  });
+
+  describe('getWarnings', () => {
+    it('lists only mismatched phones', () => {
+      const warnings = TacService.getWarnings([
+        { imei: '356938035643809', deviceCheck: { status: 'Matched' } },
+        {
+          imei: '356938035643817',
+          deviceCheck: { status: 'Mismatch', tac: '35693803', brand: 'SAMSUNG', model: 'Galaxy S23 Ultra' },
+        },
+      ]);
+
+      expect(warnings).toEqual([
+        {
+          imei: '356938035643817',
+          tac: '35693803',
+          detected: 'SAMSUNG Galaxy S23 Ultra',
+          message: 'IMEI 356938035643817 belongs to a SAMSUNG Galaxy S23 Ultra according to the TAC table',
+        },
+      ]);
+    });
+  });
+});
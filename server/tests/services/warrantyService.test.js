@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const Phone = require('../../src/models/Phone');
+const Product = require('../../src/models/Product');
+const StockMovement = require('../../src/models/StockMovement');
+const WarrantyClaim = require('../../src/models/WarrantyClaim');
+const WarrantyService = require('../../src/services/warrantyService');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const product = new Product({ brand: 'SAMSUNG', model: 'Galaxy A15', warrantyMonths: 12 });
+
+const stockPhone = (imei, fields = {}) =>
+  new Phone({
+    imei,
+    product: product._id,
+    invoice: id(),
+    costPrice: 40000,
+    sellingPrice: 50000,
+    ...fields,
+  });
+
+describe('WarrantyService', () => {
+  const soldDate = new Date('2026-03-01T00:00:00Z');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('registerWarranty', () => {
+    it('runs the product warranty period from the sold date', async () => {
+      jest.spyOn(Product, 'find').mockReturnValue(mockQuery([product]));
+      const phones = [
+        stockPhone('356938035643809'),
+        stockPhone('490154203237518', { product: id() }),
+      ];
+
+      await WarrantyService.registerWarranty(phones, soldDate);
+
+      expect(phones[0].customerWarranty.toObject()).toEqual({
+        startDate: soldDate,
+        expiryDate: new Date('2027-03-01T00:00:00Z'),
+        months: 12,
+      });
+      expect(phones[1].customerWarranty.months).toBe(0);
+    });
+  });
+
+  describe('getWarranty', () => {
+    const now = new Date('2026-09-01T00:00:00Z');
+
+    it('reports the registered warranty and the days left', () => {
+      const phone = stockPhone('356938035643809', {
+        status: 'Sold',
+        soldDate,
+        customerWarranty: {
+          startDate: soldDate,
+          expiryDate: new Date('2026-09-11T00:00:00Z'),
+          months: 6,
+        },
+      });
+
+      expect(WarrantyService.getWarranty(phone, now)).toMatchObject({
+        registered: true,
+        months: 6,
+        inWarranty: true,
+        daysRemaining: 10,
+      });
+    });
+
+    it('uses the product period for phones sold before warranties were registered', () => {
+      const phone = stockPhone('356938035643809', {
+        status: 'Sold',
+        soldDate: new Date('2025-06-01T00:00:00Z'),
+      });
+      phone.product = product;
+
+      expect(WarrantyService.getWarranty(phone, now)).toMatchObject({
+        registered: false,
+        expiryDate: new Date('2026-06-01T00:00:00Z'),
+        inWarranty: false,
+        daysRemaining: 0,
+      });
+    });
+
+    it('has no warranty for a phone in stock', () => {
+      expect(WarrantyService.getWarranty(stockPhone('356938035643809'), now)).toBeNull();
+    });
+  });
+
+  describe('createClaim', () => {
+    let phone;
+
+    beforeEach(() => {
+      phone = stockPhone('356938035643809', {
+        status: 'Sold',
+        soldDate,
+        soldTo: 'Nimal Silva',
+        customerWarranty: {
+          startDate: soldDate,
+          expiryDate: new Date('2099-03-01T00:00:00Z'),
+          months: 12,
+        },
+      });
+
+      jest.spyOn(Phone, 'findByIMEI').mockReturnValue(mockQuery(phone));
+      jest.spyOn(WarrantyClaim, 'findOne').mockReturnValue(mockQuery(null));
+      jest.spyOn(WarrantyClaim.prototype, 'save').mockResolvedValue();
+    });
+
+    it('receives a claim for a phone in warranty', async () => {
+      const claim = await WarrantyService.createClaim({ imei: phone.imei, fault: 'No display' });
+
+      expect(claim.claimNumber).toMatch(/^WC-\d{8}-\d{4}$/);
+      expect(claim).toMatchObject({ imei: phone.imei, customerName: 'Nimal Silva', status: 'Received' });
+      expect(claim.warrantyExpiryDate).toEqual(phone.customerWarranty.expiryDate);
+    });
+
+    it('refuses a phone out of warranty', async () => {
+      phone.customerWarranty.expiryDate = new Date('2026-01-01T00:00:00Z');
+
+      await expect(WarrantyService.createClaim({ imei: phone.imei, fault: 'No display' })).rejects.toThrow(
+        'Phone is out of warranty (expired 2026-01-01)'
+      );
+    });
+
+    it('refuses a second open claim for the phone', async () => {
+      WarrantyClaim.findOne.mockReturnValue(mockQuery({ claimNumber: 'WC-20260301-0001' }));
+
+      await expect(WarrantyService.createClaim({ imei: phone.imei, fault: 'No display' })).rejects.toThrow(
+        'Phone already has an open warranty claim (WC-20260301-0001)'
+      );
+      expect(WarrantyClaim.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateClaim', () => {
+    let phone;
+    let replacement;
+    let claim;
+
+    beforeEach(() => {
+      const warrantyEnd = new Date('2027-03-01T00:00:00Z');
+      phone = stockPhone('356938035643809', {
+        status: 'Sold',
+        soldDate,
+        salesInvoice: id(),
+        customerWarranty: { startDate: soldDate, expiryDate: warrantyEnd, months: 12 },
+      });
+      replacement = stockPhone('490154203237518', { location: id() });
+      claim = new WarrantyClaim({
+        claimNumber: 'WC-20260301-0001',
+        phone: phone._id,
+        imei: phone.imei,
+        customerName: 'Nimal Silva',
+        warrantyExpiryDate: warrantyEnd,
+        fault: 'No display',
+      });
+
+      jest.spyOn(Phone, 'findById').mockReturnValue(mockQuery(phone));
+      jest.spyOn(Phone, 'findByIMEI').mockReturnValue(mockQuery(replacement));
+      jest.spyOn(Phone.prototype, 'save').mockResolvedValue();
+      jest.spyOn(WarrantyClaim.prototype, 'save').mockResolvedValue();
+      jest.spyOn(StockMovement, 'create').mockImplementation(async (entries) => entries);
+    });
+
+    it('hands the customer a replacement with the rest of the warranty', async () => {
+      const { salesInvoice } = phone;
+
+      await WarrantyService.updateClaim(claim, 'replace', { replacementImei: replacement.imei });
+
+      expect(claim.status).toBe('Replaced');
+      expect(claim.resolution.replacementImei).toBe(replacement.imei);
+      expect(replacement).toMatchObject({ status: 'Sold', soldTo: 'Nimal Silva' });
+      expect(replacement.salesInvoice).toEqual(salesInvoice);
+      expect(replacement.customerWarranty.expiryDate).toEqual(claim.warrantyExpiryDate);
+      expect(phone.status).toBe('Damaged');
+      expect(phone.location).toEqual(replacement.location);
+      expect(phone.customerWarranty.expiryDate).toBeUndefined();
+
+      const [movements] = StockMovement.create.mock.calls[0];
+      expect(movements.map((movement) => [movement.action, movement.price])).toEqual([
+        ['Returned', 40000],
+        ['Sold', 0],
+      ]);
+    });
+
+    it('refuses a replacement of another product', async () => {
+      replacement.product = id();
+
+      await expect(
+        WarrantyService.updateClaim(claim, 'replace', { replacementImei: replacement.imei })
+      ).rejects.toThrow('Replacement phone must be the same product as the claimed phone');
+      expect(phone.status).toBe('Sold');
+    });
+
+    it('only moves a claim along its lifecycle', async () => {
+      await expect(WarrantyService.updateClaim(claim, 'handBack')).rejects.toThrow(
+        'Claim is received. Only repaired or replaced claims can be marked handed back.'
+      );
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const { calculateCheckDigit, isValidIMEI, getTAC } = require('../../src/utils/imeiUtils');
+
+describe('imeiUtils', () => {
+  describe('calculateCheckDigit', () => {
+    it('computes the Luhn check digit of a 14-digit payload', () => {
+      expect(calculateCheckDigit('35693803564380')).toBe(9);
+      expect(calculateCheckDigit('49015420323751')).toBe(8);
+    });
+
+    it('returns 0 when the digit sum is already a multiple of ten', () => {
+      expect(calculateCheckDigit('00000000000000')).toBe(0);
+    });
+  });
+
+  describe('isValidIMEI', () => {
+    it('accepts 15 digits with a matching check digit', () => {
+      expect(isValidIMEI('356938035643809')).toBe(true);
+      expect(isValidIMEI('490154203237518')).toBe(true);
+    });
+
+    it('rejects a wrong check digit', () => {
+      expect(isValidIMEI('356938035643808')).toBe(false);
+    });
+
+    it('rejects a single mistyped digit', () => {
+      expect(isValidIMEI('356938035643709')).toBe(false);
+    });
+
+    it('rejects anything that is not 15 digits', () => {
+      expect(isValidIMEI('35693803564380')).toBe(false);
+      expect(isValidIMEI('3569380356438090')).toBe(false);
+      expect(isValidIMEI('35693803564380a')).toBe(false);
+      expect(isValidIMEI(356938035643809)).toBe(false);
+      expect(isValidIMEI(undefined)).toBe(false);
+    });
+  });
+
+  describe('getTAC', () => {
+    it('returns the first eight digits', () => {
+      expect(getTAC('356938035643809')).toBe('35693803');
+    });
+
+    it('returns null for a missing or short IMEI', () => {
+      expect(getTAC('3569380')).toBeNull();
+      expect(getTAC(null)).toBeNull();
+    });
+  });
+});